@@ -9,16 +9,101 @@ const IchikEditor = (function() {
     // 1. CONFIGURATION & STATIC DATA
     // ==============================================
 
-    const EMOJI_LIST = [
-        '😀','😁','😂','🤣','😉','😊',
-        '🥰','😍','🤔','🤨','😐','😑',
-        '😶','🙄','😏','😣','😥','😮',
-        '😴','😫','😜','😎','😭','😱',
-        '😡','👍','👎','👋','🙌','👏',
-        '🤝','💪','🎉','✨','🔥','❤️',
-        '🚀','⭐','💡','✅'
+    // Built-in Emoji Set, grouped by category: [emoji, name, keywords, supportsSkinTone].
+    // 'name' is the :shortcode:. Can be extended or replaced with the 'emojis' option.
+    const EMOJI_CATEGORIES = [
+        { id: 'smileys', icon: '😀', emojis: [
+            ['😀', 'grinning', 'smile happy'], ['😃', 'smiley', 'happy joy'], ['😄', 'smile', 'happy laugh'],
+            ['😁', 'grin', 'happy teeth'], ['😆', 'laughing', 'happy haha'], ['😅', 'sweat_smile', 'relief nervous'],
+            ['😂', 'joy', 'laugh tears lol'], ['🤣', 'rofl', 'laugh floor lol'], ['😊', 'blush', 'happy shy'],
+            ['😇', 'innocent', 'angel halo'], ['🙂', 'slightly_smiling_face', 'smile'], ['🙃', 'upside_down_face', 'silly'],
+            ['😉', 'wink', 'flirt'], ['😍', 'heart_eyes', 'love crush'], ['🥰', 'smiling_face_with_hearts', 'love adore'],
+            ['😘', 'kissing_heart', 'kiss love'], ['😋', 'yum', 'tasty delicious'], ['😜', 'stuck_out_tongue_winking_eye', 'silly joke'],
+            ['🤪', 'zany_face', 'crazy goofy'], ['🤗', 'hugs', 'hug embrace'], ['🤫', 'shushing_face', 'quiet secret'],
+            ['🤔', 'thinking', 'hmm think'], ['🤨', 'raised_eyebrow', 'suspicious doubt'], ['😐', 'neutral_face', 'meh'],
+            ['😑', 'expressionless', 'blank'], ['😶', 'no_mouth', 'silent speechless'], ['🙄', 'roll_eyes', 'annoyed whatever'],
+            ['😏', 'smirk', 'smug'], ['😬', 'grimacing', 'awkward'], ['😣', 'persevere', 'struggle'],
+            ['😥', 'disappointed_relieved', 'sad phew'], ['😮', 'open_mouth', 'surprise wow'], ['😴', 'sleeping', 'sleep tired zzz'],
+            ['😫', 'tired_face', 'exhausted'], ['😎', 'sunglasses', 'cool'], ['🤓', 'nerd_face', 'geek smart'],
+            ['😕', 'confused', 'unsure'], ['😟', 'worried', 'concern'], ['🥺', 'pleading_face', 'please puppy eyes'],
+            ['😢', 'cry', 'sad tear'], ['😭', 'sob', 'cry sad'], ['😱', 'scream', 'fear shock'],
+            ['😡', 'rage', 'angry mad'], ['🤯', 'exploding_head', 'mind blown shock'], ['🥳', 'partying_face', 'party celebrate birthday']
+        ] },
+        { id: 'gestures', icon: '👍', emojis: [
+            ['👍', '+1', 'thumbsup yes like approve', true], ['👎', '-1', 'thumbsdown no dislike', true],
+            ['👋', 'wave', 'hello hi bye', true], ['🙌', 'raised_hands', 'hooray celebrate', true],
+            ['👏', 'clap', 'applause congrats', true], ['💪', 'muscle', 'strong flex', true],
+            ['🙏', 'pray', 'please thanks hope', true], ['👌', 'ok_hand', 'ok perfect', true],
+            ['✌️', 'v', 'victory peace', true], ['🤞', 'crossed_fingers', 'luck hope', true],
+            ['👉', 'point_right', 'right', true], ['👈', 'point_left', 'left', true],
+            ['👆', 'point_up_2', 'up', true], ['👇', 'point_down', 'down', true],
+            ['✋', 'raised_hand', 'stop high five', true], ['🤙', 'call_me_hand', 'call shaka', true],
+            ['✊', 'fist_raised', 'power solidarity', true], ['👊', 'fist_oncoming', 'punch bump', true],
+            ['✍️', 'writing_hand', 'write sign', true], ['🤝', 'handshake', 'deal agreement']
+        ] },
+        { id: 'nature', icon: '🐶', emojis: [
+            ['🐶', 'dog', 'puppy pet'], ['🐱', 'cat', 'kitten pet'], ['🦊', 'fox_face', 'fox'],
+            ['🐻', 'bear', 'animal'], ['🐼', 'panda_face', 'panda'], ['🦁', 'lion', 'animal'],
+            ['🐸', 'frog', 'animal'], ['🐵', 'monkey_face', 'monkey'], ['🐔', 'chicken', 'bird'],
+            ['🐧', 'penguin', 'bird'], ['🦋', 'butterfly', 'insect'], ['🐝', 'bee', 'honeybee insect'],
+            ['🦙', 'llama', 'alpaca andes'], ['🌸', 'cherry_blossom', 'flower spring'], ['🌹', 'rose', 'flower love'],
+            ['🌻', 'sunflower', 'flower summer'], ['🌳', 'deciduous_tree', 'tree nature'], ['🌵', 'cactus', 'desert plant'],
+            ['🍀', 'four_leaf_clover', 'luck'], ['🌈', 'rainbow', 'colors'], ['☀️', 'sunny', 'sun weather'],
+            ['🌙', 'crescent_moon', 'moon night'], ['⭐', 'star', 'favorite'], ['⚡', 'zap', 'lightning electric'],
+            ['❄️', 'snowflake', 'snow winter cold'], ['🔥', 'fire', 'hot lit flame'], ['💧', 'droplet', 'water'],
+            ['🌊', 'ocean', 'wave sea']
+        ] },
+        { id: 'food', icon: '🍕', emojis: [
+            ['🍎', 'apple', 'fruit'], ['🍌', 'banana', 'fruit'], ['🍓', 'strawberry', 'fruit'],
+            ['🍉', 'watermelon', 'fruit summer'], ['🍇', 'grapes', 'fruit'], ['🥑', 'avocado', 'palta'],
+            ['🌽', 'corn', 'maize'], ['🍞', 'bread', 'toast'], ['🧀', 'cheese', 'food'],
+            ['🍕', 'pizza', 'food'], ['🍔', 'hamburger', 'burger food'], ['🌮', 'taco', 'food mexican'],
+            ['🍣', 'sushi', 'food japanese'], ['🍜', 'ramen', 'noodles soup'], ['🍩', 'doughnut', 'donut dessert'],
+            ['🍪', 'cookie', 'dessert'], ['🎂', 'birthday', 'cake party'], ['🍫', 'chocolate_bar', 'dessert sweet'],
+            ['☕', 'coffee', 'cafe hot drink'], ['🍵', 'tea', 'drink'], ['🍺', 'beer', 'drink'],
+            ['🍷', 'wine_glass', 'drink'], ['🥂', 'clinking_glasses', 'cheers toast celebrate']
+        ] },
+        { id: 'activities', icon: '⚽', emojis: [
+            ['⚽', 'soccer', 'football sport'], ['🏀', 'basketball', 'sport'], ['🎾', 'tennis', 'sport'],
+            ['🏆', 'trophy', 'win award'], ['🥇', '1st_place_medal', 'gold first winner'], ['🎉', 'tada', 'party celebrate hooray'],
+            ['🎊', 'confetti_ball', 'party celebrate'], ['🎈', 'balloon', 'party birthday'], ['🎁', 'gift', 'present birthday'],
+            ['🎮', 'video_game', 'game controller'], ['🎲', 'game_die', 'dice game'], ['🎯', 'dart', 'target goal bullseye'],
+            ['🎸', 'guitar', 'music rock'], ['🎵', 'musical_note', 'music song'], ['🎨', 'art', 'paint design'],
+            ['🎬', 'clapper', 'movie film']
+        ] },
+        { id: 'travel', icon: '🚀', emojis: [
+            ['🚀', 'rocket', 'launch ship fast'], ['✈️', 'airplane', 'flight travel'], ['🚗', 'car', 'automobile'],
+            ['🚲', 'bike', 'bicycle'], ['🚢', 'ship', 'boat'], ['🏠', 'house', 'home'],
+            ['🏢', 'office', 'building work'], ['🏖️', 'beach_umbrella', 'vacation beach'], ['⛰️', 'mountain', 'andes'],
+            ['🗺️', 'world_map', 'map travel'], ['🌍', 'earth_africa', 'globe world'], ['🏁', 'checkered_flag', 'finish race']
+        ] },
+        { id: 'objects', icon: '💡', emojis: [
+            ['💡', 'bulb', 'idea light'], ['📌', 'pushpin', 'pin'], ['📎', 'paperclip', 'attachment'],
+            ['📝', 'memo', 'note write'], ['📅', 'date', 'calendar'], ['📊', 'bar_chart', 'stats graph'],
+            ['📈', 'chart_with_upwards_trend', 'growth graph'], ['💻', 'computer', 'laptop'], ['📱', 'iphone', 'phone mobile'],
+            ['⌨️', 'keyboard', 'type'], ['🔒', 'lock', 'security private'], ['🔑', 'key', 'password'],
+            ['🔧', 'wrench', 'tool fix'], ['⚙️', 'gear', 'settings'], ['📦', 'package', 'box shipping'],
+            ['✉️', 'envelope', 'email letter'], ['📚', 'books', 'library read'], ['🔍', 'mag', 'search zoom'],
+            ['⏰', 'alarm_clock', 'time'], ['💰', 'moneybag', 'money']
+        ] },
+        { id: 'symbols', icon: '❤️', emojis: [
+            ['❤️', 'heart', 'love'], ['🧡', 'orange_heart', 'love'], ['💛', 'yellow_heart', 'love'],
+            ['💚', 'green_heart', 'love'], ['💙', 'blue_heart', 'love'], ['💜', 'purple_heart', 'love'],
+            ['💔', 'broken_heart', 'sad'], ['✨', 'sparkles', 'shiny new magic'], ['💯', '100', 'perfect score'],
+            ['✅', 'white_check_mark', 'done yes ok'], ['❌', 'x', 'no cancel wrong'], ['⚠️', 'warning', 'caution'],
+            ['❓', 'question', 'help'], ['❗', 'exclamation', 'important'], ['🚫', 'no_entry_sign', 'forbidden'],
+            ['➕', 'heavy_plus_sign', 'add plus'], ['🔴', 'red_circle', 'red'], ['🟢', 'green_circle', 'green']
+        ] }
     ];
 
+    // Skin tone modifiers. '' is the default (yellow) tone.
+    const SKIN_TONES = ['', '\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+
+    // localStorage keys for the recently used emojis and the chosen skin tone (shared by all instances)
+    const EMOJI_RECENT_KEY = 'ichik-emoji-recent';
+    const EMOJI_TONE_KEY = 'ichik-emoji-tone';
+    const EMOJI_RECENT_LIMIT = 12;
+
     // Default Text Labels.
     // Can be overwritten by passing a 'labels' object in the constructor.
     const DEFAULT_LABELS = {
@@ -30,25 +115,65 @@ const IchikEditor = (function() {
                 h3: 'Heading 3',
                 h4: 'Heading 4',
                 h5: 'Heading 5',
-                h6: 'Heading 6'
+                h6: 'Heading 6',
+                quote: 'Quote',
+                code: 'Code block'
             },
             bold: '<strong>B</strong>',
             italic: '<em>I</em>',
+            strike: '<s>S</s>',
+            code: '&lt;/&gt;',
+            quote: '❝',
+            codeBlock: '{ }',
             ul: '• Bullet List',
             ol: '1. Numbered List',
+            taskList: '☑ Checklist',
             hr: '—',
             link: '🔗 Link',
             image: '🖼️ Image',
             emoji: '😀 Emoji',
-            clear: 'Clear format'
+            clear: 'Clear format',
+            undo: '↶',
+            redo: '↷',
+            table: '▦ Table',
+            source: 'MD',
+            split: '◫ Split',
+            find: '🔍'
         },
         popups: {
             link: {
                 title: 'Link URL',
                 placeholder: 'https://...',
+                text: 'Text',
+                placeholderText: 'Text to display',
+                remove: 'Remove link',
+                cancel: 'Cancel',
+                save: 'Save'
+            },
+            code: {
+                title: 'Language',
+                placeholder: 'Ex: javascript',
+                remove: 'Remove code block',
                 cancel: 'Cancel',
                 save: 'Save'
             },
+            find: {
+                title: 'Find and replace',
+                find: 'Find',
+                replace: 'Replace with',
+                previous: 'Previous match',
+                next: 'Next match',
+                matchCase: 'Match case',
+                wholeWord: 'Whole word',
+                regex: 'Regular expression',
+                count: '{current} of {total}',
+                noResults: 'No results',
+                replaced: '{count} replaced',
+                invalidRegex: 'Invalid regular expression.',
+                replaceOne: 'Replace',
+                replaceAll: 'Replace all',
+                close: 'Close'
+            },
             image: {
                 titleUrl: 'Image URL',
                 placeholderUrl: 'https://...',
@@ -58,18 +183,141 @@ const IchikEditor = (function() {
                 placeholderWidth: 'Ex: 300px or 100%',
                 cancel: 'Cancel',
                 insert: 'Insert',
-                update: 'Update'
+                update: 'Update',
+                titleFile: 'Or upload a file',
+                uploading: 'Uploading… {percent}%'
             }
         },
         alerts: {
             httpsRequired: 'For security reasons, only HTTPS URLs are allowed.',
-            invalidProtocol: 'Protocol not allowed. Only HTTPS.'
+            invalidProtocol: 'Protocol not allowed. Use: {protocols}.',
+            relativeUrl: 'Relative URLs are not allowed.',
+            fileType: 'This file type is not allowed.',
+            fileTooLarge: 'The image is too large (max. {size}).',
+            uploadFailed: 'The image could not be uploaded.',
+            maxLength: 'Character limit reached ({max}).',
+            maxImages: 'You can add up to {max} images.'
+        },
+        status: {
+            words: '{count} words',
+            characters: '{count} characters',
+            charactersMax: '{count}/{max} characters'
+        },
+        collab: {
+            guest: 'Guest'
+        },
+        autosave: {
+            draftFound: 'You have an unsaved draft from {date}.',
+            restore: 'Restore',
+            discard: 'Discard'
+        },
+        validation: {
+            required: 'This field is required.',
+            maxLength: 'The text is too long ({count}/{max} characters).',
+            maxImages: 'Too many images ({count}/{max}).'
+        },
+        imageToolbar: {
+            alignLeft: 'Left',
+            alignCenter: 'Center',
+            alignRight: 'Right',
+            alignFull: 'Full width',
+            caption: 'Caption',
+            captionPlaceholder: 'Write a caption…'
+        },
+        linkBubble: {
+            edit: 'Edit',
+            open: 'Open in new tab',
+            unlink: 'Unlink'
+        },
+        table: {
+            size: '{rows} × {cols}',
+            rowAbove: 'Row above',
+            rowBelow: 'Row below',
+            colLeft: 'Column left',
+            colRight: 'Column right',
+            deleteRow: 'Delete row',
+            deleteCol: 'Delete column',
+            toggleHeader: 'Header row',
+            alignLeft: 'Left',
+            alignCenter: 'Center',
+            alignRight: 'Right',
+            deleteTable: 'Delete table'
+        },
+        mentions: {
+            noResults: 'No results'
+        },
+        emojis: {
+            search: 'Search emoji...',
+            recent: 'Recently used',
+            noResults: 'No emojis found',
+            skinTone: 'Skin tone',
+            categories: {
+                smileys: 'Smileys',
+                gestures: 'Gestures',
+                nature: 'Nature',
+                food: 'Food & Drink',
+                activities: 'Activities',
+                travel: 'Travel & Places',
+                objects: 'Objects',
+                symbols: 'Symbols'
+            },
+            // Extra search terms per emoji name (for translations). Ex: { grinning: 'sonrisa feliz' }
+            keywords: {}
+        },
+        // Accessible names (aria-label) for screen readers
+        aria: {
+            toolbar: 'Formatting',
+            editor: 'Rich text editor',
+            emojiPicker: 'Emojis',
+            heading: 'Text style',
+            undo: 'Undo',
+            redo: 'Redo',
+            bold: 'Bold',
+            italic: 'Italic',
+            strike: 'Strikethrough',
+            code: 'Inline code',
+            quote: 'Quote',
+            codeBlock: 'Code block',
+            ul: 'Bullet list',
+            ol: 'Numbered list',
+            taskList: 'Checklist',
+            hr: 'Horizontal line',
+            emoji: 'Insert emoji',
+            link: 'Link',
+            image: 'Image',
+            clear: 'Clear format',
+            table: 'Insert table',
+            tableSize: 'Table size',
+            tableMenu: 'Table',
+            source: 'Markdown source',
+            split: 'Split view',
+            find: 'Find and replace',
+            sourceEditor: 'Markdown source',
+            linkBubble: 'Link',
+            imageToolbar: 'Image',
+            mentions: 'Suggestions'
         }
     };
 
-    // Toolbar Structure. 'labelKey' refers to DEFAULT_LABELS keys.
-    const TOOLBAR_SCHEMA = [
-        {
+    // Undo/Redo: max steps kept per instance, and the time window (ms)
+    // in which consecutive keystrokes are merged into a single step.
+    const HISTORY_LIMIT = 100;
+    const HISTORY_MERGE_DELAY = 1000;
+
+    // Default debounce (ms) for the 'change' event. Configurable with 'changeDelay'.
+    const CHANGE_DELAY = 300;
+
+    // Image uploads (see 'uploadImage'). SVG is excluded on purpose: it can carry scripts.
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    const IMAGE_MAX_SIZE = 5 * 1024 * 1024; // 5 MB
+    const MESSAGE_DURATION = 5000; // Inline error messages (ms)
+
+    // Built-in Toolbar Items, referenced by name in the 'toolbar' option.
+    // 'labelKey' refers to DEFAULT_LABELS keys.
+    const TOOLBAR_ITEMS = {
+        undo: { type: 'button', labelKey: 'undo', cmd: 'undo' },
+        redo: { type: 'button', labelKey: 'redo', cmd: 'redo' },
+        heading: {
             type: 'select',
             cmd: 'formatBlock',
             options: [
@@ -79,48 +327,267 @@ const IchikEditor = (function() {
                 { labelKey: 'h3', value: 'H3' },
                 { labelKey: 'h4', value: 'H4' },
                 { labelKey: 'h5', value: 'H5' },
-                { labelKey: 'h6', value: 'H6' }
+                { labelKey: 'h6', value: 'H6' },
+                { labelKey: 'quote', value: 'BLOCKQUOTE' },
+                { labelKey: 'code', value: 'PRE' }
             ]
         },
-        { type: 'button', labelKey: 'bold', cmd: 'bold' },
-        { type: 'button', labelKey: 'italic', cmd: 'italic' },
-        { type: 'separator' },
-        { type: 'button', labelKey: 'ul', cmd: 'insertUnorderedList' },
-        { type: 'button', labelKey: 'ol', cmd: 'insertOrderedList' },
-        { type: 'button', labelKey: 'hr', cmd: 'insertHorizontalRule' },
-        { type: 'separator' },
-        { type: 'button', labelKey: 'emoji', cmd: 'toggleEmoji' },
-        { type: 'button', labelKey: 'link', cmd: 'createLink' },
-        { type: 'button', labelKey: 'image', cmd: 'customInsertImage' },
-        { type: 'separator' },
-        { type: 'button', labelKey: 'clear', cmd: 'removeFormat' }
+        bold: { type: 'button', labelKey: 'bold', cmd: 'bold', toggle: true },
+        italic: { type: 'button', labelKey: 'italic', cmd: 'italic', toggle: true },
+        strike: { type: 'button', labelKey: 'strike', cmd: 'strikeThrough', toggle: true },
+        code: { type: 'button', labelKey: 'code', cmd: 'inlineCode', toggle: true },
+        quote: { type: 'button', labelKey: 'quote', cmd: 'blockquote', toggle: true },
+        codeBlock: { type: 'button', labelKey: 'codeBlock', cmd: 'codeBlock', toggle: true, popup: true }, // Language, in a code block
+        ul: { type: 'button', labelKey: 'ul', cmd: 'insertUnorderedList', toggle: true },
+        ol: { type: 'button', labelKey: 'ol', cmd: 'insertOrderedList', toggle: true },
+        taskList: { type: 'button', labelKey: 'taskList', cmd: 'insertTaskList', toggle: true },
+        hr: { type: 'button', labelKey: 'hr', cmd: 'insertHorizontalRule' },
+        emoji: { type: 'button', labelKey: 'emoji', cmd: 'toggleEmoji', popup: true },
+        link: { type: 'button', labelKey: 'link', cmd: 'createLink', popup: true },
+        image: { type: 'button', labelKey: 'image', cmd: 'customInsertImage', popup: true },
+        table: { type: 'button', labelKey: 'table', cmd: 'insertTable', popup: true },
+        clear: { type: 'button', labelKey: 'clear', cmd: 'removeFormat' },
+        source: { type: 'button', labelKey: 'source', cmd: 'toggleSource', toggle: true },
+        split: { type: 'button', labelKey: 'split', cmd: 'toggleSplit', toggle: true },
+        find: { type: 'button', labelKey: 'find', cmd: 'findReplace', popup: true }
+    };
+
+    // Collaboration: remote cursor colors (picked from the peer's id unless 'user.color' is set)
+    const COLLAB_COLORS = ['#d73a49', '#28a745', '#0366d6', '#e36209', '#6f42c1', '#1b7c83', '#b08800', '#ea4aaa'];
+    const COLLAB_BASE_SITE = '0'; // Ids of content loaded into an empty document (same on every peer)
+    // Collaboration tokens (a character escaped like HTML text, an opening or a closing tag) and
+    // their ids, and the largest changed run compared token by token (see diffTokens)
+    const COLLAB_TOKEN_RE = /^(?:[^<>&]|&(?:amp|lt|gt|quot|#039);|<[a-z][a-z0-9]*(?:\s[^<>]*)?>|<\/[a-z][a-z0-9]*>)$/u;
+    const COLLAB_ID_RE = /^\d{1,15}@[a-z0-9]{1,16}$/;
+    const COLLAB_DIFF_LIMIT = 250000;
+    const VOID_TAGS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr']; // No closing tag
+
+    // Draft autosave (see 'autosave'): time between saves while editing (ms), how long
+    // drafts are kept, and the built-in storages ('storage' can also be a custom adapter)
+    const AUTOSAVE_INTERVAL = 1000;
+    const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+    const DRAFT_KEY_PREFIX = 'ichik-draft:'; // localStorage
+    const DRAFT_DB = { name: 'ichik-editor', store: 'drafts' }; // IndexedDB
+    const DRAFT_STORAGES = { localStorage: createLocalDraftStorage, indexedDB: createIndexedDbDraftStorage };
+
+    // Editor modes (see setMode), and the toolbar commands that toggle them
+    const EDITOR_MODES = ['wysiwyg', 'markdown', 'split'];
+    const MODE_COMMANDS = { toggleSource: 'markdown', toggleSplit: 'split' };
+
+    // Default Keyboard Shortcuts. 'Mod' is Ctrl (Windows/Linux) or Cmd (Mac).
+    // Values are toolbar item/command names, or h1-h6/normal for headings.
+    // Can be extended (or disabled with null) by passing a 'keymap' object in the constructor.
+    const DEFAULT_KEYMAP = {
+        'Mod-B': 'bold',
+        'Mod-I': 'italic',
+        'Mod-Shift-X': 'strike',
+        'Mod-E': 'code',
+        'Mod-Shift-9': 'quote',
+        'Mod-Alt-C': 'codeBlock',
+        'Mod-K': 'link',
+        'Mod-Alt-0': 'normal',
+        'Mod-Alt-1': 'h1',
+        'Mod-Alt-2': 'h2',
+        'Mod-Alt-3': 'h3',
+        'Mod-Alt-4': 'h4',
+        'Mod-Alt-5': 'h5',
+        'Mod-Alt-6': 'h6',
+        'Mod-Shift-7': 'ol',
+        'Mod-Shift-8': 'ul',
+        'Mod-Shift-6': 'taskList',
+        'Mod-F': 'find',
+        'Mod-Z': 'undo',
+        'Mod-Y': 'redo',
+        'Mod-Shift-Z': 'redo'
+    };
+
+    // Markdown input rules (autoformat while typing), checked in this order.
+    // Can be extended (or disabled with null) by passing an 'inputRules' object in the constructor.
+    // - 'match' + 'command': 'match' is tested against the line before the caret ('block':
+    //   paragraphs only, 'lists': list items too). The typed text is removed and the command
+    //   (a keymap name, or a function of the match) runs.
+    // - 'delimiter' + 'wrap': '**text**' typed inline becomes <strong>text</strong>.
+    // - 'match' + 'handler(editor, match)': the matched text is selected and the handler
+    //   replaces it. Returning false leaves it as typed.
+    const DEFAULT_INPUT_RULES = {
+        heading: { match: /^(#{1,6})\s$/, block: true, command: (match) => 'h' + match[1].length },
+        ul: { match: /^[-*+]\s$/, block: true, command: 'ul' },
+        ol: { match: /^(\d{1,9})[.)]\s$/, block: true, handler: (editor, match) => insertRuleOrderedList(editor, Number(match[1])) },
+        taskList: { match: /^\[[ xX]?\]\s$/, block: true, lists: true, command: 'taskList' },
+        quote: { match: /^>\s$/, block: true, command: 'quote' },
+        codeBlock: { match: /^```$/, block: true, command: 'codeBlock' },
+        hr: { match: /^(?:---|\*\*\*|___)$/, block: true, command: 'hr' },
+        bold: { delimiter: '**', wrap: 'strong' },
+        boldUnderscore: { delimiter: '__', wrap: 'strong' },
+        italic: { delimiter: '*', wrap: 'em' },
+        italicUnderscore: { delimiter: '_', wrap: 'em' },
+        strike: { delimiter: '~~', wrap: 's' },
+        code: { delimiter: '`', wrap: 'code' },
+        link: { match: /\[([^\]]+)\]\(([^()\s]+)\)$/, handler: (editor, match) => insertRuleLink(editor, match[2], match[1]) }
+    };
+
+    // Find & replace: CSS Custom Highlight names (see ::highlight() in the CSS), and how many
+    // matches are highlighted and counted (a regex like '.' would match every character).
+    // The limit doesn't apply to Replace All.
+    const FIND_HIGHLIGHT = 'ichik-find';
+    const FIND_HIGHLIGHT_CURRENT = 'ichik-find-current';
+    const FIND_MATCH_LIMIT = 1000;
+
+    // Table size picker (max rows/columns offered)
+    const TABLE_PICKER_SIZE = 8;
+
+    // ASCII punctuation: can be escaped with a backslash in Markdown
+    const MD_ESCAPABLE_RE = /^[!-\/:-@[-`{-~]$/;
+
+    // Code block language tag (fence info string). Ex: js, c++, objective-c
+    const CODE_LANGUAGE_RE = /^[\w+#.-]+$/;
+
+    // URL policy: protocols allowed by default, and protocols that are never allowed
+    const ALLOWED_PROTOCOLS = ['https'];
+    const BLOCKED_PROTOCOLS = ['javascript', 'vbscript'];
+
+    // Mentions: trigger characters (@, #, +...) and the default Markdown format (see 'mentions')
+    const MENTION_TRIGGER_RE = /^[^\s\w\\]$/;
+    const MENTION_MD_FORMAT = '{trigger}[{label}]({id})';
+    const MENTION_LIMIT = 8; // Suggestions shown
+
+    // GFM table delimiter row. Ex: | --- | :---: | ---: |
+    const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+    // Image alignments ('data-align' on the <img>, or on its <figure> when captioned)
+    const IMAGE_ALIGNS = ['left', 'center', 'right', 'full'];
+    const IMAGE_MIN_WIDTH = 40; // px, resize handles
+
+    // Emoji grid columns (must match 'grid-template-columns' in the CSS)
+    const EMOJI_COLUMNS = 6;
+
+    // Themes: 'auto' follows the OS (prefers-color-scheme). Tokens are the --ichik-* CSS properties.
+    const THEMES = ['auto', 'light', 'dark'];
+    // Shadow DOM mode: page stylesheets cloned into the shadow root (unless 'stylesheets' is given)
+    const SHADOW_STYLESHEET_SELECTOR = 'link[rel~="stylesheet"][href*="ichik-editor"]';
+
+    // Default Toolbar Layout. Each group is rendered between separators.
+    const DEFAULT_TOOLBAR = [
+        ['undo', 'redo'],
+        ['heading', 'bold', 'italic', 'strike', 'code'],
+        ['ul', 'ol', 'taskList', 'quote', 'codeBlock', 'hr'],
+        ['emoji', 'link', 'image', 'table'],
+        ['clear', 'find', 'source']
     ];
 
+    // HTML Allowlist used by setHTML()/getHTML(). Tag => allowed attributes.
+    // Can be extended by passing a 'sanitize' object in the constructor.
+    const SANITIZE_SCHEMA = {
+        tags: {
+            P: [], BR: [], HR: [],
+            H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+            B: [], STRONG: [], I: [], EM: [], S: [],
+            CODE: ['class'], PRE: ['data-language'], BLOCKQUOTE: [],
+            UL: ['data-type'], OL: ['start'], LI: ['data-checked'],
+            A: ['href'],
+            IMG: ['src', 'alt', 'width', 'data-align'],
+            FIGURE: ['data-align'], FIGCAPTION: [],
+            TABLE: [], THEAD: [], TBODY: [], TR: [],
+            TH: ['align'], TD: ['align']
+        },
+        // Attributes validated with the URL policy (see checkUrl)
+        urlAttrs: ['href', 'src'],
+        // Tags renamed instead of unwrapped (browsers insert DIVs on Enter)
+        aliases: { DIV: 'P', STRIKE: 'S', DEL: 'S' },
+        // Tags removed together with their content
+        dropContent: ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'SVG', 'MATH', 'HEAD', 'TITLE', 'META', 'LINK']
+    };
+
+    // Content formats for getContent()/setContent(). Extended with IchikEditor.registerFormat().
+    // serialize(root, editor) gets a sanitized copy of the content; parse(content, editor)
+    // (optional) returns HTML or DOM nodes, which are sanitized before loading.
+    const FORMATS = {
+        markdown: {
+            serialize: (root, editor) => serializeWithMentions(root, editor.mentions, (node) => parseToMd(node).trim()),
+            parse: (md, editor) => parseFromMd(md, editor.urlPolicy, editor.mentionPatterns)
+        },
+        html: {
+            serialize: (root) => normalizeHtmlTree(root).innerHTML.trim(),
+            parse: (html) => html
+        },
+        text: {
+            serialize: (root) => parseToText(root)
+        },
+        json: {
+            serialize: (root) => ({ type: 'doc', content: blocksToJson(root) }),
+            parse: (doc) => parseFromJson(doc)
+        },
+        bbcode: {
+            serialize: (root) => parseToBbcode(root),
+            parse: (bbcode) => parseFromBbcode(bbcode)
+        }
+    };
+
     // ==============================================
     // 2. STATELESS HELPERS (Pure Utils)
     // ==============================================
 
     /**
-     * Validates URLs to enforce HTTPS and avoid unsafe protocols (like javascript:).
+     * URL Policy: validates a URL against 'allowedProtocols' and 'allowRelativeUrls'.
+     * Returns { url } or { error } (the 'alerts' label to show). Addresses without a
+     * protocol ('example.com') get https://, and script protocols are never allowed.
      */
-    function enforceHttps(inputUrl, messages) {
-        if (!inputUrl) return null;
-        let url = inputUrl.trim();
-        if (url.toLowerCase().startsWith('https://')) return url;
+    function checkUrl(inputUrl, policy) {
+        // Browsers ignore tabs and line breaks inside URLs ('java\tscript:')
+        const url = String(inputUrl || '').replace(/[\u0000-\u001F\u007F]/g, '').trim();
+        if (!url) return { error: 'invalidProtocol' };
 
-        if (url.toLowerCase().startsWith('http://')) {
-            alert(messages.httpsRequired);
-            return null;
+        // 'localhost:3000' and 'example.com:8080' have no protocol, but 'tel:123' does
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):(\d)?/i);
+        if (scheme && !(scheme[2] && /^localhost$|\./i.test(scheme[1]))) {
+            const protocol = scheme[1].toLowerCase();
+            if (BLOCKED_PROTOCOLS.includes(protocol) || !policy.protocols.includes(protocol)) {
+                return { error: protocol === 'http' && policy.protocols.includes('https') ? 'httpsRequired' : 'invalidProtocol' };
+            }
+            return { url: url };
         }
-        if (/^[a-zA-Z0-9\-\.]+:\/\//.test(url)) {
-            alert(messages.invalidProtocol);
-            return null;
+        // Paths, anchors and queries: '/help', './a', '../a', '#faq', '?page=2'
+        if (/^(\/(?!\/)|\.\.?\/|#|\?)/.test(url)) {
+            return policy.relative ? { url: url } : { error: 'relativeUrl' };
         }
-        return 'https://' + url;
+        const protocol = ['https', 'http'].find(p => policy.protocols.includes(p));
+        if (!protocol) return { error: 'invalidProtocol' };
+        return { url: `${protocol}:${url.startsWith('//') ? '' : '//'}${url}` };
+    }
+
+    /**
+     * checkUrl() for content being loaded: invalid URLs are dropped silently.
+     */
+    function safeUrl(url, policy) {
+        return checkUrl(url, policy).url || null;
+    }
+
+    /**
+     * 'allowedProtocols' and 'allowRelativeUrls' options => policy used by checkUrl().
+     */
+    function buildUrlPolicy(options) {
+        const protocols = (options.allowedProtocols || ALLOWED_PROTOCOLS)
+            .map(p => String(p).toLowerCase().replace(/:$/, ''))
+            .filter(p => !BLOCKED_PROTOCOLS.includes(p));
+        return { protocols: protocols, relative: !!options.allowRelativeUrls };
+    }
+
+    /**
+     * Error text for a checkUrl() result, with the allowed protocols filled in.
+     */
+    function getUrlError(inst, error) {
+        return inst.labels.alerts[error].replace('{protocols}', inst.urlPolicy.protocols.join(', '));
+    }
+
+    /**
+     * Escapes RegExp syntax characters, so the text matches literally (also with the 'u' flag).
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
     }
 
     /**
-     * Sanitizes user text before converting to Markdown.
+     * Escapes HTML special characters (attribute values, raw <img> in Markdown).
      * Prevents Stored XSS by converting <script> to &lt;script&gt;
      */
     function escapeHtml(text) {
@@ -132,12 +599,24 @@ const IchikEditor = (function() {
                     .replace(/'/g, "&#039;");
     }
 
+    /**
+     * Reverts escapeHtml(). Used when reading Markdown back into text nodes.
+     */
+    function unescapeHtml(text) {
+        if (!text) return '';
+        return  text.replace(/&lt;/g, "<")
+                    .replace(/&gt;/g, ">")
+                    .replace(/&quot;/g, '"')
+                    .replace(/&#039;/g, "'")
+                    .replace(/&amp;/g, "&");
+    }
+
     /**
      * Positions a floating element (popup) ensuring it doesn't overflow the viewport.
      * Useful for mobile devices where menus might get cut off on the right side.
      */
-    function smartPosition(triggerEl, popupEl, displayType) {
-        popupEl.style.display = displayType; // 'flex' (form) or 'grid' (emoji)
+    function smartPosition(triggerEl, popupEl, displayType, placement = 'bottom') {
+        popupEl.style.display = displayType; // 'flex' (forms, emoji picker)
 
         const rect = triggerEl.getBoundingClientRect();
         const popupWidth = popupEl.offsetWidth;
@@ -148,6 +627,11 @@ const IchikEditor = (function() {
         let left = rect.left + scrollX;
         let top = rect.bottom + scrollY + 6; // +6px vertical margin
 
+        // 'top' placement (e.g. table menu), unless there is no room above
+        if (placement === 'top' && rect.top - popupEl.offsetHeight - 6 > 0) {
+            top = rect.top + scrollY - popupEl.offsetHeight - 6;
+        }
+
         // If it overflows right...
         if (rect.left + popupWidth > viewportWidth - 10) {
             // ...align with the right edge of the button
@@ -161,378 +645,6688 @@ const IchikEditor = (function() {
     }
 
     /**
-     * Recursive Parser: Traverses DOM tree and generates Markdown.
+     * Normalizes a shortcut ('mod-shift-z', 'Mod-Shift-Z') to a canonical 'Mod-Alt-Shift-Key' form.
+     */
+    function normalizeShortcut(shortcut) {
+        const parts = shortcut.split('-');
+        const key = parts.pop();
+        const mods = parts.map(m => m.toLowerCase());
+        return ['Mod', 'Alt', 'Shift'].filter(m => mods.includes(m.toLowerCase()))
+            .concat(key.length === 1 ? key.toUpperCase() : key).join('-');
+    }
+
+    /**
+     * Converts a keydown event into the same canonical form as normalizeShortcut().
+     * Uses the physical key for digits and non-latin layouts (Alt/Shift change e.key).
+     */
+    function eventToShortcut(e) {
+        let key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+        else if (!/^[A-Z0-9]$/.test(key) && /^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        const mods = [];
+        if (e.ctrlKey || e.metaKey) mods.push('Mod');
+        if (e.altKey) mods.push('Alt');
+        if (e.shiftKey) mods.push('Shift');
+        return mods.concat(key).join('-');
+    }
+
+    /**
+     * Markdown Serializer: Converts a DOM tree (the editor) into Markdown.
+     * Works on a normalized copy (see normalizeMarks). Blocks are separated by one blank line.
      */
     function parseToMd(node) {
-        // Base Case: Text Node (Sanitized)
-        if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.textContent);
+        const root = node.cloneNode(true);
+        normalizeMarks(root);
+        return blocksToMd(root).join('\n\n');
+    }
 
-        let content = '';
-        node.childNodes.forEach(child => content += parseToMd(child));
+    // Inline marks that are merged when adjacent or nested (<b>a</b><b>b</b> => **ab**)
+    function getMarkKey(el) {
+        switch (el.tagName) {
+            case 'B': case 'STRONG': return 'strong';
+            case 'I': case 'EM': return 'em';
+            case 'S': case 'STRIKE': case 'DEL': return 's';
+            case 'CODE': return el.closest('pre') ? null : 'code';
+            case 'A': return 'a:' + el.getAttribute('href');
+            default: return null;
+        }
+    }
 
-        switch (node.tagName) {
-            case 'B': case 'STRONG': return `**${content}**`;
-            case 'I': case 'EM':     return `*${content}*`;
-            case 'H1': return `# ${content}\n\n`;
-            case 'H2': return `## ${content}\n\n`;
-            case 'H3': return `### ${content}\n\n`;
-            case 'H4': return `#### ${content}\n\n`;
-            case 'H5': return `##### ${content}\n\n`;
-            case 'H6': return `###### ${content}\n\n`;
-            case 'DIV': case 'P':  return content.trim() ? `${content}\n\n` : '';
-            case 'BR': return `\n`;
-            case 'UL': case 'OL': return `${content}\n`;
-            case 'LI':
-                const parent = node.parentElement;
-                // Detect index if ordered list
-                const index = parent.tagName === 'OL' ? (Array.from(parent.children).indexOf(node) + 1) + '. ' : '- ';
-                return `${index}${content}\n`;
-            case 'HR': return `\n---\n\n`;
-            case 'A': return `[${content}](${node.getAttribute('href')})`;
-            case 'IMG':
-                const alt = node.getAttribute('alt') || '';
-                const src = node.getAttribute('src');
-                const width = node.getAttribute('width');
-                // If width exists, use raw HTML. If not, standard Markdown.
-                if (width) return `\n<img src="${src}" alt="${alt}" width="${width}">\n`;
-                return `\n![${alt}](${src})\n`;
-            default: return content;
+    /**
+     * Cleans up the copy before serializing: merges adjacent identical marks,
+     * removes marks nested in the same mark, and drops empty marks.
+     */
+    function normalizeMarks(node) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.ELEMENT_NODE && child.tagName !== 'PRE') normalizeMarks(child);
+        });
+
+        let child = node.firstChild;
+        while (child) {
+            const next = child.nextSibling;
+            const key = child.nodeType === Node.ELEMENT_NODE ? getMarkKey(child) : null;
+            if (!key) { child = next; continue; }
+
+            if (!child.textContent && !child.querySelector('img')) {
+                child.remove();
+            } else if (next && next.nodeType === Node.ELEMENT_NODE && getMarkKey(next) === key) {
+                while (next.firstChild) child.appendChild(next.firstChild);
+                next.remove();
+                normalizeMarks(child); // The merged content may now have adjacent marks
+                continue; // Try merging with the following sibling too
+            } else {
+                Array.from(child.querySelectorAll('*')).forEach(inner => {
+                    if (getMarkKey(inner) === key && !key.startsWith('a:')) inner.replaceWith(...inner.childNodes);
+                });
+            }
+            child = next;
         }
     }
 
-    // ==============================================
-    // 3. CORE LOGIC (Private functions with State)
-    // ==============================================
+    const MD_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'PRE', 'BLOCKQUOTE', 'HR', 'TABLE', 'FIGURE'];
+
+    function isMdBlock(node) {
+        return node.nodeType === Node.ELEMENT_NODE && MD_BLOCK_TAGS.includes(node.tagName);
+    }
 
     /**
-     * Internal Constructor. Creates DOM and binds events.
+     * Converts the children of a container into a list of Markdown blocks.
+     * Loose inline content (text directly in the editor, a DIV or a cell) becomes a paragraph.
      */
-    function initEditor(inst) {
-        inst.container.innerHTML = '';
-        inst.container.classList.add('ichik-editor-container');
+    function blocksToMd(container) {
+        const blocks = [];
+        let inline = [];
+        const flush = () => {
+            const md = inlineBlockToMd(inline);
+            if (md) blocks.push(md);
+            inline = [];
+        };
+        container.childNodes.forEach(child => {
+            if (!isMdBlock(child)) { inline.push(child); return; }
+            flush();
+            const md = blockToMd(child);
+            if (md) blocks.push(md);
+        });
+        flush();
+        return blocks;
+    }
 
-        // 1. Toolbar
-        const toolbar = document.createElement('div');
-        toolbar.className = 'ichik-toolbar';
-        buildToolbar(inst, toolbar);
-        inst.container.appendChild(toolbar);
+    function blockToMd(el) {
+        switch (el.tagName) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                // Single line. A trailing '#' would be taken as a closing sequence.
+                const text = inlineBlockToMd(el.childNodes, false).replace(/\n/g, ' ').replace(/ (#+)$/, ' \\$1');
+                return text ? `${'#'.repeat(+el.tagName[1])} ${text}` : '';
+            }
+            case 'UL': case 'OL': return listToMd(el);
+            case 'PRE': return codeBlockToMd(el);
+            case 'BLOCKQUOTE': return quoteToMd(el);
+            case 'HR': return '---';
+            case 'TABLE': return tableToMd(el);
+            case 'FIGURE': return figureToMd(el);
+            default:
+                // P, DIV, LI outside a list. Browsers may nest blocks in a DIV.
+                if (Array.from(el.childNodes).some(isMdBlock)) return blocksToMd(el).join('\n\n');
+                return inlineBlockToMd(el.childNodes);
+        }
+    }
 
-        // 2. Editor
-        inst.editorEl = document.createElement('div');
-        inst.editorEl.className = 'ichik-editor';
-        inst.editorEl.contentEditable = true;
-        inst.editorEl.innerHTML = '';
-        inst.container.appendChild(inst.editorEl);
+    // Task lists are <ul data-type="task"> with <li data-checked="true|false">
+    function isTaskList(list) {
+        return !!list && list.tagName === 'UL' && list.getAttribute('data-type') === 'task';
+    }
 
-        // 3. Floating UI
-        createTooltip(inst);
-        createEmojiPicker(inst);
-        createFormPopup(inst);
+    /**
+     * Lists: nested lists are indented to the content of their parent item,
+     * ordered lists honor 'start' and task items get '[ ]' / '[x]'.
+     */
+    function listToMd(list) {
+        const ordered = list.tagName === 'OL';
+        const task = isTaskList(list);
+        let number = ordered ? parseInt(list.getAttribute('start'), 10) : 1;
+        if (isNaN(number)) number = 1;
 
-        bindEvents(inst);
+        const items = [];
+        let pad = '  ';
+        Array.from(list.children).forEach(child => {
+            // A list directly inside a list (execCommand('indent')) belongs to the previous item
+            if (child.tagName === 'UL' || child.tagName === 'OL') {
+                const nested = listToMd(child);
+                if (nested) items.push(pad + nested.split('\n').join('\n' + pad));
+                return;
+            }
+            if (child.tagName !== 'LI') return;
+            const marker = ordered ? `${number++}. ` : '- ';
+            pad = ' '.repeat(marker.length);
+            const checkbox = task ? `[${child.getAttribute('data-checked') === 'true' ? 'x' : ' '}] ` : '';
+            const body = listItemToMd(child);
+            items.push((marker + checkbox + body.split('\n').join('\n' + pad)).replace(/ +$/gm, ''));
+        });
+        return items.join('\n');
     }
 
-    function buildToolbar(inst, toolbarEl) {
-        TOOLBAR_SCHEMA.forEach(item => {
-            // Select (Dropdown) Rendering
-            if (item.type === 'select') {
-                const select = document.createElement('select');
-                select.dataset.cmd = item.cmd;
-                item.options.forEach(opt => {
-                    const option = document.createElement('option');
-                    option.value = opt.value;
-                    option.textContent = inst.labels.toolbar.formats[opt.labelKey];
-                    select.appendChild(option);
-                });
-                select.onchange = (e) => {
-                    e.preventDefault();
-                    document.execCommand(item.cmd, false, select.value);
-                    inst.editorEl.focus();
-                };
-                inst.uiRefs.selects.push(select);
-                toolbarEl.appendChild(select);
+    function listItemToMd(li) {
+        const parts = [];
+        let inline = [];
+        const flush = () => {
+            const md = inlineBlockToMd(inline);
+            if (md) parts.push(md);
+            inline = [];
+        };
+        li.childNodes.forEach(child => {
+            if (!isMdBlock(child)) { inline.push(child); return; }
+            flush();
+            // Lists are tight: paragraphs in an item are separate lines, not separate blocks
+            const md = child.tagName === 'UL' || child.tagName === 'OL' ? listToMd(child) : blockToMd(child);
+            if (md) parts.push(md.replace(/\n{2,}/g, '\n'));
+        });
+        flush();
+        return parts.join('\n');
+    }
 
-            // Button Rendering
-            } else if (item.type === 'button') {
-                const btn = document.createElement('button');
-                btn.innerHTML = inst.labels.toolbar[item.labelKey];
-                btn.dataset.cmd = item.cmd;
-                btn.onclick = (e) => handleToolbarClick(inst, e, item, btn);
-                inst.uiRefs.buttons.push(btn);
-                toolbarEl.appendChild(btn);
+    /**
+     * Inline content of a block: one line per <br>, whitespace collapsed, blank lines
+     * trimmed and line starts that look like Markdown syntax escaped.
+     */
+    function inlineBlockToMd(nodes, escapeStarts = true) {
+        let md = '';
+        Array.from(nodes).forEach(node => md += inlineToMd(node));
+        // \u0001 marks "own line" content (images): it absorbs one adjacent line break
+        md = md.replace(/\n?\u0001+\n?/g, '\n');
+        const lines = md.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim());
+        return lines.map(line => escapeStarts ? escapeMdLineStart(line) : line)
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
 
-            // Separator Rendering
-            } else if (item.type === 'separator') {
-                const sep = document.createElement('span');
-                sep.style.cssText = 'width: 1px; height: 20px; background: #ccc; margin: 0 4px;';
-                toolbarEl.appendChild(sep);
+    function inlineToMd(node) {
+        if (node.nodeType === Node.TEXT_NODE) return escapeMdText(node.textContent.replace(/\s+/g, ' '));
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        let content = '';
+        node.childNodes.forEach(child => content += inlineToMd(child));
+
+        switch (node.tagName) {
+            case 'B': case 'STRONG': return wrapMdMark(content, '**');
+            case 'I': case 'EM':     return wrapMdMark(content, '*');
+            case 'S': case 'STRIKE': case 'DEL': return wrapMdMark(content, '~~');
+            case 'CODE': return inlineCodeToMd(getCodeText(node).replace(/\n/g, ' ')); // Verbatim
+            case 'BR': return '\n';
+            case 'A': {
+                const href = (node.getAttribute('href') || '').replace(/ /g, '%20');
+                return content.trim() ? `[${content.trim()}](${href})` : '';
             }
-        });
+            case 'IMG': {
+                const alt = node.getAttribute('alt') || '';
+                const src = node.getAttribute('src') || '';
+                // If width or alignment exist, use raw HTML. If not, standard Markdown.
+                if (node.getAttribute('width') || node.getAttribute('data-align')) return `\u0001${imageToHtml(node)}\u0001`;
+                return `\u0001![${escapeMdText(alt)}](${src.replace(/ /g, '%20')})\u0001`;
+            }
+            default: return isMdBlock(node) ? `\n${content}\n` : content;
+        }
     }
 
-    // --- POPUP SYSTEM ---
+    /**
+     * Raw <img> tag for Markdown, with the attributes plain Markdown can't express.
+     */
+    function imageToHtml(img) {
+        let html = `<img src="${escapeHtml(img.getAttribute('src') || '')}" alt="${escapeHtml(img.getAttribute('alt') || '')}"`;
+        ['width', 'data-align'].forEach(name => {
+            if (img.getAttribute(name)) html += ` ${name}="${escapeHtml(img.getAttribute(name))}"`;
+        });
+        return html + '>';
+    }
 
-    function createFormPopup(inst) {
-        inst.popupEl = document.createElement('div');
-        inst.popupEl.className = 'ichik-popup';
+    /**
+     * Captioned image: a one-line <figure> HTML block (the caption is plain text).
+     * Without a caption, it is exported like any other image.
+     */
+    function figureToMd(figure) {
+        const img = figure.querySelector('img');
+        if (!img) return '';
+        const caption = figure.querySelector('figcaption');
+        const text = caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+        const align = figure.getAttribute('data-align');
+        const image = img.cloneNode(false);
+        if (align) image.setAttribute('data-align', align);
+        if (!text) return inlineToMd(image).replace(/\u0001/g, '');
+        image.removeAttribute('data-align');
+        return `<figure${align ? ` data-align="${escapeHtml(align)}"` : ''}>${imageToHtml(image)}<figcaption>${escapeHtml(text)}</figcaption></figure>`;
+    }
 
-        inst.popupEl.style.display = 'none';
+    /**
+     * Wraps inline content in a delimiter (**, *, ~~). Surrounding whitespace goes outside
+     * ('** a **' isn't emphasis) and every line is wrapped on its own.
+     */
+    function wrapMdMark(content, delim) {
+        return content.split('\n').map(line => {
+            if (!line.trim()) return line;
+            const lead = line.match(/^\s*/)[0];
+            const trail = line.match(/\s*$/)[0];
+            return `${lead}${delim}${line.trim()}${delim}${trail}`;
+        }).join('\n');
+    }
 
-        inst.popupEl.addEventListener('click', (e) => e.stopPropagation());
-        document.body.appendChild(inst.popupEl);
+    /**
+     * Escapes text so it renders literally: HTML (XSS) and Markdown metacharacters.
+     * '_' is left alone inside words (snake_case) and '~' only matters when doubled.
+     */
+    function escapeMdText(text) {
+        return text
+            .replace(/\u0001/g, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/[\\`*[\]]/g, '\\$&')
+            .replace(/~(?=~)/g, '\\~')
+            .replace(/_/g, (m, offset, str) => /[^\W_]/.test(str[offset - 1] || '') && /[^\W_]/.test(str[offset + 1] || '') ? '_' : '\\_');
     }
 
     /**
-     * Opens a form popup (Link or Image).
-     * Supports both new creation and existing node editing.
+     * Escapes the start of a line that would be read as a block (heading, list, rule, table...).
      */
-    function openFormPopup(inst, type, triggerBtn, existingNode = null) {
-        closeAllPopups(inst);
-        saveSelection(inst); // Save cursor position
+    function escapeMdLineStart(line) {
+        return line
+            .replace(/^(#{1,6})(?= |$)/, '\\$1')
+            .replace(/^([-+])(?= |$)/, '\\$1')
+            .replace(/^(\d+)([.)])(?= |$)/, '$1\\$2')
+            .replace(/^([-=])(?=\1*\s*$)/, '\\$1')
+            .replace(/^\|/, '\\|');
+    }
 
-        let html = '';
-        const labels = inst.labels.popups;
+    /**
+     * Reverse Parser: Converts Markdown (as generated by parseToMd) into DOM nodes.
+     * Text is always inserted as text nodes, never as raw HTML.
+     * 'mentions' are the patterns of buildMentionPatterns() (mention tokens).
+     */
+    function parseFromMd(md, urlPolicy, mentions = []) {
+        const fragment = document.createDocumentFragment();
+        const lines = (md || '').replace(/\r\n?/g, '\n').split('\n');
+        let block = null;      // Current P, UL or OL receiving lines
+        let lists = [];        // Open (nested) lists: { list, indent, contentIndent }
+        let prevImage = false; // Image lines don't produce <br> around them
 
-        if (type === 'link') {
-            const currentUrl = existingNode ? existingNode.href : '';
-            if (existingNode) selectNode(existingNode);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const heading = line.match(/^(#{1,6}) (.*)$/);
+            const item = line.match(/^( *)(-|\*|\+|\d{1,9}[.)])(?: (.*))?$/);
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/);
+            const figure = line.match(/^\s*<figure(\s[^>]*)?>\s*(<img\s[^>]*>)\s*(?:<figcaption>(.*)<\/figcaption>)?\s*<\/figure>\s*$/i);
 
-            html = `
-                <label>${labels.link.title}</label>
-                <input type="text" id="ichik-inp-url" value="${currentUrl}" placeholder="${labels.link.placeholder}">
-                <div class="ichik-popup-actions">
-                    <button id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.link.cancel}</button>
-                    <button id="ichik-btn-save" class="ichik-btn-save">${labels.link.save}</button>
-                </div>
-            `;
-        }
-        else if (type === 'image') {
-            const currentUrl = existingNode ? existingNode.getAttribute('src') : '';
-            const currentAlt = existingNode ? existingNode.getAttribute('alt') : '';
-            const currentWidth = existingNode ? (existingNode.getAttribute('width') || '') : ''; // If no width, use empty string
-            const btnText = existingNode ? labels.image.update : labels.image.insert;
+            if (!line.trim()) {
+                block = null;
+            } else if (fence) {
+                // Fenced code block: verbatim until a closing fence at least as long (or the end)
+                block = null;
+                const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+                const code = [];
+                i++;
+                while (i < lines.length && !closing.test(lines[i])) code.push(lines[i++]);
+                const pre = document.createElement('pre');
+                if (CODE_LANGUAGE_RE.test(fence[2])) pre.setAttribute('data-language', fence[2]);
+                pre.textContent = code.join('\n');
+                fragment.appendChild(pre);
+            } else if (/^ {0,3}>/.test(line)) {
+                // Blockquote: consecutive '>' lines, parsed again without the prefix
+                block = null;
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+                i--;
+                const quote = document.createElement('blockquote');
+                quote.appendChild(parseFromMd(quoted.join('\n'), urlPolicy, mentions));
+                fragment.appendChild(quote);
+            } else if (line.trim().startsWith('|') && TABLE_DELIMITER_RE.test(lines[i + 1] || '')) {
+                // GFM Table: header, delimiter row and every following '|' line
+                block = null;
+                const delimiter = lines[i + 1];
+                const rows = [line];
+                i += 2;
+                while (i < lines.length && lines[i].trim().startsWith('|')) rows.push(lines[i++]);
+                i--; // Back to the last table line, the loop moves forward
+                fragment.appendChild(parseMdTable(rows, delimiter, urlPolicy, mentions));
+            } else if (heading) {
+                block = null;
+                const h = document.createElement('h' + heading[1].length);
+                parseInlineMd(heading[2], h, urlPolicy, 0, null, mentions);
+                fragment.appendChild(h);
+            } else if (line.trim() === '---') {
+                block = null;
+                fragment.appendChild(document.createElement('hr'));
+            } else if (figure) {
+                block = null;
+                const node = parseMdFigure(figure, urlPolicy);
+                if (node) fragment.appendChild(node);
+            } else if (item) {
+                if (!block || block.tagName === 'P') lists = [];
+                const indent = item[1].length;
+                const tag = /\d/.test(item[2]) ? 'OL' : 'UL';
+                const task = tag === 'UL' && (item[3] || '').match(/^\[([ xX])\](?: (.*))?$/);
 
-            html = `
-                <label>${labels.image.titleUrl}</label>
-                <input type="text" id="ichik-inp-url" value="${currentUrl}" placeholder="${labels.image.placeholderUrl}">
-                <label>${labels.image.titleAlt}</label>
-                <input type="text" id="ichik-inp-alt" value="${currentAlt}" placeholder="${labels.image.placeholderAlt}">
-                <label>${labels.image.titleWidth}</label>
-                <input type="text" id="ichik-inp-width" value="${currentWidth}" placeholder="${labels.image.placeholderWidth}">
-                <div class="ichik-popup-actions">
-                    <button id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.image.cancel}</button>
-                    <button id="ichik-btn-save" class="ichik-btn-save">${btnText}</button>
-                </div>
-            `;
+                // Items indented to the content of the previous item are nested in it
+                while (lists.length && indent < lists[lists.length - 1].indent) lists.pop();
+                let level = lists[lists.length - 1];
+                const isNested = level && indent >= level.contentIndent;
+                if (!level || isNested || level.list.tagName !== tag || isTaskList(level.list) !== !!task) {
+                    const list = document.createElement(tag);
+                    if (task) list.setAttribute('data-type', 'task');
+                    const start = parseInt(item[2], 10);
+                    if (tag === 'OL' && start !== 1) list.setAttribute('start', start);
+                    if (!isNested && level) lists.pop(); // Same level, other list type
+                    const parentLevel = isNested ? level : lists[lists.length - 1];
+                    (parentLevel ? parentLevel.list.lastElementChild : fragment).appendChild(list);
+                    level = { list: list, indent: indent, contentIndent: indent + item[2].length + 1 };
+                    lists.push(level);
+                }
+                const li = document.createElement('li');
+                if (task) li.setAttribute('data-checked', String(task[1] !== ' '));
+                parseInlineMd(task ? task[2] || '' : item[3] || '', li, urlPolicy, 0, null, mentions);
+                level.list.appendChild(li);
+                block = lists[0].list;
+                prevImage = false;
+            } else {
+                // Paragraph line, or continuation of a list item (the deepest one its indentation reaches)
+                const isImage = /^(!\[(?:\\.|[^\]\\])*\]\([^)\s]*\)|<img\s[^>]*>)$/i.test(line.trim());
+                if (!block) {
+                    block = document.createElement('p');
+                    fragment.appendChild(block);
+                }
+                let target = block;
+                if (block.tagName !== 'P') {
+                    const lineIndent = line.match(/^ */)[0].length;
+                    const level = lists.slice().reverse().find(l => l.contentIndent <= lineIndent) || lists[lists.length - 1];
+                    target = level.list.lastElementChild;
+                }
+                if (target.hasChildNodes() && !isImage && !prevImage) {
+                    target.appendChild(document.createElement('br'));
+                }
+                // Trailing spaces only mark a hard break ("line  \n"), which the <br> above already is
+                parseInlineMd(block.tagName === 'P' && !isImage ? line.replace(/[ \t]+$/, '') : line.trim(), target, urlPolicy, 0, null, mentions);
+                prevImage = isImage;
+            }
         }
+        return fragment;
+    }
 
-        inst.popupEl.innerHTML = html;
-        smartPosition(triggerBtn, inst.popupEl, 'flex');
+    /**
+     * Inline Markdown Parser (bold, italic, strikethrough, code, links, images and mentions).
+     * Appends the nodes to 'parent' and returns the index where 'closer' was found,
+     * or -1 if a closer was expected but the text ended first.
+     */
+    function parseInlineMd(text, parent, urlPolicy, start = 0, closer = null, mentions = []) {
+        let i = start;
+        let buffer = '';
+        const flush = () => {
+            if (buffer) parent.appendChild(document.createTextNode(unescapeHtml(buffer)));
+            buffer = '';
+        };
 
-        // Auto-focus on first input
-        setTimeout(() => {
-            const firstInput = inst.popupEl.querySelector('input');
-            if(firstInput) firstInput.focus();
-        }, 50);
+        while (i < text.length) {
+            const ch = text[i];
+            const rest = text.slice(i);
 
-        // Popup internal listeners
-        inst.popupEl.querySelector('#ichik-btn-cancel').onclick = () => closeAllPopups(inst);
+            // Backslash escape: the next punctuation character is literal
+            if (ch === '\\' && MD_ESCAPABLE_RE.test(text[i + 1] || '')) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
 
-        inst.popupEl.querySelector('#ichik-btn-save').onclick = () => {
-            const urlVal = inst.popupEl.querySelector('#ichik-inp-url').value;
+            // End of the current bold/italic/link span
+            if (closer === ']' && ch === ']') { flush(); return i; }
+            if (closer && closer !== ']' && i > start && rest.startsWith(closer) && /\S/.test(text[i - 1])) {
+                flush();
+                return i;
+            }
 
-            if (type === 'link') {
-                restoreSelection(inst);
-                if (!urlVal.trim()) {
-                    document.execCommand('unlink', false, null); // Remove if empty
+            // Inline code: verbatim until a backtick run of the same length
+            if (ch === '`') {
+                let run = 1;
+                while (text[i + run] === '`') run++;
+                const end = findCodeSpanEnd(text, i + run, run);
+                if (end !== -1) {
+                    let code = text.slice(i + run, end);
+                    if (/^ [^]*[^ ][^]* $/.test(code)) code = code.slice(1, -1);
+                    flush();
+                    parent.appendChild(document.createElement('code')).textContent = code;
+                    i = end + run;
                 } else {
-                    const secureUrl = enforceHttps(urlVal, inst.labels.alerts);
-                    if (secureUrl) document.execCommand('createLink', false, secureUrl);
+                    buffer += text.substr(i, run);
+                    i += run;
                 }
+                continue;
             }
-            else if (type === 'image') {
-                restoreSelection(inst);
-                const secureUrl = enforceHttps(urlVal, inst.labels.alerts);
 
-                if (secureUrl) {
-                    const alt = inst.popupEl.querySelector('#ichik-inp-alt').value || '';
-                    const w = inst.popupEl.querySelector('#ichik-inp-width').value || '';
+            // Strikethrough: ~~text~~
+            if (rest.startsWith('~~') && text[i + 2] && /\S/.test(text[i + 2])) {
+                const el = document.createElement('s');
+                const end = parseInlineMd(text, el, urlPolicy, i + 2, '~~', mentions);
+                if (end !== -1) {
+                    flush();
+                    parent.appendChild(el);
+                    i = end + 2;
+                    continue;
+                }
+            }
 
-                    if (existingNode) {
-                        // Update existing
-                        existingNode.setAttribute('src', secureUrl);
-                        existingNode.setAttribute('alt', alt);
-                        if (w && /^\d+(px|%)?$/.test(w)) existingNode.setAttribute('width', w);
-                        else existingNode.removeAttribute('width');
-                    } else {
-                        // Insert new
-                        const dummyImg = document.createElement('img');
-                        dummyImg.setAttribute('src', secureUrl);
-                        dummyImg.setAttribute('alt', alt);
-                        if (w && /^\d+(px|%)?$/.test(w)) dummyImg.setAttribute('width', w);
-                        document.execCommand('insertHTML', false, dummyImg.outerHTML);
-                    }
+            if (ch === '*') {
+                let run = 1;
+                while (text[i + run] === '*') run++;
+                // Openers must be followed by text. '***' tries bold first, then italic.
+                if (text[i + run] && /\S/.test(text[i + run])) {
+                    const attempts = run >= 2 ? ['**', '*'] : ['*'];
+                    const opened = attempts.some(delim => {
+                        const el = document.createElement(delim === '**' ? 'strong' : 'em');
+                        const end = parseInlineMd(text, el, urlPolicy, i + delim.length, delim, mentions);
+                        if (end === -1) return false;
+                        flush();
+                        parent.appendChild(el);
+                        i = end + delim.length;
+                        return true;
+                    });
+                    if (opened) continue;
                 }
+                buffer += text.substr(i, run);
+                i += run;
+                continue;
             }
-            closeAllPopups(inst);
-        };
-    }
 
-    function closeAllPopups(inst) {
-        inst.emojiPickerEl.style.display = 'none';
+            // Mention token, in the configured format. Ex: @[Ana](user:42)
+            const mention = mentions.length && !/\w/.test(text[i - 1] || '') && matchMentionMd(rest, mentions);
+            if (mention) {
+                flush();
+                const token = createMentionToken(mention.trigger, mention.id, mention.label);
+                if (token) parent.appendChild(token);
+                i += mention.length;
+                continue;
+            }
+
+            // Image: ![alt](src)
+            const mdImage = ch === '!' && rest.match(/^!\[((?:\\.|[^\]\\])*)\]\(([^)\s]*)\)/);
+            if (mdImage) {
+                flush();
+                appendMdImage(parent, { src: mdImage[2], alt: unescapeHtml(mdImage[1].replace(/\\([!-\/:-@[-`{-~])/g, '$1')) }, urlPolicy);
+                i += mdImage[0].length;
+                continue;
+            }
+
+            // Image with width: <img src="..." alt="..." width="...">
+            const rawImage = ch === '<' && rest.match(/^<img\s[^>]*>/i);
+            if (rawImage) {
+                flush();
+                appendMdImage(parent, parseImageTag(rawImage[0]), urlPolicy);
+                i += rawImage[0].length;
+                continue;
+            }
+
+            // Link: [content](href)
+            if (ch === '[') {
+                const linkEl = document.createElement('a');
+                const end = parseInlineMd(text, linkEl, urlPolicy, i + 1, ']', mentions);
+                const hrefMatch = end !== -1 && text.slice(end + 1).match(/^\(((?:[^()\s]|\([^()\s]*\))*)\)/);
+                if (hrefMatch) {
+                    flush();
+                    const secureUrl = safeUrl(hrefMatch[1], urlPolicy);
+                    if (secureUrl) {
+                        linkEl.setAttribute('href', secureUrl);
+                        parent.appendChild(linkEl);
+                    } else {
+                        // Unsafe URL: keep only the link text
+                        while (linkEl.firstChild) parent.appendChild(linkEl.firstChild);
+                    }
+                    i = end + 1 + hrefMatch[0].length;
+                    continue;
+                }
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        return closer ? -1 : i;
+    }
+
+    /**
+     * Raw text of a code element. Line breaks (<br>, or lines wrapped in DIV/P by the browser) become '\n'.
+     */
+    function getCodeText(node) {
+        let text = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) text += child.textContent;
+            else if (child.tagName === 'BR') text += '\n';
+            else if (child.nodeType === Node.ELEMENT_NODE) {
+                const isLine = child.tagName === 'DIV' || child.tagName === 'P';
+                if (isLine && text && !text.endsWith('\n')) text += '\n';
+                text += getCodeText(child);
+                if (isLine && !text.endsWith('\n')) text += '\n';
+            }
+        });
+        return text;
+    }
+
+    function longestBacktickRun(text) {
+        return Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    }
+
+    /**
+     * Inline code: the fence is longer than any backtick run in the content.
+     * Content starting/ending with a backtick is padded with spaces (stripped by parsers).
+     */
+    function inlineCodeToMd(text) {
+        if (!text) return '';
+        const fence = '`'.repeat(longestBacktickRun(text) + 1);
+        const pad = /^[` ]|[` ]$/.test(text) && text.trim() ? ' ' : '';
+        return `${fence}${pad}${text}${pad}${fence}`;
+    }
+
+    /**
+     * Fenced code block (``` + language). The fence is longer than any backtick run in the content.
+     */
+    function codeBlockToMd(pre) {
+        const text = getCodeText(pre).replace(/\n$/, ''); // The browser's trailing line break
+        const fence = '`'.repeat(Math.max(3, longestBacktickRun(text) + 1));
+        return `${fence}${getCodeLanguage(pre)}\n${text}\n${fence}`;
+    }
+
+    /**
+     * Blockquote: every line of its blocks gets a '> ' prefix.
+     */
+    function quoteToMd(quote) {
+        const text = blocksToMd(quote).join('\n\n');
+        if (!text) return '';
+        return text.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    }
+
+    /**
+     * Index of the closing backtick run (exactly 'length' long) of an inline code span, or -1.
+     */
+    function findCodeSpanEnd(text, start, length) {
+        let i = start;
+        while (i < text.length) {
+            if (text[i] !== '`') { i++; continue; }
+            let run = 1;
+            while (text[i + run] === '`') run++;
+            if (run === length) return i;
+            i += run;
+        }
+        return -1;
+    }
+
+    /**
+     * Table Serializer: Exports a table as a GFM pipe table.
+     * Tables without a header row get an empty one (GFM requires it).
+     */
+    function tableToMd(table) {
+        const rows = Array.from(table.rows);
+        if (!rows.length) return '';
+        const cols = Math.max(...rows.map(row => row.cells.length));
+        const colIndexes = Array.from({ length: cols }, (v, i) => i);
+
+        // Cells are single-line: line breaks become <br> and pipes are escaped
+        const cellToMd = (cell) => cell ? blocksToMd(cell).join('\n').replace(/\n+/g, '<br>').replace(/\|/g, '\\|') : '';
+        const line = (cells) => `| ${cells.join(' | ')} |`;
+
+        const header = isHeaderRow(rows[0]) ? rows.shift() : null;
+        const aligns = colIndexes.map(i => {
+            const align = getColumnAlign(table, i);
+            if (align === 'center') return ':---:';
+            if (align === 'right') return '---:';
+            if (align === 'left') return ':---';
+            return '---';
+        });
+
+        const lines = [
+            line(colIndexes.map(i => header ? cellToMd(header.cells[i]) : '')),
+            line(aligns)
+        ].concat(rows.map(row => line(colIndexes.map(i => cellToMd(row.cells[i])))));
+        return lines.join('\n');
+    }
+
+    function isHeaderRow(row) {
+        return row.parentElement.tagName === 'THEAD' || Array.from(row.cells).every(cell => cell.tagName === 'TH');
+    }
+
+    function getColumnAlign(table, index) {
+        let align = '';
+        Array.from(table.rows).some(row => {
+            const cell = row.cells[index];
+            align = cell ? (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase() : '';
+            return align;
+        });
+        return align;
+    }
+
+    /**
+     * Table Parser: Builds a <table> from GFM rows (header first) and the delimiter row.
+     * An empty header row means the table has no header.
+     */
+    function parseMdTable(rows, delimiter, urlPolicy, mentions = []) {
+        const aligns = splitMdRow(delimiter).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return '';
+        });
+        const cells = rows.map(splitMdRow);
+        const cols = aligns.length;
+        const hasHeader = cells[0].some(cell => cell);
+
+        const table = document.createElement('table');
+        const appendRow = (section, rowCells, tagName) => {
+            const tr = document.createElement('tr');
+            for (let i = 0; i < cols; i++) {
+                const cell = document.createElement(tagName);
+                if (aligns[i]) cell.setAttribute('align', aligns[i]);
+                (rowCells[i] || '').split('<br>').forEach((part, index) => {
+                    if (index > 0) cell.appendChild(document.createElement('br'));
+                    parseInlineMd(part, cell, urlPolicy, 0, null, mentions);
+                });
+                if (!cell.hasChildNodes()) cell.appendChild(document.createElement('br'));
+                tr.appendChild(cell);
+            }
+            section.appendChild(tr);
+        };
+
+        if (hasHeader) appendRow(table.appendChild(document.createElement('thead')), cells[0], 'th');
+        const tbody = table.appendChild(document.createElement('tbody'));
+        cells.slice(1).forEach(rowCells => appendRow(tbody, rowCells, 'td'));
+        return table;
+    }
+
+    /**
+     * Splits a table row on unescaped pipes. '\|' becomes a literal '|'.
+     */
+    function splitMdRow(line) {
+        let text = line.trim();
+        if (text.startsWith('|')) text = text.slice(1);
+        if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && text[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (text[i] === '\\' && text[i + 1]) {
+                // Other escapes are resolved later by parseInlineMd
+                current += text[i] + text[i + 1];
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += text[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Attributes of a raw <img> tag. 'align' (GitHub READMEs) is read as 'data-align'.
+     */
+    function parseImageTag(tag) {
+        const attrs = {};
+        tag.replace(/([\w-]+)="([^"]*)"/g, (m, name, value) => attrs[name.toLowerCase()] = unescapeHtml(value));
+        return { src: attrs.src, alt: attrs.alt, width: attrs.width, align: attrs['data-align'] || attrs.align };
+    }
+
+    /**
+     * Appends an image ({ src, alt, width, align }) if its URL is allowed. Returns it, or null.
+     */
+    function appendMdImage(parent, attrs, urlPolicy) {
+        const secureUrl = safeUrl(attrs.src, urlPolicy);
+        if (!secureUrl) return null;
+        const img = document.createElement('img');
+        img.setAttribute('src', secureUrl);
+        img.setAttribute('alt', attrs.alt || '');
+        if (attrs.width && /^\d+(px|%)?$/.test(attrs.width)) img.setAttribute('width', attrs.width);
+        if (IMAGE_ALIGNS.includes(attrs.align)) img.setAttribute('data-align', attrs.align);
+        return parent.appendChild(img);
+    }
+
+    /**
+     * Captioned image line: <figure data-align="x"><img ...><figcaption>Text</figcaption></figure>
+     */
+    function parseMdFigure(match, urlPolicy) {
+        const figure = document.createElement('figure');
+        const img = appendMdImage(figure, parseImageTag(match[2]), urlPolicy);
+        if (!img) return null;
+        const align = (match[1] || '').match(/data-align="(\w+)"/);
+        if (align && IMAGE_ALIGNS.includes(align[1])) figure.setAttribute('data-align', align[1]);
+        if (match[3] && match[3].trim()) {
+            figure.appendChild(document.createElement('figcaption')).textContent = unescapeHtml(match[3].trim());
+        }
+        return figure;
+    }
+
+    /**
+     * Language of a code block: data-language, or a 'language-x' class on its <code>.
+     */
+    function getCodeLanguage(pre) {
+        const code = pre.querySelector('code');
+        const codeClass = code ? (code.getAttribute('class') || '').match(/language-([\w+#.-]+)/) : null;
+        const language = pre.getAttribute('data-language') || (codeClass ? codeClass[1] : '');
+        return CODE_LANGUAGE_RE.test(language) ? language : '';
+    }
+
+    /**
+     * HTML Format: normalizes a sanitized copy of the content. Marks are merged and
+     * renamed (<b> => <strong>), empty paragraphs and trailing <br> are removed,
+     * and code blocks are exported as <pre><code class="language-x">.
+     */
+    function normalizeHtmlTree(root) {
+        normalizeMarks(root);
+        root.querySelectorAll('b, i').forEach(el => {
+            const renamed = document.createElement(el.tagName === 'B' ? 'strong' : 'em');
+            while (el.firstChild) renamed.appendChild(el.firstChild);
+            el.replaceWith(renamed);
+        });
+        root.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, th').forEach(el => {
+            while (el.lastChild && el.lastChild.nodeType === Node.ELEMENT_NODE && el.lastChild.tagName === 'BR') el.lastChild.remove();
+            const isEmpty = !el.textContent.trim() && !el.querySelector('img, br, ul, ol, table');
+            if (isEmpty && /^(P|H[1-6])$/.test(el.tagName) && !el.closest('li, td, th')) el.remove();
+        });
+        root.querySelectorAll('pre').forEach(pre => {
+            const language = getCodeLanguage(pre);
+            const code = document.createElement('code');
+            if (language) code.setAttribute('class', 'language-' + language);
+            code.textContent = getCodeText(pre).replace(/\n$/, '');
+            pre.removeAttribute('data-language');
+            pre.replaceChildren(code);
+        });
+        return root;
+    }
+
+    /**
+     * Reverts the exported code block markup: <pre><code class="language-x"> becomes
+     * <pre data-language="x"> with plain text, as the editor handles code blocks.
+     */
+    function liftCodeLanguages(root) {
+        root.querySelectorAll('pre').forEach(pre => {
+            if (!pre.querySelector('code')) return;
+            const language = getCodeLanguage(pre);
+            pre.textContent = getCodeText(pre).replace(/\n$/, '');
+            if (language) pre.setAttribute('data-language', language);
+        });
+    }
+
+    /**
+     * Text Format: plain text for emails and notifications. Lists keep their markers,
+     * and links are numbered footnotes ('Docs [1]') listed at the end.
+     */
+    function parseToText(root) {
+        const links = [];
+        normalizeMarks(root);
+        let text = blocksToText(root, links).join('\n\n');
+        if (links.length) text += '\n\n' + links.map((href, i) => `[${i + 1}] ${href}`).join('\n');
+        return text.trim();
+    }
+
+    function blocksToText(container, links) {
+        const blocks = [];
+        let inline = [];
+        const flush = () => {
+            const text = inlineToText(inline, links);
+            if (text) blocks.push(text);
+            inline = [];
+        };
+        container.childNodes.forEach(child => {
+            if (!isMdBlock(child)) { inline.push(child); return; }
+            flush();
+            const text = blockToText(child, links);
+            if (text) blocks.push(text);
+        });
+        flush();
+        return blocks;
+    }
+
+    function blockToText(el, links) {
+        switch (el.tagName) {
+            case 'UL': case 'OL': return listToText(el, links);
+            case 'PRE': return getCodeText(el).replace(/\n$/, '');
+            case 'BLOCKQUOTE': {
+                const text = blocksToText(el, links).join('\n\n');
+                return text ? text.split('\n').map(line => line ? `> ${line}` : '>').join('\n') : '';
+            }
+            case 'HR': return '---';
+            case 'FIGURE': {
+                // The caption, or the image's alt text
+                const caption = el.querySelector('figcaption');
+                const text = caption ? inlineToText(caption.childNodes, links) : '';
+                return text || inlineToText(el.querySelectorAll('img'), links);
+            }
+            case 'TABLE':
+                return Array.from(el.rows).map(row => Array.from(row.cells)
+                    .map(cell => blocksToText(cell, links).join(' ').replace(/\n/g, ' '))
+                    .join(' | ').trim()).join('\n');
+            default:
+                if (Array.from(el.childNodes).some(isMdBlock)) return blocksToText(el, links).join('\n\n');
+                return inlineToText(el.childNodes, links);
+        }
+    }
+
+    function listToText(list, links) {
+        const ordered = list.tagName === 'OL';
+        const task = isTaskList(list);
+        let number = ordered ? parseInt(list.getAttribute('start'), 10) : 1;
+        if (isNaN(number)) number = 1;
+
+        const items = [];
+        let pad = '  ';
+        Array.from(list.children).forEach(child => {
+            if (child.tagName === 'UL' || child.tagName === 'OL') {
+                const nested = listToText(child, links);
+                if (nested) items.push(pad + nested.split('\n').join('\n' + pad));
+                return;
+            }
+            if (child.tagName !== 'LI') return;
+            const marker = ordered ? `${number++}. ` : '- ';
+            pad = ' '.repeat(marker.length);
+            const checkbox = task ? `[${child.getAttribute('data-checked') === 'true' ? 'x' : ' '}] ` : '';
+            const body = blocksToText(child, links).join('\n');
+            items.push((marker + checkbox + body.split('\n').join('\n' + pad)).replace(/ +$/gm, ''));
+        });
+        return items.join('\n');
+    }
+
+    function inlineToText(nodes, links) {
+        let text = '';
+        Array.from(nodes).forEach(node => text += inlineNodeToText(node, links));
+        return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    function inlineNodeToText(node, links) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        let content = '';
+        node.childNodes.forEach(child => content += inlineNodeToText(child, links));
+
+        switch (node.tagName) {
+            case 'BR': return '\n';
+            case 'CODE': return getCodeText(node).replace(/\n/g, ' ');
+            case 'IMG': return node.getAttribute('alt') || '';
+            case 'A': {
+                const href = node.getAttribute('href') || '';
+                const label = content.trim();
+                // A link showing its own address needs no footnote
+                if (!label || !href || href.replace(/^https:\/\//i, '') === label.replace(/^https:\/\//i, '')) return content;
+                if (!links.includes(href)) links.push(href);
+                return `${content} [${links.indexOf(href) + 1}]`;
+            }
+            default: return isMdBlock(node) ? `\n${content}\n` : content;
+        }
+    }
+
+    // JSON document tree: inline marks by tag, and the node types that are inline
+    const JSON_MARKS = { B: 'bold', STRONG: 'bold', I: 'italic', EM: 'italic', S: 'strike', CODE: 'code', A: 'link' };
+    const JSON_MARK_TAGS = { bold: 'strong', italic: 'em', strike: 's', code: 'code', link: 'a' };
+    const JSON_INLINE_TYPES = ['text', 'hardBreak', 'image', 'mention'];
+
+    /**
+     * JSON Format: Converts the content into a document tree.
+     * Ex: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hi', marks: [{ type: 'bold' }] }] }] }
+     * Loose inline content (list items, cells, quotes) is wrapped in paragraphs.
+     */
+    function blocksToJson(container) {
+        const blocks = [];
+        let inline = [];
+        const flush = () => {
+            const content = inlineToJson(inline);
+            if (content.length) blocks.push({ type: 'paragraph', content: content });
+            inline = [];
+        };
+        container.childNodes.forEach(child => {
+            if (!isMdBlock(child)) { inline.push(child); return; }
+            flush();
+            blocks.push(...blockToJson(child));
+        });
+        flush();
+        return blocks;
+    }
+
+    // Returns a list of nodes: a DIV may hold several blocks
+    function blockToJson(el) {
+        switch (el.tagName) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+                return [{ type: 'heading', level: +el.tagName[1], content: inlineToJson(el.childNodes) }];
+            case 'UL': case 'OL': return [listToJson(el)];
+            case 'PRE': {
+                const node = { type: 'codeBlock', text: getCodeText(el).replace(/\n$/, '') };
+                const language = getCodeLanguage(el);
+                if (language) node.language = language;
+                return [node];
+            }
+            case 'BLOCKQUOTE': return [{ type: 'blockquote', content: blocksToJson(el) }];
+            case 'HR': return [{ type: 'horizontalRule' }];
+            case 'FIGURE': {
+                const img = el.querySelector('img');
+                if (!img) return [];
+                const node = { type: 'figure', content: inlineToJson([img]) };
+                const caption = el.querySelector('figcaption');
+                const align = el.getAttribute('data-align');
+                if (align) node.align = align;
+                if (caption) node.content.push({ type: 'caption', content: inlineToJson(caption.childNodes) });
+                return [node];
+            }
+            case 'TABLE':
+                return [{ type: 'table', content: Array.from(el.rows).map(row => ({
+                    type: 'tableRow',
+                    content: Array.from(row.cells).map(cell => {
+                        const node = { type: cell.tagName === 'TH' ? 'tableHeader' : 'tableCell', content: blocksToJson(cell) };
+                        const align = (cell.getAttribute('align') || '').toLowerCase();
+                        if (align) node.align = align;
+                        return node;
+                    })
+                })) }];
+            default: {
+                if (Array.from(el.childNodes).some(isMdBlock)) return blocksToJson(el);
+                const content = inlineToJson(el.childNodes);
+                return content.length ? [{ type: 'paragraph', content: content }] : [];
+            }
+        }
+    }
+
+    function listToJson(list) {
+        const task = isTaskList(list);
+        const node = { type: list.tagName === 'OL' ? 'orderedList' : task ? 'taskList' : 'bulletList', content: [] };
+        const start = parseInt(list.getAttribute('start'), 10);
+        if (node.type === 'orderedList' && !isNaN(start) && start !== 1) node.start = start;
+        Array.from(list.children).forEach(child => {
+            if (child.tagName === 'UL' || child.tagName === 'OL') {
+                // A list directly inside a list belongs to the previous item
+                if (!node.content.length) node.content.push(task ? { type: 'taskItem', checked: false, content: [] } : { type: 'listItem', content: [] });
+                node.content[node.content.length - 1].content.push(listToJson(child));
+            } else if (child.tagName === 'LI') {
+                node.content.push(task
+                    ? { type: 'taskItem', checked: child.getAttribute('data-checked') === 'true', content: blocksToJson(child) }
+                    : { type: 'listItem', content: blocksToJson(child) });
+            }
+        });
+        return node;
+    }
+
+    /**
+     * Inline nodes (text, hardBreak, image, mention) with the marks of their ancestors, outermost first.
+     * Whitespace is collapsed and adjacent text with the same marks is merged.
+     */
+    function inlineToJson(nodes) {
+        const out = [];
+        const walk = (node, marks) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                out.push({ type: 'text', text: node.textContent.replace(/\s+/g, ' '), marks: marks });
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.tagName === 'BR') { out.push({ type: 'hardBreak' }); return; }
+            if (node.tagName === 'SPAN' && node.hasAttribute('data-mention')) {
+                const mention = Object.assign({ type: 'mention' }, getMentionData(node));
+                if (marks.length) mention.marks = marks;
+                out.push(mention);
+                return;
+            }
+            if (node.tagName === 'IMG') {
+                const image = { type: 'image', src: node.getAttribute('src') || '', alt: node.getAttribute('alt') || '' };
+                if (node.getAttribute('width')) image.width = node.getAttribute('width');
+                if (node.getAttribute('data-align')) image.align = node.getAttribute('data-align');
+                if (marks.length) image.marks = marks;
+                out.push(image);
+                return;
+            }
+            const markType = JSON_MARKS[node.tagName];
+            const mark = markType === 'link' ? { type: 'link', href: node.getAttribute('href') || '' } : markType ? { type: markType } : null;
+            if (mark && mark.type === 'code') {
+                out.push({ type: 'text', text: getCodeText(node).replace(/\n/g, ' '), marks: marks.concat(mark) });
+                return;
+            }
+            if (isMdBlock(node) && out.length) out.push({ type: 'hardBreak' });
+            node.childNodes.forEach(child => walk(child, mark ? marks.concat(mark) : marks));
+        };
+        Array.from(nodes).forEach(node => walk(node, []));
+
+        // Trim each line, then merge and drop text nodes
+        out.forEach((node, i) => {
+            if (node.type !== 'text' || node.marks.some(mark => mark.type === 'code')) return;
+            const prev = out[i - 1];
+            const next = out[i + 1];
+            if (!prev || prev.type === 'hardBreak' || (prev.type === 'text' && / $/.test(prev.text))) node.text = node.text.replace(/^ /, '');
+            if (!next || next.type === 'hardBreak') node.text = node.text.replace(/ $/, '');
+        });
+        const result = [];
+        out.forEach(node => {
+            const prev = result[result.length - 1];
+            if (node.type === 'text' && !node.text) return;
+            if (node.type === 'text' && prev && prev.type === 'text' && JSON.stringify(prev.marks) === JSON.stringify(node.marks)) {
+                prev.text += node.text;
+                return;
+            }
+            result.push(node);
+        });
+        while (result.length && result[result.length - 1].type === 'hardBreak') result.pop();
+        result.forEach(node => { if (node.type === 'text' && !node.marks.length) delete node.marks; });
+        return result;
+    }
+
+    /**
+     * Reverse of blocksToJson(): builds DOM nodes from a document tree (or its JSON string).
+     * Unknown node types keep their content. The result is sanitized before loading.
+     */
+    function parseFromJson(doc) {
+        if (typeof doc === 'string') doc = JSON.parse(doc);
+        if (!doc || doc.type !== 'doc' || !Array.isArray(doc.content)) {
+            throw new Error('IchikEditor: Invalid JSON document (expected { type: "doc", content: [...] })');
+        }
+        const fragment = document.createDocumentFragment();
+        appendJsonBlocks(fragment, doc.content);
+        normalizeMarks(fragment);
+        return fragment;
+    }
+
+    /**
+     * 'compact' containers (list items, cells) hold inline content directly,
+     * with their paragraphs separated by <br>.
+     */
+    function appendJsonBlocks(parent, nodes, compact = false) {
+        let loose = null; // Paragraph receiving inline nodes found between blocks
+        (Array.isArray(nodes) ? nodes : []).forEach(node => {
+            if (!node || typeof node !== 'object') return;
+            const isInline = JSON_INLINE_TYPES.includes(node.type);
+            if (compact && (isInline || node.type === 'paragraph')) {
+                if (node.type === 'paragraph' && parent.lastChild && !isMdBlock(parent.lastChild)) {
+                    parent.appendChild(document.createElement('br'));
+                }
+                appendJsonInline(parent, isInline ? [node] : node.content);
+            } else if (isInline) {
+                if (!loose) loose = parent.appendChild(document.createElement('p'));
+                appendJsonInline(loose, [node]);
+            } else {
+                loose = null;
+                appendJsonNode(parent, node);
+            }
+        });
+    }
+
+    function appendJsonNode(parent, node) {
+        const append = (tag) => parent.appendChild(document.createElement(tag));
+        switch (node.type) {
+            case 'paragraph': appendJsonInline(append('p'), node.content); break;
+            case 'heading': {
+                const level = Math.min(6, Math.max(1, parseInt(node.level, 10) || 1));
+                appendJsonInline(append('h' + level), node.content);
+                break;
+            }
+            case 'bulletList': case 'orderedList': case 'taskList': {
+                const list = append(node.type === 'orderedList' ? 'ol' : 'ul');
+                if (node.type === 'orderedList' && node.start !== undefined) list.setAttribute('start', String(node.start));
+                if (node.type === 'taskList') list.setAttribute('data-type', 'task');
+                (Array.isArray(node.content) ? node.content : []).forEach(item => {
+                    const li = list.appendChild(document.createElement('li'));
+                    if (node.type === 'taskList') li.setAttribute('data-checked', String(!!(item && item.checked)));
+                    appendJsonBlocks(li, item && item.content, true);
+                });
+                break;
+            }
+            case 'blockquote': appendJsonBlocks(append('blockquote'), node.content); break;
+            case 'codeBlock': {
+                const pre = append('pre');
+                if (node.language) pre.setAttribute('data-language', String(node.language));
+                pre.textContent = String(node.text || '');
+                break;
+            }
+            case 'horizontalRule': append('hr'); break;
+            case 'figure': {
+                const figure = append('figure');
+                const content = Array.isArray(node.content) ? node.content : [];
+                if (node.align) figure.setAttribute('data-align', String(node.align));
+                appendJsonInline(figure, content.filter(child => child && child.type === 'image').slice(0, 1));
+                const caption = content.find(child => child && child.type === 'caption');
+                if (caption) appendJsonInline(figure.appendChild(document.createElement('figcaption')), caption.content);
+                break;
+            }
+            case 'table': {
+                const table = append('table');
+                const rows = (Array.isArray(node.content) ? node.content : []).filter(row => row && Array.isArray(row.content));
+                const hasHeader = rows.length && rows[0].content.length && rows[0].content.every(cell => cell && cell.type === 'tableHeader');
+                const tbody = document.createElement('tbody');
+                rows.forEach((row, index) => {
+                    const section = hasHeader && index === 0 ? table.appendChild(document.createElement('thead')) : tbody;
+                    const tr = section.appendChild(document.createElement('tr'));
+                    row.content.forEach(cellNode => {
+                        if (!cellNode) return;
+                        const cell = tr.appendChild(document.createElement(cellNode.type === 'tableHeader' ? 'th' : 'td'));
+                        if (cellNode.align) cell.setAttribute('align', String(cellNode.align));
+                        appendJsonBlocks(cell, cellNode.content, true);
+                        if (!cell.hasChildNodes()) cell.appendChild(document.createElement('br'));
+                    });
+                });
+                table.appendChild(tbody);
+                break;
+            }
+            default: appendJsonBlocks(parent, node.content);
+        }
+    }
+
+    function appendJsonInline(parent, nodes) {
+        (Array.isArray(nodes) ? nodes : []).forEach(node => {
+            if (!node || typeof node !== 'object') return;
+            let el;
+            if (node.type === 'text') {
+                el = document.createTextNode(String(node.text || ''));
+            } else if (node.type === 'hardBreak') {
+                el = document.createElement('br');
+            } else if (node.type === 'mention') {
+                el = createMentionToken(node.trigger, node.id, node.label);
+                if (!el) return;
+            } else if (node.type === 'image') {
+                el = document.createElement('img');
+                el.setAttribute('src', String(node.src || ''));
+                el.setAttribute('alt', String(node.alt || ''));
+                if (node.width) el.setAttribute('width', String(node.width));
+                if (node.align) el.setAttribute('data-align', String(node.align));
+            } else {
+                return;
+            }
+            // Marks are listed outermost first
+            (Array.isArray(node.marks) ? node.marks : []).slice().reverse().forEach(mark => {
+                const tag = mark && JSON_MARK_TAGS[mark.type];
+                if (!tag) return;
+                const wrapper = document.createElement(tag);
+                if (tag === 'a') wrapper.setAttribute('href', String(mark.href || ''));
+                wrapper.appendChild(el);
+                el = wrapper;
+            });
+            parent.appendChild(el);
+        });
+    }
+
+    // BBCode: inline marks by tag, the tags parseFromBbcode() reads (by the element they open),
+    // and common tags without an equivalent here, which only keep their content
+    const BBCODE_MARKS = { B: 'b', STRONG: 'b', I: 'i', EM: 'i', S: 's' };
+    const BBCODE_TAGS = { b: 'strong', i: 'em', s: 's', strike: 's', quote: 'blockquote', table: 'table', tr: 'tr', th: 'th', td: 'td' };
+    const BBCODE_IGNORED_TAGS = ['u', 'color', 'size', 'font', 'center', 'left', 'right', 'spoiler'];
+
+    /**
+     * BBCode Format: for forums. Headings become bold lines, lists are [list] (or [list=1])
+     * with [*] items, and [code] on its own lines is a code block. BBCode has no escaping:
+     * text that looks like a tag is read as one.
+     */
+    function parseToBbcode(root) {
+        normalizeMarks(root);
+        return blocksToBbcode(root).join('\n\n').trim();
+    }
+
+    function blocksToBbcode(container) {
+        const blocks = [];
+        let inline = [];
+        const flush = () => {
+            const text = inlineToBbcode(inline);
+            if (text) blocks.push(text);
+            inline = [];
+        };
+        container.childNodes.forEach(child => {
+            if (!isMdBlock(child)) { inline.push(child); return; }
+            flush();
+            const text = blockToBbcode(child);
+            if (text) blocks.push(text);
+        });
+        flush();
+        return blocks;
+    }
+
+    function blockToBbcode(el) {
+        switch (el.tagName) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                const text = inlineToBbcode(el.childNodes);
+                return text ? `[b]${text}[/b]` : '';
+            }
+            case 'UL': case 'OL': return listToBbcode(el);
+            case 'PRE': {
+                const language = getCodeLanguage(el);
+                return `[code${language ? '=' + language : ''}]\n${getCodeText(el).replace(/\n$/, '')}\n[/code]`;
+            }
+            case 'BLOCKQUOTE': {
+                const text = blocksToBbcode(el).join('\n\n');
+                return text ? `[quote]\n${text}\n[/quote]` : '';
+            }
+            case 'HR': return '[hr]';
+            case 'FIGURE': {
+                const caption = el.querySelector('figcaption');
+                const text = caption ? inlineToBbcode(caption.childNodes) : '';
+                return inlineToBbcode(el.querySelectorAll('img')) + (text ? '\n' + text : '');
+            }
+            case 'TABLE':
+                return '[table]\n' + Array.from(el.rows).map(row => '[tr]' + Array.from(row.cells).map(cell => {
+                    const tag = cell.tagName === 'TH' ? 'th' : 'td';
+                    return `[${tag}]${blocksToBbcode(cell).join('\n')}[/${tag}]`;
+                }).join('') + '[/tr]').join('\n') + '\n[/table]';
+            default:
+                if (Array.from(el.childNodes).some(isMdBlock)) return blocksToBbcode(el).join('\n\n');
+                return inlineToBbcode(el.childNodes);
+        }
+    }
+
+    // Task items keep their checkbox as text ('[x] Done'), which parseFromBbcode() reads back
+    function listToBbcode(list) {
+        const task = isTaskList(list);
+        const items = [];
+        Array.from(list.children).forEach(child => {
+            if (child.tagName === 'UL' || child.tagName === 'OL') {
+                items.push(listToBbcode(child));
+                return;
+            }
+            if (child.tagName !== 'LI') return;
+            const checkbox = task ? `[${child.getAttribute('data-checked') === 'true' ? 'x' : ' '}] ` : '';
+            items.push('[*]' + checkbox + blocksToBbcode(child).join('\n'));
+        });
+        return `[list${list.tagName === 'OL' ? '=1' : ''}]\n${items.join('\n')}\n[/list]`;
+    }
+
+    function inlineToBbcode(nodes) {
+        let text = '';
+        Array.from(nodes).forEach(node => text += inlineNodeToBbcode(node));
+        return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).join('\n').trim();
+    }
+
+    function inlineNodeToBbcode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        if (node.tagName === 'BR') return '\n';
+        if (node.tagName === 'CODE') return `[code]${getCodeText(node).replace(/\n/g, ' ')}[/code]`;
+        if (node.tagName === 'IMG') return node.getAttribute('src') ? `[img]${node.getAttribute('src')}[/img]` : '';
+
+        let content = '';
+        node.childNodes.forEach(child => content += inlineNodeToBbcode(child));
+        if (node.tagName === 'A') {
+            const href = (node.getAttribute('href') || '').replace(/]/g, '%5D');
+            if (!href) return content;
+            return content === href ? `[url]${href}[/url]` : `[url=${href}]${content}[/url]`;
+        }
+        const tag = BBCODE_MARKS[node.tagName];
+        if (tag && content.trim()) return `[${tag}]${content}[/${tag}]`;
+        return isMdBlock(node) ? `\n${content}\n` : content;
+    }
+
+    /**
+     * Reverse of parseToBbcode(): builds DOM nodes from BBCode. Unknown tags stay as text,
+     * unclosed ones are closed at the end. A blank line starts a new paragraph.
+     * The result is sanitized before loading.
+     */
+    function parseFromBbcode(bbcode) {
+        bbcode = String(bbcode || '').replace(/\r\n?/g, '\n');
+        const fragment = document.createDocumentFragment();
+        const names = new Map(); // Element => the BBCode tag that opened it
+        let current = fragment;
+
+        const open = (tag, name) => {
+            const el = current.appendChild(document.createElement(tag));
+            names.set(el, name);
+            return (current = el);
+        };
+        // A blank line ends the paragraph, and closes the inline tags still open in it
+        const appendText = (text) => text.split(/\n[ \t]*\n/).forEach((part, i) => {
+            if (i > 0) {
+                while (/^(STRONG|EM|S|A)$/.test(current.nodeName)) current = current.parentNode;
+                current.append(document.createElement('br'), document.createElement('br'));
+            }
+            part.split('\n').forEach((line, j) => {
+                if (j > 0) current.appendChild(document.createElement('br'));
+                if (line) current.appendChild(document.createTextNode(line));
+            });
+        });
+        // Closes the innermost element matching 'test' (and the ones opened inside it)
+        const closeTo = (test) => {
+            let el = current;
+            while (el !== fragment && !test(el)) el = el.parentNode;
+            if (el === fragment) return false;
+            current = el;
+            return true;
+        };
+        const isLineEdge = (text) => /(^|\n)[ \t]*$/.test(text);
+
+        const tagRe = /\[(\/?)([a-z]+|\*)(?:=([^\]]*))?\]/gi;
+        let index = 0;
+        let match;
+        while ((match = tagRe.exec(bbcode))) {
+            appendText(bbcode.slice(index, match.index));
+            index = tagRe.lastIndex;
+            const name = match[2].toLowerCase();
+            const value = match[3] === undefined ? null : match[3].trim().replace(/^(["'])(.*)\1$/, '$2');
+
+            if (match[1]) {
+                // Closing tags of known tags that aren't open are dropped
+                const isKnown = name in BBCODE_TAGS || ['url', 'list', '*'].includes(name) || BBCODE_IGNORED_TAGS.includes(name);
+                if (closeTo(el => names.get(el) === name)) current = current.parentNode;
+                else if (!isKnown) appendText(match[0]);
+                continue;
+            }
+            // Tags with raw content: [code], [img] and [url]address[/url]
+            if (name === 'code' || name === 'img' || (name === 'url' && value === null)) {
+                const end = bbcode.toLowerCase().indexOf(`[/${name}]`, index);
+                if (end === -1) {
+                    appendText(match[0]);
+                    continue;
+                }
+                const raw = bbcode.slice(index, end);
+                tagRe.lastIndex = index = end + name.length + 3;
+                if (name === 'img') {
+                    const img = current.appendChild(document.createElement('img'));
+                    img.setAttribute('src', raw.trim());
+                    img.setAttribute('alt', '');
+                } else if (name === 'url') {
+                    const a = current.appendChild(document.createElement('a'));
+                    a.setAttribute('href', raw.trim());
+                    a.textContent = raw.trim();
+                } else if (value || raw.includes('\n') || (isLineEdge(bbcode.slice(0, match.index)) && /^[ \t]*(\n|$)/.test(bbcode.slice(index)))) {
+                    const pre = current.appendChild(document.createElement('pre'));
+                    if (value) pre.setAttribute('data-language', value);
+                    pre.textContent = raw.replace(/^\n/, '').replace(/\n$/, '');
+                } else {
+                    current.appendChild(document.createElement('code')).textContent = raw;
+                }
+                continue;
+            }
+
+            if (name === 'url') {
+                open('a', name).setAttribute('href', value);
+            } else if (name === 'list') {
+                open(value ? 'ol' : 'ul', name);
+            } else if (name === '*') {
+                if (!closeTo(el => el.tagName === 'UL' || el.tagName === 'OL')) appendText(match[0]);
+                else open('li', name);
+            } else if (name === 'hr') {
+                current.appendChild(document.createElement('hr'));
+            } else if (BBCODE_TAGS[name]) {
+                open(BBCODE_TAGS[name], name);
+            } else if (!BBCODE_IGNORED_TAGS.includes(name)) {
+                appendText(match[0]);
+            }
+        }
+        appendText(bbcode.slice(index));
+        fragment.normalize();
+
+        fragment.querySelectorAll('ul, ol, table, tr').forEach(el => {
+            // Line breaks between items, rows and cells
+            const allowed = { UL: /^(LI|UL|OL)$/, OL: /^(LI|UL|OL)$/, TABLE: /^TR$/, TR: /^T[HD]$/ }[el.tagName];
+            Array.from(el.childNodes).forEach(child => { if (!allowed.test(child.tagName)) child.remove(); });
+        });
+        // The first row is the header if it only has [th] cells
+        fragment.querySelectorAll('table').forEach(table => {
+            const rows = Array.from(table.rows);
+            const tbody = table.appendChild(document.createElement('tbody'));
+            rows.forEach((row, i) => {
+                const isHeader = i === 0 && row.cells.length && Array.from(row.cells).every(cell => cell.tagName === 'TH');
+                (isHeader ? table.createTHead() : tbody).appendChild(row);
+            });
+        });
+        fragment.querySelectorAll('li, th, td').forEach(trimBbcodeBreaks);
+        wrapBbcodeParagraphs(fragment);
+        fragment.querySelectorAll('blockquote').forEach(wrapBbcodeParagraphs);
+        fragment.querySelectorAll('ul').forEach(readBbcodeTaskList);
+        normalizeMarks(fragment);
+        return fragment;
+    }
+
+    function isBlankInline(node) {
+        return node.nodeName === 'BR' || (node.nodeType === Node.TEXT_NODE && !node.textContent.trim());
+    }
+
+    /**
+     * Removes the line breaks at the start and end of a container, and around its blocks.
+     */
+    function trimBbcodeBreaks(container) {
+        const nodes = Array.from(container.childNodes);
+        nodes.forEach((node, i) => {
+            if (!isBlankInline(node)) return;
+            const prev = nodes.slice(0, i).reverse().find(n => !isBlankInline(n));
+            const next = nodes.slice(i + 1).find(n => !isBlankInline(n));
+            if (!prev || !next || isMdBlock(prev) || isMdBlock(next)) node.remove();
+        });
+        trimTrailingBreaks(container);
+    }
+
+    // Line breaks at the end of the last inline tags ('[b]text\n[/list]')
+    function trimTrailingBreaks(el) {
+        const last = el.lastChild;
+        if (!last) return;
+        if (isBlankInline(last)) {
+            last.remove();
+            trimTrailingBreaks(el);
+        } else if (last.nodeType === Node.ELEMENT_NODE && !isMdBlock(last)) {
+            trimTrailingBreaks(last);
+        }
+    }
+
+    /**
+     * Wraps the loose inline nodes of a container in paragraphs. A blank line (two <br>) starts a new one.
+     */
+    function wrapBbcodeParagraphs(container) {
+        let inline = [];
+        const flush = () => {
+            while (inline.length && isBlankInline(inline[0])) inline.shift().remove();
+            while (inline.length && isBlankInline(inline[inline.length - 1])) inline.pop().remove();
+            if (inline.length) {
+                const p = document.createElement('p');
+                inline[0].before(p);
+                p.append(...inline);
+                trimTrailingBreaks(p);
+            }
+            inline = [];
+        };
+        Array.from(container.childNodes).forEach(node => {
+            if (isMdBlock(node)) {
+                flush();
+                return;
+            }
+            const last = inline.filter(n => !isBlankInline(n) || n.nodeName === 'BR').pop();
+            if (node.nodeName === 'BR' && last && last.nodeName === 'BR') {
+                node.remove();
+                flush();
+            } else {
+                inline.push(node);
+            }
+        });
+        flush();
+    }
+
+    /**
+     * A bullet list whose items all start with '[ ]' or '[x]' is a task list.
+     */
+    function readBbcodeTaskList(list) {
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+        const markers = items.map(li => li.firstChild && li.firstChild.nodeType === Node.TEXT_NODE && li.firstChild.textContent.match(/^\[([ xX])\] ?/));
+        if (!items.length || !markers.every(Boolean)) return;
+        list.setAttribute('data-type', 'task');
+        items.forEach((li, i) => {
+            li.setAttribute('data-checked', String(markers[i][1] !== ' '));
+            li.firstChild.textContent = li.firstChild.textContent.slice(markers[i][0].length);
+        });
+    }
+
+    /**
+     * Mention token: an atomic (non-editable) <span> showing the trigger and the label,
+     * and storing the id. Returns null if the data is invalid.
+     */
+    function createMentionToken(trigger, id, label, doc = document) {
+        id = id === undefined || id === null ? '' : String(id);
+        label = String(label || '').replace(/\s+/g, ' ').trim();
+        if (!MENTION_TRIGGER_RE.test(trigger || '') || !id || id.length > 200 || !label) return null;
+        const span = doc.createElement('span');
+        span.className = 'ichik-mention';
+        span.setAttribute('contenteditable', 'false');
+        span.setAttribute('data-mention', trigger);
+        span.setAttribute('data-id', id);
+        span.textContent = trigger + label;
+        return span;
+    }
+
+    function getMentionData(span) {
+        const trigger = span.getAttribute('data-mention');
+        const text = span.textContent.replace(/\s+/g, ' ').trim();
+        return { trigger: trigger, id: span.getAttribute('data-id'), label: text.startsWith(trigger) ? text.slice(trigger.length) : text };
+    }
+
+    /**
+     * Markdown for a mention. 'format' is a string with {trigger}, {label} and {id}
+     * (the label is escaped), or a function receiving the mention.
+     */
+    function formatMentionMd(mention, format = MENTION_MD_FORMAT) {
+        if (typeof format === 'function') return String(format(mention));
+        return format.replace(/\{(trigger|label|id)\}/g, (m, key) => key === 'label' ? escapeMdText(mention.label) : mention[key]);
+    }
+
+    /**
+     * Serializes with a text serializer that doesn't know mentions: tokens are swapped
+     * for \u0002n\u0002 markers (never escaped) and formatted afterwards.
+     */
+    function serializeWithMentions(root, formats, serialize) {
+        const tokens = [];
+        root.querySelectorAll('span[data-mention]').forEach(span => {
+            const mention = getMentionData(span);
+            const config = formats[mention.trigger];
+            tokens.push(formatMentionMd(mention, config ? config.markdown : MENTION_MD_FORMAT));
+            span.replaceWith(`\u0002${tokens.length - 1}\u0002`);
+        });
+        return serialize(root).replace(/\u0002(\d+)\u0002/g, (m, index) => tokens[index]);
+    }
+
+    /**
+     * Turns the (string) Markdown formats of the 'mentions' option into patterns for parseInlineMd.
+     * Ex: '@[{label}](user:{id})' => /^@\[(.+?)\]\(user:(\S+?)\)/. Formats must start with a literal.
+     */
+    function buildMentionPatterns(mentions) {
+        return Object.keys(mentions).map(trigger => {
+            const format = mentions[trigger].markdown;
+            if (typeof format !== 'string') return null;
+            const keys = [];
+            const source = format.split(/(\{(?:trigger|label|id)\})/).map((part, index, parts) => {
+                const key = part.match(/^\{(trigger|label|id)\}$/);
+                if (!key) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                if (key[1] === 'trigger') return trigger.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                keys.push(key[1]);
+                // Lazy up to the next literal, or a word at the end (without trailing punctuation)
+                const isLast = index >= parts.length - 2 && !parts[index + 1];
+                const end = isLast ? '(?=[.,;:!?)\\]*~_]*(?:\\s|$))' : '';
+                if (key[1] === 'label') return (isLast ? '((?:\\\\.|[^\\\\\\s])+?)' : '((?:\\\\.|[^\\\\\\n])+?)') + end;
+                return '(\\S+?)' + end;
+            }).join('');
+            const first = format.replace(/\{trigger\}/g, trigger)[0];
+            if (!first || first === '{') return null;
+            return { trigger: trigger, first: first, regex: new RegExp('^' + source), keys: keys };
+        }).filter(Boolean);
+    }
+
+    function matchMentionMd(text, patterns) {
+        for (const pattern of patterns) {
+            if (text[0] !== pattern.first) continue;
+            const match = text.match(pattern.regex);
+            if (!match) continue;
+            const data = { trigger: pattern.trigger, id: '', label: '', length: match[0].length };
+            pattern.keys.forEach((key, i) => data[key] = match[i + 1]);
+            data.label = unescapeHtml(data.label.replace(/\\([!-\/:-@[-`{-~])/g, '$1'));
+            // Formats without {id} (hashtags: '#{label}') or without {label}
+            if (!data.id) data.id = data.label;
+            if (!data.label) data.label = data.id;
+            if (data.id) return data;
+        }
+        return null;
+    }
+
+    /**
+     * Builds the sanitizer schema, adding the integrator's extra tags/attributes
+     * on top of SANITIZE_SCHEMA. Ex: { tags: { span: ['class'] }, urlAttrs: ['cite'] }
+     */
+    function buildSanitizeSchema(extra = {}, urlPolicy = buildUrlPolicy({})) {
+        const schema = {
+            tags: {},
+            urlPolicy: urlPolicy,
+            urlAttrs: SANITIZE_SCHEMA.urlAttrs.concat((extra.urlAttrs || []).map(a => a.toLowerCase())),
+            aliases: Object.assign({}, SANITIZE_SCHEMA.aliases),
+            dropContent: SANITIZE_SCHEMA.dropContent.slice()
+        };
+        Object.keys(SANITIZE_SCHEMA.tags).forEach(tag => schema.tags[tag] = SANITIZE_SCHEMA.tags[tag].slice());
+        Object.keys(extra.tags || {}).forEach(tag => {
+            const key = tag.toUpperCase();
+            const attrs = extra.tags[tag].map(a => a.toLowerCase());
+            schema.tags[key] = (schema.tags[key] || []).concat(attrs);
+            delete schema.aliases[key];
+        });
+        return schema;
+    }
+
+    /**
+     * HTML Sanitizer: Parses HTML in an inert document and keeps only the
+     * tags/attributes of the schema. Unknown tags are unwrapped (text is kept).
+     * 'normalize' maps foreign markup (Word, Google Docs) onto supported tags first.
+     */
+    function sanitizeHtml(html, schema, normalize = false) {
+        // One inert document for every call (creating one costs more than sanitizing a block)
+        if (!sanitizeHtml.doc) sanitizeHtml.doc = document.implementation.createHTMLDocument('');
+        const body = sanitizeHtml.doc.body;
+        body.innerHTML = html || '';
+        normalizeTaskItems(body);
+        if (normalize) normalizePastedNode(body);
+        sanitizeNode(body, schema);
+        normalizeFigures(body);
+        const result = body.innerHTML;
+        body.replaceChildren();
+        return result;
+    }
+
+    /**
+     * Captioned images: a <figure> holds one <img> and an optional (non-empty) <figcaption>,
+     * and carries the alignment. Other content moves to a paragraph after it, and
+     * figures without an image are unwrapped.
+     */
+    function normalizeFigures(node) {
+        const doc = node.ownerDocument;
+        node.querySelectorAll('figcaption').forEach(caption => {
+            if (caption.parentElement.tagName !== 'FIGURE') caption.replaceWith(...caption.childNodes);
+        });
+        node.querySelectorAll('figure').forEach(figure => {
+            const img = figure.querySelector('img');
+            const caption = figure.querySelector(':scope > figcaption');
+            const rest = doc.createElement('p');
+            if (caption && (!img || !caption.textContent.trim())) caption.replaceWith(...caption.childNodes);
+            if (img) {
+                const align = figure.getAttribute('data-align') || img.getAttribute('data-align');
+                if (align) figure.setAttribute('data-align', align);
+                img.removeAttribute('data-align');
+                figure.insertBefore(img, figure.firstChild);
+            }
+            Array.from(figure.childNodes).forEach(child => {
+                if (child !== img && child !== caption) rest.appendChild(child);
+            });
+            if (caption && caption.parentNode) figure.appendChild(caption);
+            if (rest.textContent.trim() || rest.querySelector('img')) figure.after(rest);
+            if (!img) figure.remove();
+        });
+    }
+
+    /**
+     * Task lists from other sources (GitHub, exported HTML): a checkbox at the start
+     * of an <li> becomes data-checked, and its list a task list.
+     */
+    function normalizeTaskItems(node) {
+        node.querySelectorAll('li > input[type="checkbox" i], li > p:first-child > input[type="checkbox" i]').forEach(input => {
+            let prev = input.previousSibling;
+            while (prev && prev.nodeType === Node.TEXT_NODE && !prev.textContent.trim()) prev = prev.previousSibling;
+            const li = input.closest('li');
+            const list = li.parentElement;
+            if (prev || !list || list.tagName !== 'UL') return;
+            li.setAttribute('data-checked', String(input.hasAttribute('checked')));
+            const next = input.nextSibling;
+            if (next && next.nodeType === Node.TEXT_NODE) next.textContent = next.textContent.replace(/^\s+/, '');
+            input.remove();
+            list.setAttribute('data-type', 'task');
+            Array.from(list.children).forEach(item => {
+                if (!item.hasAttribute('data-checked')) item.setAttribute('data-checked', 'false');
+            });
+        });
+    }
+
+    /**
+     * Paste Normalizer: Converts inline styles into semantic tags before sanitizing.
+     * Ex: Word's <span style="font-weight:bold"> becomes <strong>.
+     */
+    function normalizePastedNode(node) {
+        Array.from(node.children).forEach(child => {
+            normalizePastedNode(child);
+
+            const tag = child.tagName.toUpperCase();
+            const style = child.getAttribute('style') || '';
+            const parentTag = child.parentElement ? child.parentElement.tagName.toUpperCase() : '';
+
+            // Google Docs wraps the whole clipboard in <b style="font-weight:normal">
+            if ((tag === 'B' || tag === 'STRONG') && /(^|;)\s*font-weight\s*:\s*(normal|[1-4]00)/i.test(style)) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+            if (tag === 'BR' && child.classList.contains('Apple-interchange-newline')) {
+                child.remove();
+                return;
+            }
+            // Table cell alignment (style) => align attribute
+            const textAlign = style.match(/(^|;)\s*text-align\s*:\s*(left|center|right)/i);
+            if ((tag === 'TD' || tag === 'TH') && textAlign) child.setAttribute('align', textAlign[2].toLowerCase());
+
+            // <li><p>text</p></li>, <td><p>text</p></td> and <div><p>...</p></div> would produce nested blocks
+            if ((tag === 'P' && ['LI', 'TD', 'TH'].includes(parentTag)) || (tag === 'DIV' && child.querySelector('p, div, h1, h2, h3, h4, h5, h6, ul, ol, hr'))) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            if (tag !== 'B' && tag !== 'STRONG' && /(^|;)\s*font-weight\s*:\s*(bold|[6-9]00)/i.test(style)) {
+                wrapChildren(child, 'strong');
+            }
+            if (tag !== 'I' && tag !== 'EM' && /(^|;)\s*font-style\s*:\s*italic/i.test(style)) {
+                wrapChildren(child, 'em');
+            }
+            if (!['S', 'STRIKE', 'DEL'].includes(tag) && /(^|;)\s*text-decoration[\w-]*\s*:[^;]*line-through/i.test(style)) {
+                wrapChildren(child, 's');
+            }
+        });
+    }
+
+    function wrapChildren(el, tagName) {
+        const wrapper = el.ownerDocument.createElement(tagName);
+        while (el.firstChild) wrapper.appendChild(el.firstChild);
+        el.appendChild(wrapper);
+    }
+
+    /**
+     * Detects plain text that was written in Markdown (headings, lists, bold, links...).
+     */
+    function looksLikeMarkdown(text) {
+        if (!text) return false;
+        return /^(#{1,6} |- |\d+\. |---\s*$)/m.test(text) ||
+               /\*\*\S[^*]*\*\*|!?\[[^\]]+\]\([^)\s]+\)/.test(text) ||
+               text.split('\n').some(line => line.includes('|') && TABLE_DELIMITER_RE.test(line));
+    }
+
+    function sanitizeNode(node, schema) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+            // Comments, processing instructions, etc.
+            if (child.nodeType !== Node.ELEMENT_NODE) { child.remove(); return; }
+
+            let tag = child.tagName.toUpperCase();
+            if (schema.dropContent.includes(tag)) { child.remove(); return; }
+
+            // Mention tokens are rebuilt from their data (invalid ones become text)
+            if (tag === 'SPAN' && child.hasAttribute('data-mention')) {
+                const data = getMentionData(child);
+                const token = createMentionToken(data.trigger, data.id, data.label, child.ownerDocument);
+                child.replaceWith(token || child.ownerDocument.createTextNode(child.textContent));
+                return;
+            }
+
+            sanitizeNode(child, schema);
+
+            if (schema.aliases[tag]) {
+                const renamed = child.ownerDocument.createElement(schema.aliases[tag]);
+                while (child.firstChild) renamed.appendChild(child.firstChild);
+                child.replaceWith(renamed);
+                return;
+            }
+
+            const allowedAttrs = schema.tags[tag];
+            if (!allowedAttrs) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            Array.from(child.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                // Event handlers are never allowed, even if added to the schema
+                if (!allowedAttrs.includes(name) || name.startsWith('on')) {
+                    child.removeAttribute(attr.name);
+                } else if (schema.urlAttrs.includes(name)) {
+                    const secureUrl = safeUrl(attr.value, schema.urlPolicy);
+                    if (secureUrl) child.setAttribute(attr.name, secureUrl);
+                    else child.removeAttribute(attr.name);
+                } else if (name === 'width' && !/^\d+(px|%)?$/.test(attr.value)) {
+                    child.removeAttribute(attr.name);
+                } else if (name === 'start' && !/^\d{1,9}$/.test(attr.value)) {
+                    child.removeAttribute(attr.name);
+                } else if (name === 'align' && !/^(left|center|right)$/i.test(attr.value)) {
+                    child.removeAttribute(attr.name);
+                } else if (name === 'data-align' && !IMAGE_ALIGNS.includes(attr.value)) {
+                    child.removeAttribute(attr.name);
+                } else if ((name === 'data-type' && attr.value !== 'task') ||
+                           (name === 'data-checked' && !/^(true|false)$/.test(attr.value))) {
+                    child.removeAttribute(attr.name);
+                } else if ((name === 'data-language' && !CODE_LANGUAGE_RE.test(attr.value)) ||
+                           (tag === 'CODE' && name === 'class' && !/^language-[\w+#.-]+$/.test(attr.value))) {
+                    child.removeAttribute(attr.name);
+                }
+            });
+
+            // An image without a (valid) source is useless, and a link without one is just its text
+            if (tag === 'IMG' && !child.hasAttribute('src')) child.remove();
+            else if (tag === 'A' && !child.hasAttribute('href')) child.replaceWith(...child.childNodes);
+        });
+    }
+
+    // ==============================================
+    // 3. CORE LOGIC (Private functions with State)
+    // ==============================================
+
+    /**
+     * Internal Constructor. Creates DOM and binds events.
+     */
+    function initEditor(inst) {
+        inst.container.innerHTML = '';
+        inst.container.classList.add('ichik-editor-container');
+        applyTheme(inst, inst.container, null);
+
+        // 1. Toolbar
+        inst.toolbarEl = document.createElement('div');
+        inst.toolbarEl.className = 'ichik-toolbar';
+        buildToolbar(inst, inst.toolbarEl);
+        inst.container.appendChild(inst.toolbarEl);
+
+        // 2. Editor
+        inst.editorEl = document.createElement('div');
+        inst.editorEl.className = 'ichik-editor';
+        inst.editorEl.contentEditable = true;
+        inst.editorEl.setAttribute('role', 'textbox');
+        inst.editorEl.setAttribute('aria-multiline', 'true');
+        inst.editorEl.setAttribute('aria-label', inst.labels.aria.editor);
+        inst.editorEl.innerHTML = '';
+        inst.container.appendChild(inst.editorEl);
+        watchContentStats(inst);
+        if (inst.collab) watchCollabBlocks(inst);
+        recordHistory(inst); // Initial (empty) state
+
+        // 3. Markdown source (hidden in 'wysiwyg' mode)
+        inst.sourceEl = document.createElement('textarea');
+        inst.sourceEl.className = 'ichik-source';
+        inst.sourceEl.spellcheck = false;
+        inst.sourceEl.setAttribute('aria-label', inst.labels.aria.sourceEditor);
+        inst.sourceEl.style.display = 'none';
+        if (inst.maxLength && inst.countBy === 'markdown') inst.sourceEl.maxLength = inst.maxLength;
+        inst.container.appendChild(inst.sourceEl);
+
+        // 4. Status bar (word/character count) and hidden form field
+        if (inst.statusBar) {
+            inst.statusEl = document.createElement('div');
+            inst.statusEl.className = 'ichik-status-bar';
+            inst.container.appendChild(inst.statusEl);
+        }
+        if (inst.inputName) {
+            inst.inputEl = document.createElement('input');
+            inst.inputEl.type = 'hidden';
+            inst.inputEl.name = inst.inputName;
+            inst.hostEl.appendChild(inst.inputEl); // Light DOM, so forms see it in shadow mode
+        }
+        if (inst.required) inst.editorEl.setAttribute('aria-required', 'true');
+
+        // 5. Floating UI
+        createTooltip(inst);
+        createEmojiPicker(inst);
+        createFormPopup(inst);
+        createTablePicker(inst);
+        createTableMenu(inst);
+        createMentionList(inst);
+        createLinkBubble(inst);
+        createImageTools(inst);
+
+        bindEvents(inst);
+        updateEditableState(inst); // Also updates the toolbar
+        updateStatusBar(inst);
+        syncFormInput(inst);
+        if (inst.collab) startCollab(inst);
+        if (inst.autosave) startAutosave(inst);
+    }
+
+    function buildToolbar(inst, toolbarEl) {
+        toolbarEl.innerHTML = '';
+        toolbarEl.setAttribute('role', 'toolbar');
+        toolbarEl.setAttribute('aria-label', inst.labels.aria.toolbar);
+        inst.uiRefs = { buttons: [], selects: [] };
+
+        const items = getToolbarItems(inst);
+        toolbarEl.style.display = items.length ? '' : 'none';
+
+        items.forEach(item => {
+            // Select (Dropdown) Rendering
+            if (item.type === 'select') {
+                const select = document.createElement('select');
+                select.dataset.cmd = item.cmd;
+                select.dataset.name = item.name;
+                select.setAttribute('aria-label', inst.labels.aria[item.name] || item.name);
+                item.options.forEach(opt => {
+                    const option = document.createElement('option');
+                    option.value = opt.value;
+                    option.textContent = inst.labels.toolbar.formats[opt.labelKey];
+                    select.appendChild(option);
+                });
+                select.onchange = (e) => {
+                    e.preventDefault();
+                    inst.editorEl.focus();
+                    recordChange(inst, () => applyBlockFormat(inst, select.value));
+                };
+                inst.uiRefs.selects.push(select);
+                toolbarEl.appendChild(select);
+
+            // Button Rendering
+            } else if (item.type === 'button') {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.innerHTML = item.custom ? inst.commands[item.cmd].label : inst.labels.toolbar[item.labelKey];
+                btn.dataset.cmd = item.cmd;
+                btn.dataset.name = item.name;
+                btn.onclick = (e) => handleToolbarClick(inst, e, item, btn);
+
+                // Accessible name: labels may be symbols or HTML (<strong>B</strong>)
+                const ariaLabel = item.custom ? (inst.commands[item.cmd].ariaLabel || btn.textContent) : inst.labels.aria[item.name];
+                if (ariaLabel) btn.setAttribute('aria-label', ariaLabel);
+                if (item.toggle || (item.custom && inst.commands[item.cmd].isActive)) btn.setAttribute('aria-pressed', 'false');
+                if (item.popup) {
+                    btn.setAttribute('aria-haspopup', 'dialog');
+                    btn.setAttribute('aria-expanded', 'false');
+                }
+                inst.uiRefs.buttons.push(btn);
+                toolbarEl.appendChild(btn);
+
+            // Separator Rendering
+            } else if (item.type === 'separator') {
+                const sep = document.createElement('span');
+                sep.setAttribute('role', 'separator');
+                sep.className = 'ichik-toolbar-separator';
+                toolbarEl.appendChild(sep);
+            }
+        });
+
+        setKeyShortcutHints(inst);
+        setRovingFocus(toolbarEl, getToolbarControls(toolbarEl)[0]);
+    }
+
+    /**
+     * Exposes the keymap to assistive technologies (aria-keyshortcuts).
+     */
+    function setKeyShortcutHints(inst) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+        inst.uiRefs.buttons.concat(inst.uiRefs.selects).forEach(control => {
+            const name = control.dataset.name;
+            const shortcuts = Object.keys(inst.keymap)
+                .filter(shortcut => inst.keymap[shortcut] === name)
+                .map(shortcut => shortcut.replace('Mod', isMac ? 'Meta' : 'Control').replace(/-/g, '+'));
+            if (shortcuts.length) control.setAttribute('aria-keyshortcuts', shortcuts.join(' '));
+        });
+    }
+
+    // --- TOOLBAR KEYBOARD NAVIGATION (Roving tabindex) ---
+
+    function getToolbarControls(toolbarEl) {
+        return Array.from(toolbarEl.querySelectorAll('button, select')).filter(c => !c.disabled);
+    }
+
+    /**
+     * Only one toolbar control is in the Tab sequence. Arrow keys move between them.
+     */
+    function setRovingFocus(toolbarEl, current) {
+        toolbarEl.querySelectorAll('button, select').forEach(c => c.tabIndex = c === current ? 0 : -1);
+    }
+
+    function handleToolbarKeydown(inst, e) {
+        const controls = getToolbarControls(inst.toolbarEl);
+        let index = controls.indexOf(getActiveElementIn(inst.toolbarEl));
+        if (index === -1) return;
+
+        if (e.key === 'ArrowRight') index = (index + 1) % controls.length;
+        else if (e.key === 'ArrowLeft') index = (index - 1 + controls.length) % controls.length;
+        else if (e.key === 'Home') index = 0;
+        else if (e.key === 'End') index = controls.length - 1;
+        else if (e.key === 'Escape') { inst.editorEl.focus(); return; }
+        else return;
+
+        e.preventDefault();
+        setRovingFocus(inst.toolbarEl, controls[index]);
+        controls[index].focus();
+    }
+
+    /**
+     * Resolves the toolbar layout (names and '|' separators) into toolbar items.
+     * Registered commands override built-in items with the same name, and commands
+     * with a label that aren't part of the layout are appended at the end.
+     */
+    function getToolbarItems(inst) {
+        const layout = inst.toolbarLayout.slice();
+        Object.keys(inst.commands).forEach(name => {
+            if (inst.commands[name].label && !layout.includes(name)) layout.push('|', name);
+        });
+
+        const items = [];
+        const lastIsSeparator = () => !items.length || items[items.length - 1].type === 'separator';
+        layout.forEach(name => {
+            if (name === '|') {
+                // Skip leading/duplicated separators (e.g. a group with unknown items)
+                if (!lastIsSeparator()) items.push({ type: 'separator' });
+            } else if (inst.commands[name]) {
+                if (inst.commands[name].label) items.push({ type: 'button', name: name, cmd: name, custom: true, popup: !!inst.commands[name].popup });
+            } else if (TOOLBAR_ITEMS[name]) {
+                items.push(Object.assign({ name: name }, TOOLBAR_ITEMS[name]));
+            }
+        });
+        if (items.length && lastIsSeparator()) items.pop();
+        return items;
+    }
+
+    /**
+     * Merges DEFAULT_KEYMAP with the 'keymap' option. Ex: { 'Mod-Shift-X': 'clear', 'Mod-K': null }
+     */
+    function buildKeymap(extra = {}) {
+        const keymap = {};
+        const add = (map) => Object.keys(map).forEach(shortcut => {
+            const key = normalizeShortcut(shortcut);
+            if (map[shortcut]) keymap[key] = map[shortcut];
+            else delete keymap[key]; // null/false disables a default shortcut
+        });
+        add(DEFAULT_KEYMAP);
+        add(extra);
+        return keymap;
+    }
+
+    /**
+     * Flattens the 'toolbar' option. Groups become separated runs of items:
+     * [['bold', 'italic'], ['link']] => ['bold', 'italic', '|', 'link', '|']
+     */
+    function normalizeToolbarLayout(layout) {
+        const flat = [];
+        layout.forEach(entry => {
+            if (Array.isArray(entry)) flat.push('|', ...entry, '|');
+            else flat.push(entry);
+        });
+        return flat;
+    }
+
+    // --- POPUP SYSTEM ---
+
+    function createFormPopup(inst) {
+        inst.popupEl = document.createElement('div');
+        inst.popupEl.className = 'ichik-popup';
+        inst.popupEl.setAttribute('role', 'dialog');
+
+        inst.popupEl.style.display = 'none';
+
+        inst.popupEl.addEventListener('click', (e) => e.stopPropagation());
+        inst.popupEl.addEventListener('keydown', (e) => handlePopupKeydown(inst, e));
+        attachFloating(inst, inst.popupEl);
+    }
+
+    /**
+     * Popup keyboard support: Enter saves, Escape cancels and Tab stays inside (focus trap).
+     */
+    function handlePopupKeydown(inst, e) {
+        if (inst.openPopup === 'find' && handleFindKeydown(inst, e)) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            cancelPopup(inst);
+        }
+        else if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+            inst.popupEl.querySelector('#ichik-btn-save').click();
+        }
+        else if (e.key === 'Tab') {
+            trapFocus(inst.popupEl, e);
+        }
+    }
+
+    /**
+     * Keeps Tab/Shift+Tab cycling inside a popup.
+     */
+    function trapFocus(container, e) {
+        const focusable = Array.from(container.querySelectorAll('input, button, select, textarea, [tabindex="0"]'))
+            .filter(el => !el.disabled && el.offsetParent !== null);
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && getActiveElementIn(container) === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && getActiveElementIn(container) === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Opens a form popup (Link, Image or code block language).
+     * Supports both new creation and existing node editing.
+     */
+    function openFormPopup(inst, type, triggerBtn, existingNode = null) {
+        const returnFocus = getActiveElementIn(inst.container);
+        closeAllPopups(inst);
+        saveSelection(inst); // Save cursor position
+        inst.popupReturnFocus = returnFocus;
+
+        let html = '';
+        const labels = inst.labels.popups;
+
+        if (type === 'link') {
+            const currentUrl = existingNode ? existingNode.getAttribute('href') || '' : '';
+            if (existingNode) selectNode(existingNode);
+            const currentText = getSelectionIn(inst.editorEl).toString();
+
+            html = `
+                <label>${labels.link.title}</label>
+                <input type="text" id="ichik-inp-url" value="${escapeHtml(currentUrl)}" placeholder="${labels.link.placeholder}" aria-label="${labels.link.title}">
+                <label>${labels.link.text}</label>
+                <input type="text" id="ichik-inp-text" value="${escapeHtml(currentText)}" placeholder="${labels.link.placeholderText}" aria-label="${labels.link.text}">
+                <div class="ichik-popup-error" role="alert" style="display: none;"></div>
+                <div class="ichik-popup-actions">
+                    ${existingNode ? `<button type="button" id="ichik-btn-remove" class="ichik-btn-cancel">${labels.link.remove}</button>` : ''}
+                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.link.cancel}</button>
+                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${labels.link.save}</button>
+                </div>
+            `;
+        }
+        else if (type === 'code') {
+            const currentLanguage = existingNode.getAttribute('data-language') || '';
+
+            html = `
+                <label>${labels.code.title}</label>
+                <input type="text" id="ichik-inp-lang" value="${escapeHtml(currentLanguage)}" placeholder="${labels.code.placeholder}" aria-label="${labels.code.title}">
+                <div class="ichik-popup-actions">
+                    <button type="button" id="ichik-btn-remove" class="ichik-btn-cancel">${labels.code.remove}</button>
+                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.code.cancel}</button>
+                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${labels.code.save}</button>
+                </div>
+            `;
+        }
+        else if (type === 'image') {
+            const currentUrl = existingNode ? existingNode.getAttribute('src') || '' : '';
+            const currentAlt = existingNode ? existingNode.getAttribute('alt') || '' : '';
+            const currentWidth = existingNode ? (existingNode.getAttribute('width') || '') : ''; // If no width, use empty string
+            const btnText = existingNode ? labels.image.update : labels.image.insert;
+
+            html = `
+                <label>${labels.image.titleUrl}</label>
+                <input type="text" id="ichik-inp-url" value="${escapeHtml(currentUrl)}" placeholder="${labels.image.placeholderUrl}" aria-label="${labels.image.titleUrl}">
+                <label>${labels.image.titleAlt}</label>
+                <input type="text" id="ichik-inp-alt" value="${escapeHtml(currentAlt)}" placeholder="${labels.image.placeholderAlt}" aria-label="${labels.image.titleAlt}">
+                <label>${labels.image.titleWidth}</label>
+                <input type="text" id="ichik-inp-width" value="${escapeHtml(currentWidth)}" placeholder="${labels.image.placeholderWidth}" aria-label="${labels.image.titleWidth}">
+                ${inst.uploadImage ? `
+                <label>${labels.image.titleFile}</label>
+                <input type="file" id="ichik-inp-file" accept="${inst.imageTypes.join(',')}" aria-label="${labels.image.titleFile}">` : ''}
+                <div class="ichik-popup-error" role="alert" style="display: none;"></div>
+                <div class="ichik-popup-actions">
+                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.image.cancel}</button>
+                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${btnText}</button>
+                </div>
+            `;
+        }
+
+        inst.popupEl.innerHTML = html;
+        inst.popupEl.setAttribute('aria-label', type === 'link' ? labels.link.title : (type === 'code' ? labels.code.title : labels.image.titleUrl));
+        smartPosition(triggerBtn, inst.popupEl, 'flex');
+        markPopupOpen(inst, type);
+
+        // Auto-focus on first input
+        setTimeout(() => {
+            if (!inst.popupEl) return; // Destroyed meanwhile
+            const firstInput = inst.popupEl.querySelector('input');
+            if(firstInput) firstInput.focus();
+        }, 50);
+
+        // Popup internal listeners
+        inst.popupEl.querySelector('#ichik-btn-cancel').onclick = () => cancelPopup(inst);
+
+        const fileInput = inst.popupEl.querySelector('#ichik-inp-file');
+        if (fileInput) fileInput.onchange = () => {
+            const file = fileInput.files[0];
+            const error = file ? validateImageFile(inst, file) : null;
+            showPopupError(inst, error, fileInput);
+            if (!file || error) return;
+
+            const attrs = {
+                alt: inst.popupEl.querySelector('#ichik-inp-alt').value || '',
+                width: inst.popupEl.querySelector('#ichik-inp-width').value || ''
+            };
+            closeAllPopups(inst);
+            restoreSelection(inst); // The placeholder replaces the selected image, if any
+            uploadImages(inst, [file], attrs);
+        };
+
+        if (type === 'code') {
+            inst.popupEl.querySelector('#ichik-btn-remove').onclick = () => {
+                restoreSelection(inst);
+                recordChange(inst, () => applyBlockFormat(inst, 'P'));
+                closeAllPopups(inst);
+            };
+            inst.popupEl.querySelector('#ichik-btn-save').onclick = () => {
+                const language = inst.popupEl.querySelector('#ichik-inp-lang').value.trim().replace(/[^\w+#.-]/g, '');
+                recordChange(inst, () => {
+                    if (language) existingNode.setAttribute('data-language', language);
+                    else existingNode.removeAttribute('data-language');
+                });
+                cancelPopup(inst);
+            };
+            return;
+        }
+
+        if (type === 'link' && existingNode) {
+            inst.popupEl.querySelector('#ichik-btn-remove').onclick = () => {
+                recordChange(inst, () => unlinkNode(existingNode));
+                closeAllPopups(inst);
+            };
+        }
+
+        inst.popupEl.querySelector('#ichik-btn-save').onclick = () => {
+            const urlInput = inst.popupEl.querySelector('#ichik-inp-url');
+            const urlVal = urlInput.value;
+
+            // An empty link URL removes the link
+            if (type === 'link' && !urlVal.trim()) {
+                restoreSelection(inst);
+                recordChange(inst, () => existingNode ? unlinkNode(existingNode) : document.execCommand('unlink', false, null));
+                closeAllPopups(inst);
+                return;
+            }
+
+            // Invalid URLs keep the popup open, with the error below the fields
+            const result = checkUrl(urlVal, inst.urlPolicy);
+            if (result.error) {
+                showPopupError(inst, getUrlError(inst, result.error), urlInput);
+                return;
+            }
+            const limitError = type === 'image' && !existingNode && getImageLimitError(inst);
+            if (limitError) {
+                showPopupError(inst, limitError, null);
+                return;
+            }
+
+            recordChange(inst, () => {
+                restoreSelection(inst);
+                if (type === 'link') {
+                    saveLink(inst, existingNode, result.url, inst.popupEl.querySelector('#ichik-inp-text').value);
+                }
+                else if (type === 'image') {
+                    const alt = inst.popupEl.querySelector('#ichik-inp-alt').value || '';
+                    const w = inst.popupEl.querySelector('#ichik-inp-width').value || '';
+
+                    if (existingNode) {
+                        // Update existing
+                        existingNode.setAttribute('src', result.url);
+                        existingNode.setAttribute('alt', alt);
+                        if (w && /^\d+(px|%)?$/.test(w)) existingNode.setAttribute('width', w);
+                        else existingNode.removeAttribute('width');
+                    } else {
+                        // Insert new
+                        const dummyImg = document.createElement('img');
+                        dummyImg.setAttribute('src', result.url);
+                        dummyImg.setAttribute('alt', alt);
+                        if (w && /^\d+(px|%)?$/.test(w)) dummyImg.setAttribute('width', w);
+                        document.execCommand('insertHTML', false, dummyImg.outerHTML);
+                    }
+                }
+            });
+            closeAllPopups(inst);
+        };
+    }
+
+    /**
+     * Shows a validation error inside the open popup (or hides it with null),
+     * and marks 'input' as invalid for screen readers.
+     */
+    function showPopupError(inst, message, input) {
+        const errorEl = inst.popupEl.querySelector('.ichik-popup-error');
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? '' : 'none';
+        inst.popupEl.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+        if (message && input) {
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+        }
+    }
+
+    /**
+     * Link popup 'Save'. The text is only replaced when it was edited, so the
+     * formatting inside an existing link (bold, code...) is kept.
+     */
+    function saveLink(inst, link, url, text) {
+        if (link) {
+            link.setAttribute('href', url);
+            if (text && text !== link.textContent) link.textContent = text;
+            selectNode(link);
+            return;
+        }
+        const selected = getSelectionIn(inst.editorEl).toString();
+        if (selected && (!text || text === selected)) {
+            document.execCommand('createLink', false, url);
+            return;
+        }
+        const a = document.createElement('a');
+        a.setAttribute('href', url);
+        a.textContent = text || url;
+        document.execCommand('insertHTML', false, a.outerHTML);
+    }
+
+    /**
+     * Removes a link, keeping its content in place.
+     */
+    function unlinkNode(link) {
+        const first = link.firstChild;
+        const last = link.lastChild;
+        link.replaceWith(...link.childNodes);
+        if (!first) return;
+        const range = document.createRange();
+        range.setStartBefore(first);
+        range.setEndAfter(last);
+        const sel = getSelectionIn(first);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    /**
+     * Closes popups and returns focus to 'focusEl' (the editor by default, nowhere if null).
+     */
+    function closeAllPopups(inst, focusEl = inst.editorEl) {
+        closeEmojiInline(inst);
+        closeMentions(inst);
+        hideLinkBubble(inst);
+        hideImageTools(inst);
+        clearFindHighlights(inst);
+        inst.emojiPickerEl.style.display = 'none';
         inst.popupEl.style.display = 'none';
+        inst.tablePickerEl.style.display = 'none';
+        inst.uiRefs.buttons.forEach(btn => {
+            if (btn.hasAttribute('aria-expanded')) btn.setAttribute('aria-expanded', 'false');
+        });
+
+        if (focusEl && focusEl !== inst.editorEl && focusEl.isConnected) focusEl.focus();
+        else if (focusEl) inst.editorEl.focus();
+
+        if (inst.openPopup) {
+            const type = inst.openPopup;
+            inst.openPopup = null;
+            emit(inst, 'popupclose', { type: type });
+        }
+    }
+
+    /**
+     * Cancel (Escape): closes popups and returns focus to the element that opened them.
+     */
+    function cancelPopup(inst) {
+        const target = inst.popupReturnFocus;
+        if (!target || target === document.body || inst.editorEl.contains(target)) {
+            closeAllPopups(inst);
+            restoreSelection(inst);
+        } else {
+            closeAllPopups(inst, target);
+        }
+    }
+
+    function markPopupOpen(inst, type) {
+        const cmd = { link: 'createLink', image: 'customInsertImage', emoji: 'toggleEmoji', table: 'insertTable', code: 'codeBlock', find: 'findReplace' }[type];
+        inst.uiRefs.buttons.forEach(btn => {
+            if (btn.dataset.cmd === cmd) btn.setAttribute('aria-expanded', 'true');
+        });
+        inst.openPopup = type;
+        emit(inst, 'popupopen', { type: type });
+    }
+
+    // --- FIND & REPLACE ---
+
+    /**
+     * Opens the find/replace popup. Selected text (on one line) becomes the query,
+     * and the search starts at the caret.
+     */
+    function openFindPopup(inst, triggerBtn) {
+        const returnFocus = getActiveElementIn(inst.container);
+        const sel = getSelectionIn(inst.editorEl);
+        const inEditor = sel.rangeCount > 0 && inst.editorEl.contains(sel.anchorNode);
+        const selected = inEditor ? sel.toString() : '';
+        closeAllPopups(inst);
+        saveSelection(inst);
+        inst.popupReturnFocus = returnFocus;
+
+        const state = inst.findState;
+        if (selected && !/\n/.test(selected)) state.query = state.regex ? escapeRegExp(selected) : selected;
+        state.anchor = inEditor ? sel.getRangeAt(0).cloneRange() : null;
+        if (state.anchor) state.anchor.collapse(true);
+
+        const labels = inst.labels.popups.find;
+        inst.popupEl.innerHTML = `
+            <label for="ichik-inp-find">${labels.find}</label>
+            <div class="ichik-find-row">
+                <input type="text" id="ichik-inp-find" value="${escapeHtml(state.query)}">
+                <span class="ichik-find-count" aria-live="polite"></span>
+                <button type="button" id="ichik-btn-prev" class="ichik-btn-cancel" title="${labels.previous}" aria-label="${labels.previous}">↑</button>
+                <button type="button" id="ichik-btn-next" class="ichik-btn-cancel" title="${labels.next}" aria-label="${labels.next}">↓</button>
+            </div>
+            <div class="ichik-find-options">
+                <label><input type="checkbox" id="ichik-chk-case"${state.caseSensitive ? ' checked' : ''}> ${labels.matchCase}</label>
+                <label><input type="checkbox" id="ichik-chk-word"${state.wholeWord ? ' checked' : ''}> ${labels.wholeWord}</label>
+                <label><input type="checkbox" id="ichik-chk-regex"${state.regex ? ' checked' : ''}> ${labels.regex}</label>
+            </div>
+            <label for="ichik-inp-replace">${labels.replace}</label>
+            <input type="text" id="ichik-inp-replace" value="${escapeHtml(state.replacement)}">
+            <div class="ichik-popup-error" role="alert" style="display: none;"></div>
+            <div class="ichik-popup-actions">
+                <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${labels.close}</button>
+                <button type="button" id="ichik-btn-replace" class="ichik-btn-cancel">${labels.replaceOne}</button>
+                <button type="button" id="ichik-btn-replace-all" class="ichik-btn-save">${labels.replaceAll}</button>
+            </div>
+        `;
+        inst.popupEl.setAttribute('aria-label', labels.title);
+        smartPosition(triggerBtn, inst.popupEl, 'flex');
+        markPopupOpen(inst, 'find');
+
+        const popup = inst.popupEl;
+        const findInput = popup.querySelector('#ichik-inp-find');
+        setTimeout(() => {
+            if (!inst.popupEl || inst.openPopup !== 'find') return; // Closed meanwhile
+            findInput.focus();
+            findInput.select();
+        }, 50);
+
+        findInput.oninput = () => {
+            state.query = findInput.value;
+            updateFindMatches(inst);
+        };
+        popup.querySelector('#ichik-inp-replace').oninput = (e) => state.replacement = e.target.value;
+        [['#ichik-chk-case', 'caseSensitive'], ['#ichik-chk-word', 'wholeWord'], ['#ichik-chk-regex', 'regex']].forEach(([selector, option]) => {
+            popup.querySelector(selector).onchange = (e) => {
+                state[option] = e.target.checked;
+                updateFindMatches(inst);
+            };
+        });
+        popup.querySelector('#ichik-btn-prev').onclick = () => stepFindMatch(inst, -1);
+        popup.querySelector('#ichik-btn-next').onclick = () => stepFindMatch(inst, 1);
+        popup.querySelector('#ichik-btn-replace').onclick = () => replaceFindMatch(inst);
+        popup.querySelector('#ichik-btn-replace-all').onclick = () => replaceAllFindMatches(inst);
+        popup.querySelector('#ichik-btn-cancel').onclick = () => closeFindPopup(inst);
+        updateFindMatches(inst);
+    }
+
+    /**
+     * Enter: next match (Shift+Enter: previous), or Replace in the replace field.
+     * Escape closes with the current match selected. Returns true if handled.
+     */
+    function handleFindKeydown(inst, e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFindPopup(inst);
+            return true;
+        }
+        if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return false;
+        e.preventDefault();
+        if (e.target.id === 'ichik-inp-replace') replaceFindMatch(inst);
+        else stepFindMatch(inst, e.shiftKey ? -1 : 1);
+        return true;
+    }
+
+    function closeFindPopup(inst) {
+        const match = inst.findState.matches[inst.findState.index];
+        if (!match) {
+            cancelPopup(inst);
+            return;
+        }
+        closeAllPopups(inst);
+        const sel = getSelectionIn(inst.editorEl);
+        sel.removeAllRanges();
+        sel.addRange(match.range.cloneRange());
+    }
+
+    /**
+     * Case-insensitive unless 'caseSensitive'. Whole words aren't preceded or followed
+     * by a letter, digit or underscore (in any script, unlike \b).
+     */
+    function buildFindRegExp(state) {
+        let source = state.regex ? state.query : escapeRegExp(state.query);
+        if (state.wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        return new RegExp(source, 'gu' + (state.caseSensitive ? '' : 'i'));
+    }
+
+    /**
+     * Text nodes of the content grouped by line: matches never span two blocks, cells
+     * or line breaks. Text in non-editable tokens (mentions, uploads) is skipped.
+     */
+    function getFindGroups(inst) {
+        const blockSelector = MD_BLOCK_TAGS.concat(['TD', 'TH', 'FIGCAPTION']).join(', ');
+        const walker = document.createTreeWalker(inst.editorEl, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        const groups = [];
+        let group = null;
+        let block = null;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.tagName === 'BR' || node.tagName === 'IMG') group = null;
+                continue;
+            }
+            if (node.parentNode.closest('[contenteditable="false"]')) {
+                group = null;
+                continue;
+            }
+            const nodeBlock = node.parentNode.closest(blockSelector);
+            if (!group || nodeBlock !== block) {
+                groups.push(group = { nodes: [], text: '' });
+                block = nodeBlock;
+            }
+            group.nodes.push(node);
+            group.text += node.data;
+        }
+        return groups;
+    }
+
+    /**
+     * Matches in document order: { nodes, start, end, result, range }, where 'start' and
+     * 'end' are offsets in the text of 'nodes' and 'result' is the RegExp exec() result.
+     */
+    function findMatches(inst, re, limit = Infinity) {
+        const matches = [];
+        getFindGroups(inst).forEach(group => {
+            re.lastIndex = 0;
+            let result;
+            while (matches.length < limit && (result = re.exec(group.text))) {
+                if (!result[0]) {
+                    re.lastIndex += group.text.codePointAt(re.lastIndex) > 0xFFFF ? 2 : 1; // Skip empty matches
+                    continue;
+                }
+                const match = { nodes: group.nodes, start: result.index, end: result.index + result[0].length, result: result };
+                const segments = getMatchSegments(match);
+                const first = segments[0];
+                const last = segments[segments.length - 1];
+                match.range = document.createRange();
+                match.range.setStart(first.node, first.from);
+                match.range.setEnd(last.node, last.to);
+                matches.push(match);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * The part of each text node a match covers: [{ node, from, to }].
+     */
+    function getMatchSegments(match) {
+        const segments = [];
+        let pos = 0;
+        match.nodes.forEach(node => {
+            const from = Math.max(match.start - pos, 0);
+            const to = Math.min(match.end - pos, node.length);
+            if (from < to) segments.push({ node: node, from: from, to: to });
+            pos += node.length;
+        });
+        return segments;
+    }
+
+    /**
+     * Searches again (query, options or content changed). The current match is the
+     * first one after the anchor (the caret, or the last match visited or replaced).
+     */
+    function updateFindMatches(inst) {
+        const state = inst.findState;
+        const labels = inst.labels.popups.find;
+        let re = null;
+        try {
+            re = state.query ? buildFindRegExp(state) : null;
+            showPopupError(inst, null, null);
+        } catch (e) {
+            showPopupError(inst, labels.invalidRegex, inst.popupEl.querySelector('#ichik-inp-find'));
+        }
+        clearFindHighlights(inst);
+        state.matches = re ? findMatches(inst, re, FIND_MATCH_LIMIT + 1) : [];
+        state.capped = state.matches.length > FIND_MATCH_LIMIT; // Counted as '1000+'
+        if (state.capped) state.matches.pop();
+        const anchor = state.anchor && inst.editorEl.contains(state.anchor.startContainer) ? state.anchor : null;
+        state.index = state.matches.findIndex(match => !anchor || match.range.compareBoundaryPoints(Range.START_TO_START, anchor) >= 0);
+        if (state.index < 0 && state.matches.length) state.index = 0; // Wrap around
+        renderFindMatches(inst);
+    }
+
+    function stepFindMatch(inst, direction) {
+        const state = inst.findState;
+        if (!state.matches.length) return;
+        state.index = (state.index + direction + state.matches.length) % state.matches.length;
+        state.anchor = state.matches[state.index].range.cloneRange();
+        state.anchor.collapse(true);
+        renderFindMatches(inst);
+    }
+
+    /**
+     * Updates the count and the buttons, scrolls to the current match and marks every
+     * match (the current one apart) without touching the content: as CSS Custom Highlights
+     * (shared by every instance) where the browser has the API, or else as boxes in an
+     * overlay layer (see renderFindOverlay).
+     */
+    function renderFindMatches(inst) {
+        const state = inst.findState;
+        const labels = inst.labels.popups.find;
+        const current = state.matches[state.index];
+        const countEl = inst.popupEl.querySelector('.ichik-find-count');
+        if (countEl) {
+            const total = state.capped ? FIND_MATCH_LIMIT + '+' : state.matches.length;
+            countEl.textContent = !state.query ? ''
+                : current ? labels.count.replace('{current}', state.index + 1).replace('{total}', total)
+                    : labels.noResults;
+        }
+        inst.popupEl.querySelectorAll('#ichik-btn-prev, #ichik-btn-next, #ichik-btn-replace, #ichik-btn-replace-all')
+            .forEach(btn => btn.disabled = !current);
+
+        clearFindHighlights(inst);
+        if (hasHighlightApi()) {
+            const all = getSharedHighlight(FIND_HIGHLIGHT, 0);
+            const active = getSharedHighlight(FIND_HIGHLIGHT_CURRENT, 1);
+            state.matches.forEach(match => (match === current ? active : all).add(match.range));
+            state.highlighted = state.matches.map(match => match.range);
+        }
+        if (current) {
+            const target = current.range.startContainer.parentNode;
+            if (target.scrollIntoView) target.scrollIntoView({ block: 'nearest' });
+        }
+        if (!hasHighlightApi()) renderFindOverlay(inst);
+    }
+
+    function hasHighlightApi() {
+        return !!(window.CSS && CSS.highlights && typeof window.Highlight === 'function');
+    }
+
+    /**
+     * Matches as boxes over the content, for browsers without the Highlight API. Only
+     * the ones in view are drawn, so it's redrawn when the editor scrolls.
+     */
+    function renderFindOverlay(inst) {
+        const state = inst.findState;
+        if (!inst.findLayerEl) {
+            inst.findLayerEl = document.createElement('div');
+            inst.findLayerEl.className = 'ichik-find-layer';
+            inst.findLayerEl.setAttribute('aria-hidden', 'true');
+            inst.container.appendChild(inst.findLayerEl);
+        }
+        inst.findLayerEl.replaceChildren();
+        if (inst.openPopup !== 'find') return;
+        const box = inst.container.getBoundingClientRect();
+        const view = inst.editorEl.getBoundingClientRect();
+        state.matches.forEach((match, index) => {
+            Array.from(match.range.getClientRects()).forEach(rect => {
+                if (!rect.width || rect.bottom < view.top || rect.top > view.bottom) return;
+                const el = document.createElement('div');
+                el.className = index === state.index ? 'ichik-find-box ichik-find-box-current' : 'ichik-find-box';
+                el.style.left = (rect.left - box.left) + 'px';
+                el.style.top = (rect.top - box.top) + 'px';
+                el.style.width = rect.width + 'px';
+                el.style.height = rect.height + 'px';
+                inst.findLayerEl.appendChild(el);
+            });
+        });
+    }
+
+    function getSharedHighlight(name, priority) {
+        let highlight = CSS.highlights.get(name);
+        if (!highlight) {
+            highlight = new window.Highlight();
+            highlight.priority = priority;
+            CSS.highlights.set(name, highlight);
+        }
+        return highlight;
+    }
+
+    function clearFindHighlights(inst) {
+        const state = inst.findState;
+        if (inst.findLayerEl) inst.findLayerEl.replaceChildren();
+        if (!state.highlighted.length) return;
+        [FIND_HIGHLIGHT, FIND_HIGHLIGHT_CURRENT].forEach(name => {
+            const highlight = CSS.highlights.get(name);
+            if (highlight) state.highlighted.forEach(range => highlight.delete(range));
+        });
+        state.highlighted = [];
+    }
+
+    /**
+     * Replacement for a match. In regex mode, $1, $<name>, $& and $$ work as in String.replace().
+     */
+    function getFindReplacement(state, match) {
+        if (!state.regex) return state.replacement;
+        const result = match.result;
+        return state.replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+            if (ref === '$') return '$';
+            if (ref === '&') return result[0];
+            if (name !== undefined) return result.groups && result.groups[name] !== undefined ? result.groups[name] : '';
+            return Number(ref) > 0 && Number(ref) < result.length ? result[Number(ref)] || '' : token;
+        });
+    }
+
+    /**
+     * Replaces a match's text. The replacement goes into the first text node of the
+     * match, so it keeps that formatting (a match starting in bold stays bold).
+     * Returns a collapsed range right after the new text.
+     */
+    function replaceMatchText(inst, match, text) {
+        const segments = getMatchSegments(match);
+        segments.forEach((segment, i) => segment.node.replaceData(segment.from, segment.to - segment.from, i === 0 ? text : ''));
+
+        const first = segments[0];
+        const after = document.createRange();
+        after.setStart(first.node, first.from + text.length);
+        segments.forEach((segment, i) => {
+            if (segment.node.length) return;
+            if (i === 0) after.setStartBefore(segment.node);
+            removeEmptyInline(inst, segment.node);
+        });
+        return after;
+    }
+
+    /**
+     * Removes an empty text node, and the inline elements (bold, links...) left empty.
+     */
+    function removeEmptyInline(inst, node) {
+        let parent = node.parentNode;
+        node.remove();
+        while (parent && parent !== inst.editorEl && !parent.firstChild && !isMdBlock(parent) && !/^(TD|TH|FIGCAPTION)$/.test(parent.tagName)) {
+            const next = parent.parentNode;
+            parent.remove();
+            parent = next;
+        }
+    }
+
+    /**
+     * Replaces the current match (one undo step) and moves to the next one.
+     */
+    function replaceFindMatch(inst) {
+        const state = inst.findState;
+        const match = state.matches[state.index];
+        if (!match) return;
+        recordChange(inst, () => state.anchor = replaceMatchText(inst, match, getFindReplacement(state, match)));
+        updateFindMatches(inst);
+    }
+
+    /**
+     * Replaces every match as one undo step, including the ones past FIND_MATCH_LIMIT.
+     * Matches are replaced from the last one, so the offsets of the others stay valid.
+     */
+    function replaceAllFindMatches(inst) {
+        const state = inst.findState;
+        if (!state.matches.length) return;
+        const matches = state.capped ? findMatches(inst, buildFindRegExp(state)) : state.matches.slice();
+        recordChange(inst, () => matches.reverse().forEach(match => replaceMatchText(inst, match, getFindReplacement(state, match))));
+        state.anchor = null;
+        updateFindMatches(inst);
+        const countEl = inst.popupEl.querySelector('.ichik-find-count');
+        countEl.textContent = inst.labels.popups.find.replaced.replace('{count}', matches.length);
+    }
+
+    // --- LINK BUBBLE ---
+
+    /**
+     * Bubble shown below the link at the caret: its URL, Edit, Open in new tab and Unlink.
+     */
+    function createLinkBubble(inst) {
+        const labels = inst.labels.linkBubble;
+        inst.linkBubbleEl = document.createElement('div');
+        inst.linkBubbleEl.className = 'ichik-link-bubble';
+        inst.linkBubbleEl.setAttribute('role', 'toolbar');
+        inst.linkBubbleEl.setAttribute('aria-label', inst.labels.aria.linkBubble);
+        inst.linkBubbleEl.style.display = 'none';
+        inst.linkBubbleEl.innerHTML = `
+            <span class="ichik-link-bubble-url"></span>
+            <button type="button" data-action="edit">${labels.edit}</button>
+            <button type="button" data-action="open">${labels.open}</button>
+            <button type="button" data-action="unlink">${labels.unlink}</button>
+        `;
+
+        // Keep the caret in the link while clicking
+        inst.linkBubbleEl.addEventListener('mousedown', (e) => e.preventDefault());
+        inst.linkBubbleEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const btn = e.target.closest('button');
+            if (btn) runLinkAction(inst, btn.dataset.action);
+        });
+        inst.linkBubbleEl.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            dismissLinkBubble(inst);
+            inst.editorEl.focus();
+        });
+        attachFloating(inst, inst.linkBubbleEl);
+    }
+
+    /**
+     * Shows the bubble for the link at the caret, or hides it. A bubble dismissed with
+     * Escape stays hidden until the caret leaves that link.
+     */
+    function updateLinkBubble(inst) {
+        const link = isEditable(inst) ? getLinkAtCursor(inst) : null;
+        if (!link) inst.linkBubbleDismissed = null;
+        if (!link || link === inst.linkBubbleDismissed || inst.openPopup || inst.linkBubbleEl.contains(getActiveElementIn(inst.linkBubbleEl))) {
+            if (!link) hideLinkBubble(inst);
+            return;
+        }
+        const href = link.getAttribute('href') || '';
+        const urlEl = inst.linkBubbleEl.querySelector('.ichik-link-bubble-url');
+        urlEl.textContent = href;
+        urlEl.title = href;
+        inst.linkBubbleLink = link;
+        inst.tooltipEl.style.display = 'none';
+        smartPosition(link, inst.linkBubbleEl, 'flex');
+    }
+
+    function hideLinkBubble(inst) {
+        if (!inst.linkBubbleEl) return;
+        inst.linkBubbleEl.style.display = 'none';
+        inst.linkBubbleLink = null;
+    }
+
+    /**
+     * Escape: hidden until the caret leaves the link or it is clicked again.
+     */
+    function dismissLinkBubble(inst) {
+        inst.linkBubbleDismissed = inst.linkBubbleLink;
+        hideLinkBubble(inst);
+    }
+
+    function runLinkAction(inst, action) {
+        const link = inst.linkBubbleLink;
+        if (!link || !inst.editorEl.contains(link)) return;
+        if (action === 'edit') {
+            hideLinkBubble(inst);
+            openFormPopup(inst, 'link', link, link);
+        }
+        else if (action === 'open') {
+            window.open(link.href, '_blank', 'noopener,noreferrer');
+        }
+        else if (action === 'unlink') {
+            hideLinkBubble(inst);
+            inst.editorEl.focus();
+            recordChange(inst, () => unlinkNode(link));
+        }
+    }
+
+    // --- TOOLBAR EVENT HANDLING ---
+
+    function handleToolbarClick(inst, e, item, btn) {
+        e.preventDefault();
+
+        // Stop propagation so the global document click listener
+        // doesn't immediately close the popup we just opened.
+        if (item.popup) e.stopPropagation();
+
+        setRovingFocus(inst.toolbarEl, btn);
+        execToolbarItem(inst, item, btn);
+    }
+
+    /**
+     * Runs a toolbar item. 'btn' is the element popups are positioned against.
+     */
+    function execToolbarItem(inst, item, btn) {
+        if (item.custom) {
+            const command = inst.commands[item.cmd];
+            inst.editorEl.focus();
+            recordChange(inst, () => command.exec(inst, btn));
+            updateToolbarState(inst);
+        }
+        else if (item.cmd === 'createLink') {
+            if (inst.popupEl.style.display === 'flex') closeAllPopups(inst);
+            else {
+                const linkNode = getLinkAtCursor(inst);
+                openFormPopup(inst, 'link', btn, linkNode);
+            }
+        }
+        else if (item.cmd === 'customInsertImage') {
+            if (inst.popupEl.style.display === 'flex') closeAllPopups(inst);
+            else {
+                const imgNode = getImageAtCursor(inst);
+                openFormPopup(inst, 'image', btn, imgNode);
+            }
+        }
+        else if (item.cmd === 'findReplace') {
+            if (inst.openPopup === 'find') closeAllPopups(inst);
+            else openFindPopup(inst, btn);
+        }
+        else if (item.cmd === 'toggleEmoji') {
+            if (inst.openPopup === 'emoji') {
+                closeAllPopups(inst);
+            } else {
+                const returnFocus = getActiveElementIn(inst.container);
+                closeAllPopups(inst);
+                saveSelection(inst);
+                inst.popupReturnFocus = returnFocus;
+                openEmojiPicker(inst, btn);
+            }
+        }
+        else if (item.cmd === 'insertTable') {
+            if (inst.openPopup === 'table') {
+                closeAllPopups(inst);
+            } else if (getCellAtCursor(inst)) {
+                // Already inside a table: move to its menu (keyboard access)
+                focusTableMenu(inst);
+            } else {
+                const returnFocus = getActiveElementIn(inst.container);
+                closeAllPopups(inst);
+                saveSelection(inst);
+                inst.popupReturnFocus = returnFocus;
+                openTablePicker(inst, btn);
+            }
+        }
+        else if (item.cmd === 'inlineCode' || item.cmd === 'blockquote') {
+            inst.editorEl.focus();
+            recordChange(inst, () => {
+                if (item.cmd === 'inlineCode') toggleInlineCode(inst);
+                else applyBlockFormat(inst, 'BLOCKQUOTE');
+            });
+            updateToolbarState(inst);
+        }
+        else if (item.cmd === 'codeBlock') {
+            const pre = getAncestorAtCursor(inst, 'pre');
+            // Inside a code block: edit its language (or remove it)
+            if (pre) openFormPopup(inst, 'code', btn, pre);
+            else {
+                inst.editorEl.focus();
+                recordChange(inst, () => applyBlockFormat(inst, 'PRE'));
+                updateToolbarState(inst);
+            }
+        }
+        else if (item.cmd === 'insertUnorderedList' || item.cmd === 'insertOrderedList' || item.cmd === 'insertTaskList') {
+            inst.editorEl.focus();
+            recordChange(inst, () => applyList(inst, item.cmd));
+            updateToolbarState(inst);
+        }
+        else if (item.cmd === 'undo' || item.cmd === 'redo') {
+            stepHistory(inst, item.cmd === 'undo' ? -1 : 1);
+        }
+        else if (MODE_COMMANDS[item.cmd]) {
+            const mode = MODE_COMMANDS[item.cmd];
+            setEditorMode(inst, inst.mode === mode ? 'wysiwyg' : mode);
+        }
+        else if (item.cmd === 'removeFormat') {
+            inst.editorEl.focus();
+            recordChange(inst, () => {
+                document.execCommand('removeFormat', false, null);
+                applyBlockFormat(inst, 'P');
+                document.execCommand('unlink', false, null);
+            });
+            updateToolbarState(inst);
+        }
+        else {
+            inst.editorEl.focus();
+            recordChange(inst, () => document.execCommand(item.cmd, false, null));
+            updateToolbarState(inst);
+        }
+    }
+
+    /**
+     * Runs a command by name (keymap). Names are toolbar items, registered
+     * commands, or h1-h6/normal for headings. Returns false if unknown.
+     */
+    function runCommand(inst, name) {
+        const heading = { normal: 'P', h1: 'H1', h2: 'H2', h3: 'H3', h4: 'H4', h5: 'H5', h6: 'H6' }[name];
+        if (heading) {
+            recordChange(inst, () => applyBlockFormat(inst, heading));
+            return true;
+        }
+        const item = inst.commands[name] ? { type: 'button', name: name, cmd: name, custom: true } : TOOLBAR_ITEMS[name];
+        if (!item || item.type !== 'button') return false;
+
+        // Popups open next to the toolbar button, or next to the caret if it's hidden
+        const btn = inst.uiRefs.buttons.find(b => b.dataset.cmd === item.cmd);
+        execToolbarItem(inst, item, btn || getCaretAnchor(inst));
+        return true;
+    }
+
+    /**
+     * Returns something smartPosition() can anchor to: the caret range, or the editor.
+     */
+    function getCaretAnchor(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (sel.rangeCount > 0 && inst.editorEl.contains(sel.anchorNode)) {
+            const range = sel.getRangeAt(0).cloneRange();
+            const rect = range.getBoundingClientRect();
+            if (rect.width || rect.height) return range;
+        }
+        return inst.editorEl;
+    }
+
+    // --- EMOJI PICKER ---
+
+    /**
+     * Builds the emoji categories from the 'emojis' option:
+     * 'categories' replaces the built-in set, 'extraCategories' is appended to it.
+     * Emojis can be tuples ([emoji, name, keywords, skinTone]) or objects ({ char, name, keywords, skinTone }).
+     */
+    function buildEmojiCategories(options = {}) {
+        const categories = (options.categories || EMOJI_CATEGORIES).concat(options.extraCategories || []);
+        return categories.map(cat => ({
+            id: cat.id,
+            icon: cat.icon || '',
+            label: cat.label,
+            emojis: cat.emojis.map(e => Array.isArray(e)
+                ? { char: e[0], name: e[1] || '', keywords: e[2] || '', skinTone: !!e[3] }
+                : { char: e.char, name: e.name || '', keywords: e.keywords || '', skinTone: !!e.skinTone })
+        }));
+    }
+
+    function readStorage(key, fallback) {
+        try {
+            const value = JSON.parse(window.localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (e) {
+            return fallback; // Storage disabled (private mode, sandboxed iframe...)
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) { } // Storage disabled or full: recents and the skin tone are kept for this page only
+    }
+
+    function applySkinTone(emoji, tone) {
+        if (!emoji.skinTone || !tone) return emoji.char;
+        return emoji.char.replace(/\uFE0F/g, '') + tone; // Drop the emoji variation selector
+    }
+
+    /**
+     * Finds emojis whose name, keywords or translated keywords (labels.emojis.keywords) match.
+     */
+    function searchEmojis(inst, query) {
+        const q = query.toLowerCase().replace(/_/g, ' ').trim();
+        const results = [];
+        inst.emojiCategories.forEach(cat => cat.emojis.forEach(emoji => {
+            const extra = inst.labels.emojis.keywords[emoji.name] || '';
+            const haystack = `${emoji.name} ${emoji.keywords} ${extra}`.toLowerCase().replace(/_/g, ' ');
+            if (haystack.includes(q) && !results.includes(emoji)) results.push(emoji);
+        }));
+        // Names starting with the query first
+        return results.sort((a, b) => (b.name.startsWith(q) ? 1 : 0) - (a.name.startsWith(q) ? 1 : 0));
+    }
+
+    function findEmojiByName(inst, name) {
+        let found = null;
+        inst.emojiCategories.some(cat => (found = cat.emojis.find(e => e.name === name)));
+        return found;
+    }
+
+    function createEmojiPicker(inst) {
+        const labels = inst.labels.emojis;
+        inst.emojiPickerEl = document.createElement('div');
+        inst.emojiPickerEl.className = 'ichik-emoji-picker';
+
+        inst.emojiPickerEl.style.display = 'none';
+
+        inst.emojiPickerEl.setAttribute('role', 'dialog');
+        inst.emojiPickerEl.setAttribute('aria-label', inst.labels.aria.emojiPicker);
+
+        inst.emojiPickerEl.innerHTML = `
+            <input type="text" class="ichik-emoji-search" placeholder="${labels.search}" aria-label="${labels.search}">
+            <div class="ichik-emoji-tabs" role="tablist"></div>
+            <div class="ichik-emoji-recent" aria-label="${labels.recent}"></div>
+            <div class="ichik-emoji-grid"></div>
+            <div class="ichik-emoji-tones" role="radiogroup" aria-label="${labels.skinTone}"></div>
+        `;
+
+        // Category Tabs
+        const tabs = inst.emojiPickerEl.querySelector('.ichik-emoji-tabs');
+        inst.emojiCategories.forEach(cat => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'ichik-emoji-tab';
+            tab.setAttribute('role', 'tab');
+            tab.textContent = cat.icon;
+            tab.title = cat.label || labels.categories[cat.id] || cat.id;
+            tab.setAttribute('aria-label', tab.title);
+            tab.onclick = () => {
+                inst.emojiState.category = cat.id;
+                renderEmojis(inst);
+            };
+            tab.dataset.category = cat.id;
+            tabs.appendChild(tab);
+        });
+
+        // Skin Tones
+        const tones = inst.emojiPickerEl.querySelector('.ichik-emoji-tones');
+        SKIN_TONES.forEach((tone, index) => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'ichik-emoji-tone';
+            swatch.setAttribute('role', 'radio');
+            swatch.textContent = '✋' + tone;
+            swatch.setAttribute('aria-label', `${labels.skinTone} ${index + 1}`);
+            swatch.onclick = () => {
+                inst.emojiState.tone = tone;
+                writeStorage(EMOJI_TONE_KEY, tone);
+                renderEmojis(inst);
+            };
+            swatch.dataset.tone = tone;
+            tones.appendChild(swatch);
+        });
+
+        const search = inst.emojiPickerEl.querySelector('.ichik-emoji-search');
+        search.addEventListener('input', () => {
+            inst.emojiState.query = search.value;
+            renderEmojis(inst);
+        });
+
+        inst.emojiPickerEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('.ichik-emoji-item');
+            if (item) insertEmoji(inst, item.dataset.char);
+        });
+        inst.emojiPickerEl.addEventListener('mousedown', (e) => {
+            // Inline autocomplete: keep the caret in the editor
+            if (inst.emojiInline) e.preventDefault();
+        });
+        inst.emojiPickerEl.addEventListener('keydown', (e) => handleEmojiKeydown(inst, e));
+
+        attachFloating(inst, inst.emojiPickerEl);
+    }
+
+    /**
+     * Renders the recent row and the grid: search results, or the selected category.
+     * In inline mode (:shortcode:) only the best matches are shown.
+     */
+    function renderEmojis(inst) {
+        const state = inst.emojiState;
+        const labels = inst.labels.emojis;
+        const grid = inst.emojiPickerEl.querySelector('.ichik-emoji-grid');
+        const recentRow = inst.emojiPickerEl.querySelector('.ichik-emoji-recent');
+        const query = inst.emojiInline ? inst.emojiInline.query : state.query.trim();
+
+        let emojis;
+        if (query) {
+            emojis = searchEmojis(inst, query);
+            if (inst.emojiInline) emojis = emojis.slice(0, EMOJI_COLUMNS * 2);
+        } else {
+            const category = inst.emojiCategories.find(c => c.id === state.category) || inst.emojiCategories[0];
+            emojis = category ? category.emojis : [];
+        }
+
+        const createItem = (char, name) => {
+            const span = document.createElement('span');
+            span.className = 'ichik-emoji-item';
+            span.textContent = char;
+            span.dataset.char = char;
+            span.setAttribute('role', 'button');
+            span.tabIndex = -1;
+            if (name) span.title = `:${name}:`;
+            return span;
+        };
+
+        grid.innerHTML = '';
+        emojis.forEach(emoji => grid.appendChild(createItem(applySkinTone(emoji, state.tone), emoji.name)));
+        if (!emojis.length) {
+            const empty = document.createElement('div');
+            empty.className = 'ichik-emoji-empty';
+            empty.textContent = labels.noResults;
+            grid.appendChild(empty);
+        }
+
+        recentRow.innerHTML = '';
+        const recent = readStorage(EMOJI_RECENT_KEY, []);
+        recentRow.style.display = !query && recent.length ? '' : 'none';
+        recent.slice(0, EMOJI_COLUMNS).forEach(char => recentRow.appendChild(createItem(char)));
+
+        inst.emojiPickerEl.querySelectorAll('.ichik-emoji-tab').forEach(tab => {
+            const isActive = !query && tab.dataset.category === (state.category || (inst.emojiCategories[0] || {}).id);
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', String(isActive));
+        });
+        inst.emojiPickerEl.querySelectorAll('.ichik-emoji-tone').forEach(swatch => {
+            const isActive = swatch.dataset.tone === state.tone;
+            swatch.classList.toggle('active', isActive);
+            swatch.setAttribute('aria-checked', String(isActive));
+        });
+
+        if (inst.emojiInline) highlightInlineEmoji(inst, 0);
+    }
+
+    function openEmojiPicker(inst, anchor) {
+        const search = inst.emojiPickerEl.querySelector('.ichik-emoji-search');
+        search.value = '';
+        inst.emojiState.query = '';
+        inst.emojiState.tone = readStorage(EMOJI_TONE_KEY, '');
+        renderEmojis(inst);
+        smartPosition(anchor, inst.emojiPickerEl, 'flex');
+        markPopupOpen(inst, 'emoji');
+        search.focus();
+    }
+
+    /**
+     * Inserts the emoji at the saved selection (or replaces the :shortcode: being typed)
+     * and moves it to the top of the recently used list.
+     */
+    function insertEmoji(inst, char) {
+        const inline = inst.emojiInline;
+        if (inline) {
+            const range = document.createRange();
+            range.setStart(inline.node, inline.start);
+            range.setEnd(inline.node, inline.end);
+            const sel = getSelectionIn(inst.editorEl);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        } else {
+            restoreSelection(inst);
+        }
+        recordChange(inst, () => document.execCommand('insertText', false, char));
+
+        const recent = readStorage(EMOJI_RECENT_KEY, []).filter(c => c !== char);
+        recent.unshift(char);
+        writeStorage(EMOJI_RECENT_KEY, recent.slice(0, EMOJI_RECENT_LIMIT));
+
+        if (inline) closeEmojiInline(inst);
+        else closeAllPopups(inst);
+    }
+
+    /**
+     * Emoji picker keyboard support: arrows move through the rows (recent row + grid),
+     * Enter/Space insert, Escape closes and Tab stays inside the picker.
+     */
+    function handleEmojiKeydown(inst, e) {
+        const search = inst.emojiPickerEl.querySelector('.ichik-emoji-search');
+        const rows = getEmojiRows(inst);
+        const flat = [].concat(...rows);
+        const index = flat.indexOf(getActiveElementIn(inst.emojiPickerEl));
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            cancelPopup(inst);
+        }
+        else if (e.target === search) {
+            if (e.key === 'ArrowDown' && flat.length) {
+                e.preventDefault();
+                focusEmojiItem(inst, rows[0][0]);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const first = inst.emojiPickerEl.querySelector('.ichik-emoji-grid .ichik-emoji-item');
+                if (first) insertEmoji(inst, first.dataset.char);
+            }
+        }
+        else if (index !== -1 && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            insertEmoji(inst, flat[index].dataset.char);
+        }
+        else if (index !== -1 && ['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) {
+            e.preventDefault();
+            const row = rows.findIndex(r => r.includes(flat[index]));
+            const col = rows[row].indexOf(flat[index]);
+            let target = null;
+            if (e.key === 'ArrowRight') target = flat[index + 1];
+            else if (e.key === 'ArrowLeft') target = flat[index - 1];
+            else if (e.key === 'ArrowDown' && rows[row + 1]) target = rows[row + 1][Math.min(col, rows[row + 1].length - 1)];
+            else if (e.key === 'ArrowUp') target = row > 0 ? rows[row - 1][Math.min(col, rows[row - 1].length - 1)] : search;
+            else if (e.key === 'Home') target = flat[0];
+            else if (e.key === 'End') target = flat[flat.length - 1];
+            if (target === search) search.focus();
+            else if (target) focusEmojiItem(inst, target);
+        }
+        else if (e.key === 'Tab') {
+            trapFocus(inst.emojiPickerEl, e);
+        }
+    }
+
+    /**
+     * Splits the visible items into rows of EMOJI_COLUMNS (recent row first).
+     */
+    function getEmojiRows(inst) {
+        const rows = [];
+        inst.emojiPickerEl.querySelectorAll('.ichik-emoji-recent, .ichik-emoji-grid').forEach(container => {
+            if (container.style.display === 'none') return;
+            const items = Array.from(container.querySelectorAll('.ichik-emoji-item'));
+            for (let i = 0; i < items.length; i += EMOJI_COLUMNS) rows.push(items.slice(i, i + EMOJI_COLUMNS));
+        });
+        return rows;
+    }
+
+    function focusEmojiItem(inst, item) {
+        inst.emojiPickerEl.querySelectorAll('.ichik-emoji-item').forEach(i => i.tabIndex = i === item ? 0 : -1);
+        item.focus();
+    }
+
+    // --- EMOJI :SHORTCODE: AUTOCOMPLETE ---
+
+    /**
+     * Called on input. Detects ':query' before the caret and opens the picker inline.
+     * A complete ':name:' is replaced right away.
+     */
+    function checkEmojiShortcode(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || !sel.isCollapsed || sel.anchorNode.nodeType !== Node.TEXT_NODE || !inst.editorEl.contains(sel.anchorNode)) {
+            closeEmojiInline(inst);
+            return;
+        }
+        const node = sel.anchorNode;
+        const before = node.textContent.slice(0, sel.anchorOffset);
+
+        const complete = before.match(/(^|\s):([a-z0-9_+\-]+):$/i);
+        const emoji = complete && findEmojiByName(inst, complete[2].toLowerCase());
+        if (emoji) {
+            const start = sel.anchorOffset - complete[2].length - 2;
+            inst.emojiInline = { node: node, start: start, end: sel.anchorOffset, query: complete[2] };
+            insertEmoji(inst, applySkinTone(emoji, readStorage(EMOJI_TONE_KEY, '')));
+            return;
+        }
+
+        const partial = before.match(/(^|\s):([a-z0-9_+\-]{2,})$/i);
+        if (!partial) {
+            closeEmojiInline(inst);
+            return;
+        }
+        inst.emojiInline = { node: node, start: sel.anchorOffset - partial[2].length - 1, end: sel.anchorOffset, query: partial[2] };
+        inst.emojiState.tone = readStorage(EMOJI_TONE_KEY, '');
+        inst.emojiPickerEl.classList.add('ichik-emoji-inline');
+        renderEmojis(inst);
+        if (!inst.emojiPickerEl.querySelector('.ichik-emoji-item')) {
+            closeEmojiInline(inst);
+            return;
+        }
+        smartPosition(getCaretAnchor(inst), inst.emojiPickerEl, 'flex');
+    }
+
+    function closeEmojiInline(inst) {
+        if (!inst.emojiInline) return;
+        inst.emojiInline = null;
+        inst.emojiPickerEl.classList.remove('ichik-emoji-inline');
+        inst.emojiPickerEl.style.display = 'none';
+    }
+
+    function highlightInlineEmoji(inst, index) {
+        const items = Array.from(inst.emojiPickerEl.querySelectorAll('.ichik-emoji-grid .ichik-emoji-item'));
+        if (!items.length) return;
+        inst.emojiInline.index = (index + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('selected', i === inst.emojiInline.index));
+    }
+
+    /**
+     * Editor keydown while the inline autocomplete is open. Returns true if handled.
+     */
+    function handleEmojiInlineKeydown(inst, e) {
+        if (!inst.emojiInline) return false;
+        const moves = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: EMOJI_COLUMNS, ArrowUp: -EMOJI_COLUMNS };
+        if (e.key in moves) {
+            highlightInlineEmoji(inst, inst.emojiInline.index + moves[e.key]);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            const items = inst.emojiPickerEl.querySelectorAll('.ichik-emoji-grid .ichik-emoji-item');
+            insertEmoji(inst, items[inst.emojiInline.index].dataset.char);
+        } else if (e.key === 'Escape') {
+            closeEmojiInline(inst);
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    // --- MENTIONS & HASHTAGS ---
+
+    /**
+     * Normalizes the 'mentions' option: { '@': { source: async (query) => items, markdown: '...' } }.
+     */
+    function buildMentionConfig(options = {}) {
+        const config = {};
+        Object.keys(options).forEach(trigger => {
+            const entry = options[trigger] || {};
+            if (!MENTION_TRIGGER_RE.test(trigger) || typeof entry.source !== 'function') {
+                throw new Error(`IchikEditor: Mention trigger "${trigger}" must be one symbol with a source() function`);
+            }
+            config[trigger] = {
+                source: entry.source,
+                markdown: entry.markdown || MENTION_MD_FORMAT,
+                minChars: entry.minChars || 0
+            };
+        });
+        return config;
+    }
+
+    function createMentionList(inst) {
+        inst.mentionEl = document.createElement('div');
+        inst.mentionEl.className = 'ichik-mentions';
+        inst.mentionEl.setAttribute('role', 'listbox');
+        inst.mentionEl.setAttribute('aria-label', inst.labels.aria.mentions);
+        inst.mentionEl.style.display = 'none';
+
+        // Keep the caret in the editor
+        inst.mentionEl.addEventListener('mousedown', (e) => e.preventDefault());
+        inst.mentionEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const option = e.target.closest('.ichik-mention-item');
+            if (option) insertMention(inst, +option.dataset.index);
+        });
+        attachFloating(inst, inst.mentionEl);
+    }
+
+    /**
+     * Called on input. Detects a trigger followed by a query before the caret
+     * ('@an', '#top') and asks the trigger's source() for suggestions.
+     */
+    function checkMentionTrigger(inst) {
+        const triggers = Object.keys(inst.mentions);
+        const sel = getSelectionIn(inst.editorEl);
+        if (!triggers.length) return;
+        if (!sel.rangeCount || !sel.isCollapsed || sel.anchorNode.nodeType !== Node.TEXT_NODE ||
+            !inst.editorEl.contains(sel.anchorNode) || sel.anchorNode.parentNode.closest('pre, code, a, .ichik-mention')) {
+            closeMentions(inst);
+            return;
+        }
+        const node = sel.anchorNode;
+        const before = node.textContent.slice(0, sel.anchorOffset);
+        const escaped = triggers.map(t => t.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')).join('');
+        const match = before.match(new RegExp(`(^|\\s)([${escaped}])([^\\s${escaped}]{0,40})$`));
+        const config = match && inst.mentions[match[2]];
+        if (!config || match[3].length < config.minChars) {
+            closeMentions(inst);
+            return;
+        }
+
+        const state = {
+            trigger: match[2],
+            query: match[3],
+            node: node,
+            start: sel.anchorOffset - match[3].length - 1,
+            end: sel.anchorOffset,
+            items: inst.mentionState ? inst.mentionState.items : [],
+            index: 0
+        };
+        inst.mentionState = state;
+        const request = ++inst.mentionRequest;
+        Promise.resolve()
+            .then(() => config.source(state.query))
+            .then(items => {
+                // Stale: the query changed, the list was closed or the editor destroyed
+                if (request !== inst.mentionRequest || inst.mentionState !== state) return;
+                state.items = (Array.isArray(items) ? items : []).map(item => typeof item === 'object' && item
+                    ? { id: item.id, label: item.label !== undefined ? item.label : item.id }
+                    : { id: item, label: item })
+                    .filter(item => item.id !== undefined && item.id !== null && String(item.label).trim())
+                    .slice(0, MENTION_LIMIT);
+                renderMentions(inst);
+            })
+            .catch(() => {
+                if (request === inst.mentionRequest) closeMentions(inst);
+            });
+    }
+
+    function renderMentions(inst) {
+        const state = inst.mentionState;
+        inst.mentionEl.innerHTML = '';
+        state.items.forEach((item, index) => {
+            const option = document.createElement('div');
+            option.className = 'ichik-mention-item';
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+            option.textContent = state.trigger + item.label;
+            inst.mentionEl.appendChild(option);
+        });
+        if (!state.items.length) {
+            const empty = document.createElement('div');
+            empty.className = 'ichik-mention-empty';
+            empty.textContent = inst.labels.mentions.noResults;
+            inst.mentionEl.appendChild(empty);
+        }
+        highlightMention(inst, 0);
+        smartPosition(getCaretAnchor(inst), inst.mentionEl, 'block');
+    }
+
+    function highlightMention(inst, index) {
+        const state = inst.mentionState;
+        const options = Array.from(inst.mentionEl.querySelectorAll('.ichik-mention-item'));
+        if (!options.length) return;
+        state.index = (index + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.classList.toggle('selected', i === state.index);
+            option.setAttribute('aria-selected', String(i === state.index));
+        });
+    }
+
+    function closeMentions(inst) {
+        inst.mentionRequest++; // Pending source() results are ignored
+        if (!inst.mentionState) return;
+        inst.mentionState = null;
+        inst.mentionEl.style.display = 'none';
+    }
+
+    /**
+     * Replaces the trigger and query with the token (plus a space to keep typing).
+     */
+    function insertMention(inst, index) {
+        const state = inst.mentionState;
+        const item = state && state.items[index];
+        if (!item) return;
+        const token = createMentionToken(state.trigger, item.id, item.label);
+        closeMentions(inst);
+        if (!token || !inst.editorEl.contains(state.node)) return;
+
+        recordChange(inst, () => {
+            const range = document.createRange();
+            range.setStart(state.node, Math.min(state.start, state.node.length));
+            range.setEnd(state.node, Math.min(state.end, state.node.length));
+            range.deleteContents();
+            const space = document.createTextNode('\u00a0'); // A trailing normal space would collapse
+            range.insertNode(space);
+            range.insertNode(token);
+            const caret = document.createRange();
+            caret.setStart(space, 1);
+            caret.collapse(true);
+            const sel = getSelectionIn(inst.editorEl);
+            sel.removeAllRanges();
+            sel.addRange(caret);
+        });
+    }
+
+    /**
+     * Editor keydown while the suggestions are open. Returns true if handled.
+     */
+    function handleMentionKeydown(inst, e) {
+        const state = inst.mentionState;
+        if (!state) return false;
+        if (inst.mentionEl.style.display === 'none') {
+            // Suggestions still loading
+            if (e.key === 'Escape') closeMentions(inst);
+            return false;
+        }
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            highlightMention(inst, state.index + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && state.items.length) {
+            insertMention(inst, state.index);
+        } else if (e.key === 'Escape') {
+            closeMentions(inst);
+        } else {
+            // Moving the caret away ends the query
+            if (/^(ArrowLeft|ArrowRight|Home|End|PageUp|PageDown)$/.test(e.key)) closeMentions(inst);
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    // --- TABLES ---
+
+    /**
+     * Table size picker: a grid of cells, hover (or arrow keys) to choose the size.
+     */
+    function createTablePicker(inst) {
+        inst.tablePickerEl = document.createElement('div');
+        inst.tablePickerEl.className = 'ichik-table-picker';
+        inst.tablePickerEl.setAttribute('role', 'dialog');
+        inst.tablePickerEl.setAttribute('aria-label', inst.labels.aria.table);
+        inst.tablePickerEl.style.display = 'none';
+
+        inst.tablePickerEl.innerHTML = `
+            <div class="ichik-table-grid" tabindex="0" role="group" aria-label="${inst.labels.aria.tableSize}"></div>
+            <div class="ichik-table-size" aria-live="polite"></div>
+        `;
+        const grid = inst.tablePickerEl.querySelector('.ichik-table-grid');
+        for (let row = 1; row <= TABLE_PICKER_SIZE; row++) {
+            for (let col = 1; col <= TABLE_PICKER_SIZE; col++) {
+                const cell = document.createElement('span');
+                cell.className = 'ichik-table-grid-cell';
+                cell.dataset.rows = row;
+                cell.dataset.cols = col;
+                grid.appendChild(cell);
+            }
+        }
+
+        grid.addEventListener('mouseover', (e) => {
+            const cell = e.target.closest('.ichik-table-grid-cell');
+            if (cell) highlightTableSize(inst, +cell.dataset.rows, +cell.dataset.cols);
+        });
+        inst.tablePickerEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const cell = e.target.closest('.ichik-table-grid-cell');
+            if (cell) insertTable(inst, +cell.dataset.rows, +cell.dataset.cols);
+        });
+        inst.tablePickerEl.addEventListener('keydown', (e) => {
+            const size = inst.tableSize;
+            const moves = { ArrowRight: [0, 1], ArrowLeft: [0, -1], ArrowDown: [1, 0], ArrowUp: [-1, 0] };
+            if (e.key in moves) {
+                const clamp = (n) => Math.min(Math.max(n, 1), TABLE_PICKER_SIZE);
+                highlightTableSize(inst, clamp(size.rows + moves[e.key][0]), clamp(size.cols + moves[e.key][1]));
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                insertTable(inst, size.rows, size.cols);
+            } else if (e.key === 'Escape') {
+                cancelPopup(inst);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        attachFloating(inst, inst.tablePickerEl);
+    }
+
+    function openTablePicker(inst, anchor) {
+        highlightTableSize(inst, 1, 1);
+        smartPosition(anchor, inst.tablePickerEl, 'flex');
+        markPopupOpen(inst, 'table');
+        inst.tablePickerEl.querySelector('.ichik-table-grid').focus();
+    }
+
+    function highlightTableSize(inst, rows, cols) {
+        inst.tableSize = { rows: rows, cols: cols };
+        inst.tablePickerEl.querySelectorAll('.ichik-table-grid-cell').forEach(cell => {
+            cell.classList.toggle('active', +cell.dataset.rows <= rows && +cell.dataset.cols <= cols);
+        });
+        inst.tablePickerEl.querySelector('.ichik-table-size').textContent =
+            inst.labels.table.size.replace('{rows}', rows).replace('{cols}', cols);
+    }
+
+    /**
+     * Inserts a table (the first row is the header) at the saved selection,
+     * followed by an empty paragraph so the caret can leave it.
+     */
+    function insertTable(inst, rows, cols) {
+        const cells = (tagName) => `<${tagName}><br></${tagName}>`.repeat(cols);
+        let html = `<table data-ichik-new="true"><thead><tr>${cells('th')}</tr></thead><tbody>`;
+        for (let i = 1; i < rows; i++) html += `<tr>${cells('td')}</tr>`;
+        html += '</tbody></table><p><br></p>';
+
+        closeAllPopups(inst);
+        restoreSelection(inst);
+        recordChange(inst, () => document.execCommand('insertHTML', false, html));
+
+        const table = inst.editorEl.querySelector('table[data-ichik-new]');
+        if (table) {
+            table.removeAttribute('data-ichik-new');
+            placeCaret(table.rows[0].cells[0]);
+            updateToolbarState(inst);
+        }
+    }
+
+    /**
+     * Contextual menu shown above the table while the caret is inside a cell.
+     */
+    function createTableMenu(inst) {
+        const labels = inst.labels.table;
+        inst.tableMenuEl = document.createElement('div');
+        inst.tableMenuEl.className = 'ichik-table-menu';
+        inst.tableMenuEl.setAttribute('role', 'toolbar');
+        inst.tableMenuEl.setAttribute('aria-label', inst.labels.aria.tableMenu);
+        inst.tableMenuEl.style.display = 'none';
+
+        const actions = [
+            ['rowAbove', 'rowBelow', 'deleteRow'],
+            ['colLeft', 'colRight', 'deleteCol'],
+            ['alignLeft', 'alignCenter', 'alignRight'],
+            ['toggleHeader', 'deleteTable']
+        ];
+        actions.forEach((group, index) => {
+            if (index > 0) {
+                const sep = document.createElement('span');
+                sep.className = 'ichik-table-menu-separator';
+                sep.setAttribute('role', 'separator');
+                inst.tableMenuEl.appendChild(sep);
+            }
+            group.forEach(action => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = labels[action];
+                btn.dataset.action = action;
+                if (action === 'toggleHeader' || action.startsWith('align')) btn.setAttribute('aria-pressed', 'false');
+                inst.tableMenuEl.appendChild(btn);
+            });
+        });
+
+        // Keep the caret in the cell while clicking
+        inst.tableMenuEl.addEventListener('mousedown', (e) => e.preventDefault());
+        inst.tableMenuEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const btn = e.target.closest('button');
+            if (btn) runTableAction(inst, btn.dataset.action);
+        });
+        inst.tableMenuEl.addEventListener('keydown', (e) => {
+            const buttons = Array.from(inst.tableMenuEl.querySelectorAll('button'));
+            let index = buttons.indexOf(getActiveElementIn(inst.tableMenuEl));
+            if (e.key === 'ArrowRight') index = (index + 1) % buttons.length;
+            else if (e.key === 'ArrowLeft') index = (index - 1 + buttons.length) % buttons.length;
+            else if (e.key === 'Escape') { restoreSelection(inst); return; }
+            else return;
+            e.preventDefault();
+            setRovingFocus(inst.tableMenuEl, buttons[index]);
+            buttons[index].focus();
+        });
+        inst.tableMenuEl.addEventListener('focusout', (e) => {
+            if (!inst.tableMenuEl.contains(e.relatedTarget) && e.relatedTarget !== inst.editorEl) {
+                inst.tableMenuEl.style.display = 'none';
+            }
+        });
+
+        attachFloating(inst, inst.tableMenuEl);
+    }
+
+    function focusTableMenu(inst) {
+        saveSelection(inst);
+        const first = inst.tableMenuEl.querySelector('button');
+        setRovingFocus(inst.tableMenuEl, first);
+        first.focus();
+    }
+
+    /**
+     * Shows the table menu (and its active states) if the caret is in a cell.
+     */
+    function updateTableMenu(inst) {
+        const cell = isEditable(inst) ? getCellAtCursor(inst) : null;
+        if (!cell) {
+            if (!inst.tableMenuEl.contains(getActiveElementIn(inst.tableMenuEl))) inst.tableMenuEl.style.display = 'none';
+            return;
+        }
+        const table = cell.closest('table');
+        const align = getColumnAlign(table, cell.cellIndex);
+        inst.tableMenuEl.querySelectorAll('button[aria-pressed]').forEach(btn => {
+            const action = btn.dataset.action;
+            const isActive = action === 'toggleHeader' ? isHeaderRow(table.rows[0]) : action === 'align' + align.charAt(0).toUpperCase() + align.slice(1);
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        if (!inst.tableMenuEl.contains(getActiveElementIn(inst.tableMenuEl))) {
+            setRovingFocus(inst.tableMenuEl, inst.tableMenuEl.querySelector('button'));
+        }
+        smartPosition(table, inst.tableMenuEl, 'flex', 'top');
+    }
+
+    function getCellAtCursor(inst) {
+        return getAncestorAtCursor(inst, 'td, th');
+    }
+
+    /**
+     * Puts the caret at the start of 'el' (or selects its whole content).
+     */
+    function placeCaret(el, selectContents = false) {
+        const range = document.createRange();
+        range.selectNodeContents(el);
+        if (!selectContents) range.collapse(true);
+        const sel = getSelectionIn(el);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    /**
+     * Runs a table menu action on the cell at the caret (or the saved selection).
+     */
+    function runTableAction(inst, action) {
+        if (!getCellAtCursor(inst)) restoreSelection(inst);
+        const cell = getCellAtCursor(inst);
+        if (!cell) return;
+
+        const table = cell.closest('table');
+        const row = cell.parentElement;
+        const col = cell.cellIndex;
+        let target = cell;
+
+        recordChange(inst, () => {
+            if (action === 'rowAbove' || action === 'rowBelow') {
+                target = addTableRow(table, row, action === 'rowBelow').cells[col];
+            }
+            else if (action === 'colLeft' || action === 'colRight') {
+                const index = action === 'colRight' ? col + 1 : col;
+                Array.from(table.rows).forEach(tr => {
+                    const newCell = createTableCell(tr.cells[0] ? tr.cells[0].tagName : 'TD');
+                    tr.insertBefore(newCell, tr.cells[index] || null);
+                });
+                target = row.cells[index];
+            }
+            else if (action === 'deleteRow') {
+                const rows = Array.from(table.rows);
+                const next = rows[rows.indexOf(row) + 1] || rows[rows.indexOf(row) - 1];
+                const section = row.parentElement;
+                row.remove();
+                if (!section.rows.length) section.remove();
+                target = next ? next.cells[Math.min(col, next.cells.length - 1)] : null;
+            }
+            else if (action === 'deleteCol') {
+                Array.from(table.rows).forEach(tr => { if (tr.cells[col]) tr.cells[col].remove(); });
+                target = row.cells[col] || row.cells[col - 1] || null;
+            }
+            else if (action === 'toggleHeader') {
+                toggleTableHeader(table);
+                target = table.rows[row.rowIndex >= 0 ? row.rowIndex : 0].cells[col];
+            }
+            else if (action.startsWith('align')) {
+                const align = action.slice(5).toLowerCase();
+                const isSame = getColumnAlign(table, col) === align;
+                Array.from(table.rows).forEach(tr => {
+                    const c = tr.cells[col];
+                    if (!c) return;
+                    c.style.textAlign = '';
+                    if (!c.getAttribute('style')) c.removeAttribute('style');
+                    if (isSame) c.removeAttribute('align');
+                    else c.setAttribute('align', align);
+                });
+            }
+            else if (action === 'deleteTable') {
+                target = null;
+            }
+
+            // Nothing left (or explicit delete): replace the table with a paragraph
+            if (!target || !table.rows.length || !table.rows[0].cells.length) {
+                const p = document.createElement('p');
+                p.appendChild(document.createElement('br'));
+                table.replaceWith(p);
+                placeCaret(p);
+                target = null;
+            } else {
+                placeCaret(target);
+            }
+        });
+        inst.editorEl.focus();
+        if (!target) inst.tableMenuEl.style.display = 'none';
+    }
+
+    function createTableCell(tagName, align) {
+        const cell = document.createElement(tagName.toLowerCase());
+        if (align) cell.setAttribute('align', align);
+        cell.appendChild(document.createElement('br'));
+        return cell;
+    }
+
+    /**
+     * Adds an empty body row before/after 'row'. Rows next to the header go to the top of the body.
+     */
+    function addTableRow(table, row, after) {
+        const tr = document.createElement('tr');
+        Array.from(table.rows[0].cells).forEach((c, i) => tr.appendChild(createTableCell('TD', getColumnAlign(table, i))));
+
+        if (row.parentElement.tagName === 'THEAD') {
+            let tbody = table.tBodies[0];
+            if (!tbody) tbody = table.appendChild(document.createElement('tbody'));
+            tbody.insertBefore(tr, tbody.firstChild);
+        } else {
+            row.parentElement.insertBefore(tr, after ? row.nextSibling : row);
+        }
+        return tr;
+    }
+
+    /**
+     * Turns the first row into a header (<thead>, <th>) or back into a body row.
+     */
+    function toggleTableHeader(table) {
+        const swapCells = (tr, tagName) => Array.from(tr.cells).forEach(c => {
+            const newCell = document.createElement(tagName);
+            if (c.getAttribute('align')) newCell.setAttribute('align', c.getAttribute('align'));
+            while (c.firstChild) newCell.appendChild(c.firstChild);
+            c.replaceWith(newCell);
+        });
+
+        let tbody = table.tBodies[0];
+        if (!tbody) tbody = table.appendChild(document.createElement('tbody'));
+        if (table.tHead || isHeaderRow(table.rows[0])) {
+            const rows = table.tHead ? Array.from(table.tHead.rows) : [table.rows[0]];
+            rows.reverse().forEach(tr => {
+                swapCells(tr, 'td');
+                tbody.insertBefore(tr, tbody.firstChild);
+            });
+            if (table.tHead) table.tHead.remove();
+        } else {
+            const thead = table.createTHead();
+            const first = tbody.rows[0];
+            swapCells(first, 'th');
+            thead.appendChild(first);
+        }
+    }
+
+    /**
+     * Tab / Shift+Tab move between cells. Tab in the last cell adds a row.
+     */
+    function handleTableKeydown(inst, e) {
+        if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return false;
+        const cell = getCellAtCursor(inst);
+        if (!cell) return false;
+        e.preventDefault();
+
+        const table = cell.closest('table');
+        const cells = Array.from(table.querySelectorAll('td, th')).filter(c => c.closest('table') === table);
+        const index = cells.indexOf(cell);
+        if (e.shiftKey) {
+            if (index > 0) placeCaret(cells[index - 1], true);
+        } else if (index < cells.length - 1) {
+            placeCaret(cells[index + 1], true);
+        } else {
+            recordChange(inst, () => placeCaret(addTableRow(table, cell.parentElement, true).cells[0]));
+        }
+        updateToolbarState(inst);
+        return true;
+    }
+
+    // --- BLOCK FORMATS (Quotes & Code) ---
+
+    /**
+     * formatBlock with toggling: applying BLOCKQUOTE or PRE again turns them back into
+     * paragraphs. Code blocks are always converted line by line (their text is verbatim).
+     */
+    function applyBlockFormat(inst, tag) {
+        const pre = getAncestorAtCursor(inst, 'pre');
+        const quote = getAncestorAtCursor(inst, 'blockquote');
+        if (pre) {
+            unwrapCodeBlock(pre);
+            if (tag === 'PRE') return;
+        }
+        if (tag === 'BLOCKQUOTE' && quote) {
+            unwrapBlockquote(quote);
+            return;
+        }
+        if (!pre || tag !== 'P') document.execCommand('formatBlock', false, tag === 'BLOCKQUOTE' ? '<blockquote>' : tag);
+        // Code is plain text: formatting applied before the conversion is dropped
+        if (tag === 'PRE') {
+            const newPre = getAncestorAtCursor(inst, 'pre');
+            if (newPre && newPre.querySelector('*:not(br)')) {
+                newPre.textContent = getCodeText(newPre);
+                const range = document.createRange();
+                range.selectNodeContents(newPre);
+                range.collapse(false);
+                const sel = getSelectionIn(inst.editorEl);
+                sel.removeAllRanges();
+                sel.addRange(range);
+            }
+        }
+    }
+
+    /**
+     * Replaces a code block with one paragraph per line, keeping the caret in the first one.
+     */
+    function unwrapCodeBlock(pre) {
+        const lines = getCodeText(pre).replace(/\n$/, '').split('\n');
+        const paragraphs = lines.map(line => {
+            const p = document.createElement('p');
+            if (line) p.textContent = line;
+            else p.appendChild(document.createElement('br'));
+            return p;
+        });
+        pre.replaceWith(...paragraphs);
+        const range = document.createRange();
+        range.selectNodeContents(paragraphs[0]);
+        range.collapse(false);
+        const sel = getSelectionIn(paragraphs[0]);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    function unwrapBlockquote(quote) {
+        // Loose text and inline nodes go into a paragraph
+        let p = null;
+        Array.from(quote.childNodes).forEach(node => {
+            const isBlock = node.nodeType === Node.ELEMENT_NODE && /^(P|DIV|H[1-6]|UL|OL|PRE|BLOCKQUOTE|TABLE|HR)$/.test(node.tagName);
+            if (isBlock) { p = null; return; }
+            if (!p) {
+                p = document.createElement('p');
+                quote.insertBefore(p, node);
+            }
+            p.appendChild(node);
+        });
+        const sel = getSelectionIn(quote);
+        const range = sel.rangeCount ? sel.getRangeAt(0).cloneRange() : null;
+        quote.replaceWith(...quote.childNodes);
+        if (range) {
+            sel.removeAllRanges();
+            sel.addRange(range);
+        }
+    }
+
+    /**
+     * Inline code toggle: wraps the selected text in <code>, or unwraps the code at the caret.
+     */
+    function toggleInlineCode(inst) {
+        const code = getAncestorAtCursor(inst, 'code');
+        if (code && !code.closest('pre')) {
+            const range = document.createRange();
+            range.selectNodeContents(code);
+            const first = code.firstChild;
+            const last = code.lastChild;
+            code.replaceWith(...code.childNodes);
+            if (first) {
+                range.setStartBefore(first);
+                range.setEndAfter(last);
+                const sel = getSelectionIn(inst.editorEl);
+                sel.removeAllRanges();
+                sel.addRange(range);
+            }
+            return;
+        }
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || sel.isCollapsed || getAncestorAtCursor(inst, 'pre')) return;
+        document.execCommand('insertHTML', false, `<code>${escapeHtml(sel.toString())}</code>`);
+    }
+
+    /**
+     * Enter inside a code block adds a line break. Enter on an empty last line leaves the block.
+     */
+    function handleCodeBlockKeydown(inst, e) {
+        if (e.key !== 'Enter' || e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return false;
+        const pre = getAncestorAtCursor(inst, 'pre');
+        if (!pre) return false;
+        e.preventDefault();
+
+        const sel = getSelectionIn(inst.editorEl);
+        const range = sel.getRangeAt(0);
+        const after = document.createRange();
+        after.selectNodeContents(pre);
+        after.setStart(range.endContainer, range.endOffset);
+        const before = document.createRange();
+        before.selectNodeContents(pre);
+        before.setEnd(range.startContainer, range.startOffset);
+        const textBefore = getCodeText(before.cloneContents());
+        const isEmptyLastLine = sel.isCollapsed && !getCodeText(after.cloneContents()).replace(/\n$/, '') &&
+            (textBefore.endsWith('\n') || !textBefore);
+
+        if (isEmptyLastLine && textBefore) {
+            recordChange(inst, () => {
+                // Drop the empty line and continue in a new paragraph
+                pre.textContent = getCodeText(pre).replace(/\n+$/, '');
+                const p = document.createElement('p');
+                p.appendChild(document.createElement('br'));
+                pre.after(p);
+                placeCaret(p);
+            });
+        } else {
+            recordChange(inst, () => document.execCommand('insertLineBreak', false, null));
+        }
+        updateToolbarState(inst);
+        return true;
+    }
+
+    // --- TASK LISTS ---
+
+    /**
+     * Turns a bullet list into a task list (new items start unchecked), or back.
+     */
+    function setTaskList(list, isTask) {
+        if (isTask) list.setAttribute('data-type', 'task');
+        else list.removeAttribute('data-type');
+        Array.from(list.children).forEach(li => {
+            if (li.tagName !== 'LI') return;
+            if (!isTask) li.removeAttribute('data-checked');
+            else if (!li.hasAttribute('data-checked')) li.setAttribute('data-checked', 'false');
+        });
+    }
+
+    /**
+     * The three list buttons switch between each other: 'ul' turns a task list into
+     * a bullet list, and 'taskList' turns any list into a task list (or removes it).
+     */
+    function applyList(inst, cmd) {
+        const list = getAncestorAtCursor(inst, 'ul, ol');
+        const wasTask = isTaskList(list);
+        if (wasTask) setTaskList(list, false);
+        if (cmd === 'insertTaskList') {
+            if (wasTask) {
+                document.execCommand('insertUnorderedList', false, null); // Toggle off
+                return;
+            }
+            if (!list || list.tagName !== 'UL') document.execCommand('insertUnorderedList', false, null);
+            const ul = getAncestorAtCursor(inst, 'ul');
+            if (ul) setTaskList(ul, true);
+        } else if (!(wasTask && cmd === 'insertUnorderedList')) {
+            document.execCommand(cmd, false, null);
+        }
+    }
+
+    function getTaskItemAtCursor(inst) {
+        const li = getAncestorAtCursor(inst, 'li');
+        return li && isTaskList(li.parentElement) ? li : null;
+    }
+
+    // Text of an item without its nested lists
+    function getTaskText(li) {
+        const copy = li.cloneNode(true);
+        copy.querySelectorAll('ul, ol').forEach(list => list.remove());
+        return copy.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Checks/unchecks an item (undoable) and fires 'taskToggle' with its text and
+     * its position among all the task items of the editor.
+     */
+    function toggleTaskItem(inst, li) {
+        const checked = li.getAttribute('data-checked') !== 'true';
+        recordChange(inst, () => li.setAttribute('data-checked', String(checked)));
+        const items = Array.from(inst.editorEl.querySelectorAll('ul[data-type="task"] > li'));
+        emit(inst, 'taskToggle', { item: li, text: getTaskText(li), checked: checked, index: items.indexOf(li) });
+    }
+
+    /**
+     * Clicks on the checkbox (the item's left padding, first line only) toggle it
+     * without moving the caret.
+     */
+    function handleTaskMousedown(inst, e) {
+        const li = e.target;
+        if (!isEditable(inst) || e.button !== 0 || li.tagName !== 'LI' || !isTaskList(li.parentElement)) return;
+        const rect = li.getBoundingClientRect();
+        const style = window.getComputedStyle(li);
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.6 || 24;
+        if (e.clientX - rect.left > (parseFloat(style.paddingLeft) || 0) || e.clientY - rect.top > lineHeight) return;
+        e.preventDefault();
+        toggleTaskItem(inst, li);
+    }
+
+    /**
+     * Enter in a task item: the new item starts unchecked (the browser would copy the
+     * state). Empty items are left to the browser, which ends the list.
+     * Mod+Enter toggles the current item.
+     */
+    function handleTaskListKeydown(inst, e) {
+        if (e.key !== 'Enter' || e.shiftKey || e.altKey) return false;
+        const li = getTaskItemAtCursor(inst);
+        if (!li) return false;
+        if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            toggleTaskItem(inst, li);
+            return true;
+        }
+        const hasContent = (node) => !!node.textContent.trim() || !!(node.querySelector && node.querySelector('img'));
+        if (!hasContent(li)) return false;
+        e.preventDefault();
+
+        recordChange(inst, () => {
+            const range = getSelectionIn(inst.editorEl).getRangeAt(0);
+            range.deleteContents();
+            const before = document.createRange();
+            before.selectNodeContents(li);
+            before.setEnd(range.startContainer, range.startOffset);
+            const item = document.createElement('li');
+            item.setAttribute('data-checked', 'false');
+
+            if (!hasContent(before.cloneContents())) {
+                // At the start: the new item goes above, the caret stays
+                item.appendChild(document.createElement('br'));
+                li.before(item);
+                placeCaret(li);
+                return;
+            }
+            const after = document.createRange();
+            after.selectNodeContents(li);
+            after.setStart(range.endContainer, range.endOffset);
+            item.appendChild(after.extractContents());
+            if (!hasContent(item)) item.replaceChildren(document.createElement('br'));
+            li.after(item);
+            placeCaret(item);
+        });
+        updateToolbarState(inst);
+        return true;
+    }
+
+    // --- INPUT RULES (Markdown Autoformat) ---
+
+    /**
+     * DEFAULT_INPUT_RULES + 'inputRules' option. null disables a rule, false disables all.
+     */
+    function buildInputRules(extra = {}) {
+        if (extra === false) return {};
+        const rules = Object.assign({}, DEFAULT_INPUT_RULES);
+        Object.keys(extra).forEach(name => {
+            if (extra[name]) rules[name] = extra[name];
+            else delete rules[name];
+        });
+        return rules;
+    }
+
+    function isValidInputRule(rule) {
+        return !!rule && ((!!rule.match && typeof rule.match.exec === 'function' && (!!rule.command || typeof rule.handler === 'function')) ||
+            (!!rule.delimiter && !!rule.wrap));
+    }
+
+    /**
+     * Called on typed input. Finds the first rule matching the text before the caret
+     * and applies it as its own undo step, so Backspace or undo right after brings
+     * the typed Markdown back. Returns true if a rule was applied.
+     */
+    function checkInputRules(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || !sel.isCollapsed || sel.anchorNode.nodeType !== Node.TEXT_NODE || !inst.editorEl.contains(sel.anchorNode)) return false;
+        if (getAncestorAtCursor(inst, 'pre, code')) return false; // Code is verbatim
+
+        const node = sel.anchorNode;
+        const offset = sel.anchorOffset;
+        const line = getRuleLine(inst, node, offset);
+        for (const name of Object.keys(inst.inputRules)) {
+            const rule = inst.inputRules[name];
+            const found = rule.delimiter ? matchDelimiter(node.textContent.slice(0, offset), rule.delimiter) : matchRule(rule, line, node, offset);
+            if (!found) continue;
+
+            const range = document.createRange();
+            if (found.start !== undefined) range.setStart(node, found.start);
+            else range.setStart(line.range.startContainer, line.range.startOffset);
+            range.setEnd(node, offset);
+            let applied = true;
+            recordChange(inst, () => {
+                sel.removeAllRanges();
+                sel.addRange(range);
+                applied = applyInputRule(inst, rule, found, line.block) !== false;
+                if (!applied) sel.collapseToEnd();
+            });
+            if (!applied) continue;
+            inst.inputRuleStep = inst.history.index;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * The line the caret is in: its block (P, DIV or LI; null for text directly in the
+     * editor) and a range from the start of the line to the caret.
+     */
+    function getRuleLine(inst, node, offset) {
+        const block = node.parentElement.closest('p, div, li, h1, h2, h3, h4, h5, h6, td, th, figcaption');
+        const range = document.createRange();
+        range.setEnd(node, offset);
+        if (block && inst.editorEl.contains(block) && block !== inst.editorEl) {
+            range.setStart(block, 0);
+            return { block: block, range: range };
+        }
+        // Loose text: the line starts after the previous block or <br>
+        let first = node;
+        while (first.parentNode !== inst.editorEl && first.parentNode.tagName !== 'BLOCKQUOTE') first = first.parentNode;
+        while (first.previousSibling && !isLineBreak(first.previousSibling)) first = first.previousSibling;
+        range.setStartBefore(first);
+        return { block: null, range: range };
+    }
+
+    function isLineBreak(node) {
+        return node.nodeType === Node.ELEMENT_NODE && (node.tagName === 'BR' || MD_BLOCK_TAGS.includes(node.tagName));
+    }
+
+    /**
+     * 'match' rules: block rules test the whole line, the others the text node before the caret.
+     */
+    function matchRule(rule, line, node, offset) {
+        if (rule.block) {
+            const tag = line.block ? line.block.tagName : 'P';
+            if (!(tag === 'P' || tag === 'DIV' || (tag === 'LI' && rule.lists))) return null;
+            return rule.match.exec(line.range.toString());
+        }
+        const before = node.textContent.slice(0, offset);
+        const match = rule.match.exec(before);
+        if (match) match.start = offset - (before.length - match.index);
+        return match;
+    }
+
+    /**
+     * '**text**' at the end of 'text'. The content can't start or end with a space, and the
+     * opening delimiter can't follow a letter or digit (snake_case, 2*3*4) or itself.
+     */
+    function matchDelimiter(text, delimiter) {
+        if (!text.endsWith(delimiter)) return null;
+        const end = text.length - delimiter.length;
+        const start = text.lastIndexOf(delimiter, end - 1);
+        if (start < 0) return null;
+        const content = text.slice(start + delimiter.length, end);
+        const previous = text.charAt(start - 1);
+        if (!content.trim() || content !== content.trim() || /\w/.test(previous) || previous === delimiter.charAt(0)) return null;
+        return { start: start, content: content };
+    }
+
+    /**
+     * Replaces the selected Markdown with what the rule builds.
+     */
+    function applyInputRule(inst, rule, found, block) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (rule.handler) return rule.handler(inst, found);
+
+        const range = sel.getRangeAt(0);
+        range.deleteContents();
+        if (rule.wrap) {
+            const el = document.createElement(rule.wrap);
+            el.textContent = found.content;
+            range.insertNode(el);
+            range.setStartAfter(el);
+            range.collapse(true);
+            sel.removeAllRanges();
+            sel.addRange(range);
+            return true;
+        }
+        clearRuleBlock(block);
+        return runCommand(inst, typeof rule.command === 'function' ? rule.command(found) : rule.command);
+    }
+
+    /**
+     * A paragraph left empty by a line rule gets a <br>, so the command has a line to act on.
+     */
+    function clearRuleBlock(block) {
+        if (block && !block.textContent && !block.querySelector('img')) {
+            block.replaceChildren(document.createElement('br'));
+            placeCaret(block);
+        }
+    }
+
+    /**
+     * Numbered list rule: '3. ' starts the list at 3 (unless it joined an existing list).
+     */
+    function insertRuleOrderedList(inst, start) {
+        getSelectionIn(inst.editorEl).getRangeAt(0).deleteContents();
+        clearRuleBlock(getAncestorAtCursor(inst, 'p, div'));
+        applyList(inst, 'insertOrderedList'); // Not runCommand(): the start belongs to the same undo step
+        const item = getAncestorAtCursor(inst, 'li');
+        const list = item ? item.parentElement : null;
+        if (list && start !== 1 && list.tagName === 'OL' && list.firstElementChild === item) list.setAttribute('start', String(start));
+        return true;
+    }
+
+    /**
+     * Link rule: '[text](url)'. URLs rejected by the URL policy are left as typed.
+     */
+    function insertRuleLink(inst, href, text) {
+        const url = safeUrl(href, inst.urlPolicy);
+        if (!url) return false;
+        const a = document.createElement('a');
+        a.setAttribute('href', url);
+        a.textContent = text;
+        const sel = getSelectionIn(inst.editorEl);
+        const range = sel.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(a);
+        range.setStartAfter(a);
+        range.collapse(true);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        return true;
+    }
+
+    /**
+     * Backspace right after a rule was applied undoes it. Returns true if handled.
+     */
+    function handleInputRuleKeydown(inst, e) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return false;
+        const step = inst.inputRuleStep;
+        inst.inputRuleStep = null;
+        if (e.key !== 'Backspace' || step === null || step !== inst.history.index) return false;
+        e.preventDefault();
+        stepHistory(inst, -1);
+        return true;
+    }
+
+    // --- IMAGE TOOLS (Resize, Alignment & Captions) ---
+
+    /**
+     * Tools for the selected image: an overlay with resize handles on its corners,
+     * and a mini toolbar above it (alignment and caption).
+     */
+    function createImageTools(inst) {
+        const labels = inst.labels.imageToolbar;
+        inst.imageOverlayEl = document.createElement('div');
+        inst.imageOverlayEl.className = 'ichik-image-overlay';
+        inst.imageOverlayEl.style.display = 'none';
+        ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+            const handle = document.createElement('span');
+            handle.className = 'ichik-image-handle ichik-image-handle-' + corner;
+            handle.dataset.corner = corner;
+            inst.imageOverlayEl.appendChild(handle);
+        });
+        inst.imageOverlayEl.addEventListener('mousedown', (e) => startImageResize(inst, e));
+        attachFloating(inst, inst.imageOverlayEl);
+
+        inst.imageToolbarEl = document.createElement('div');
+        inst.imageToolbarEl.className = 'ichik-image-toolbar';
+        inst.imageToolbarEl.setAttribute('role', 'toolbar');
+        inst.imageToolbarEl.setAttribute('aria-label', inst.labels.aria.imageToolbar);
+        inst.imageToolbarEl.style.display = 'none';
+        ['alignLeft', 'alignCenter', 'alignRight', 'alignFull', '|', 'caption'].forEach(action => {
+            if (action === '|') {
+                const sep = document.createElement('span');
+                sep.className = 'ichik-image-toolbar-separator';
+                sep.setAttribute('role', 'separator');
+                inst.imageToolbarEl.appendChild(sep);
+                return;
+            }
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = labels[action];
+            btn.dataset.action = action;
+            btn.setAttribute('aria-pressed', 'false');
+            inst.imageToolbarEl.appendChild(btn);
+        });
+
+        // Keep the image selected while clicking
+        inst.imageToolbarEl.addEventListener('mousedown', (e) => e.preventDefault());
+        inst.imageToolbarEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const btn = e.target.closest('button');
+            if (btn) runImageAction(inst, btn.dataset.action);
+        });
+        attachFloating(inst, inst.imageToolbarEl);
+    }
+
+    /**
+     * Element holding the alignment: the <figure> of a captioned image, or the image.
+     */
+    function getImageFrame(img) {
+        return img.parentElement && img.parentElement.tagName === 'FIGURE' ? img.parentElement : img;
+    }
+
+    /**
+     * Shows the image tools on the selected image (or hides them). While a corner is
+     * dragged they stay on the image being resized, whatever the selection.
+     */
+    function updateImageTools(inst) {
+        const img = inst.imageResize ? inst.imageResize.img : getImageAtCursor(inst);
+        if (!img || !isEditable(inst) || !inst.editorEl.contains(img)) {
+            hideImageTools(inst);
+            return;
+        }
+        inst.imageToolsTarget = img;
+        const frame = getImageFrame(img);
+        const align = frame.getAttribute('data-align') || '';
+        inst.imageToolbarEl.querySelectorAll('button').forEach(btn => {
+            const action = btn.dataset.action;
+            const isActive = action === 'caption'
+                ? frame.tagName === 'FIGURE' && !!frame.querySelector('figcaption')
+                : action === 'align' + align.charAt(0).toUpperCase() + align.slice(1);
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        positionImageTools(inst);
+    }
+
+    function positionImageTools(inst) {
+        const img = inst.imageToolsTarget;
+        const rect = img.getBoundingClientRect();
+        inst.imageOverlayEl.style.display = 'block';
+        inst.imageOverlayEl.style.left = (rect.left + window.scrollX) + 'px';
+        inst.imageOverlayEl.style.top = (rect.top + window.scrollY) + 'px';
+        inst.imageOverlayEl.style.width = rect.width + 'px';
+        inst.imageOverlayEl.style.height = rect.height + 'px';
+        smartPosition(img, inst.imageToolbarEl, 'flex', 'top');
+    }
+
+    function hideImageTools(inst) {
+        if (!inst.imageOverlayEl) return;
+        inst.imageOverlayEl.style.display = 'none';
+        inst.imageToolbarEl.style.display = 'none';
+        inst.imageToolsTarget = null;
+    }
+
+    function runImageAction(inst, action) {
+        const img = inst.imageToolsTarget;
+        if (!img || !inst.editorEl.contains(img)) return;
+        recordChange(inst, () => {
+            if (action === 'caption') {
+                if (getImageFrame(img).tagName === 'FIGURE') removeImageCaption(img);
+                else addImageCaption(inst, img);
+                return;
+            }
+            // Clicking the active alignment goes back to the default
+            const frame = getImageFrame(img);
+            const align = action.replace('align', '').toLowerCase();
+            if (frame.getAttribute('data-align') === align) frame.removeAttribute('data-align');
+            else frame.setAttribute('data-align', align);
+            if (align === 'full') img.removeAttribute('width');
+            selectNode(img);
+        });
+    }
+
+    /**
+     * Wraps the image in a <figure> with an empty caption and moves the caret there.
+     * An image inside a paragraph splits it: the figure is a block of its own.
+     */
+    function addImageCaption(inst, img) {
+        const figure = document.createElement('figure');
+        const align = img.getAttribute('data-align');
+        if (align) figure.setAttribute('data-align', align);
+        img.removeAttribute('data-align');
+
+        const block = img.parentElement.closest('p, h1, h2, h3, h4, h5, h6');
+        if (block && inst.editorEl.contains(block)) {
+            const range = document.createRange();
+            range.setStartAfter(img);
+            range.setEnd(block, block.childNodes.length);
+            const after = block.cloneNode(false);
+            after.appendChild(range.extractContents());
+            block.after(figure);
+            figure.appendChild(img);
+            if (after.textContent.trim() || after.querySelector('img')) figure.after(after);
+            if (!block.textContent.trim() && !block.querySelector('img')) block.remove();
+        } else {
+            img.replaceWith(figure);
+            figure.appendChild(img);
+        }
+
+        const caption = figure.appendChild(document.createElement('figcaption'));
+        caption.setAttribute('data-placeholder', inst.labels.imageToolbar.captionPlaceholder);
+        placeCaret(caption);
+    }
+
+    /**
+     * Removes the caption: the image goes back to a paragraph, keeping its alignment.
+     */
+    function removeImageCaption(img) {
+        const figure = img.parentElement;
+        const align = figure.getAttribute('data-align');
+        if (align) img.setAttribute('data-align', align);
+        const p = document.createElement('p');
+        p.appendChild(img);
+        figure.replaceWith(p);
+        selectNode(img);
+    }
+
+    /**
+     * Enter in a caption continues in a new paragraph after the figure (Shift+Enter
+     * adds a line break), and Backspace in an empty caption removes it.
+     */
+    function handleCaptionKeydown(inst, e) {
+        if ((e.key !== 'Enter' && e.key !== 'Backspace') || e.ctrlKey || e.metaKey || e.altKey) return false;
+        const caption = getAncestorAtCursor(inst, 'figcaption');
+        if (!caption || (e.key === 'Enter' && e.shiftKey)) return false;
+        const figure = caption.parentElement;
+        const img = figure.querySelector('img');
+
+        if (e.key === 'Backspace') {
+            if (caption.textContent || !getSelectionIn(inst.editorEl).isCollapsed || !img) return false;
+            e.preventDefault();
+            recordChange(inst, () => removeImageCaption(img));
+            return true;
+        }
+        e.preventDefault();
+        recordChange(inst, () => {
+            const p = document.createElement('p');
+            p.appendChild(document.createElement('br'));
+            figure.after(p);
+            placeCaret(p);
+        });
+        return true;
+    }
+
+    /**
+     * Resize handles: the new width follows the pointer (the height follows the width,
+     * so the aspect ratio is kept). The whole drag is a single undo step.
+     */
+    function startImageResize(inst, e) {
+        const handle = e.target.closest('.ichik-image-handle');
+        const img = inst.imageToolsTarget;
+        if (!handle || !img || e.button !== 0) return;
+        e.preventDefault();
+        const frame = getImageFrame(img);
+        if (frame.getAttribute('data-align') === 'full') frame.removeAttribute('data-align');
+        inst.imageResize = {
+            img: img,
+            corner: handle.dataset.corner,
+            startX: e.clientX,
+            startWidth: img.getBoundingClientRect().width || img.naturalWidth || IMAGE_MIN_WIDTH
+        };
+    }
+
+    function moveImageResize(inst, e) {
+        const state = inst.imageResize;
+        if (!state) return;
+        // Left handles grow the image when dragged to the left
+        const delta = (e.clientX - state.startX) * (state.corner.endsWith('w') ? -1 : 1);
+        const maxWidth = inst.editorEl.clientWidth || Infinity;
+        const width = Math.round(Math.min(maxWidth, Math.max(IMAGE_MIN_WIDTH, state.startWidth + delta)));
+        state.img.setAttribute('width', String(width));
+        positionImageTools(inst);
+    }
+
+    function endImageResize(inst) {
+        const state = inst.imageResize;
+        if (!state) return;
+        inst.imageResize = null;
+        recordChange(inst, () => selectNode(state.img));
+    }
+
+    // --- IMAGE UPLOAD ---
+
+    /**
+     * Returns an error message if the file can't be uploaded (type or size), or null.
+     */
+    function validateImageFile(inst, file) {
+        const alerts = inst.labels.alerts;
+        if (!inst.imageTypes.includes(file.type)) return alerts.fileType;
+        if (file.size > inst.maxImageSize) return alerts.fileTooLarge.replace('{size}', formatFileSize(inst.maxImageSize));
+        return null;
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '') + ' MB';
+    }
+
+    /**
+     * Uploads image files through the 'uploadImage' option. Each file gets a placeholder
+     * (with progress) at the caret, swapped for the final <img> once the upload finishes.
+     * 'attrs' (alt, width) come from the image popup.
+     */
+    function uploadImages(inst, files, attrs = {}) {
+        files.forEach(file => {
+            const error = validateImageFile(inst, file) || getImageLimitError(inst);
+            if (error) {
+                showMessage(inst, error);
+                emit(inst, 'uploaderror', { file: file, message: error });
+                return;
+            }
+
+            const id = String(++inst.uploadCount);
+            inst.uploads[id] = file;
+            insertUploadPlaceholder(inst, id);
+            setUploadProgress(inst, id, 0);
+
+            const onProgress = (percent) => setUploadProgress(inst, id, percent);
+            const fail = (message, err) => {
+                finishUpload(inst, id, null);
+                if (!inst.editorEl) return; // Destroyed meanwhile
+                showMessage(inst, message);
+                emit(inst, 'uploaderror', { file: file, message: message, error: err });
+            };
+            Promise.resolve()
+                .then(() => inst.uploadImage(file, { onProgress: onProgress }))
+                .then(url => {
+                    // The returned URL follows the same rules as a typed one
+                    const result = checkUrl(url, inst.urlPolicy);
+                    if (result.url) finishUpload(inst, id, result.url, attrs);
+                    else fail(getUrlError(inst, result.error), null);
+                }, err => fail(inst.labels.alerts.uploadFailed, err));
+        });
+    }
+
+    /**
+     * Inserts the placeholder at the caret. Not recorded in the history:
+     * only the final image is (see finishUpload).
+     */
+    function insertUploadPlaceholder(inst, id) {
+        const placeholder = document.createElement('span');
+        placeholder.className = 'ichik-upload';
+        placeholder.setAttribute('contenteditable', 'false');
+        placeholder.dataset.uploadId = id;
+        placeholder.setAttribute('role', 'progressbar');
+        placeholder.setAttribute('aria-valuemin', '0');
+        placeholder.setAttribute('aria-valuemax', '100');
+        placeholder.appendChild(document.createElement('span')).className = 'ichik-upload-bar';
+
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || !inst.editorEl.contains(sel.anchorNode)) saveSelection(inst);
+        const range = getSelectionIn(inst.editorEl).getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(placeholder);
+        range.setStartAfter(placeholder);
+        range.collapse(true);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    function setUploadProgress(inst, id, percent) {
+        if (!inst.editorEl) return;
+        const placeholder = inst.editorEl.querySelector(`.ichik-upload[data-upload-id="${id}"]`);
+        if (!placeholder) return;
+        percent = Math.round(Math.min(Math.max(Number(percent) || 0, 0), 100));
+        // The label is rendered with CSS (attr()), so it never ends up in the exported content
+        const label = inst.labels.popups.image.uploading.replace('{percent}', percent);
+        placeholder.dataset.label = label;
+        placeholder.setAttribute('aria-valuenow', String(percent));
+        placeholder.setAttribute('aria-label', label);
+        placeholder.firstChild.style.width = percent + '%';
+    }
+
+    /**
+     * Swaps the placeholder for the image (or just removes it if 'url' is null).
+     * Nothing happens if the placeholder is gone (deleted or undone by the user).
+     */
+    function finishUpload(inst, id, url, attrs = {}) {
+        delete inst.uploads[id];
+        if (!inst.editorEl) return;
+        const placeholder = inst.editorEl.querySelector(`.ichik-upload[data-upload-id="${id}"]`);
+        if (!placeholder) return;
+
+        if (!url) {
+            placeholder.remove();
+            return;
+        }
+        const img = document.createElement('img');
+        img.setAttribute('src', url);
+        img.setAttribute('alt', attrs.alt || '');
+        if (attrs.width && /^\d+(px|%)?$/.test(attrs.width)) img.setAttribute('width', attrs.width);
+        recordChange(inst, () => placeholder.replaceWith(img));
+    }
+
+    /**
+     * Placeholders restored from the history (undo/redo) are removed if their upload is over.
+     */
+    function cleanupUploadPlaceholders(inst) {
+        inst.editorEl.querySelectorAll('.ichik-upload').forEach(placeholder => {
+            if (!inst.uploads[placeholder.dataset.uploadId]) placeholder.remove();
+        });
+    }
+
+    /**
+     * Files from a paste or drop (validated later by uploadImages).
+     */
+    function getTransferFiles(dataTransfer) {
+        if (!dataTransfer || !dataTransfer.files || !dataTransfer.files.length) return [];
+        return Array.from(dataTransfer.files);
+    }
+
+    /**
+     * Moves the caret to the drop point.
+     */
+    function setCaretFromPoint(inst, x, y) {
+        let range = null;
+        // caretRangeFromPoint() stops at a shadow host, caretPositionFromPoint() can look inside
+        if (document.caretRangeFromPoint && !inst.shadowRoot) {
+            range = document.caretRangeFromPoint(x, y);
+        } else if (document.caretPositionFromPoint) {
+            const pos = document.caretPositionFromPoint(x, y, { shadowRoots: inst.shadowRoot ? [inst.shadowRoot] : [] });
+            if (pos) {
+                range = document.createRange();
+                range.setStart(pos.offsetNode, pos.offset);
+                range.collapse(true);
+            }
+        }
+        if (!range) return;
+        const sel = getSelectionIn(inst.editorEl);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    /**
+     * Shows a non-blocking error message below the editor (replaces alert()).
+     */
+    function showMessage(inst, text) {
+        if (!inst.editorEl) return;
+        if (!inst.messageEl) {
+            inst.messageEl = document.createElement('div');
+            inst.messageEl.className = 'ichik-message';
+            inst.messageEl.setAttribute('role', 'alert');
+            inst.container.appendChild(inst.messageEl);
+        }
+        inst.messageEl.textContent = text;
+        inst.messageEl.style.display = '';
+        clearTimeout(inst.messageTimer);
+        inst.messageTimer = setTimeout(() => inst.messageEl.style.display = 'none', MESSAGE_DURATION);
+    }
+
+    function createTooltip(inst) {
+        inst.tooltipEl = document.createElement('div');
+        inst.tooltipEl.className = 'ichik-tooltip';
+        attachFloating(inst, inst.tooltipEl);
+    }
+
+    function updateToolbarState(inst) {
+        // Update Buttons (Active state)
+        inst.uiRefs.buttons.forEach(btn => {
+            const cmd = btn.dataset.cmd;
+            if (inst.commands[cmd]) {
+                const command = inst.commands[cmd];
+                const isActive = command.isActive ? !!command.isActive(inst) : false;
+                btn.classList.toggle('active', isActive);
+                if (command.isActive) btn.setAttribute('aria-pressed', String(isActive));
+                return;
+            }
+            if (cmd === 'undo' || cmd === 'redo') {
+                btn.disabled = !canStepHistory(inst, cmd === 'undo' ? -1 : 1);
+                return;
+            }
+            if (MODE_COMMANDS[cmd]) return; // See updateModeState()
+            // Bullet and task lists are both <ul>
+            if (cmd === 'insertUnorderedList' || cmd === 'insertTaskList') {
+                const list = getAncestorAtCursor(inst, 'ul, ol');
+                const isActive = !!list && list.tagName === 'UL' && isTaskList(list) === (cmd === 'insertTaskList');
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+                return;
+            }
+            // Formats without a native command state
+            const selector = { inlineCode: 'code', blockquote: 'blockquote', codeBlock: 'pre' }[cmd];
+            if (selector) {
+                const el = getAncestorAtCursor(inst, selector);
+                const isActive = !!el && !(cmd === 'inlineCode' && el.closest('pre'));
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+                return;
+            }
+            try {
+                const isActive = document.queryCommandState(cmd);
+                if (isActive) btn.classList.add('active');
+                else btn.classList.remove('active');
+                if (btn.hasAttribute('aria-pressed')) btn.setAttribute('aria-pressed', String(isActive));
+            } catch (e) { }
+        });
+        // Update Selects (Detect H1, P, etc)
+        inst.uiRefs.selects.forEach(select => {
+            if (select.dataset.cmd === 'formatBlock') {
+                let val = document.queryCommandValue('formatBlock');
+                val = val ? val.toUpperCase() : 'P';
+                if (val === 'DIV') val = 'P'; // Chrome quirk
+                const exists = Array.from(select.options).some(o => o.value === val);
+                if (exists) select.value = val;
+            }
+        });
+
+        updateTableMenu(inst);
+        updateLinkBubble(inst);
+        updateImageTools(inst);
+        updateModeState(inst);
+
+        // Disabled controls (undo/redo) can't hold the toolbar's tab stop
+        const controls = getToolbarControls(inst.toolbarEl);
+        if (controls.length && !controls.some(c => c.tabIndex === 0)) setRovingFocus(inst.toolbarEl, controls[0]);
+    }
+
+    /**
+     * Rich Paste: HTML is normalized and sanitized, Markdown-looking text is converted.
+     * Anything else (or a forced plain paste) is inserted as plain text.
+     */
+    function handlePaste(inst, clipboard, forcePlain) {
+        const text = clipboard.getData('text/plain');
+        const html = forcePlain ? '' : clipboard.getData('text/html');
+        const wrapper = document.createElement('div');
+
+        if (html) {
+            wrapper.innerHTML = sanitizeHtml(html, inst.sanitizeSchema, true);
+        } else if (!forcePlain && looksLikeMarkdown(text)) {
+            wrapper.appendChild(parseFromMd(text, inst.urlPolicy, inst.mentionPatterns));
+        }
+
+        // Limits: extra images are dropped, and text that doesn't fit is cut (as plain text)
+        limitPastedImages(inst, wrapper);
+        const room = getRemainingLength(inst);
+        if (room <= 0) {
+            showMessage(inst, inst.labels.alerts.maxLength.replace('{max}', inst.maxLength));
+            return;
+        }
+        const pasted = wrapper.childNodes.length ? wrapper.textContent : text;
+        if (Array.from(pasted).length > room) {
+            document.execCommand('insertText', false, Array.from(text || pasted).slice(0, room).join(''));
+            showMessage(inst, inst.labels.alerts.maxLength.replace('{max}', inst.maxLength));
+            return;
+        }
+
+        if (!wrapper.textContent.trim() && !wrapper.querySelector('img, hr')) {
+            document.execCommand('insertText', false, text);
+            return;
+        }
+        // A single paragraph is pasted inline, into the current block
+        const only = wrapper.firstElementChild;
+        const isSingleParagraph = wrapper.childNodes.length === 1 && only && only.tagName === 'P';
+        document.execCommand('insertHTML', false, isSingleParagraph ? only.innerHTML : wrapper.innerHTML);
+    }
+
+    function bindEvents(inst) {
+        // Ctrl+Shift+V (Cmd+Shift+V) forces a plain text paste. The paste event comes before
+        // the keyup, so a shortcut that pastes nothing (empty clipboard) doesn't leave it set.
+        listen(inst, inst.editorEl, 'keydown', (e) => {
+            inst.forcePlainPaste = (e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'v';
+        });
+        listen(inst, inst.editorEl, 'keyup', () => inst.forcePlainPaste = false);
+
+        // Keyboard shortcuts (keymap). Undo/Redo replace the native stack.
+        listen(inst, inst.editorEl, 'keydown', (e) => {
+            if (!isEditable(inst)) return;
+            if (handleInputRuleKeydown(inst, e)) return;
+            if (handleEmojiInlineKeydown(inst, e)) return;
+            if (handleMentionKeydown(inst, e)) return;
+            if (e.key === 'Escape' && inst.linkBubbleLink) {
+                dismissLinkBubble(inst);
+                return;
+            }
+            if (handleTableKeydown(inst, e)) return;
+            if (handleCodeBlockKeydown(inst, e)) return;
+            if (handleTaskListKeydown(inst, e)) return;
+            if (handleCaptionKeydown(inst, e)) return;
+            if (!(e.ctrlKey || e.metaKey || e.altKey)) return;
+            const name = inst.keymap[eventToShortcut(e)];
+            if (name && runCommand(inst, name)) {
+                e.preventDefault();
+                updateToolbarState(inst);
+            }
+        });
+        // Undo/Redo from the browser's Edit menu
+        listen(inst, inst.editorEl, 'beforeinput', (e) => {
+            if (handleLimitBeforeInput(inst, e)) return;
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                stepHistory(inst, e.inputType === 'historyUndo' ? -1 : 1);
+            }
+        });
+
+        // Typing is recorded here. Bursts of keystrokes are merged into one step.
+        listen(inst, inst.editorEl, 'input', (e) => {
+            if (inst.history.locked) return;
+            recordHistory(inst, /^(insertText|insertCompositionText|deleteContent|deleteWord)/.test(e.inputType || ''));
+            if (e.inputType === 'insertText' && checkInputRules(inst)) return; // Autoformatted
+            updateToolbarState(inst);
+            checkEmojiShortcode(inst);
+            checkMentionTrigger(inst);
+        });
+        listen(inst, inst.editorEl, 'blur', (e) => {
+            inst.forcePlainPaste = false;
+            closeEmojiInline(inst);
+            closeMentions(inst);
+            if (!inst.tableMenuEl.contains(e.relatedTarget)) inst.tableMenuEl.style.display = 'none';
+            if (!inst.linkBubbleEl.contains(e.relatedTarget)) hideLinkBubble(inst);
+            if (!inst.imageResize) hideImageTools(inst);
+        });
+
+        // Rich paste (HTML and Markdown are converted to the supported formats)
+        listen(inst, inst.editorEl, 'paste', (e) => {
+            if (!isEditable(inst)) return;
+            e.preventDefault();
+            const forcePlain = inst.forcePlainPaste;
+            inst.forcePlainPaste = false;
+            const clipboard = e.clipboardData || window.clipboardData;
+            const files = getTransferFiles(clipboard);
+            // Word and some browsers add a picture of the copied content: HTML wins
+            if (files.length && !clipboard.getData('text/html')) {
+                if (inst.uploadImage) uploadImages(inst, files);
+                return;
+            }
+            recordChange(inst, () => handlePaste(inst, clipboard, forcePlain));
+        });
+
+        // Dropped files are uploaded (never inserted as data: URLs by the browser)
+        listen(inst, inst.editorEl, 'dragover', (e) => {
+            if (isEditable(inst) && e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) e.preventDefault();
+        });
+        listen(inst, inst.editorEl, 'drop', (e) => {
+            const files = getTransferFiles(e.dataTransfer);
+            if (!files.length) return;
+            e.preventDefault();
+            if (!inst.uploadImage || !isEditable(inst)) return;
+            inst.editorEl.focus();
+            setCaretFromPoint(inst, e.clientX, e.clientY);
+            uploadImages(inst, files);
+        });
+
+        // Task list checkboxes. Any click ends a mention query and shows a dismissed link bubble again.
+        listen(inst, inst.editorEl, 'mousedown', (e) => {
+            closeMentions(inst);
+            inst.linkBubbleDismissed = null;
+            inst.inputRuleStep = null;
+            handleTaskMousedown(inst, e);
+        });
+
+        // Click on Image -> Select Node
+        listen(inst, inst.editorEl, 'click', (e) => {
+            if (e.target.tagName === 'IMG') {
+                const range = document.createRange();
+                range.selectNode(e.target);
+                const sel = getSelectionIn(inst.editorEl);
+                sel.removeAllRanges();
+                sel.addRange(range);
+                updateToolbarState(inst);
+            }
+        });
+
+        // Read-only or disabled: links open in a new tab, without access to this page (noopener)
+        listen(inst, inst.editorEl, 'click', (e) => {
+            const link = isEditable(inst) ? null : e.target.closest('a[href]');
+            if (!link) return;
+            e.preventDefault();
+            const result = checkUrl(link.getAttribute('href'), inst.urlPolicy);
+            if (result.url) window.open(result.url, '_blank', 'noopener,noreferrer');
+        });
+
+        // Update toolbar state on navigation
+        listen(inst, inst.editorEl, 'keyup', () => updateToolbarState(inst));
+        listen(inst, inst.editorEl, 'mouseup', () => updateToolbarState(inst));
+
+        // Native forms: the hidden field is up to date, and invalid content blocks the submit
+        const form = inst.hostEl.closest('form');
+        if (form) listen(inst, form, 'submit', (e) => handleFormSubmit(inst, e));
+
+        // Markdown source view
+        listen(inst, inst.sourceEl, 'input', () => scheduleSourceSync(inst));
+        listen(inst, inst.sourceEl, 'scroll', () => syncScroll(inst, inst.sourceEl, inst.editorEl));
+        listen(inst, inst.editorEl, 'scroll', () => syncScroll(inst, inst.editorEl, inst.sourceEl));
+
+        // Image resize handles (the drag can leave the editor)
+        listen(inst, document, 'mousemove', (e) => moveImageResize(inst, e));
+        listen(inst, document, 'mouseup', () => endImageResize(inst));
+
+        // Toolbar keyboard navigation
+        listen(inst, inst.toolbarEl, 'keydown', (e) => handleToolbarKeydown(inst, e));
+        listen(inst, inst.toolbarEl, 'focusin', (e) => {
+            if (e.target.matches('button, select')) setRovingFocus(inst.toolbarEl, e.target);
+        });
+
+        // Public events
+        listen(inst, inst.editorEl, 'focus', (e) => emit(inst, 'focus', e));
+        listen(inst, inst.editorEl, 'blur', (e) => {
+            sendCursor(inst, null);
+            emit(inst, 'blur', e);
+        });
+        listen(inst, document, 'selectionchange', () => {
+            const sel = getSelectionIn(inst.editorEl);
+            if (sel.rangeCount > 0 && inst.editorEl.contains(sel.anchorNode)) {
+                sendCursor(inst, getCollabSelection(inst));
+                emit(inst, 'selectionchange', sel.getRangeAt(0));
+            }
+        });
+
+        // Draft autosave: pending changes are saved before the page is hidden or closed
+        listen(inst, window, 'pagehide', () => flushDraft(inst));
+        listen(inst, document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flushDraft(inst);
+        });
+
+        // Shadow mode: the floating layer is fixed, so it's shifted to follow the page
+        if (inst.floatingLayerEl) {
+            syncFloatingLayer(inst);
+            listen(inst, window, 'scroll', () => syncFloatingLayer(inst));
+        }
+
+        // Remote cursors (and find matches drawn over the content) follow the content
+        const renderOverlays = () => {
+            renderRemoteCursors(inst);
+            if (inst.openPopup === 'find' && !hasHighlightApi()) renderFindOverlay(inst);
+        };
+        listen(inst, inst.editorEl, 'scroll', renderOverlays);
+        listen(inst, window, 'resize', renderOverlays);
+
+        // Global listener to close popups.
+        listen(inst, document, 'click', () => {
+            if (inst.emojiPickerEl.style.display !== 'none' || inst.popupEl.style.display !== 'none' || inst.tablePickerEl.style.display !== 'none') {
+                closeAllPopups(inst);
+            }
+        });
+
+        // Tooltip hover
+        listen(inst, inst.editorEl, 'mousemove', (e) => {
+            let target = e.target;
+            if (target.nodeType === 3) target = target.parentNode;
+            const link = target.closest ? target.closest('a') : null;
+            if (link && inst.editorEl.contains(link) && link !== inst.linkBubbleLink) {
+                inst.tooltipEl.textContent = `🔗 ${link.getAttribute('href')}`;
+                inst.tooltipEl.style.display = 'block';
+                inst.tooltipEl.style.left = (e.clientX + 15) + 'px';
+                inst.tooltipEl.style.top = (e.clientY + 15) + 'px';
+            } else {
+                inst.tooltipEl.style.display = 'none';
+            }
+        });
+        listen(inst, inst.editorEl, 'mouseleave', () => inst.tooltipEl.style.display = 'none');
+    }
+
+    // --- COLLABORATION (Token CRDT, Transport & Remote Cursors) ---
+
+    /**
+     * 'collaboration' option => state. The document model is a sequence of tokens (every
+     * character, opening tag and closing tag of the content), kept as an RGA: removed tokens
+     * stay as tombstones, so positions never shift under a remote insert, and people typing
+     * in the same paragraph at the same time keep all their characters. An opening tag's
+     * attributes (link URL, checkbox...) are a last-writer-wins register.
+     * Ids and versions are Lamport timestamps: { clock, site }.
+     */
+    function createCollab(inst, config) {
+        if (!config || !config.transport) return null;
+        const site = Math.random().toString(36).slice(2, 10);
+        const user = config.user || {};
+        return {
+            transport: config.transport,
+            site: site,
+            user: { name: user.name || inst.labels.collab.guest, color: user.color || pickCollabColor(site) },
+            clock: 0,
+            items: [],    // { id, clock, site, origin, value, version, deleted }, in document order
+            byId: {},
+            lastIndex: 0, // Position of the last insert (the next one usually follows it)
+            view: null,   // What the model renders to (see getCollabView)
+            segments: new Map(),     // Parsed model segments, by source (see getCollabView)
+            blocks: new WeakMap(),   // Tokens of the editor's blocks (see readContent)
+            observer: null,
+            loading: false,
+            pending: [],  // Remote ops waiting for a token they reference
+            applying: false,
+            peers: {},    // site => { user, selection }
+            lastCursor: null,
+            layerEl: null,
+            unsubscribe: null
+        };
+    }
+
+    function pickCollabColor(site) {
+        let hash = 0;
+        for (const char of site) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        return COLLAB_COLORS[hash % COLLAB_COLORS.length];
+    }
+
+    /**
+     * Connects to the transport. Peers already there answer 'hello' with their state.
+     */
+    function startCollab(inst) {
+        const collab = inst.collab;
+        collab.layerEl = document.createElement('div');
+        collab.layerEl.className = 'ichik-remote-cursors';
+        collab.layerEl.setAttribute('aria-hidden', 'true');
+        inst.container.appendChild(collab.layerEl);
+
+        const off = collab.transport.onReceive((message) => receiveCollab(inst, message));
+        collab.unsubscribe = typeof off === 'function' ? off : null;
+        collectLocalOps(inst);
+        sendCollab(inst, { type: 'hello' });
+    }
+
+    function stopCollab(inst) {
+        const collab = inst.collab;
+        if (!collab || !collab.layerEl) return;
+        sendCollab(inst, { type: 'leave' });
+        if (collab.unsubscribe) collab.unsubscribe();
+        collab.observer.disconnect();
+        collab.unsubscribe = null;
+        collab.layerEl = null;
+        collab.peers = {};
+    }
+
+    function sendCollab(inst, message) {
+        message.site = inst.collab.site;
+        inst.collab.transport.send(message);
+    }
+
+    /**
+     * Sends ops without what only this editor needs (the previous value of a 'set', for undo).
+     */
+    function sendCollabOps(inst, ops) {
+        sendCollab(inst, { type: 'ops', ops: ops.map(op => op.previous ? { type: op.type, id: op.id, value: op.value, version: op.version } : op) });
+    }
+
+    function receiveCollab(inst, message) {
+        const collab = inst.collab;
+        if (!inst.editorEl || !message || message.site === collab.site) return;
+        if (message.to && message.to !== collab.site) return;
+        collectLocalOps(inst); // Local edits not sent yet go first
+
+        if (message.type === 'hello') {
+            // The whole model, tombstones included (later ops may reference them)
+            const state = collab.items.map(item => ({
+                type: 'insert', id: item.id, clock: item.clock, site: item.site, origin: item.origin,
+                value: item.value, version: item.version, deleted: item.deleted
+            }));
+            sendCollab(inst, { type: 'ops', to: message.site, ops: state });
+            if (collab.lastCursor) sendCollab(inst, { type: 'cursor', to: message.site, user: collab.user, selection: collab.lastCursor });
+        } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+            applyRemoteOps(inst, message.ops);
+        } else if (message.type === 'cursor') {
+            collab.peers[message.site] = { user: message.user || {}, selection: message.selection || null };
+            renderRemoteCursors(inst);
+        } else if (message.type === 'leave') {
+            delete collab.peers[message.site];
+            renderRemoteCursors(inst);
+        }
+    }
+
+    function compareVersions(a, b) {
+        if (a.clock !== b.clock) return a.clock > b.clock ? 1 : -1;
+        if (a.site !== b.site) return a.site > b.site ? 1 : -1;
+        return 0;
+    }
+
+    /**
+     * Applies an op to the model. Returns false if it references an unknown token (yet).
+     * insert: { id, clock, site, origin, value, version[, deleted] } / set: { id, value, version } / delete: { id }
+     */
+    function applyCollabOp(collab, op) {
+        const item = collab.byId[op.id];
+        if (op.version) collab.clock = Math.max(collab.clock, op.version.clock);
+
+        if (op.type === 'insert' && !item) {
+            const origin = op.origin ? collab.byId[op.origin] : null;
+            if (op.origin && !origin) return false;
+            const created = { id: op.id, clock: op.clock, site: op.site, origin: op.origin || null, value: op.value, version: op.version, deleted: !!op.deleted };
+            // RGA: after the origin, skipping tokens inserted concurrently with a later id
+            let index = 0;
+            if (origin) index = (collab.items[collab.lastIndex] === origin ? collab.lastIndex : collab.items.indexOf(origin)) + 1;
+            while (index < collab.items.length && compareVersions(collab.items[index], op) > 0) index++;
+            collab.items.splice(index, 0, created);
+            collab.byId[op.id] = created;
+            collab.lastIndex = index;
+            collab.view = null;
+            return true;
+        }
+        if (!item) return false;
+        if (op.type === 'insert' || op.type === 'set') {
+            // Last writer wins (equal versions: content loaded on several peers)
+            const order = compareVersions(op.version, item.version);
+            if (order > 0 || (order === 0 && op.value > item.value)) {
+                item.value = op.value;
+                item.version = op.version;
+            }
+        }
+        if (op.type === 'delete' || op.deleted) item.deleted = true;
+        collab.view = null;
+        return true;
+    }
+
+    /**
+     * Content as collaboration tokens: one per character (escaped like HTML text), one per
+     * opening tag with its attributes, and one per closing tag.
+     */
+    function tokenizeContent(root) {
+        return tokenizeNodes([].concat(...getBlockGroups(root)));
+    }
+
+    /**
+     * Tokens of top-level nodes. With 'positions', it also records the DOM point after each
+     * token ('points') and the number of tokens before each node ('starts') and before each
+     * closing tag ('ends'), counting from 'start', to map carets.
+     */
+    function tokenizeNodes(nodes, positions = null, start = 0) {
+        const tokens = [];
+        const add = (token, node, offset) => {
+            if (positions) positions.points[start + tokens.length] = { node: node, offset: offset };
+            tokens.push(token);
+        };
+        const visit = (node, index) => {
+            if (positions) positions.starts.set(node, start + tokens.length);
+            if (node.nodeType === Node.TEXT_NODE) {
+                let offset = 0;
+                for (const char of node.data) {
+                    offset += char.length;
+                    add(/[&<>"']/.test(char) ? escapeHtml(char) : char, node, offset);
+                }
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            const tag = node.tagName.toLowerCase();
+            const open = '<' + tag + Array.from(node.attributes).map(attr => ` ${attr.name}="${escapeHtml(attr.value)}"`).join('') + '>';
+            if (VOID_TAGS.includes(tag)) {
+                add(open, node.parentNode, index + 1);
+                return;
+            }
+            add(open, node, 0);
+            node.childNodes.forEach(visit);
+            if (positions) positions.ends.set(node, start + tokens.length);
+            add(`</${tag}>`, node.parentNode, index + 1);
+        };
+        // The index is only needed for points
+        nodes.forEach(node => visit(node, positions ? Array.prototype.indexOf.call(node.parentNode.childNodes, node) : 0));
+        return tokens;
+    }
+
+    /**
+     * Content as a list of block HTML strings. Top-level blocks are one each, and runs of
+     * loose inline content (text directly in the editor) are grouped into one.
+     */
+    function readBlocks(root) {
+        return getBlockGroups(root).map(getGroupHtml);
+    }
+
+    function getGroupHtml(group) {
+        return group.map(node => node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : escapeHtml(node.textContent)).join('');
+    }
+
+    function getBlockGroups(root) {
+        const groups = [];
+        let inline = null;
+        Array.from(root.childNodes).forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) return;
+            if (isMdBlock(node)) {
+                groups.push([node]);
+                inline = null;
+                return;
+            }
+            if (!inline) groups.push(inline = []);
+            inline.push(node);
+        });
+        // Whitespace between blocks (formatted HTML) is not content
+        return groups.filter(group => group.some(node => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim()));
+    }
+
+    /**
+     * For each token of 'b', the index of the same token in 'a' (-1 if added): the longest
+     * common subsequence, after skipping the common start and end. A changed run longer
+     * than COLLAB_DIFF_LIMIT (its length in 'a' times its length in 'b') is replaced whole.
+     */
+    function diffTokens(a, b) {
+        const match = new Array(b.length).fill(-1);
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            match[start] = start;
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) match[--endB] = --endA;
+
+        const rows = endA - start;
+        const cols = endB - start;
+        if (!rows || !cols || rows * cols > COLLAB_DIFF_LIMIT) return match;
+        // lengths[i * width + j]: LCS of the changed runs from a[start + i] and b[start + j]
+        const width = cols + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        for (let i = 0, j = 0; i < rows && j < cols;) {
+            if (a[start + i] === b[start + j]) match[start + j++] = start + i++;
+            else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) i++;
+            else j++;
+        }
+        return match;
+    }
+
+    /**
+     * What the model renders to: { tokens, ids, blocks }. The visible tokens are cut into
+     * top-level segments (a block and any loose content before it), each sanitized (peers
+     * are not trusted) and parsed, which also closes tags left open by concurrent edits.
+     * Each token of the result gets the id of the model token it comes from (null for the
+     * ones the parser added). Segments are cached by their source, so after an edit only
+     * the changed block is parsed again.
+     */
+    function getCollabView(inst) {
+        const collab = inst.collab;
+        if (collab.view) return collab.view;
+        const view = { tokens: [], ids: [], blocks: [], indexes: null };
+        const segments = new Map();
+        let items = [];
+        let depth = 0;
+        const flush = () => {
+            const values = items.map(item => item.value);
+            const source = values.join('');
+            let segment = segments.get(source) || collab.segments.get(source);
+            if (!segment) {
+                const root = inst.editorEl.cloneNode(false);
+                root.innerHTML = sanitizeHtml(source, inst.sanitizeSchema);
+                const tokens = tokenizeContent(root);
+                segment = { tokens: tokens, match: diffTokens(values, tokens), blocks: readBlocks(root) };
+            }
+            segments.set(source, segment);
+            segment.tokens.forEach((token, index) => {
+                view.tokens.push(token);
+                view.ids.push(segment.match[index] < 0 ? null : items[segment.match[index]].id);
+            });
+            view.blocks.push(...segment.blocks);
+            items = [];
+        };
+        for (const item of collab.items) {
+            if (item.deleted) continue;
+            items.push(item);
+            if (item.value[0] !== '<') continue;
+            if (item.value[1] === '/') depth--;
+            else if (!VOID_TAGS.includes(/^<([a-z0-9]+)/.exec(item.value)[1])) depth++;
+            if (depth <= 0) {
+                depth = 0; // A stray closing tag
+                flush();
+            }
+        }
+        if (items.length) flush();
+        collab.segments = segments; // Only the current ones
+        collab.view = view;
+        return view;
+    }
+
+    /**
+     * The content as tokens and as block HTML strings (see readBlocks), sanitized like
+     * getContentCopy(), and its block groups with the index of their first token. Each
+     * top-level block is read once, until it changes (see watchCollabBlocks).
+     */
+    function readContent(inst) {
+        const collab = inst.collab;
+        flushSource(inst);
+        forgetChangedBlocks(inst, collab.observer.takeRecords());
+        const content = { tokens: [], blocks: [], groups: [] };
+        getBlockGroups(inst.editorEl).forEach(group => {
+            let block = group.length === 1 ? collab.blocks.get(group[0]) : null;
+            if (!block) {
+                const root = inst.editorEl.cloneNode(false);
+                root.innerHTML = sanitizeHtml(getGroupHtml(group), inst.sanitizeSchema);
+                block = { tokens: tokenizeContent(root), blocks: readBlocks(root) };
+                if (group.length === 1) collab.blocks.set(group[0], block);
+            }
+            content.groups.push({ nodes: group, start: content.tokens.length, read: false });
+            block.tokens.forEach(token => content.tokens.push(token));
+            content.blocks.push(...block.blocks);
+        });
+        return content;
+    }
+
+    function watchCollabBlocks(inst) {
+        inst.collab.observer = new MutationObserver(records => forgetChangedBlocks(inst, records));
+        inst.collab.observer.observe(inst.editorEl, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    function forgetChangedBlocks(inst, records) {
+        records.forEach(record => {
+            let node = record.target;
+            while (node && node.parentNode !== inst.editorEl) node = node.parentNode;
+            if (node) inst.collab.blocks.delete(node);
+        });
+    }
+
+    /**
+     * Compares the content with what the model renders to and sends the difference as ops.
+     * Called on every change (see scheduleChange). The current undo step keeps the ops.
+     */
+    function collectLocalOps(inst) {
+        const collab = inst.collab;
+        if (!collab || collab.applying || !inst.editorEl) return;
+        const current = readContent(inst).tokens;
+        const ops = diffToOps(collab, getCollabView(inst), current);
+        if (!ops.length) return;
+
+        ops.forEach(op => applyCollabOp(collab, op));
+        if (collab.layerEl) sendCollabOps(inst, ops);
+        const step = inst.history.stack[inst.history.index];
+        if (step) step.collabOps = (step.collabOps || []).concat(ops);
+
+        // Markup the parser reads differently (e.g., a block typed inside a paragraph) is
+        // shown as the other editors will see it
+        const tokens = getCollabView(inst).tokens;
+        if (tokens.length !== current.length || tokens.some((token, index) => token !== current[index])) renderCollab(inst);
+    }
+
+    /**
+     * Ops that turn the rendered model ('view') into the 'current' tokens. An opening tag
+     * replaced by the same tag with other attributes is a 'set', so the element stays one
+     * element when two people change it. Content loaded into an empty document gets the
+     * same ids on every peer.
+     */
+    function diffToOps(collab, view, current) {
+        const match = diffTokens(view.tokens, current);
+        const baseIds = collab.loading && !collab.items.length;
+        const tagName = (token) => (/^<([a-z][a-z0-9]*)/.exec(token) || [])[1];
+        const ops = [];
+        let origin = null; // Id of the token an insert goes after
+        let removedFrom = 0;
+        let added = [];
+
+        // A changed run: view tokens removedFrom..removedTo (excluded) became 'added'
+        const flush = (removedTo) => {
+            const removed = [];
+            for (let i = removedFrom; i < removedTo; i++) {
+                if (view.ids[i]) removed.push(i); // Tokens the parser added have no id
+            }
+            added.forEach(value => {
+                const name = tagName(value);
+                const replaced = name ? removed.findIndex(i => tagName(view.tokens[i]) === name) : -1;
+                if (replaced >= 0) {
+                    const item = collab.byId[view.ids[removed.splice(replaced, 1)[0]]];
+                    ops.push({ type: 'set', id: item.id, value: value, version: { clock: ++collab.clock, site: collab.site }, previous: { value: item.value, version: item.version } });
+                    origin = item.id;
+                    return;
+                }
+                const clock = baseIds ? ops.length + 1 : ++collab.clock;
+                const site = baseIds ? COLLAB_BASE_SITE : collab.site;
+                const op = { type: 'insert', id: clock + '@' + site, clock: clock, site: site, origin: origin, value: value, version: { clock: clock, site: site } };
+                ops.push(op);
+                origin = op.id;
+            });
+            removed.forEach(i => ops.push({ type: 'delete', id: view.ids[i] }));
+            added = [];
+        };
+        current.forEach((value, index) => {
+            const kept = match[index];
+            if (kept < 0) {
+                added.push(value);
+                return;
+            }
+            flush(kept);
+            removedFrom = kept + 1;
+            if (view.ids[kept]) origin = view.ids[kept];
+        });
+        flush(view.tokens.length);
+        return ops;
+    }
+
+    /**
+     * Remote ops: invalid ones are ignored (peers are not trusted, and the rendered result
+     * is sanitized too), ops that arrive before the token they reference wait, and the
+     * result is rendered.
+     */
+    function applyRemoteOps(inst, ops) {
+        const collab = inst.collab;
+        let queue = collab.pending.concat(ops.filter(isValidCollabOp));
+        let progress = true;
+        while (queue.length && progress) {
+            const waiting = queue.filter(op => !applyCollabOp(collab, op));
+            progress = waiting.length < queue.length;
+            queue = waiting;
+        }
+        collab.pending = queue;
+        renderCollab(inst);
+    }
+
+    function isValidCollabOp(op) {
+        if (!op || typeof op.id !== 'string' || !COLLAB_ID_RE.test(op.id)) return false;
+        const isToken = typeof op.value === 'string' && COLLAB_TOKEN_RE.test(op.value);
+        const isVersion = !!op.version && Number.isSafeInteger(op.version.clock) && typeof op.version.site === 'string';
+        if (op.type === 'delete') return true;
+        if (op.type === 'set') return isToken && isVersion;
+        return op.type === 'insert' && isToken && isVersion && Number.isSafeInteger(op.clock) && op.id === op.clock + '@' + op.site &&
+            (op.origin === null || (typeof op.origin === 'string' && COLLAB_ID_RE.test(op.origin)));
+    }
+
+    /**
+     * Updates the editor to the model. Only the blocks that differ are replaced, so the
+     * caret stays where it is (or at the same text offset, if its block was replaced).
+     */
+    function renderCollab(inst) {
+        const collab = inst.collab;
+        const target = getCollabView(inst).blocks;
+        const current = readContent(inst).blocks;
+        const groups = getBlockGroups(inst.editorEl);
+
+        let start = 0;
+        let oldEnd = groups.length;
+        let newEnd = target.length;
+        if (groups.length === current.length) {
+            while (start < oldEnd && start < newEnd && current[start] === target[start]) start++;
+            while (oldEnd > start && newEnd > start && current[oldEnd - 1] === target[newEnd - 1]) { oldEnd--; newEnd--; }
+        }
+        if (start === oldEnd && start === newEnd) return;
+
+        // Caret in a replaced block => same place in the block that replaces it. Text added
+        // or removed before the caret (the changed run, found by comparing both texts) moves it.
+        const sel = getSelectionIn(inst.editorEl);
+        const hasCaret = sel.rangeCount > 0 && inst.editorEl.contains(sel.anchorNode);
+        let caret = null;
+        if (hasCaret) {
+            const index = groups.findIndex(group => group.some(node => node === sel.anchorNode || node.contains(sel.anchorNode)));
+            if (index >= start && index < oldEnd) {
+                const range = document.createRange();
+                range.setStartBefore(groups[index][0]);
+                range.setEnd(sel.anchorNode, sel.anchorOffset);
+                caret = { index: Math.min(index, newEnd - 1), offset: range.toString().length };
+                const newIndex = caret.index;
+                if (newIndex === index) {
+                    const oldText = groups[index].map(node => node.textContent).join('');
+                    const holder = document.createElement('template');
+                    holder.innerHTML = target[newIndex];
+                    caret.offset = shiftTextOffset(oldText, holder.content.textContent, caret.offset);
+                }
+            }
+        }
+
+        const next = groups[oldEnd] ? groups[oldEnd][0] : null;
+        groups.slice(start, oldEnd).forEach(group => group.forEach(node => node.remove()));
+        const holder = document.createElement('template');
+        holder.innerHTML = target.slice(start, newEnd).join('');
+        inst.editorEl.insertBefore(holder.content, next);
+
+        collab.applying = true;
+        try {
+            if (caret) {
+                const group = getBlockGroups(inst.editorEl)[Math.max(caret.index, 0)];
+                const point = group && findTextPosition(group, caret.offset);
+                if (point) setCaretAt(point.node, point.offset);
+                else if (group && group[0].nodeType === Node.ELEMENT_NODE) placeCaret(group[0]);
+            }
+            updateToolbarState(inst);
+            scheduleChange(inst);
+        } finally {
+            collab.applying = false;
+        }
+    }
+
+    function shiftTextOffset(oldText, newText, offset) {
+        let prefix = 0;
+        while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < oldText.length - prefix && suffix < newText.length - prefix &&
+            oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+        if (offset <= prefix) return offset;
+        if (offset >= oldText.length - suffix) return offset + newText.length - oldText.length;
+        return Math.min(offset, newText.length - suffix); // Inside the changed run
+    }
+
+    /**
+     * Undo/redo while collaborating: reverts the ops of an undo step with new ops, so edits
+     * by others stay, even inside the same paragraph. Inserted tokens are deleted, deleted
+     * ones are inserted again (as copies, right after their tombstones), and attributes go
+     * back unless someone else changed them since. The step then keeps the reverting ops,
+     * so the next step in the other direction reverts them in turn.
+     */
+    function revertCollabStep(inst, step) {
+        const collab = inst.collab;
+        const ops = [];
+        (step.collabOps || []).slice().reverse().forEach(op => {
+            const item = collab.byId[op.id];
+            if (!item) return;
+            if (op.type === 'insert') {
+                ops.push({ type: 'delete', id: op.id });
+            } else if (op.type === 'delete') {
+                const clock = ++collab.clock;
+                const version = { clock: clock, site: collab.site };
+                ops.push({ type: 'insert', id: clock + '@' + collab.site, clock: clock, site: collab.site, origin: op.id, value: item.value, version: version });
+            } else if (op.type === 'set' && compareVersions(item.version, op.version) === 0) {
+                const version = { clock: ++collab.clock, site: collab.site };
+                ops.push({ type: 'set', id: op.id, value: op.previous.value, version: version, previous: { value: item.value, version: item.version } });
+            }
+        });
+        ops.forEach(op => applyCollabOp(collab, op));
+        if (ops.length && collab.layerEl) sendCollabOps(inst, ops);
+        step.collabOps = ops;
+        renderCollab(inst);
+    }
+
+    // --- Remote cursors ---
+
+    /**
+     * Selection as the ids of the tokens right before the anchor and the focus, which
+     * survive remote edits: { anchor: { id }, focus: { id } } (id null: the start).
+     * Null outside the editor.
+     */
+    function getCollabSelection(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!inst.collab || !sel.rangeCount || !inst.editorEl.contains(sel.anchorNode)) return null;
+        const positions = getCaretPositions(inst);
+        const anchor = toCollabPoint(inst, positions, sel.anchorNode, sel.anchorOffset);
+        const focus = toCollabPoint(inst, positions, sel.focusNode, sel.focusOffset);
+        return anchor && focus ? { anchor: anchor, focus: focus } : null;
+    }
+
+    /**
+     * Token positions in the editor (see tokenizeNodes). Only the block groups a caret is
+     * mapped in are read (see readCaretGroup).
+     */
+    function getCaretPositions(inst) {
+        const content = readContent(inst);
+        const groupOf = new Map();
+        content.groups.forEach(group => group.nodes.forEach(node => groupOf.set(node, group)));
+        return { content: content, groupOf: groupOf, points: [], starts: new Map(), ends: new Map() };
+    }
+
+    function readCaretGroup(positions, group) {
+        if (group.read) return;
+        tokenizeNodes(group.nodes, positions, group.start);
+        group.read = true;
+    }
+
+    function toCollabPoint(inst, positions, node, offset) {
+        let top = node;
+        while (top && top.parentNode !== inst.editorEl) top = top.parentNode;
+        if (top && positions.groupOf.has(top)) readCaretGroup(positions, positions.groupOf.get(top));
+        let count;
+        if (node === inst.editorEl) {
+            const next = Array.from(node.childNodes).slice(offset).find(child => positions.groupOf.has(child));
+            if (next) readCaretGroup(positions, positions.groupOf.get(next));
+            count = next ? positions.starts.get(next) : positions.content.tokens.length;
+        } else if (node.nodeType === Node.TEXT_NODE) {
+            count = positions.starts.has(node) ? positions.starts.get(node) + Array.from(node.data.slice(0, offset)).length : undefined;
+        } else {
+            const next = Array.from(node.childNodes).slice(offset).find(child => positions.starts.has(child));
+            count = next ? positions.starts.get(next) : positions.ends.get(node);
+        }
+        if (count === undefined) return null;
+        const ids = getCollabView(inst).ids;
+        let index = Math.min(count, ids.length) - 1;
+        while (index >= 0 && !ids[index]) index--; // Tokens the parser added
+        return { id: index >= 0 ? ids[index] : null };
+    }
+
+    /**
+     * DOM point after the token 'point.id'. If that token was removed (or isn't shown),
+     * after the closest one before it that is.
+     */
+    function fromCollabPoint(inst, positions, point) {
+        if (!point || !(point.id === null || (typeof point.id === 'string' && COLLAB_ID_RE.test(point.id)))) return null;
+        const collab = inst.collab;
+        const view = getCollabView(inst);
+        if (!view.indexes) view.indexes = new Map(view.ids.map((id, index) => [id, index]));
+        let count = 0;
+        const item = point.id ? collab.byId[point.id] : null;
+        if (item) {
+            let position = collab.items.indexOf(item);
+            while (position >= 0 && !view.indexes.has(collab.items[position].id)) position--;
+            if (position >= 0) count = Math.min(view.indexes.get(collab.items[position].id) + 1, positions.content.tokens.length);
+        }
+        const group = positions.content.groups.slice().reverse().find(group => group.start < count);
+        if (group) readCaretGroup(positions, group);
+        return positions.points[count - 1] || { node: inst.editorEl, offset: 0 };
+    }
+
+    function sendCursor(inst, selection) {
+        const collab = inst.collab;
+        if (!collab || !collab.layerEl || collab.applying) return;
+        if (JSON.stringify(selection) === JSON.stringify(collab.lastCursor)) return;
+        collab.lastCursor = selection;
+        sendCollab(inst, { type: 'cursor', user: collab.user, selection: selection });
+    }
+
+    /**
+     * Draws each peer's caret (with a name label) and selection over the editor.
+     */
+    function renderRemoteCursors(inst) {
+        const collab = inst.collab;
+        if (!collab || !collab.layerEl) return;
+        collab.layerEl.replaceChildren();
+        const box = inst.container.getBoundingClientRect();
+        const view = inst.editorEl.getBoundingClientRect();
+        const isVisible = (rect) => rect.bottom >= view.top && rect.top <= view.bottom && inst.editorEl.style.display !== 'none';
+        const addBox = (className, rect, color) => {
+            const el = document.createElement('div');
+            el.className = className;
+            el.style.left = (rect.left - box.left) + 'px';
+            el.style.top = (rect.top - box.top) + 'px';
+            el.style.height = rect.height + 'px';
+            if (className === 'ichik-remote-selection') el.style.width = rect.width + 'px';
+            el.style.setProperty('--ichik-remote-color', color);
+            collab.layerEl.appendChild(el);
+            return el;
+        };
+
+        const positions = getCaretPositions(inst);
+        Object.keys(collab.peers).forEach(site => {
+            const peer = collab.peers[site];
+            if (!peer.selection) return;
+            const anchor = fromCollabPoint(inst, positions, peer.selection.anchor);
+            const focus = fromCollabPoint(inst, positions, peer.selection.focus);
+            if (!anchor || !focus) return;
+            const color = typeof peer.user.color === 'string' ? peer.user.color : pickCollabColor(site);
+
+            const range = document.createRange();
+            range.setStart(anchor.node, anchor.offset);
+            if (range.comparePoint(focus.node, focus.offset) < 0) range.setStart(focus.node, focus.offset);
+            else range.setEnd(focus.node, focus.offset);
+            Array.from(range.getClientRects()).forEach(rect => {
+                if (rect.width && isVisible(rect)) addBox('ichik-remote-selection', rect, color);
+            });
+
+            const caret = document.createRange();
+            caret.setStart(focus.node, focus.offset);
+            let rect = caret.getBoundingClientRect();
+            if (!rect.height) {
+                const el = focus.node.nodeType === Node.ELEMENT_NODE ? focus.node : focus.node.parentElement;
+                rect = el.getBoundingClientRect();
+            }
+            if (!isVisible(rect)) return;
+            const caretEl = addBox('ichik-remote-caret', { left: rect.left, top: rect.top, height: rect.height || 18 }, color);
+            const label = document.createElement('span');
+            label.className = 'ichik-remote-label';
+            label.textContent = String(peer.user.name || inst.labels.collab.guest);
+            caretEl.appendChild(label);
+        });
+    }
+
+    /**
+     * In-memory transport for testing: every connect() is a peer, and messages reach the
+     * other peers as JSON copies, asynchronously and in order ('latency' in ms).
+     */
+    function createLoopback(options = {}) {
+        const peers = [];
+        return {
+            connect() {
+                const peer = { callbacks: [] };
+                peers.push(peer);
+                return {
+                    send(message) {
+                        const json = JSON.stringify(message);
+                        peers.forEach(other => {
+                            if (other === peer) return;
+                            setTimeout(() => other.callbacks.forEach(cb => cb(JSON.parse(json))), options.latency || 0);
+                        });
+                    },
+                    onReceive(callback) {
+                        peer.callbacks.push(callback);
+                        return () => { peer.callbacks = peer.callbacks.filter(cb => cb !== callback); };
+                    }
+                };
+            }
+        };
+    }
+
+    // --- DRAFT AUTOSAVE & RECOVERY ---
+
+    /**
+     * Autosave state, or null if disabled. Drafts are stored per 'key' (by default, the
+     * page path and the element id) as { content, position, savedAt }.
+     */
+    function createAutosave(inst, config) {
+        if (!config) return null;
+        if (config === true) config = {};
+        const key = config.key || (inst.hostEl.id ? window.location.pathname + '#' + inst.hostEl.id : null);
+        if (!key) throw new Error('IchikEditor: autosave needs a \'key\' (or an element with an id)');
+
+        let storage = config.storage || 'localStorage';
+        if (typeof storage === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(DRAFT_STORAGES, storage)) throw new Error(`IchikEditor: Unknown draft storage "${storage}"`);
+            storage = DRAFT_STORAGES[storage]();
+        }
+        return {
+            key: key,
+            storage: storage,
+            interval: config.interval !== undefined ? config.interval : AUTOSAVE_INTERVAL,
+            ttl: config.ttl !== undefined ? config.ttl : DRAFT_TTL,
+            queue: Promise.resolve(),          // Storage calls run one after another
+            ready: false,                      // Saving starts once the stored draft is checked
+            base: '',                          // Content loaded with setContent(): not a draft
+            draft: null,                       // Draft offered in the banner
+            position: { block: 0, offset: 0 }, // Last caret in the editor
+            timer: null,
+            bannerEl: null
+        };
+    }
+
+    /**
+     * Removes expired drafts, then offers to restore this editor's draft if it differs
+     * from the content. Storage is async, so the page's own setContent() calls run first.
+     */
+    function startAutosave(inst) {
+        const autosave = inst.autosave;
+        removeExpiredDrafts(inst);
+        callDraftStorage(inst, 'get', autosave.key).then(draft => {
+            if (!inst.editorEl || autosave.ready) return; // Destroyed, or clearDraft() called meanwhile
+            if (draft && !isFreshDraft(inst, draft)) {
+                callDraftStorage(inst, 'remove', autosave.key);
+                draft = null;
+            }
+            if (draft && draft.content !== getDraftContent(inst)) {
+                showDraftBanner(inst, draft);
+            } else {
+                autosave.ready = true;
+                scheduleAutosave(inst);
+            }
+        });
+    }
+
+    /**
+     * Calls a storage method once the previous calls are done. Resolves to null on
+     * errors (quota exceeded, storage disabled...): a failed save never breaks editing.
+     */
+    function callDraftStorage(inst, method, ...args) {
+        const autosave = inst.autosave;
+        autosave.queue = autosave.queue.then(() => autosave.storage[method](...args)).catch(() => null);
+        return autosave.queue;
+    }
+
+    function isFreshDraft(inst, draft) {
+        const ttl = inst.autosave.ttl;
+        return !!draft && typeof draft.content === 'string' && !(ttl && Date.now() - draft.savedAt > ttl);
+    }
+
+    /**
+     * Drafts older than 'ttl', of any editor (only with storages that have keys()).
+     */
+    function removeExpiredDrafts(inst) {
+        if (!inst.autosave.ttl || typeof inst.autosave.storage.keys !== 'function') return;
+        callDraftStorage(inst, 'keys').then(keys => (keys || []).forEach(key => {
+            callDraftStorage(inst, 'get', key).then(draft => {
+                if (!isFreshDraft(inst, draft)) callDraftStorage(inst, 'remove', key);
+            });
+        }));
+    }
+
+    function getDraftContent(inst) {
+        return sanitizeHtml(inst.editorEl.innerHTML, inst.sanitizeSchema);
+    }
+
+    /**
+     * Saves at most once per 'interval' while editing.
+     */
+    function scheduleAutosave(inst) {
+        const autosave = inst.autosave;
+        if (!autosave || !autosave.ready || autosave.timer) return;
+        autosave.timer = setTimeout(() => saveDraft(inst), autosave.interval);
+    }
+
+    /**
+     * Stores the content and caret. Content equal to what was loaded has nothing
+     * to recover, so its draft is removed instead.
+     */
+    function saveDraft(inst) {
+        const autosave = inst.autosave;
+        clearTimeout(autosave.timer);
+        autosave.timer = null;
+        if (!autosave.ready || !inst.editorEl) return;
+
+        const content = getDraftContent(inst);
+        if (content === autosave.base) {
+            callDraftStorage(inst, 'remove', autosave.key);
+            return;
+        }
+        const sel = getSelectionIn(inst.editorEl);
+        if (sel.rangeCount && inst.editorEl.contains(sel.anchorNode)) autosave.position = getEditorPosition(inst);
+        callDraftStorage(inst, 'set', autosave.key, { content: content, position: autosave.position, savedAt: Date.now() });
+    }
+
+    function flushDraft(inst) {
+        if (inst.autosave && inst.autosave.timer) saveDraft(inst);
+    }
+
+    /**
+     * Removes the stored draft. The current content counts as saved from now on.
+     */
+    function clearDraft(inst) {
+        const autosave = inst.autosave;
+        clearTimeout(autosave.timer);
+        autosave.timer = null;
+        if (inst.editorEl) {
+            closeDraftBanner(inst);
+            autosave.base = getDraftContent(inst);
+        }
+        return callDraftStorage(inst, 'remove', autosave.key).then(() => undefined);
+    }
+
+    /**
+     * "You have an unsaved draft" banner above the content. Nothing is saved until it's
+     * answered, so the draft isn't overwritten meanwhile.
+     */
+    function showDraftBanner(inst, draft) {
+        const labels = inst.labels.autosave;
+        const banner = document.createElement('div');
+        banner.className = 'ichik-draft-banner';
+        banner.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        text.textContent = labels.draftFound.replace('{date}', new Date(draft.savedAt).toLocaleString());
+        banner.appendChild(text);
+        [['restore', restoreDraft], ['discard', discardDraft]].forEach(([name, action]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'ichik-draft-' + name;
+            btn.textContent = labels[name];
+            listen(inst, btn, 'click', () => action(inst));
+            banner.appendChild(btn);
+        });
+
+        inst.autosave.draft = draft;
+        inst.autosave.bannerEl = banner;
+        inst.editorEl.before(banner);
+    }
+
+    function closeDraftBanner(inst) {
+        const autosave = inst.autosave;
+        if (autosave.bannerEl) autosave.bannerEl.remove();
+        autosave.bannerEl = null;
+        autosave.draft = null;
+        autosave.ready = true;
+    }
+
+    /**
+     * Loads the draft as an undoable step, and puts the caret back where it was.
+     */
+    function restoreDraft(inst) {
+        const draft = inst.autosave.draft;
+        closeDraftBanner(inst);
+        recordChange(inst, () => {
+            inst.editorEl.innerHTML = sanitizeHtml(draft.content, inst.sanitizeSchema);
+            liftCodeLanguages(inst.editorEl);
+        });
+        if (inst.mode === 'markdown') inst.sourceEl.focus();
+        else setEditorPosition(inst, draft.position || { block: 0, offset: 0 });
+    }
+
+    function discardDraft(inst) {
+        closeDraftBanner(inst);
+        callDraftStorage(inst, 'remove', inst.autosave.key);
+        scheduleAutosave(inst); // Edits made while the banner was shown
+        (inst.mode === 'markdown' ? inst.sourceEl : inst.editorEl).focus();
+    }
+
+    /**
+     * Built-in storage: localStorage (synchronous, a few MB per site).
+     */
+    function createLocalDraftStorage() {
+        const storage = window.localStorage;
+        return {
+            get: (key) => readStorage(DRAFT_KEY_PREFIX + key, null),
+            set: (key, draft) => storage.setItem(DRAFT_KEY_PREFIX + key, JSON.stringify(draft)),
+            remove: (key) => storage.removeItem(DRAFT_KEY_PREFIX + key),
+            keys: () => Array.from({ length: storage.length }, (_, i) => storage.key(i))
+                .filter(key => key && key.startsWith(DRAFT_KEY_PREFIX))
+                .map(key => key.slice(DRAFT_KEY_PREFIX.length))
+        };
+    }
+
+    /**
+     * Built-in storage: IndexedDB (async, for large drafts with images). The database
+     * is opened on first use.
+     */
+    function createIndexedDbDraftStorage() {
+        let db = null;
+        const open = () => db || (db = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DRAFT_DB.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DRAFT_DB.store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        const run = (mode, fn) => open().then(database => new Promise((resolve, reject) => {
+            const request = fn(database.transaction(DRAFT_DB.store, mode).objectStore(DRAFT_DB.store));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        return {
+            get: (key) => run('readonly', store => store.get(key)).then(draft => draft === undefined ? null : draft),
+            set: (key, draft) => run('readwrite', store => store.put(draft, key)),
+            remove: (key) => run('readwrite', store => store.delete(key)),
+            keys: () => run('readonly', store => store.getAllKeys())
+        };
+    }
+
+    // --- READ-ONLY & DISABLED ---
+
+    function isEditable(inst) {
+        return !inst.readOnly && !inst.disabled;
+    }
+
+    /**
+     * Applies the read-only and disabled states to the editor, the textarea and the toolbar.
+     * Read-only hides the toolbar but keeps the text focusable, so it can be selected and read.
+     * Disabled keeps the toolbar, with every control disabled.
+     */
+    function updateEditableState(inst) {
+        const editable = isEditable(inst);
+        inst.editorEl.contentEditable = String(editable);
+        setAriaFlag(inst.editorEl, 'aria-readonly', inst.readOnly);
+        setAriaFlag(inst.editorEl, 'aria-disabled', inst.disabled);
+        setAriaFlag(inst.toolbarEl, 'aria-disabled', inst.disabled);
+        if (inst.readOnly && !inst.disabled) inst.editorEl.tabIndex = 0;
+        else inst.editorEl.removeAttribute('tabindex');
+
+        inst.sourceEl.readOnly = inst.readOnly;
+        inst.sourceEl.disabled = inst.disabled;
+        inst.container.classList.toggle('ichik-readonly', inst.readOnly); // Also hides the toolbar
+        inst.container.classList.toggle('ichik-disabled', inst.disabled);
+
+        if (!editable) {
+            if (inst.openPopup) closeAllPopups(inst, null); // Focus stays where it is
+            closeEmojiInline(inst);
+            closeMentions(inst);
+        }
+        updateToolbarState(inst); // Also hides the link bubble, table menu and image tools
+    }
+
+    function setAriaFlag(el, name, value) {
+        if (value) el.setAttribute(name, 'true');
+        else el.removeAttribute(name);
+    }
+
+    // --- LIMITS, STATUS BAR & FORMS ---
+
+    /**
+     * Characters (as counted for 'maxLength'), words and images in the content.
+     * Cached until the content changes, since the limits check them on every keystroke.
+     */
+    function getContentStats(inst) {
+        flushSource(inst);
+        if (inst.statsObserver.takeRecords().length) inst.contentStats = null; // Edits made in this task
+        if (!inst.contentStats) inst.contentStats = countContent(inst);
+        return inst.contentStats;
+    }
+
+    /**
+     * Drops the cached stats whenever the content (or anything inside the editor) changes.
+     */
+    function watchContentStats(inst) {
+        inst.statsObserver = new MutationObserver(() => inst.contentStats = null);
+        inst.statsObserver.observe(inst.editorEl, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    /**
+     * 'text' counts the visible text, with each line break or run of spaces as one character.
+     */
+    function countContent(inst) {
+        const root = getContentCopy(inst);
+        const counted = inst.countBy === 'text' ? null : String(getFormat(inst.countBy).serialize(root.cloneNode(true), inst));
+        root.querySelectorAll('br, td, th, figcaption, ' + MD_BLOCK_TAGS.join(', ')).forEach(el => el.before(' '));
+        const text = root.textContent.replace(/\s+/g, ' ').trim();
+        return {
+            characters: Array.from(counted === null ? text : counted).length,
+            words: text ? text.split(' ').length : 0,
+            images: inst.editorEl.querySelectorAll('img, .ichik-upload').length // Uploads in progress count too
+        };
+    }
+
+    /**
+     * Characters left before 'maxLength' (Infinity without a limit). The text in 'range'
+     * (the selection by default) is about to be replaced, so it doesn't count.
+     */
+    function getRemainingLength(inst, range = null) {
+        if (!inst.maxLength) return Infinity;
+        const sel = getSelectionIn(inst.editorEl);
+        if (!range && sel.rangeCount && inst.editorEl.contains(sel.anchorNode)) range = sel.getRangeAt(0);
+        const replaced = range ? Array.from(range.toString()).length : 0;
+        return inst.maxLength - getContentStats(inst).characters + replaced;
+    }
+
+    /**
+     * Typing at the limit is blocked, and typed, dropped or spellchecker text that doesn't
+     * fit is cut (as plain text, like paste). Returns true if handled.
+     */
+    function handleLimitBeforeInput(inst, e) {
+        if (!inst.maxLength || !/^insert/.test(e.inputType) || e.inputType === 'insertFromPaste') return false;
+        // Where the text goes: the drop point, the misspelled word, or the selection
+        const target = e.getTargetRanges ? e.getTargetRanges()[0] : null;
+        const range = target ? document.createRange() : null;
+        if (range) {
+            range.setStart(target.startContainer, target.startOffset);
+            range.setEnd(target.endContainer, target.endOffset);
+        }
+        const room = getRemainingLength(inst, range);
+        const data = e.data || (e.dataTransfer ? e.dataTransfer.getData('text/plain') : '');
+        if (room > 0 && Array.from(data || '').length <= room) return false;
+
+        e.preventDefault();
+        const text = Array.from(data || '').slice(0, Math.max(room, 0)).join('');
+        if (text && e.inputType === 'insertText') document.execCommand('insertText', false, text);
+        else if (text && (e.inputType === 'insertFromDrop' || e.inputType === 'insertReplacementText')) {
+            recordChange(inst, () => {
+                if (range) {
+                    const sel = getSelectionIn(inst.editorEl);
+                    sel.removeAllRanges();
+                    sel.addRange(range);
+                }
+                document.execCommand('insertText', false, text);
+            });
+        }
+        showMessage(inst, inst.labels.alerts.maxLength.replace('{max}', inst.maxLength));
+        return true;
+    }
+
+    /**
+     * Error message if no more images can be added ('maxImages'), or null.
+     */
+    function getImageLimitError(inst) {
+        if (!inst.maxImages || getContentStats(inst).images < inst.maxImages) return null;
+        return inst.labels.alerts.maxImages.replace('{max}', inst.maxImages);
+    }
+
+    function limitPastedImages(inst, wrapper) {
+        if (!inst.maxImages) return;
+        const room = Math.max(inst.maxImages - getContentStats(inst).images, 0);
+        const extra = Array.from(wrapper.querySelectorAll('img')).slice(room);
+        extra.forEach(img => (img.closest('figure') || img).remove());
+        if (extra.length) showMessage(inst, inst.labels.alerts.maxImages.replace('{max}', inst.maxImages));
+    }
+
+    /**
+     * Errors for the 'required', 'maxLength' and 'maxImages' options: [{ code, message }].
+     * The editor is marked invalid (aria-invalid) while there are any.
+     */
+    function validateContent(inst) {
+        const stats = getContentStats(inst);
+        const messages = inst.labels.validation;
+        const errors = [];
+        const add = (code, count, max) => errors.push({ code: code, message: messages[code].replace('{count}', count).replace('{max}', max) });
+
+        if (inst.required && !stats.characters && !stats.images) add('required');
+        if (inst.maxLength && stats.characters > inst.maxLength) add('maxLength', stats.characters, inst.maxLength);
+        if (inst.maxImages && stats.images > inst.maxImages) add('maxImages', stats.images, inst.maxImages);
+
+        inst.container.classList.toggle('ichik-invalid', errors.length > 0);
+        if (errors.length) inst.editorEl.setAttribute('aria-invalid', 'true');
+        else inst.editorEl.removeAttribute('aria-invalid');
+        return errors;
+    }
+
+    /**
+     * Status bar counts. Also clears the invalid state once the content is fixed.
+     */
+    function updateStatusBar(inst) {
+        if (!inst.editorEl || (!inst.statusEl && !inst.editorEl.hasAttribute('aria-invalid'))) return;
+        if (inst.editorEl.hasAttribute('aria-invalid')) validateContent(inst);
+        if (!inst.statusEl) return;
+
+        const labels = inst.labels.status;
+        const stats = getContentStats(inst);
+        const words = document.createElement('span');
+        words.className = 'ichik-status-words';
+        words.textContent = labels.words.replace('{count}', stats.words);
+        const characters = document.createElement('span');
+        characters.className = 'ichik-status-characters';
+        characters.textContent = inst.maxLength
+            ? labels.charactersMax.replace('{count}', stats.characters).replace('{max}', inst.maxLength)
+            : labels.characters.replace('{count}', stats.characters);
+        characters.classList.toggle('ichik-status-over', !!inst.maxLength && stats.characters > inst.maxLength);
+        inst.statusEl.replaceChildren(words, characters);
+    }
+
+    /**
+     * Hidden <input name="..."> value, in 'inputFormat' (objects as JSON).
+     */
+    function syncFormInput(inst) {
+        if (!inst.inputEl) return;
+        const value = getFormat(inst.inputFormat).serialize(getContentCopy(inst), inst);
+        inst.inputEl.value = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    function handleFormSubmit(inst, e) {
+        syncFormInput(inst);
+        const errors = validateContent(inst);
+        if (!errors.length) return;
+        e.preventDefault();
+        showMessage(inst, errors[0].message);
+        inst.editorEl.focus();
+    }
+
+    // --- MARKDOWN SOURCE VIEW ---
+
+    /**
+     * Switches between the rich view ('wysiwyg'), the Markdown textarea ('markdown')
+     * and both side by side ('split'). Pending Markdown edits are parsed first, and
+     * the caret moves to the same block in the other view.
+     */
+    function setEditorMode(inst, mode) {
+        if (!EDITOR_MODES.includes(mode)) throw new Error(`IchikEditor: Unknown mode "${mode}"`);
+        const previous = inst.mode;
+        if (mode === previous) return;
+
+        const active = getActiveElementIn(inst.container);
+        const hadFocus = inst.container.contains(active);
+        const fromSource = active === inst.sourceEl;
+        const position = fromSource ? getSourcePosition(inst) : getEditorPosition(inst);
+        flushSource(inst);
+        closeAllPopups(inst);
+
+        inst.mode = mode;
+        inst.container.classList.toggle('ichik-mode-markdown', mode === 'markdown');
+        inst.container.classList.toggle('ichik-mode-split', mode === 'split');
+        inst.editorEl.style.display = mode === 'markdown' ? 'none' : '';
+        inst.sourceEl.style.display = mode === 'wysiwyg' ? 'none' : '';
+        updateSource(inst);
+        updateToolbarState(inst);
+
+        // Focus stays in the view the user was in, if it's still visible
+        if (hadFocus) {
+            const toSource = mode === 'markdown' || (mode === 'split' && fromSource);
+            if (toSource) setSourcePosition(inst, position);
+            else setEditorPosition(inst, position);
+        }
+        emit(inst, 'modechange', { mode: mode, previous: previous });
+    }
+
+    /**
+     * Rich view => textarea. Skipped while the textarea has unparsed edits (split mode),
+     * so what the user is typing is never reformatted under the caret.
+     */
+    function updateSource(inst) {
+        if (inst.mode === 'wysiwyg' || inst.sourceDirty) return;
+        const md = getFormat('markdown').serialize(getContentCopy(inst), inst);
+        if (inst.sourceEl.value !== md) inst.sourceEl.value = md;
+    }
+
+    /**
+     * Textarea input: parsed into the rich view after 'changeDelay' (or right away
+     * when the content is read or the mode changes).
+     */
+    function scheduleSourceSync(inst) {
+        inst.sourceDirty = true;
+        clearTimeout(inst.sourceTimer);
+        inst.sourceTimer = setTimeout(() => flushSource(inst), inst.changeDelay);
+    }
+
+    function flushSource(inst) {
+        clearTimeout(inst.sourceTimer);
+        if (!inst.sourceDirty) return;
+        inst.sourceDirty = false;
+        inst.sourceSyncing = true;
+        try {
+            loadContent(inst, inst.sourceEl.value, 'markdown');
+        } finally {
+            inst.sourceSyncing = false;
+        }
+    }
+
+    /**
+     * Caret in the rich view as { block, offset }: the index of its top-level block
+     * and the number of characters before it in that block.
+     */
+    function getEditorPosition(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || !inst.editorEl.contains(sel.anchorNode)) return { block: 0, offset: 0 };
+        if (sel.anchorNode === inst.editorEl) return { block: sel.anchorOffset, offset: 0 }; // Between blocks
+        let block = sel.anchorNode;
+        while (block.parentNode !== inst.editorEl) block = block.parentNode;
+        const range = document.createRange();
+        range.selectNodeContents(block);
+        range.setEnd(sel.anchorNode, sel.anchorOffset);
+        return { block: Array.prototype.indexOf.call(inst.editorEl.childNodes, block), offset: range.toString().length };
+    }
+
+    function setEditorPosition(inst, position) {
         inst.editorEl.focus();
+        const block = inst.editorEl.childNodes[Math.min(position.block, inst.editorEl.childNodes.length - 1)];
+        if (!block) return;
+        const point = findTextPosition([block], position.offset);
+        if (point) setCaretAt(point.node, point.offset);
+        else if (block.nodeType === Node.ELEMENT_NODE) placeCaret(block);
+    }
+
+    /**
+     * Caret in the textarea as { block, offset }. The Markdown before the caret is
+     * parsed: its top-level nodes are the blocks before (and including) the caret's.
+     */
+    function getSourcePosition(inst) {
+        const before = inst.sourceEl.value.slice(0, inst.sourceEl.selectionStart);
+        const nodes = parseFromMd(before, inst.urlPolicy, inst.mentionPatterns).childNodes;
+        const last = nodes[nodes.length - 1];
+        if (!last) return { block: 0, offset: 0 };
+        // A blank line before the caret starts a new block
+        if (/\n\s*\n\s*$/.test(before)) return { block: nodes.length, offset: 0 };
+        return { block: nodes.length - 1, offset: last.textContent.length };
+    }
+
+    /**
+     * Places the textarea caret in the Markdown of a block: the content before that
+     * block is serialized to find where it starts.
+     */
+    function setSourcePosition(inst, position) {
+        const root = getContentCopy(inst);
+        while (root.childNodes.length > position.block) root.lastChild.remove();
+        const prefix = getFormat('markdown').serialize(root, inst);
+        const value = inst.sourceEl.value;
+        const start = Math.min(value.length, prefix ? prefix.length + 2 : 0);
+        const end = value.indexOf('\n\n', start);
+        const caret = Math.min(start + position.offset, end === -1 ? value.length : end);
+        inst.sourceEl.focus();
+        inst.sourceEl.setSelectionRange(caret, caret);
+        syncScroll(inst, inst.editorEl, inst.sourceEl);
     }
 
-    // --- TOOLBAR EVENT HANDLING ---
+    /**
+     * Split mode: scrolling one view scrolls the other to the same relative position.
+     */
+    function syncScroll(inst, from, to) {
+        if (inst.mode !== 'split') return;
+        if (inst.scrollLock === from) { inst.scrollLock = null; return; } // Our own scroll
+        const max = from.scrollHeight - from.clientHeight;
+        const top = Math.round((max > 0 ? from.scrollTop / max : 0) * (to.scrollHeight - to.clientHeight));
+        if (Math.abs(to.scrollTop - top) < 1) return;
+        inst.scrollLock = to;
+        to.scrollTop = top;
+    }
 
-    function handleToolbarClick(inst, e, item, btn) {
-        e.preventDefault();
+    /**
+     * Mode buttons show the current mode. In 'markdown' mode the other controls
+     * are disabled: they act on the rich view, which is hidden. A read-only or
+     * disabled editor has every control disabled.
+     */
+    function updateModeState(inst) {
+        const locked = !isEditable(inst);
+        inst.uiRefs.buttons.concat(inst.uiRefs.selects).forEach(control => {
+            const cmd = control.dataset.cmd;
+            if (MODE_COMMANDS[cmd]) {
+                const isActive = inst.mode === MODE_COMMANDS[cmd];
+                control.classList.toggle('active', isActive);
+                control.setAttribute('aria-pressed', String(isActive));
+                control.disabled = locked;
+            } else if (locked || inst.mode === 'markdown') {
+                control.disabled = true;
+            } else if (cmd !== 'undo' && cmd !== 'redo') {
+                control.disabled = false;
+            }
+        });
+    }
 
-        // Stop propagation so the global document click listener
-        // doesn't immediately close the popup we just opened.
-        if (['createLink', 'customInsertImage', 'toggleEmoji'].includes(item.cmd)) {
-            e.stopPropagation();
-        }
+    // --- THEMING & SHADOW DOM ---
 
-        if (item.cmd === 'createLink') {
-            if (inst.popupEl.style.display === 'flex') closeAllPopups(inst);
-            else {
-                const linkNode = getLinkAtCursor(inst);
-                openFormPopup(inst, 'link', btn, linkNode);
-            }
+    /**
+     * Normalizes the 'theme' option: 'auto' | 'light' | 'dark' | { scheme, tokens }.
+     * Token names map to CSS properties: { accent: '#e36209', buttonBg: '#fff' } => --ichik-accent, --ichik-button-bg
+     */
+    function buildTheme(theme) {
+        const config = theme && typeof theme === 'object' ? theme : { scheme: theme };
+        const scheme = config.scheme || 'auto';
+        if (!THEMES.includes(scheme)) throw new Error(`IchikEditor: Unknown theme "${scheme}"`);
+
+        const tokens = {};
+        Object.keys(config.tokens || {}).forEach(name => {
+            const prop = name.startsWith('--') ? name : '--ichik-' + name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+            tokens[prop] = String(config.tokens[name]);
+        });
+        return { scheme: scheme, tokens: tokens };
+    }
+
+    /**
+     * Sets the theme on an element: the container or a floating element (outside the container).
+     */
+    function applyTheme(inst, el, previous) {
+        if (previous) Object.keys(previous.tokens).forEach(prop => el.style.removeProperty(prop));
+        el.setAttribute('data-ichik-theme', inst.theme.scheme);
+        Object.keys(inst.theme.tokens).forEach(prop => el.style.setProperty(prop, inst.theme.tokens[prop]));
+    }
+
+    function setEditorTheme(inst, theme) {
+        const previous = inst.theme;
+        inst.theme = buildTheme(theme);
+        [inst.container].concat(inst.floatingEls).forEach(el => applyTheme(inst, el, previous));
+    }
+
+    /**
+     * Shadow mode: the editor renders inside the element's shadow root, isolated from page
+     * CSS. Returns the new container. Floating elements go to a layer in the same root.
+     */
+    function mountShadowRoot(inst, config) {
+        const host = inst.hostEl;
+        const root = host.shadowRoot || host.attachShadow({ mode: 'open' });
+        root.innerHTML = '';
+
+        const urls = Array.isArray(config.stylesheets) ? config.stylesheets
+            : Array.from(document.querySelectorAll(SHADOW_STYLESHEET_SELECTOR)).map(link => link.href);
+        urls.forEach(url => {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = url;
+            root.appendChild(link);
+        });
+
+        const container = document.createElement('div');
+        root.appendChild(container);
+        inst.floatingLayerEl = document.createElement('div');
+        inst.floatingLayerEl.className = 'ichik-floating-layer';
+        root.appendChild(inst.floatingLayerEl);
+        inst.shadowRoot = root;
+        return container;
+    }
+
+    /**
+     * Floating elements are positioned in page coordinates (see smartPosition). The layer
+     * is fixed to the viewport, so it's moved by the scroll offset.
+     */
+    function syncFloatingLayer(inst) {
+        inst.floatingLayerEl.style.left = -window.scrollX + 'px';
+        inst.floatingLayerEl.style.top = -window.scrollY + 'px';
+    }
+
+    function restoreAttribute(el, name, value) {
+        if (value === null) el.removeAttribute(name);
+        else el.setAttribute(name, value);
+    }
+
+    // --- CONTENT FORMATS ---
+
+    function getFormat(name) {
+        const format = Object.prototype.hasOwnProperty.call(FORMATS, name) ? FORMATS[name] : null;
+        if (!format) throw new Error(`IchikEditor: Unknown format "${name}"`);
+        return format;
+    }
+
+    /**
+     * Sanitized copy of the content: serializers can modify it freely, and never see
+     * editor-only markup (upload placeholders, unknown attributes).
+     */
+    function getContentCopy(inst) {
+        flushSource(inst);
+        const root = inst.editorEl.cloneNode(false);
+        root.innerHTML = sanitizeHtml(inst.editorEl.innerHTML, inst.sanitizeSchema);
+        return root;
+    }
+
+    /**
+     * Replaces the content with the result of a format's parse(). Always sanitized,
+     * even if the parser builds DOM nodes.
+     */
+    function loadContent(inst, content, formatName) {
+        const format = getFormat(formatName);
+        if (typeof format.parse !== 'function') throw new Error(`IchikEditor: Format "${formatName}" can't be loaded`);
+        if (!inst.sourceSyncing) {
+            // New content replaces any textarea edits not parsed yet
+            clearTimeout(inst.sourceTimer);
+            inst.sourceDirty = false;
         }
-        else if (item.cmd === 'customInsertImage') {
-            if (inst.popupEl.style.display === 'flex') closeAllPopups(inst);
-            else {
-                const imgNode = getImageAtCursor(inst);
-                openFormPopup(inst, 'image', btn, imgNode);
-            }
+        const result = format.parse(content, inst);
+        let html = result || '';
+        if (typeof result !== 'string') {
+            const holder = document.createElement('div');
+            if (result) holder.appendChild(result);
+            html = holder.innerHTML;
         }
-        else if (item.cmd === 'toggleEmoji') {
-            if (inst.emojiPickerEl.style.display === 'grid') {
-                closeAllPopups(inst);
-            } else {
-                closeAllPopups(inst);
-                saveSelection(inst);
-                smartPosition(btn, inst.emojiPickerEl, 'grid'); // Explicitly set 'grid' for Emojis
-            }
+        inst.editorEl.innerHTML = sanitizeHtml(html, inst.sanitizeSchema);
+        liftCodeLanguages(inst.editorEl);
+        if (inst.autosave && !inst.sourceSyncing) inst.autosave.base = getDraftContent(inst);
+        if (inst.collab) inst.collab.loading = !inst.sourceSyncing; // Same ids on every peer (see diffToOps)
+        try {
+            recordHistory(inst);
+        } finally {
+            if (inst.collab) inst.collab.loading = false;
         }
-        else if (item.cmd === 'removeFormat') {
-            inst.editorEl.focus();
-            document.execCommand('removeFormat', false, null);
-            document.execCommand('formatBlock', false, 'P');
-            document.execCommand('unlink', false, null);
-            updateToolbarState(inst);
+        updateToolbarState(inst);
+    }
+
+    // --- EVENTS & LIFECYCLE ---
+
+    /**
+     * Adds a listener and keeps track of it, so destroy() can remove it.
+     */
+    function listen(inst, target, type, handler) {
+        target.addEventListener(type, handler);
+        inst.domListeners.push({ target: target, type: type, handler: handler });
+    }
+
+    /**
+     * Appends a floating element (popup, tooltip...) to the <body>, or to the floating layer
+     * in shadow mode. Removed on destroy().
+     */
+    function attachFloating(inst, el) {
+        applyTheme(inst, el, null);
+        (inst.floatingLayerEl || document.body).appendChild(el);
+        inst.floatingEls.push(el);
+    }
+
+    function emit(inst, type, detail) {
+        (inst.listeners[type] || []).slice().forEach(cb => cb.call(inst, detail));
+    }
+
+    /**
+     * Debounced 'change' event. Fired after every recorded edit, undo or redo.
+     */
+    function scheduleChange(inst) {
+        if (!inst.sourceSyncing) updateSource(inst);
+        collectLocalOps(inst);
+        updateStatusBar(inst);
+        scheduleAutosave(inst);
+        renderRemoteCursors(inst);
+        if (inst.openPopup === 'find') updateFindMatches(inst); // Undo, remote edits...
+        clearTimeout(inst.changeTimer);
+        inst.changeTimer = setTimeout(() => {
+            syncFormInput(inst);
+            emit(inst, 'change');
+        }, inst.changeDelay);
+    }
+
+    function destroyEditor(inst) {
+        flushDraft(inst);
+        stopCollab(inst);
+        clearTimeout(inst.changeTimer);
+        clearTimeout(inst.sourceTimer);
+        clearTimeout(inst.messageTimer);
+        inst.domListeners.forEach(l => l.target.removeEventListener(l.type, l.handler));
+        inst.floatingEls.forEach(el => el.remove());
+        inst.domListeners = [];
+        inst.floatingEls = [];
+        inst.listeners = {};
+
+        // Restore the element as it was before initialization
+        if (inst.shadowRoot) {
+            // A shadow root can't be removed: it shows the light DOM again
+            inst.shadowRoot.innerHTML = '<slot></slot>';
+            if (inst.inputEl) inst.inputEl.remove();
+        } else {
+            inst.container.innerHTML = inst.originalHTML;
+            inst.container.removeAttribute('data-ichik-theme');
+            restoreAttribute(inst.container, 'class', inst.originalClass);
+            restoreAttribute(inst.container, 'style', inst.originalStyle);
         }
-        else {
-            inst.editorEl.focus();
-            document.execCommand(item.cmd, false, null);
-            updateToolbarState(inst);
+        inst.toolbarEl = null;
+        inst.editorEl = null;
+        inst.tooltipEl = null;
+        inst.emojiPickerEl = null;
+        inst.popupEl = null;
+        inst.tablePickerEl = null;
+        inst.tableMenuEl = null;
+        inst.messageEl = null;
+        inst.mentionEl = null;
+        inst.mentionState = null;
+        inst.mentionRequest++;
+        inst.linkBubbleEl = null;
+        inst.linkBubbleLink = null;
+        inst.linkBubbleDismissed = null;
+        inst.imageOverlayEl = null;
+        inst.imageToolbarEl = null;
+        inst.imageToolsTarget = null;
+        inst.imageResize = null;
+        inst.sourceEl = null;
+        inst.sourceDirty = false;
+        inst.statusEl = null;
+        inst.statsObserver.disconnect();
+        inst.statsObserver = null;
+        inst.contentStats = null;
+        inst.inputEl = null;
+        inst.uploads = {};
+        inst.savedSelection = null;
+        inst.uiRefs = { buttons: [], selects: [] };
+    }
+
+    // --- HISTORY (UNDO/REDO) ---
+
+    /**
+     * Runs a programmatic change (toolbar, popup, emoji, paste) and records it
+     * as a single undo step. 'input' events fired meanwhile are ignored.
+     */
+    function recordChange(inst, fn) {
+        inst.history.locked = true;
+        try {
+            fn();
+        } finally {
+            inst.history.locked = false;
         }
+        recordHistory(inst);
+        updateToolbarState(inst);
     }
 
-    function createEmojiPicker(inst) {
-        inst.emojiPickerEl = document.createElement('div');
-        inst.emojiPickerEl.className = 'ichik-emoji-picker';
+    /**
+     * Pushes a snapshot (content + selection) to the instance's history.
+     * Typing snapshots replace the previous one if it's part of the same burst.
+     */
+    function recordHistory(inst, isTyping = false) {
+        const history = inst.history;
+        const now = Date.now();
+        const snapshot = { html: inst.editorEl.innerHTML, selection: getSelectionSnapshot(inst), isTyping: isTyping };
+        const current = history.stack[history.index];
 
-        inst.emojiPickerEl.style.display = 'none';
+        if (current && current.html === snapshot.html) {
+            current.selection = snapshot.selection;
+            return;
+        }
+        // A new change discards the redo branch
+        history.stack.length = history.index + 1;
 
-        inst.emojiPickerEl.addEventListener('click', (e) => e.stopPropagation());
+        if (isTyping && current && current.isTyping && now - history.lastTime < HISTORY_MERGE_DELAY) {
+            snapshot.collabOps = current.collabOps; // The whole burst is undone at once
+            history.stack[history.index] = snapshot;
+        } else {
+            history.stack.push(snapshot);
+            if (history.stack.length > HISTORY_LIMIT) history.stack.shift();
+            history.index = history.stack.length - 1;
+        }
+        history.lastTime = now;
+        scheduleChange(inst);
+    }
 
-        EMOJI_LIST.forEach(emoji => {
-            const span = document.createElement('span');
-            span.textContent = emoji;
-            span.className = 'ichik-emoji-item';
-            span.onclick = () => {
-                restoreSelection(inst);
-                document.execCommand('insertText', false, emoji);
-                closeAllPopups(inst);
-            };
-            inst.emojiPickerEl.appendChild(span);
-        });
-        document.body.appendChild(inst.emojiPickerEl);
+    function canStepHistory(inst, direction) {
+        const target = inst.history.index + direction;
+        return target >= 0 && target < inst.history.stack.length;
     }
 
-    function createTooltip(inst) {
-        inst.tooltipEl = document.createElement('div');
-        inst.tooltipEl.className = 'ichik-tooltip';
-        document.body.appendChild(inst.tooltipEl);
+    /**
+     * Moves through the history (-1 = undo, 1 = redo) and restores that snapshot.
+     */
+    function stepHistory(inst, direction) {
+        flushSource(inst); // Textarea edits become the latest step
+        if (!canStepHistory(inst, direction)) return false;
+        const history = inst.history;
+        // Collaborating, only this user's ops are reverted: undo reverts the current step,
+        // redo the next one (see revertCollabStep)
+        if (inst.collab) collectLocalOps(inst);
+        if (inst.collab && direction < 0) revertCollabStep(inst, history.stack[history.index]);
+        history.index += direction;
+        const snapshot = history.stack[history.index];
+        if (inst.collab) {
+            if (direction > 0) revertCollabStep(inst, snapshot);
+            snapshot.html = inst.editorEl.innerHTML; // With the edits of others
+        } else {
+            inst.editorEl.innerHTML = snapshot.html;
+        }
+        cleanupUploadPlaceholders(inst);
+        restoreSelectionSnapshot(inst, snapshot.selection);
+        updateToolbarState(inst);
+        scheduleChange(inst);
+        return true;
     }
 
-    function updateToolbarState(inst) {
-        // Update Buttons (Active state)
-        inst.uiRefs.buttons.forEach(btn => {
-            const cmd = btn.dataset.cmd;
-            try {
-                if (document.queryCommandState(cmd)) btn.classList.add('active');
-                else btn.classList.remove('active');
-            } catch (e) { }
-        });
-        // Update Selects (Detect H1, P, etc)
-        inst.uiRefs.selects.forEach(select => {
-            if (select.dataset.cmd === 'formatBlock') {
-                let val = document.queryCommandValue('formatBlock');
-                val = val ? val.toUpperCase() : 'P';
-                if (val === 'DIV') val = 'P'; // Chrome quirk
-                const exists = Array.from(select.options).some(o => o.value === val);
-                if (exists) select.value = val;
-            }
-        });
+    /**
+     * Serializes the selection as child-index paths, so it survives innerHTML replacement.
+     */
+    function getSelectionSnapshot(inst) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel || sel.rangeCount === 0) return null;
+        const range = sel.getRangeAt(0);
+        const start = getNodePath(inst.editorEl, range.startContainer);
+        const end = getNodePath(inst.editorEl, range.endContainer);
+        if (!start || !end) return null;
+        return { start: start, startOffset: range.startOffset, end: end, endOffset: range.endOffset };
     }
 
-    function bindEvents(inst) {
-        // Paste as plain text
-        inst.editorEl.addEventListener('paste', (e) => {
-            e.preventDefault();
-            const text = (e.clipboardData || window.clipboardData).getData('text/plain');
-            document.execCommand('insertText', false, text);
-        });
+    function restoreSelectionSnapshot(inst, snapshot) {
+        inst.editorEl.focus();
+        const range = document.createRange();
+        try {
+            range.setStart(getNodeByPath(inst.editorEl, snapshot.start), snapshot.startOffset);
+            range.setEnd(getNodeByPath(inst.editorEl, snapshot.end), snapshot.endOffset);
+        } catch (e) {
+            // No snapshot or the path no longer exists: caret at the end
+            range.selectNodeContents(inst.editorEl);
+            range.collapse(false);
+        }
+        const sel = getSelectionIn(inst.editorEl);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
 
-        // Click on Image -> Select Node
-        inst.editorEl.addEventListener('click', (e) => {
-            if (e.target.tagName === 'IMG') {
-                const range = document.createRange();
-                range.selectNode(e.target);
-                const sel = window.getSelection();
-                sel.removeAllRanges();
-                sel.addRange(range);
-                updateToolbarState(inst);
-            }
-        });
+    function getNodePath(root, node) {
+        const path = [];
+        while (node && node !== root) {
+            if (!node.parentNode) return null;
+            path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+            node = node.parentNode;
+        }
+        return node === root ? path : null;
+    }
 
-        // Update toolbar state on navigation
-        inst.editorEl.addEventListener('keyup', () => updateToolbarState(inst));
-        inst.editorEl.addEventListener('mouseup', () => updateToolbarState(inst));
+    function getNodeByPath(root, path) {
+        return path.reduce((node, index) => node.childNodes[index], root);
+    }
 
-        // Global listener to close popups.
-        document.addEventListener('click', () => {
-            if (inst.emojiPickerEl.style.display !== 'none' || inst.popupEl.style.display !== 'none') {
-                closeAllPopups(inst);
-            }
-        });
+    // --- SELECTION UTILS ---
 
-        // Tooltip hover
-        inst.editorEl.addEventListener('mousemove', (e) => {
-            let target = e.target;
-            if (target.nodeType === 3) target = target.parentNode;
-            const link = target.closest ? target.closest('a') : null;
-            if (link && inst.editorEl.contains(link)) {
-                inst.tooltipEl.textContent = `🔗 ${link.getAttribute('href')}`;
-                inst.tooltipEl.style.display = 'block';
-                inst.tooltipEl.style.left = (e.clientX + 15) + 'px';
-                inst.tooltipEl.style.top = (e.clientY + 15) + 'px';
-            } else {
-                inst.tooltipEl.style.display = 'none';
-            }
-        });
-        inst.editorEl.addEventListener('mouseleave', () => inst.tooltipEl.style.display = 'none');
+    /**
+     * The selection for a node, which can be in a shadow root (Chromium only exposes it there).
+     */
+    function getSelectionIn(node) {
+        const root = node.getRootNode();
+        return typeof root.getSelection === 'function' ? root.getSelection() : window.getSelection();
     }
 
-    // --- SELECTION UTILS ---
+    /**
+     * The focused element in the node's tree (document or shadow root).
+     */
+    function getActiveElementIn(node) {
+        const root = node.getRootNode();
+        return root.activeElement !== undefined ? root.activeElement : document.activeElement;
+    }
 
     function getLinkAtCursor(inst) {
-        const sel = window.getSelection();
+        const sel = getSelectionIn(inst.editorEl);
         if (sel.rangeCount > 0) {
             let node = sel.anchorNode;
             while (node && node !== inst.editorEl) {
@@ -543,8 +7337,19 @@ const IchikEditor = (function() {
         return null;
     }
 
+    /**
+     * Closest element matching 'selector' around the caret, inside this editor.
+     */
+    function getAncestorAtCursor(inst, selector) {
+        const sel = getSelectionIn(inst.editorEl);
+        if (!sel.rangeCount || !inst.editorEl.contains(sel.anchorNode)) return null;
+        const node = sel.anchorNode.nodeType === Node.ELEMENT_NODE ? sel.anchorNode : sel.anchorNode.parentNode;
+        const el = node.closest(selector);
+        return el && inst.editorEl.contains(el) && el !== inst.editorEl ? el : null;
+    }
+
     function getImageAtCursor(inst) {
-        const sel = window.getSelection();
+        const sel = getSelectionIn(inst.editorEl);
         if (sel.rangeCount === 0) return null;
 
         const range = sel.getRangeAt(0);
@@ -559,10 +7364,36 @@ const IchikEditor = (function() {
         return null;
     }
 
+    /**
+     * DOM position 'offset' characters into 'nodes' (consecutive siblings), or null.
+     */
+    function findTextPosition(nodes, offset) {
+        let remaining = offset;
+        for (const root of nodes) {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            let node = root.nodeType === Node.TEXT_NODE ? root : walker.nextNode();
+            while (node) {
+                if (remaining <= node.textContent.length) return { node: node, offset: remaining };
+                remaining -= node.textContent.length;
+                node = walker.nextNode();
+            }
+        }
+        return null;
+    }
+
+    function setCaretAt(node, offset) {
+        const range = document.createRange();
+        range.setStart(node, offset);
+        range.collapse(true);
+        const sel = getSelectionIn(node);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
     function selectNode(node) {
         const range = document.createRange();
         range.selectNode(node);
-        const sel = window.getSelection();
+        const sel = getSelectionIn(node);
         sel.removeAllRanges();
         sel.addRange(range);
     }
@@ -572,7 +7403,7 @@ const IchikEditor = (function() {
      * If the selection is NOT inside this editor instance, it claims focus.
      */
     function saveSelection(inst) {
-        const sel = window.getSelection();
+        const sel = getSelectionIn(inst.editorEl);
         const isSelectionInside = sel.rangeCount > 0 && inst.editorEl.contains(sel.anchorNode);
         if (isSelectionInside) {
             inst.savedSelection = sel.getRangeAt(0);
@@ -590,7 +7421,7 @@ const IchikEditor = (function() {
     function restoreSelection(inst) {
         inst.editorEl.focus();
         if (inst.savedSelection) {
-            const sel = window.getSelection();
+            const sel = getSelectionIn(inst.editorEl);
             sel.removeAllRanges();
             sel.addRange(inst.savedSelection);
         }
@@ -617,7 +7448,11 @@ const IchikEditor = (function() {
             if (!el) el = document.querySelector(idOrSelector);
             if (!el) throw new Error(`IchikEditor: Element not found (${idOrSelector})`);
 
-            this.container = el;
+            this.hostEl = el;
+            this.container = el; // The shadow root's wrapper in shadow mode
+            this.originalHTML = el.innerHTML;
+            this.originalClass = el.getAttribute('class');
+            this.originalStyle = el.getAttribute('style');
 
             // Merge labels configuration for i18n
             this.labels = JSON.parse(JSON.stringify(DEFAULT_LABELS));
@@ -625,19 +7460,279 @@ const IchikEditor = (function() {
                 deepMerge(this.labels, options.labels);
             }
 
+            // URL policy for links and images (see checkUrl)
+            this.urlPolicy = buildUrlPolicy(options);
+
+            // HTML allowlist used by setHTML() and getHTML()
+            this.sanitizeSchema = buildSanitizeSchema(options.sanitize, this.urlPolicy);
+
+            // Toolbar layout and custom commands (see registerCommand)
+            this.toolbarLayout = normalizeToolbarLayout(options.toolbar || DEFAULT_TOOLBAR);
+            this.commands = {};
+            this.keymap = buildKeymap(options.keymap);
+            this.inputRules = buildInputRules(options.inputRules);
+            this.inputRuleStep = null; // History step of the last autoformat (see Backspace)
+            Object.keys(options.commands || {}).forEach(name => this.commands[name] = options.commands[name]);
+
+            this.toolbarEl = null;
             this.editorEl = null;
+            this.sourceEl = null;
             this.tooltipEl = null;
             this.emojiPickerEl = null;
             this.popupEl = null;
+            this.tablePickerEl = null;
+            this.tableMenuEl = null;
+            this.tableSize = { rows: 1, cols: 1 };
+            this.linkBubbleEl = null;
+            this.linkBubbleLink = null;
+            this.linkBubbleDismissed = null;
+            this.imageOverlayEl = null;
+            this.imageToolbarEl = null;
+            this.imageToolsTarget = null;
+            this.imageResize = null; // Resize drag in progress
+            this.messageEl = null;
+            this.messageTimer = null;
+
+            // Limits and forms: 'countBy' is 'text' or a format name (e.g. 'markdown')
+            this.maxLength = options.maxLength || 0;
+            this.maxImages = options.maxImages || 0;
+            this.required = !!options.required;
+            this.countBy = options.countBy || 'text';
+            this.statusBar = options.statusBar !== undefined ? !!options.statusBar : !!this.maxLength;
+            this.statusEl = null;
+            this.contentStats = null; // Cached getContentStats()
+            this.statsObserver = null;
+            this.inputName = options.name || null;
+            this.inputFormat = options.inputFormat || 'markdown';
+            this.inputEl = null; // Hidden form field
+
+            // Read-only (viewers) and disabled (e.g., while saving). See setReadOnly() and disable()
+            this.readOnly = !!options.readOnly;
+            this.disabled = !!options.disabled;
+
+            // Collaboration: { transport: { send(message), onReceive(callback) }, user: { name, color } }
+            this.collab = createCollab(this, options.collaboration);
+
+            // Draft autosave: true or { key, storage: 'localStorage' | 'indexedDB' | adapter, interval, ttl }
+            this.autosave = createAutosave(this, options.autosave);
+
+            // Image uploads: uploadImage(file, { onProgress }) => Promise<url>
+            this.uploadImage = typeof options.uploadImage === 'function' ? options.uploadImage : null;
+            this.imageTypes = options.imageTypes || IMAGE_TYPES;
+            this.maxImageSize = options.maxImageSize || IMAGE_MAX_SIZE;
+            this.uploads = {}; // Pending uploads (id => File)
+            this.uploadCount = 0;
+
+            // Mentions & hashtags: { '@': { source: async (query) => [{ id, label }], markdown: '@[{label}]({id})' } }
+            this.mentions = buildMentionConfig(options.mentions);
+            this.mentionPatterns = buildMentionPatterns(this.mentions);
+            this.mentionEl = null;
+            this.mentionState = null;  // Open suggestions: trigger, query, items...
+            this.mentionRequest = 0;   // Latest source() call (older results are ignored)
+
+            // Emoji picker
+            this.emojiCategories = buildEmojiCategories(options.emojis);
+            this.emojiState = { category: null, query: '', tone: '' };
+            this.emojiInline = null; // :shortcode: autocomplete
             this.savedSelection = null;
+            this.forcePlainPaste = false;
+            // Find & replace: options and matches, kept between openings
+            this.findState = { query: '', replacement: '', caseSensitive: false, wholeWord: false, regex: false, matches: [], index: -1, capped: false, anchor: null, highlighted: [] };
+            this.findLayerEl = null; // Matches drawn over the content (no Highlight API)
+            this.history = { stack: [], index: -1, lastTime: 0, locked: false };
+
+            // Events & lifecycle
+            this.listeners = {};
+            this.domListeners = [];
+            this.floatingEls = [];
+            this.openPopup = null;
+            this.changeTimer = null;
+            this.changeDelay = options.changeDelay !== undefined ? options.changeDelay : CHANGE_DELAY;
             this.uiRefs = { buttons: [], selects: [] };
 
+            // Markdown source view (see setMode)
+            this.mode = 'wysiwyg';
+            this.sourceDirty = false; // Textarea edits not parsed yet
+            this.sourceSyncing = false;
+            this.sourceTimer = null;
+            this.scrollLock = null;
+
+            // Theming: 'auto' | 'light' | 'dark' | { scheme, tokens: { accent: '#e36209' } }
+            this.theme = buildTheme(options.theme);
+
+            // Shadow DOM: true | { stylesheets: [url] }. Isolates the editor from page CSS
+            this.shadowRoot = null;
+            this.floatingLayerEl = null;
+            if (options.shadow) this.container = mountShadowRoot(this, options.shadow);
+
             initEditor(this);
+            if (options.mode) setEditorMode(this, options.mode);
+        }
+
+        getMarkdown() { return this.getContent('markdown'); }
+
+        /**
+         * Every mention token in the document, in order: [{ trigger: '@', id: '42', label: 'Ana' }]
+         */
+        getMentions() {
+            if (!this.editorEl) return [];
+            flushSource(this);
+            return Array.from(this.editorEl.querySelectorAll('span[data-mention]')).map(getMentionData);
+        }
+
+        getHTML() { return this.getContent('html'); }
+        setHTML(html) { this.setContent(html, 'html'); }
+        setMarkdown(md) { this.setContent(md, 'markdown'); }
+
+        /**
+         * Exports the content in a registered format: 'markdown', 'html', 'text', 'json' or custom.
+         */
+        getContent(format = 'markdown') {
+            if (!this.editorEl) return '';
+            return getFormat(format).serialize(getContentCopy(this), this);
         }
 
-        getMarkdown() { return parseToMd(this.editorEl).trim(); }
-        getHTML() { return this.editorEl.innerHTML.trim(); }
-        setHTML(html) { if(this.editorEl) this.editorEl.innerHTML = html; }
+        /**
+         * Loads content with a format's parse(). Objects default to 'json', strings to 'html'.
+         * Ex: setContent(editor.getContent('json'))
+         */
+        setContent(content, format = typeof content === 'string' ? 'html' : 'json') {
+            if (this.editorEl) loadContent(this, content, format);
+        }
+
+        /**
+         * 'wysiwyg' (default), 'markdown' (Markdown textarea) or 'split' (both, kept in sync).
+         */
+        setMode(mode) {
+            if (this.editorEl) setEditorMode(this, mode);
+            return this;
+        }
+        getMode() { return this.mode; }
+
+        /**
+         * 'auto' (follows prefers-color-scheme), 'light', 'dark' or { scheme, tokens }.
+         * Ex: setTheme({ scheme: 'dark', tokens: { accent: '#e36209' } })
+         */
+        setTheme(theme) {
+            if (this.editorEl) setEditorTheme(this, theme);
+            return this;
+        }
+
+        // Undo/Redo (independent per instance)
+        undo() { return stepHistory(this, -1); }
+        redo() { return stepHistory(this, 1); }
+        canUndo() { return canStepHistory(this, -1); }
+        canRedo() { return canStepHistory(this, 1); }
+
+        // Events: 'change', 'focus', 'blur', 'selectionchange', 'popupopen', 'popupclose', 'taskToggle', 'modechange'
+        on(type, callback) {
+            (this.listeners[type] = this.listeners[type] || []).push(callback);
+            return this;
+        }
+        off(type, callback) {
+            if (this.listeners[type]) this.listeners[type] = this.listeners[type].filter(cb => cb !== callback);
+            return this;
+        }
+
+        /**
+         * Registers a custom command. With a 'label' it gets a toolbar button, placed
+         * where its name appears in the 'toolbar' option (or at the end).
+         * 'popup: true' if exec() opens a popup (the click that opened it doesn't close it).
+         * Ex: registerCommand('snippet', { label: '✂️', exec: (editor) => {...}, isActive: (editor) => false })
+         */
+        registerCommand(name, command) {
+            if (!command || typeof command.exec !== 'function') {
+                throw new Error(`IchikEditor: Command "${name}" needs an exec() function`);
+            }
+            this.commands[name] = command;
+            if (this.toolbarEl) {
+                buildToolbar(this, this.toolbarEl);
+                updateToolbarState(this);
+            }
+            return this;
+        }
+
+        /**
+         * Adds (or replaces) a Markdown input rule. null removes it. See DEFAULT_INPUT_RULES.
+         * Ex: registerInputRule('arrow', { match: /->$/, handler: () => document.execCommand('insertText', false, '→') })
+         */
+        registerInputRule(name, rule) {
+            if (rule === null) {
+                delete this.inputRules[name];
+                return this;
+            }
+            if (!isValidInputRule(rule)) {
+                throw new Error(`IchikEditor: Input rule "${name}" needs 'match' with 'command' or 'handler', or 'delimiter' with 'wrap'`);
+            }
+            this.inputRules[name] = rule;
+            return this;
+        }
+
+        /**
+         * Checks 'required', 'maxLength' and 'maxImages'. Returns [{ code, message }] (empty if valid).
+         */
+        validate() {
+            return this.editorEl ? validateContent(this) : [];
+        }
+
+        /**
+         * Read-only: the content can't be edited, the toolbar is hidden and links open
+         * in a new tab. setContent() and remote (collaboration) edits still apply.
+         */
+        setReadOnly(readOnly = true) {
+            this.readOnly = !!readOnly;
+            if (this.editorEl) updateEditableState(this);
+            return this;
+        }
+        isReadOnly() { return this.readOnly; }
+
+        /**
+         * Locks the editor (e.g., while a save request is in flight). The toolbar stays,
+         * with every control disabled. The form field is still submitted.
+         */
+        disable() {
+            this.disabled = true;
+            if (this.editorEl) updateEditableState(this);
+            return this;
+        }
+        enable() {
+            this.disabled = false;
+            if (this.editorEl) updateEditableState(this);
+            return this;
+        }
+        isEnabled() { return !this.disabled; }
+
+        /**
+         * Removes the autosaved draft. Call it once the content is saved on the server.
+         * Returns a Promise, resolved when the draft is gone.
+         */
+        clearDraft() {
+            return this.autosave ? clearDraft(this) : Promise.resolve();
+        }
+
+        // Removes listeners and floating elements, and restores the container
+        destroy() { if (this.editorEl) destroyEditor(this); }
+
+        /**
+         * In-memory transport hub, to connect editors on the same page (tests, demos).
+         * Ex: const hub = IchikEditor.createLoopback(); new IchikEditor('a', { collaboration: { transport: hub.connect() } })
+         */
+        static createLoopback(options) {
+            return createLoopback(options);
+        }
+
+        /**
+         * Registers a content format, shared by every instance. A function is taken as serialize().
+         * Ex: IchikEditor.registerFormat('bbcode', { serialize: (root, editor) => '...', parse: (text, editor) => '<p>...</p>' })
+         */
+        static registerFormat(name, serializer) {
+            const format = typeof serializer === 'function' ? { serialize: serializer } : serializer;
+            if (!name || !format || typeof format.serialize !== 'function') {
+                throw new Error(`IchikEditor: Format "${name}" needs a serialize() function`);
+            }
+            FORMATS[name] = format;
+            return Editor;
+        }
     }
 
     return Editor;
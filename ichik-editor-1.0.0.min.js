@@ -2,4 +2,4 @@
  * IchikEditor.js (c) 2025 Sebastian Wilson T. https://github.com/swilsont/ichik-editor
  * Licensed under the MIT License.
  */
-const IchikEditor=function(){const e=["😀","😁","😂","🤣","😉","😊","🥰","😍","🤔","🤨","😐","😑","😶","🙄","😏","😣","😥","😮","😴","😫","😜","😎","😭","😱","😡","👍","👎","👋","🙌","👏","🤝","💪","🎉","✨","🔥","❤️","🚀","⭐","💡","✅"],t={toolbar:{formats:{normal:"Normal",h1:"Heading 1",h2:"Heading 2",h3:"Heading 3",h4:"Heading 4",h5:"Heading 5",h6:"Heading 6"},bold:"<strong>B</strong>",italic:"<em>I</em>",ul:"• Bullet List",ol:"1. Numbered List",hr:"—",link:"🔗 Link",image:"🖼️ Image",emoji:"😀 Emoji",clear:"Clear format"},popups:{link:{title:"Link URL",placeholder:"https://...",cancel:"Cancel",save:"Save"},image:{titleUrl:"Image URL",placeholderUrl:"https://...",titleAlt:"Description (Alt Text, optional)",placeholderAlt:"Ex: Company Name's Logo",titleWidth:"Width (Optional)",placeholderWidth:"Ex: 300px or 100%",cancel:"Cancel",insert:"Insert",update:"Update"}},alerts:{httpsRequired:"For security reasons, only HTTPS URLs are allowed.",invalidProtocol:"Protocol not allowed. Only HTTPS."}},n=[{type:"select",cmd:"formatBlock",options:[{labelKey:"normal",value:"P"},{labelKey:"h1",value:"H1"},{labelKey:"h2",value:"H2"},{labelKey:"h3",value:"H3"},{labelKey:"h4",value:"H4"},{labelKey:"h5",value:"H5"},{labelKey:"h6",value:"H6"}]},{type:"button",labelKey:"bold",cmd:"bold"},{type:"button",labelKey:"italic",cmd:"italic"},{type:"separator"},{type:"button",labelKey:"ul",cmd:"insertUnorderedList"},{type:"button",labelKey:"ol",cmd:"insertOrderedList"},{type:"button",labelKey:"hr",cmd:"insertHorizontalRule"},{type:"separator"},{type:"button",labelKey:"emoji",cmd:"toggleEmoji"},{type:"button",labelKey:"link",cmd:"createLink"},{type:"button",labelKey:"image",cmd:"customInsertImage"},{type:"separator"},{type:"button",labelKey:"clear",cmd:"removeFormat"}];function l(e,t){if(!e)return null;let n=e.trim();return n.toLowerCase().startsWith("https://")?n:n.toLowerCase().startsWith("http://")?(alert(t.httpsRequired),null):/^[a-zA-Z0-9\-\.]+:\/\//.test(n)?(alert(t.invalidProtocol),null):"https://"+n}function o(e,t,n){t.style.display=n;const l=e.getBoundingClientRect(),o=t.offsetWidth,i=window.innerWidth,a=window.scrollX,c=window.scrollY;let r=l.left+a,s=l.bottom+c+6;l.left+o>i-10&&(r=l.right+a-o),r<10&&(r=10),t.style.left=r+"px",t.style.top=s+"px"}function i(t){t.container.innerHTML="",t.container.classList.add("ichik-editor-container");const l=document.createElement("div");l.className="ichik-toolbar",function(e,t){n.forEach(n=>{if("select"===n.type){const l=document.createElement("select");l.dataset.cmd=n.cmd,n.options.forEach(t=>{const n=document.createElement("option");n.value=t.value,n.textContent=e.labels.toolbar.formats[t.labelKey],l.appendChild(n)}),l.onchange=(t=>{t.preventDefault(),document.execCommand(n.cmd,!1,l.value),e.editorEl.focus()}),e.uiRefs.selects.push(l),t.appendChild(l)}else if("button"===n.type){const l=document.createElement("button");l.innerHTML=e.labels.toolbar[n.labelKey],l.dataset.cmd=n.cmd,l.onclick=(t=>(function(e,t,n,l){t.preventDefault(),["createLink","customInsertImage","toggleEmoji"].includes(n.cmd)&&t.stopPropagation();if("createLink"===n.cmd)if("flex"===e.popupEl.style.display)c(e);else{const t=function(e){const t=window.getSelection();if(t.rangeCount>0){let n=t.anchorNode;for(;n&&n!==e.editorEl;){if("A"===n.tagName)return n;n=n.parentNode}}return null}(e);a(e,"link",l,t)}else if("customInsertImage"===n.cmd)if("flex"===e.popupEl.style.display)c(e);else{const t=function(e){const t=window.getSelection();if(0===t.rangeCount)return null;const n=t.getRangeAt(0);if(t.anchorNode&&"IMG"===t.anchorNode.tagName)return t.anchorNode;if(n.startContainer===n.endContainer&&n.endOffset-n.startOffset==1){const e=n.startContainer.childNodes[n.startOffset];if(e&&"IMG"===e.tagName)return e}return null}();a(e,"image",l,t)}else"toggleEmoji"===n.cmd?"grid"===e.emojiPickerEl.style.display?c(e):(c(e),s(e),o(l,e.emojiPickerEl,"grid")):"removeFormat"===n.cmd?(e.editorEl.focus(),document.execCommand("removeFormat",!1,null),document.execCommand("formatBlock",!1,"P"),document.execCommand("unlink",!1,null),r(e)):(e.editorEl.focus(),document.execCommand(n.cmd,!1,null),r(e))})(e,t,n,l)),e.uiRefs.buttons.push(l),t.appendChild(l)}else if("separator"===n.type){const e=document.createElement("span");e.style.cssText="width: 1px; height: 20px; background: #ccc; margin: 0 4px;",t.appendChild(e)}})}(t,l),t.container.appendChild(l),t.editorEl=document.createElement("div"),t.editorEl.className="ichik-editor",t.editorEl.contentEditable=!0,t.editorEl.innerHTML="",t.container.appendChild(t.editorEl),function(e){e.tooltipEl=document.createElement("div"),e.tooltipEl.className="ichik-tooltip",document.body.appendChild(e.tooltipEl)}(t),function(t){t.emojiPickerEl=document.createElement("div"),t.emojiPickerEl.className="ichik-emoji-picker",t.emojiPickerEl.style.display="none",t.emojiPickerEl.addEventListener("click",e=>e.stopPropagation()),e.forEach(e=>{const n=document.createElement("span");n.textContent=e,n.className="ichik-emoji-item",n.onclick=(()=>{d(t),document.execCommand("insertText",!1,e),c(t)}),t.emojiPickerEl.appendChild(n)}),document.body.appendChild(t.emojiPickerEl)}(t),function(e){e.popupEl=document.createElement("div"),e.popupEl.className="ichik-popup",e.popupEl.style.display="none",e.popupEl.addEventListener("click",e=>e.stopPropagation()),document.body.appendChild(e.popupEl)}(t),function(e){e.editorEl.addEventListener("paste",e=>{e.preventDefault();const t=(e.clipboardData||window.clipboardData).getData("text/plain");document.execCommand("insertText",!1,t)}),e.editorEl.addEventListener("click",t=>{if("IMG"===t.target.tagName){const n=document.createRange();n.selectNode(t.target);const l=window.getSelection();l.removeAllRanges(),l.addRange(n),r(e)}}),e.editorEl.addEventListener("keyup",()=>r(e)),e.editorEl.addEventListener("mouseup",()=>r(e)),document.addEventListener("click",()=>{"none"===e.emojiPickerEl.style.display&&"none"===e.popupEl.style.display||c(e)}),e.editorEl.addEventListener("mousemove",t=>{let n=t.target;3===n.nodeType&&(n=n.parentNode);const l=n.closest?n.closest("a"):null;l&&e.editorEl.contains(l)?(e.tooltipEl.textContent=`🔗 ${l.getAttribute("href")}`,e.tooltipEl.style.display="block",e.tooltipEl.style.left=t.clientX+15+"px",e.tooltipEl.style.top=t.clientY+15+"px"):e.tooltipEl.style.display="none"}),e.editorEl.addEventListener("mouseleave",()=>e.tooltipEl.style.display="none")}(t)}function a(e,t,n,i=null){c(e),s(e);let a="";const r=e.labels.popups;if("link"===t){const e=i?i.href:"";i&&function(e){const t=document.createRange();t.selectNode(e);const n=window.getSelection();n.removeAllRanges(),n.addRange(t)}(i),a=`<label>${r.link.title}</label><input type="text" id="ichik-inp-url" value="${e}" placeholder="${r.link.placeholder}"><div class="ichik-popup-actions"><button id="ichik-btn-cancel" class="ichik-btn-cancel">${r.link.cancel}</button><button id="ichik-btn-save" class="ichik-btn-save">${r.link.save}</button></div>`}else if("image"===t){const e=i?i.getAttribute("src"):"",t=i?i.getAttribute("alt"):"",n=i&&i.getAttribute("width")||"",l=i?r.image.update:r.image.insert;a=`<label>${r.image.titleUrl}</label><input type="text" id="ichik-inp-url" value="${e}" placeholder="${r.image.placeholderUrl}"><label>${r.image.titleAlt}</label><input type="text" id="ichik-inp-alt" value="${t}" placeholder="${r.image.placeholderAlt}"><label>${r.image.titleWidth}</label><input type="text" id="ichik-inp-width" value="${n}" placeholder="${r.image.placeholderWidth}"><div class="ichik-popup-actions"><button id="ichik-btn-cancel" class="ichik-btn-cancel">${r.image.cancel}</button><button id="ichik-btn-save" class="ichik-btn-save">${l}</button></div>`}e.popupEl.innerHTML=a,o(n,e.popupEl,"flex"),setTimeout(()=>{const t=e.popupEl.querySelector("input");t&&t.focus()},50),e.popupEl.querySelector("#ichik-btn-cancel").onclick=(()=>c(e)),e.popupEl.querySelector("#ichik-btn-save").onclick=(()=>{const n=e.popupEl.querySelector("#ichik-inp-url").value;if("link"===t)if(d(e),n.trim()){const t=l(n,e.labels.alerts);t&&document.execCommand("createLink",!1,t)}else document.execCommand("unlink",!1,null);else if("image"===t){d(e);const t=l(n,e.labels.alerts);if(t){const n=e.popupEl.querySelector("#ichik-inp-alt").value||"",l=e.popupEl.querySelector("#ichik-inp-width").value||"";if(i)i.setAttribute("src",t),i.setAttribute("alt",n),l&&/^\d+(px|%)?$/.test(l)?i.setAttribute("width",l):i.removeAttribute("width");else{const e=document.createElement("img");e.setAttribute("src",t),e.setAttribute("alt",n),l&&/^\d+(px|%)?$/.test(l)&&e.setAttribute("width",l),document.execCommand("insertHTML",!1,e.outerHTML)}}}c(e)})}function c(e){e.emojiPickerEl.style.display="none",e.popupEl.style.display="none",e.editorEl.focus()}function r(e){e.uiRefs.buttons.forEach(e=>{const t=e.dataset.cmd;try{document.queryCommandState(t)?e.classList.add("active"):e.classList.remove("active")}catch(e){}}),e.uiRefs.selects.forEach(e=>{if("formatBlock"===e.dataset.cmd){let t=document.queryCommandValue("formatBlock");"DIV"===(t=t?t.toUpperCase():"P")&&(t="P"),Array.from(e.options).some(e=>e.value===t)&&(e.value=t)}})}function s(e){const t=window.getSelection();if(t.rangeCount>0&&e.editorEl.contains(t.anchorNode))e.savedSelection=t.getRangeAt(0);else{e.editorEl.focus();const n=document.createRange();n.selectNodeContents(e.editorEl),n.collapse(!1),t.removeAllRanges(),t.addRange(n),e.savedSelection=n}}function d(e){if(e.editorEl.focus(),e.savedSelection){const t=window.getSelection();t.removeAllRanges(),t.addRange(e.savedSelection)}}return class{constructor(e,n={}){let l=document.getElementById(e);if(l||(l=document.querySelector(e)),!l)throw new Error(`IchikEditor: Element not found (${e})`);this.container=l,this.labels=JSON.parse(JSON.stringify(t)),n.labels&&function e(t,n){for(const l in n)n[l]instanceof Object&&l in t&&Object.assign(n[l],e(t[l],n[l]));return Object.assign(t||{},n),t}(this.labels,n.labels),this.editorEl=null,this.tooltipEl=null,this.emojiPickerEl=null,this.popupEl=null,this.savedSelection=null,this.uiRefs={buttons:[],selects:[]},i(this)}getMarkdown(){return function e(t){if(t.nodeType===Node.TEXT_NODE)return(n=t.textContent)?n.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#039;"):"";var n;let l="";switch(t.childNodes.forEach(t=>l+=e(t)),t.tagName){case"B":case"STRONG":return`**${l}**`;case"I":case"EM":return`*${l}*`;case"H1":return`# ${l}\n\n`;case"H2":return`## ${l}\n\n`;case"H3":return`### ${l}\n\n`;case"H4":return`#### ${l}\n\n`;case"H5":return`##### ${l}\n\n`;case"H6":return`###### ${l}\n\n`;case"DIV":case"P":return l.trim()?`${l}\n\n`:"";case"BR":return"\n";case"UL":case"OL":return`${l}\n`;case"LI":const n=t.parentElement;return`${"OL"===n.tagName?Array.from(n.children).indexOf(t)+1+". ":"- "}${l}\n`;case"HR":return"\n---\n\n";case"A":return`[${l}](${t.getAttribute("href")})`;case"IMG":const o=t.getAttribute("alt")||"",i=t.getAttribute("src"),a=t.getAttribute("width");return a?`\n<img src="${i}" alt="${o}" width="${a}">\n`:`\n![${o}](${i})\n`;default:return l}}(this.editorEl).trim()}getHTML(){return this.editorEl.innerHTML.trim()}setHTML(e){this.editorEl&&(this.editorEl.innerHTML=e)}}}();
\ No newline at end of file
+const IchikEditor=function(){const e=[{id:"smileys",icon:"😀",emojis:[["😀","grinning","smile happy"],["😃","smiley","happy joy"],["😄","smile","happy laugh"],["😁","grin","happy teeth"],["😆","laughing","happy haha"],["😅","sweat_smile","relief nervous"],["😂","joy","laugh tears lol"],["🤣","rofl","laugh floor lol"],["😊","blush","happy shy"],["😇","innocent","angel halo"],["🙂","slightly_smiling_face","smile"],["🙃","upside_down_face","silly"],["😉","wink","flirt"],["😍","heart_eyes","love crush"],["🥰","smiling_face_with_hearts","love adore"],["😘","kissing_heart","kiss love"],["😋","yum","tasty delicious"],["😜","stuck_out_tongue_winking_eye","silly joke"],["🤪","zany_face","crazy goofy"],["🤗","hugs","hug embrace"],["🤫","shushing_face","quiet secret"],["🤔","thinking","hmm think"],["🤨","raised_eyebrow","suspicious doubt"],["😐","neutral_face","meh"],["😑","expressionless","blank"],["😶","no_mouth","silent speechless"],["🙄","roll_eyes","annoyed whatever"],["😏","smirk","smug"],["😬","grimacing","awkward"],["😣","persevere","struggle"],["😥","disappointed_relieved","sad phew"],["😮","open_mouth","surprise wow"],["😴","sleeping","sleep tired zzz"],["😫","tired_face","exhausted"],["😎","sunglasses","cool"],["🤓","nerd_face","geek smart"],["😕","confused","unsure"],["😟","worried","concern"],["🥺","pleading_face","please puppy eyes"],["😢","cry","sad tear"],["😭","sob","cry sad"],["😱","scream","fear shock"],["😡","rage","angry mad"],["🤯","exploding_head","mind blown shock"],["🥳","partying_face","party celebrate birthday"]]},{id:"gestures",icon:"👍",emojis:[["👍","+1","thumbsup yes like approve",!0],["👎","-1","thumbsdown no dislike",!0],["👋","wave","hello hi bye",!0],["🙌","raised_hands","hooray celebrate",!0],["👏","clap","applause congrats",!0],["💪","muscle","strong flex",!0],["🙏","pray","please thanks hope",!0],["👌","ok_hand","ok perfect",!0],["✌️","v","victory peace",!0],["🤞","crossed_fingers","luck hope",!0],["👉","point_right","right",!0],["👈","point_left","left",!0],["👆","point_up_2","up",!0],["👇","point_down","down",!0],["✋","raised_hand","stop high five",!0],["🤙","call_me_hand","call shaka",!0],["✊","fist_raised","power solidarity",!0],["👊","fist_oncoming","punch bump",!0],["✍️","writing_hand","write sign",!0],["🤝","handshake","deal agreement"]]},{id:"nature",icon:"🐶",emojis:[["🐶","dog","puppy pet"],["🐱","cat","kitten pet"],["🦊","fox_face","fox"],["🐻","bear","animal"],["🐼","panda_face","panda"],["🦁","lion","animal"],["🐸","frog","animal"],["🐵","monkey_face","monkey"],["🐔","chicken","bird"],["🐧","penguin","bird"],["🦋","butterfly","insect"],["🐝","bee","honeybee insect"],["🦙","llama","alpaca andes"],["🌸","cherry_blossom","flower spring"],["🌹","rose","flower love"],["🌻","sunflower","flower summer"],["🌳","deciduous_tree","tree nature"],["🌵","cactus","desert plant"],["🍀","four_leaf_clover","luck"],["🌈","rainbow","colors"],["☀️","sunny","sun weather"],["🌙","crescent_moon","moon night"],["⭐","star","favorite"],["⚡","zap","lightning electric"],["❄️","snowflake","snow winter cold"],["🔥","fire","hot lit flame"],["💧","droplet","water"],["🌊","ocean","wave sea"]]},{id:"food",icon:"🍕",emojis:[["🍎","apple","fruit"],["🍌","banana","fruit"],["🍓","strawberry","fruit"],["🍉","watermelon","fruit summer"],["🍇","grapes","fruit"],["🥑","avocado","palta"],["🌽","corn","maize"],["🍞","bread","toast"],["🧀","cheese","food"],["🍕","pizza","food"],["🍔","hamburger","burger food"],["🌮","taco","food mexican"],["🍣","sushi","food japanese"],["🍜","ramen","noodles soup"],["🍩","doughnut","donut dessert"],["🍪","cookie","dessert"],["🎂","birthday","cake party"],["🍫","chocolate_bar","dessert sweet"],["☕","coffee","cafe hot drink"],["🍵","tea","drink"],["🍺","beer","drink"],["🍷","wine_glass","drink"],["🥂","clinking_glasses","cheers toast celebrate"]]},{id:"activities",icon:"⚽",emojis:[["⚽","soccer","football sport"],["🏀","basketball","sport"],["🎾","tennis","sport"],["🏆","trophy","win award"],["🥇","1st_place_medal","gold first winner"],["🎉","tada","party celebrate hooray"],["🎊","confetti_ball","party celebrate"],["🎈","balloon","party birthday"],["🎁","gift","present birthday"],["🎮","video_game","game controller"],["🎲","game_die","dice game"],["🎯","dart","target goal bullseye"],["🎸","guitar","music rock"],["🎵","musical_note","music song"],["🎨","art","paint design"],["🎬","clapper","movie film"]]},{id:"travel",icon:"🚀",emojis:[["🚀","rocket","launch ship fast"],["✈️","airplane","flight travel"],["🚗","car","automobile"],["🚲","bike","bicycle"],["🚢","ship","boat"],["🏠","house","home"],["🏢","office","building work"],["🏖️","beach_umbrella","vacation beach"],["⛰️","mountain","andes"],["🗺️","world_map","map travel"],["🌍","earth_africa","globe world"],["🏁","checkered_flag","finish race"]]},{id:"objects",icon:"💡",emojis:[["💡","bulb","idea light"],["📌","pushpin","pin"],["📎","paperclip","attachment"],["📝","memo","note write"],["📅","date","calendar"],["📊","bar_chart","stats graph"],["📈","chart_with_upwards_trend","growth graph"],["💻","computer","laptop"],["📱","iphone","phone mobile"],["⌨️","keyboard","type"],["🔒","lock","security private"],["🔑","key","password"],["🔧","wrench","tool fix"],["⚙️","gear","settings"],["📦","package","box shipping"],["✉️","envelope","email letter"],["📚","books","library read"],["🔍","mag","search zoom"],["⏰","alarm_clock","time"],["💰","moneybag","money"]]},{id:"symbols",icon:"❤️",emojis:[["❤️","heart","love"],["🧡","orange_heart","love"],["💛","yellow_heart","love"],["💚","green_heart","love"],["💙","blue_heart","love"],["💜","purple_heart","love"],["💔","broken_heart","sad"],["✨","sparkles","shiny new magic"],["💯","100","perfect score"],["✅","white_check_mark","done yes ok"],["❌","x","no cancel wrong"],["⚠️","warning","caution"],["❓","question","help"],["❗","exclamation","important"],["🚫","no_entry_sign","forbidden"],["➕","heavy_plus_sign","add plus"],["🔴","red_circle","red"],["🟢","green_circle","green"]]}],t=["","🏻","🏼","🏽","🏾","🏿"],n="ichik-emoji-recent",o="ichik-emoji-tone",r={toolbar:{formats:{normal:"Normal",h1:"Heading 1",h2:"Heading 2",h3:"Heading 3",h4:"Heading 4",h5:"Heading 5",h6:"Heading 6",quote:"Quote",code:"Code block"},bold:"<strong>B</strong>",italic:"<em>I</em>",strike:"<s>S</s>",code:"&lt;/&gt;",quote:"❝",codeBlock:"{ }",ul:"• Bullet List",ol:"1. Numbered List",taskList:"☑ Checklist",hr:"—",link:"🔗 Link",image:"🖼️ Image",emoji:"😀 Emoji",clear:"Clear format",undo:"↶",redo:"↷",table:"▦ Table",source:"MD",split:"◫ Split",find:"🔍"},popups:{link:{title:"Link URL",placeholder:"https://...",text:"Text",placeholderText:"Text to display",remove:"Remove link",cancel:"Cancel",save:"Save"},code:{title:"Language",placeholder:"Ex: javascript",remove:"Remove code block",cancel:"Cancel",save:"Save"},find:{title:"Find and replace",find:"Find",replace:"Replace with",previous:"Previous match",next:"Next match",matchCase:"Match case",wholeWord:"Whole word",regex:"Regular expression",count:"{current} of {total}",noResults:"No results",replaced:"{count} replaced",invalidRegex:"Invalid regular expression.",replaceOne:"Replace",replaceAll:"Replace all",close:"Close"},image:{titleUrl:"Image URL",placeholderUrl:"https://...",titleAlt:"Description (Alt Text, optional)",placeholderAlt:"Ex: Company Name's Logo",titleWidth:"Width (Optional)",placeholderWidth:"Ex: 300px or 100%",cancel:"Cancel",insert:"Insert",update:"Update",titleFile:"Or upload a file",uploading:"Uploading… {percent}%"}},alerts:{httpsRequired:"For security reasons, only HTTPS URLs are allowed.",invalidProtocol:"Protocol not allowed. Use: {protocols}.",relativeUrl:"Relative URLs are not allowed.",fileType:"This file type is not allowed.",fileTooLarge:"The image is too large (max. {size}).",uploadFailed:"The image could not be uploaded.",maxLength:"Character limit reached ({max}).",maxImages:"You can add up to {max} images."},status:{words:"{count} words",characters:"{count} characters",charactersMax:"{count}/{max} characters"},collab:{guest:"Guest"},autosave:{draftFound:"You have an unsaved draft from {date}.",restore:"Restore",discard:"Discard"},validation:{required:"This field is required.",maxLength:"The text is too long ({count}/{max} characters).",maxImages:"Too many images ({count}/{max})."},imageToolbar:{alignLeft:"Left",alignCenter:"Center",alignRight:"Right",alignFull:"Full width",caption:"Caption",captionPlaceholder:"Write a caption…"},linkBubble:{edit:"Edit",open:"Open in new tab",unlink:"Unlink"},table:{size:"{rows} × {cols}",rowAbove:"Row above",rowBelow:"Row below",colLeft:"Column left",colRight:"Column right",deleteRow:"Delete row",deleteCol:"Delete column",toggleHeader:"Header row",alignLeft:"Left",alignCenter:"Center",alignRight:"Right",deleteTable:"Delete table"},mentions:{noResults:"No results"},emojis:{search:"Search emoji...",recent:"Recently used",noResults:"No emojis found",skinTone:"Skin tone",categories:{smileys:"Smileys",gestures:"Gestures",nature:"Nature",food:"Food & Drink",activities:"Activities",travel:"Travel & Places",objects:"Objects",symbols:"Symbols"},keywords:{}},aria:{toolbar:"Formatting",editor:"Rich text editor",emojiPicker:"Emojis",heading:"Text style",undo:"Undo",redo:"Redo",bold:"Bold",italic:"Italic",strike:"Strikethrough",code:"Inline code",quote:"Quote",codeBlock:"Code block",ul:"Bullet list",ol:"Numbered list",taskList:"Checklist",hr:"Horizontal line",emoji:"Insert emoji",link:"Link",image:"Image",clear:"Clear format",table:"Insert table",tableSize:"Table size",tableMenu:"Table",source:"Markdown source",split:"Split view",find:"Find and replace",sourceEditor:"Markdown source",linkBubble:"Link",imageToolbar:"Image",mentions:"Suggestions"}},i=["image/png","image/jpeg","image/gif","image/webp"],l={undo:{type:"button",labelKey:"undo",cmd:"undo"},redo:{type:"button",labelKey:"redo",cmd:"redo"},heading:{type:"select",cmd:"formatBlock",options:[{labelKey:"normal",value:"P"},{labelKey:"h1",value:"H1"},{labelKey:"h2",value:"H2"},{labelKey:"h3",value:"H3"},{labelKey:"h4",value:"H4"},{labelKey:"h5",value:"H5"},{labelKey:"h6",value:"H6"},{labelKey:"quote",value:"BLOCKQUOTE"},{labelKey:"code",value:"PRE"}]},bold:{type:"button",labelKey:"bold",cmd:"bold",toggle:!0},italic:{type:"button",labelKey:"italic",cmd:"italic",toggle:!0},strike:{type:"button",labelKey:"strike",cmd:"strikeThrough",toggle:!0},code:{type:"button",labelKey:"code",cmd:"inlineCode",toggle:!0},quote:{type:"button",labelKey:"quote",cmd:"blockquote",toggle:!0},codeBlock:{type:"button",labelKey:"codeBlock",cmd:"codeBlock",toggle:!0,popup:!0},ul:{type:"button",labelKey:"ul",cmd:"insertUnorderedList",toggle:!0},ol:{type:"button",labelKey:"ol",cmd:"insertOrderedList",toggle:!0},taskList:{type:"button",labelKey:"taskList",cmd:"insertTaskList",toggle:!0},hr:{type:"button",labelKey:"hr",cmd:"insertHorizontalRule"},emoji:{type:"button",labelKey:"emoji",cmd:"toggleEmoji",popup:!0},link:{type:"button",labelKey:"link",cmd:"createLink",popup:!0},image:{type:"button",labelKey:"image",cmd:"customInsertImage",popup:!0},table:{type:"button",labelKey:"table",cmd:"insertTable",popup:!0},clear:{type:"button",labelKey:"clear",cmd:"removeFormat"},source:{type:"button",labelKey:"source",cmd:"toggleSource",toggle:!0},split:{type:"button",labelKey:"split",cmd:"toggleSplit",toggle:!0},find:{type:"button",labelKey:"find",cmd:"findReplace",popup:!0}},a=["#d73a49","#28a745","#0366d6","#e36209","#6f42c1","#1b7c83","#b08800","#ea4aaa"],s=/^(?:[^<>&]|&(?:amp|lt|gt|quot|#039);|<[a-z][a-z0-9]*(?:\s[^<>]*)?>|<\/[a-z][a-z0-9]*>)$/u,c=/^\d{1,15}@[a-z0-9]{1,16}$/,u=["area","br","col","embed","hr","img","input","source","track","wbr"],d="ichik-draft:",p="ichik-editor",h="drafts",m={localStorage:function(){const e=window.localStorage;return{get:e=>Ct(d+e,null),set:(t,n)=>e.setItem(d+t,JSON.stringify(n)),remove:t=>e.removeItem(d+t),keys:()=>Array.from({length:e.length},(t,n)=>e.key(n)).filter(e=>e&&e.startsWith(d)).map(e=>e.slice(12))}},indexedDB:function(){let e=null;const t=(t,n)=>(e||(e=new Promise((e,t)=>{const n=window.indexedDB.open(p,1);n.onupgradeneeded=()=>n.result.createObjectStore(h),n.onsuccess=()=>e(n.result),n.onerror=()=>t(n.error)}))).then(e=>new Promise((o,r)=>{const i=n(e.transaction(h,t).objectStore(h));i.onsuccess=()=>o(i.result),i.onerror=()=>r(i.error)}));return{get:e=>t("readonly",t=>t.get(e)).then(e=>void 0===e?null:e),set:(e,n)=>t("readwrite",t=>t.put(n,e)),remove:e=>t("readwrite",t=>t.delete(e)),keys:()=>t("readonly",e=>e.getAllKeys())}}},f=["wysiwyg","markdown","split"],g={toggleSource:"markdown",toggleSplit:"split"},b={"Mod-B":"bold","Mod-I":"italic","Mod-Shift-X":"strike","Mod-E":"code","Mod-Shift-9":"quote","Mod-Alt-C":"codeBlock","Mod-K":"link","Mod-Alt-0":"normal","Mod-Alt-1":"h1","Mod-Alt-2":"h2","Mod-Alt-3":"h3","Mod-Alt-4":"h4","Mod-Alt-5":"h5","Mod-Alt-6":"h6","Mod-Shift-7":"ol","Mod-Shift-8":"ul","Mod-Shift-6":"taskList","Mod-F":"find","Mod-Z":"undo","Mod-Y":"redo","Mod-Shift-Z":"redo"},E={heading:{match:/^(#{1,6})\s$/,block:!0,command:e=>"h"+e[1].length},ul:{match:/^[-*+]\s$/,block:!0,command:"ul"},ol:{match:/^(\d{1,9})[.)]\s$/,block:!0,handler:(e,t)=>function(e,t){Ao(e.editorEl).getRangeAt(0).deleteContents(),Jt(No(e,"p, div")),Ut(e,"insertOrderedList");const n=No(e,"li"),o=n?n.parentElement:null;o&&1!==t&&"OL"===o.tagName&&o.firstElementChild===n&&o.setAttribute("start",String(t));return!0}(e,Number(t[1]))},taskList:{match:/^\[[ xX]?\]\s$/,block:!0,lists:!0,command:"taskList"},quote:{match:/^>\s$/,block:!0,command:"quote"},codeBlock:{match:/^```$/,block:!0,command:"codeBlock"},hr:{match:/^(?:---|\*\*\*|___)$/,block:!0,command:"hr"},bold:{delimiter:"**",wrap:"strong"},boldUnderscore:{delimiter:"__",wrap:"strong"},italic:{delimiter:"*",wrap:"em"},italicUnderscore:{delimiter:"_",wrap:"em"},strike:{delimiter:"~~",wrap:"s"},code:{delimiter:"`",wrap:"code"},link:{match:/\[([^\]]+)\]\(([^()\s]+)\)$/,handler:(e,t)=>function(e,t,n){const o=I(t,e.urlPolicy);if(!o)return!1;const r=document.createElement("a");r.setAttribute("href",o),r.textContent=n;const i=Ao(e.editorEl),l=i.getRangeAt(0);return l.deleteContents(),l.insertNode(r),l.setStartAfter(r),l.collapse(!0),i.removeAllRanges(),i.addRange(l),!0}(e,t[2],t[1])}},y="ichik-find",k="ichik-find-current",v=1e3,A=/^[!-\/:-@[-`{-~]$/,C=/^[\w+#.-]+$/,x=["https"],N=["javascript","vbscript"],w=/^[^\s\w\\]$/,T="{trigger}[{label}]({id})",S=/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/,L=["left","center","right","full"],R=["auto","light","dark"],$=[["undo","redo"],["heading","bold","italic","strike","code"],["ul","ol","taskList","quote","codeBlock","hr"],["emoji","link","image","table"],["clear","find","source"]],O={tags:{P:[],BR:[],HR:[],H1:[],H2:[],H3:[],H4:[],H5:[],H6:[],B:[],STRONG:[],I:[],EM:[],S:[],CODE:["class"],PRE:["data-language"],BLOCKQUOTE:[],UL:["data-type"],OL:["start"],LI:["data-checked"],A:["href"],IMG:["src","alt","width","data-align"],FIGURE:["data-align"],FIGCAPTION:[],TABLE:[],THEAD:[],TBODY:[],TR:[],TH:["align"],TD:["align"]},urlAttrs:["href","src"],aliases:{DIV:"P",STRIKE:"S",DEL:"S"},dropContent:["SCRIPT","STYLE","TEMPLATE","IFRAME","OBJECT","EMBED","NOSCRIPT","SVG","MATH","HEAD","TITLE","META","LINK"]},j={markdown:{serialize:(e,t)=>function(e,t,n){const o=[];return e.querySelectorAll("span[data-mention]").forEach(e=>{const n=He(e),r=t[n.trigger];o.push(function(e,t=T){return"function"==typeof t?String(t(e)):t.replace(/\{(trigger|label|id)\}/g,(t,n)=>"label"===n?ee(e.label):e[n])}(n,r?r.markdown:T)),e.replaceWith(`${o.length-1}`)}),n(e).replace(/\u0002(\d+)\u0002/g,(e,t)=>o[t])}(e,t.mentions,e=>function(e){const t=e.cloneNode(!0);return K(t),F(t).join("\n\n")}(e).trim()),parse:(e,t)=>te(e,t.urlPolicy,t.mentionPatterns)},html:{serialize:e=>function(e){return K(e),e.querySelectorAll("b, i").forEach(e=>{const t=document.createElement("B"===e.tagName?"strong":"em");for(;e.firstChild;)t.appendChild(e.firstChild);e.replaceWith(t)}),e.querySelectorAll("p, h1, h2, h3, h4, h5, h6, li, td, th").forEach(e=>{for(;e.lastChild&&e.lastChild.nodeType===Node.ELEMENT_NODE&&"BR"===e.lastChild.tagName;)e.lastChild.remove();!e.textContent.trim()&&!e.querySelector("img, br, ul, ol, table")&&/^(P|H[1-6])$/.test(e.tagName)&&!e.closest("li, td, th")&&e.remove()}),e.querySelectorAll("pre").forEach(e=>{const t=he(e),n=document.createElement("code");t&&n.setAttribute("class","language-"+t),n.textContent=oe(e).replace(/\n$/,""),e.removeAttribute("data-language"),e.replaceChildren(n)}),e}(e).innerHTML.trim(),parse:e=>e},text:{serialize:e=>function(e){const t=[];K(e);let n=fe(e,t).join("\n\n");t.length&&(n+="\n\n"+t.map((e,t)=>`[${t+1}] ${e}`).join("\n"));return n.trim()}(e)},json:{serialize:e=>({type:"doc",content:Ae(e)}),parse:e=>function(e){"string"==typeof e&&(e=JSON.parse(e));if(!e||"doc"!==e.type||!Array.isArray(e.content))throw new Error('IchikEditor: Invalid JSON document (expected { type: "doc", content: [...] })');const t=document.createDocumentFragment();return Ne(t,e.content),K(t),t}(e)},bbcode:{serialize:e=>function(e){return K(e),Re(e).join("\n\n").trim()}(e),parse:e=>function(e){e=String(e||"").replace(/\r\n?/g,"\n");const t=document.createDocumentFragment(),n=new Map;let o=t;const r=(e,t)=>{const r=o.appendChild(document.createElement(e));return n.set(r,t),o=r},i=e=>e.split(/\n[ \t]*\n/).forEach((e,t)=>{if(t>0){for(;/^(STRONG|EM|S|A)$/.test(o.nodeName);)o=o.parentNode;o.append(document.createElement("br"),document.createElement("br"))}e.split("\n").forEach((e,t)=>{t>0&&o.appendChild(document.createElement("br")),e&&o.appendChild(document.createTextNode(e))})}),l=e=>{let n=o;for(;n!==t&&!e(n);)n=n.parentNode;return n!==t&&(o=n,!0)},a=e=>/(^|\n)[ \t]*$/.test(e),s=/\[(\/?)([a-z]+|\*)(?:=([^\]]*))?\]/gi;let c,u=0;for(;c=s.exec(e);){i(e.slice(u,c.index)),u=s.lastIndex;const t=c[2].toLowerCase(),d=void 0===c[3]?null:c[3].trim().replace(/^(["'])(.*)\1$/,"$2");if(c[1]){const e=t in Se||["url","list","*"].includes(t)||Le.includes(t);l(e=>n.get(e)===t)?o=o.parentNode:e||i(c[0]);continue}if("code"===t||"img"===t||"url"===t&&null===d){const n=e.toLowerCase().indexOf(`[/${t}]`,u);if(-1===n){i(c[0]);continue}const r=e.slice(u,n);if(s.lastIndex=u=n+t.length+3,"img"===t){const e=o.appendChild(document.createElement("img"));e.setAttribute("src",r.trim()),e.setAttribute("alt","")}else if("url"===t){const e=o.appendChild(document.createElement("a"));e.setAttribute("href",r.trim()),e.textContent=r.trim()}else if(d||r.includes("\n")||a(e.slice(0,c.index))&&/^[ \t]*(\n|$)/.test(e.slice(u))){const e=o.appendChild(document.createElement("pre"));d&&e.setAttribute("data-language",d),e.textContent=r.replace(/^\n/,"").replace(/\n$/,"")}else o.appendChild(document.createElement("code")).textContent=r;continue}"url"===t?r("a",t).setAttribute("href",d):"list"===t?r(d?"ol":"ul",t):"*"===t?l(e=>"UL"===e.tagName||"OL"===e.tagName)?r("li",t):i(c[0]):"hr"===t?o.appendChild(document.createElement("hr")):Se[t]?r(Se[t],t):Le.includes(t)||i(c[0])}return i(e.slice(u)),t.normalize(),t.querySelectorAll("ul, ol, table, tr").forEach(e=>{const t={UL:/^(LI|UL|OL)$/,OL:/^(LI|UL|OL)$/,TABLE:/^TR$/,TR:/^T[HD]$/}[e.tagName];Array.from(e.childNodes).forEach(e=>{t.test(e.tagName)||e.remove()})}),t.querySelectorAll("table").forEach(e=>{const t=Array.from(e.rows),n=e.appendChild(document.createElement("tbody"));t.forEach((t,o)=>{(0===o&&t.cells.length&&Array.from(t.cells).every(e=>"TH"===e.tagName)?e.createTHead():n).appendChild(t)})}),t.querySelectorAll("li, th, td").forEach(Ie),qe(t),t.querySelectorAll("blockquote").forEach(qe),t.querySelectorAll("ul").forEach(De),K(t),t}(e)}};function M(e,t){const n=String(e||"").replace(/[\u0000-\u001F\u007F]/g,"").trim();if(!n)return{error:"invalidProtocol"};const o=n.match(/^([a-z][a-z0-9+.-]*):(\d)?/i);if(o&&(!o[2]||!/^localhost$|\./i.test(o[1]))){const e=o[1].toLowerCase();return N.includes(e)||!t.protocols.includes(e)?{error:"http"===e&&t.protocols.includes("https")?"httpsRequired":"invalidProtocol"}:{url:n}}if(/^(\/(?!\/)|\.\.?\/|#|\?)/.test(n))return t.relative?{url:n}:{error:"relativeUrl"};const r=["https","http"].find(e=>t.protocols.includes(e));return r?{url:`${r}:${n.startsWith("//")?"":"//"}${n}`}:{error:"invalidProtocol"}}function I(e,t){return M(e,t).url||null}function P(e){return{protocols:(e.allowedProtocols||x).map(e=>String(e).toLowerCase().replace(/:$/,"")).filter(e=>!N.includes(e)),relative:!!e.allowRelativeUrls}}function q(e,t){return e.labels.alerts[t].replace("{protocols}",e.urlPolicy.protocols.join(", "))}function D(e){return e.replace(/[\\^$.*+?()[\]{}|\/]/g,"\\$&")}function B(e){return e?e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#039;"):""}function H(e){return e?e.replace(/&lt;/g,"<").replace(/&gt;/g,">").replace(/&quot;/g,'"').replace(/&#039;/g,"'").replace(/&amp;/g,"&"):""}function _(e,t,n,o="bottom"){t.style.display=n;const r=e.getBoundingClientRect(),i=t.offsetWidth,l=window.innerWidth,a=window.scrollX,s=window.scrollY;let c=r.left+a,u=r.bottom+s+6;"top"===o&&r.top-t.offsetHeight-6>0&&(u=r.top+s-t.offsetHeight-6),r.left+i>l-10&&(c=r.right+a-i),c<10&&(c=10),t.style.left=c+"px",t.style.top=u+"px"}function U(e){switch(e.tagName){case"B":case"STRONG":return"strong";case"I":case"EM":return"em";case"S":case"STRIKE":case"DEL":return"s";case"CODE":return e.closest("pre")?null:"code";case"A":return"a:"+e.getAttribute("href");default:return null}}function K(e){Array.from(e.childNodes).forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&"PRE"!==e.tagName&&K(e)});let t=e.firstChild;for(;t;){const e=t.nextSibling,n=t.nodeType===Node.ELEMENT_NODE?U(t):null;if(n){if(t.textContent||t.querySelector("img")){if(e&&e.nodeType===Node.ELEMENT_NODE&&U(e)===n){for(;e.firstChild;)t.appendChild(e.firstChild);e.remove(),K(t);continue}Array.from(t.querySelectorAll("*")).forEach(e=>{U(e)!==n||n.startsWith("a:")||e.replaceWith(...e.childNodes)})}else t.remove();t=e}else t=e}}const z=["P","DIV","H1","H2","H3","H4","H5","H6","UL","OL","LI","PRE","BLOCKQUOTE","HR","TABLE","FIGURE"];function W(e){return e.nodeType===Node.ELEMENT_NODE&&z.includes(e.tagName)}function F(e){const t=[];let n=[];const o=()=>{const e=Q(n);e&&t.push(e),n=[]};return e.childNodes.forEach(e=>{if(!W(e))return void n.push(e);o();const r=G(e);r&&t.push(r)}),o(),t}function G(e){switch(e.tagName){case"H1":case"H2":case"H3":case"H4":case"H5":case"H6":{const t=Q(e.childNodes,!1).replace(/\n/g," ").replace(/ (#+)$/," \\$1");return t?`${"#".repeat(+e.tagName[1])} ${t}`:""}case"UL":case"OL":return J(e);case"PRE":return function(e){const t=oe(e).replace(/\n$/,""),n="`".repeat(Math.max(3,re(t)+1));return`${n}${he(e)}\n${t}\n${n}`}(e);case"BLOCKQUOTE":return function(e){const t=F(e).join("\n\n");return t?t.split("\n").map(e=>e?`> ${e}`:">").join("\n"):""}(e);case"HR":return"---";case"TABLE":return function(e){const t=Array.from(e.rows);if(!t.length)return"";const n=Math.max(...t.map(e=>e.cells.length)),o=Array.from({length:n},(e,t)=>t),r=e=>e?F(e).join("\n").replace(/\n+/g,"<br>").replace(/\|/g,"\\|"):"",i=e=>`| ${e.join(" | ")} |`,l=le(t[0])?t.shift():null,a=o.map(t=>{const n=ae(e,t);return"center"===n?":---:":"right"===n?"---:":"left"===n?":---":"---"});return[i(o.map(e=>l?r(l.cells[e]):"")),i(a)].concat(t.map(e=>i(o.map(t=>r(e.cells[t]))))).join("\n")}(e);case"FIGURE":return function(e){const t=e.querySelector("img");if(!t)return"";const n=e.querySelector("figcaption"),o=n?n.textContent.replace(/\s+/g," ").trim():"",r=e.getAttribute("data-align"),i=t.cloneNode(!1);r&&i.setAttribute("data-align",r);return o?(i.removeAttribute("data-align"),`<figure${r?` data-align="${B(r)}"`:""}>${Y(i)}<figcaption>${B(o)}</figcaption></figure>`):V(i).replace(/\u0001/g,"")}(e);default:return Array.from(e.childNodes).some(W)?F(e).join("\n\n"):Q(e.childNodes)}}function X(e){return!!e&&"UL"===e.tagName&&"task"===e.getAttribute("data-type")}function J(e){const t="OL"===e.tagName,n=X(e);let o=t?parseInt(e.getAttribute("start"),10):1;isNaN(o)&&(o=1);const r=[];let i="  ";return Array.from(e.children).forEach(e=>{if("UL"===e.tagName||"OL"===e.tagName){const t=J(e);return void(t&&r.push(i+t.split("\n").join("\n"+i)))}if("LI"!==e.tagName)return;const l=t?o+++". ":"- ";i=" ".repeat(l.length);const a=n?`[${"true"===e.getAttribute("data-checked")?"x":" "}] `:"",s=function(e){const t=[];let n=[];const o=()=>{const e=Q(n);e&&t.push(e),n=[]};return e.childNodes.forEach(e=>{if(!W(e))return void n.push(e);o();const r="UL"===e.tagName||"OL"===e.tagName?J(e):G(e);r&&t.push(r.replace(/\n{2,}/g,"\n"))}),o(),t.join("\n")}(e);r.push((l+a+s.split("\n").join("\n"+i)).replace(/ +$/gm,""))}),r.join("\n")}function Q(e,t=!0){let n="";Array.from(e).forEach(e=>n+=V(e)),n=n.replace(/\n?\u0001+\n?/g,"\n");return n.split("\n").map(e=>e.replace(/ {2,}/g," ").trim()).map(e=>t?function(e){return e.replace(/^(#{1,6})(?= |$)/,"\\$1").replace(/^([-+])(?= |$)/,"\\$1").replace(/^(\d+)([.)])(?= |$)/,"$1\\$2").replace(/^([-=])(?=\1*\s*$)/,"\\$1").replace(/^\|/,"\\|")}(e):e).join("\n").replace(/\n{3,}/g,"\n\n").trim()}function V(e){if(e.nodeType===Node.TEXT_NODE)return ee(e.textContent.replace(/\s+/g," "));if(e.nodeType!==Node.ELEMENT_NODE)return"";let t="";switch(e.childNodes.forEach(e=>t+=V(e)),e.tagName){case"B":case"STRONG":return Z(t,"**");case"I":case"EM":return Z(t,"*");case"S":case"STRIKE":case"DEL":return Z(t,"~~");case"CODE":return function(e){if(!e)return"";const t="`".repeat(re(e)+1),n=/^[` ]|[` ]$/.test(e)&&e.trim()?" ":"";return`${t}${n}${e}${n}${t}`}(oe(e).replace(/\n/g," "));case"BR":return"\n";case"A":{const n=(e.getAttribute("href")||"").replace(/ /g,"%20");return t.trim()?`[${t.trim()}](${n})`:""}case"IMG":{const t=e.getAttribute("alt")||"",n=e.getAttribute("src")||"";return e.getAttribute("width")||e.getAttribute("data-align")?`${Y(e)}`:`![${ee(t)}](${n.replace(/ /g,"%20")})`}default:return W(e)?`\n${t}\n`:t}}function Y(e){let t=`<img src="${B(e.getAttribute("src")||"")}" alt="${B(e.getAttribute("alt")||"")}"`;return["width","data-align"].forEach(n=>{e.getAttribute(n)&&(t+=` ${n}="${B(e.getAttribute(n))}"`)}),t+">"}function Z(e,t){return e.split("\n").map(e=>{if(!e.trim())return e;const n=e.match(/^\s*/)[0],o=e.match(/\s*$/)[0];return`${n}${t}${e.trim()}${t}${o}`}).join("\n")}function ee(e){return e.replace(/\u0001/g,"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/[\\`*[\]]/g,"\\$&").replace(/~(?=~)/g,"\\~").replace(/_/g,(e,t,n)=>/[^\W_]/.test(n[t-1]||"")&&/[^\W_]/.test(n[t+1]||"")?"_":"\\_")}function te(e,t,n=[]){const o=document.createDocumentFragment(),r=(e||"").replace(/\r\n?/g,"\n").split("\n");let i=null,l=[],a=!1;for(let e=0;e<r.length;e++){const s=r[e],c=s.match(/^(#{1,6}) (.*)$/),u=s.match(/^( *)(-|\*|\+|\d{1,9}[.)])(?: (.*))?$/),d=s.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/),p=s.match(/^\s*<figure(\s[^>]*)?>\s*(<img\s[^>]*>)\s*(?:<figcaption>(.*)<\/figcaption>)?\s*<\/figure>\s*$/i);if(s.trim())if(d){i=null;const t=new RegExp(`^ {0,3}${"`"===d[1][0]?"`":"~"}{${d[1].length},}\\s*$`),n=[];for(e++;e<r.length&&!t.test(r[e]);)n.push(r[e++]);const l=document.createElement("pre");C.test(d[2])&&l.setAttribute("data-language",d[2]),l.textContent=n.join("\n"),o.appendChild(l)}else if(/^ {0,3}>/.test(s)){i=null;const l=[];for(;e<r.length&&/^ {0,3}>/.test(r[e]);)l.push(r[e++].replace(/^ {0,3}> ?/,""));e--;const a=document.createElement("blockquote");a.appendChild(te(l.join("\n"),t,n)),o.appendChild(a)}else if(s.trim().startsWith("|")&&S.test(r[e+1]||"")){i=null;const l=r[e+1],a=[s];for(e+=2;e<r.length&&r[e].trim().startsWith("|");)a.push(r[e++]);e--,o.appendChild(se(a,l,t,n))}else if(c){i=null;const e=document.createElement("h"+c[1].length);ne(c[2],e,t,0,null,n),o.appendChild(e)}else if("---"===s.trim())i=null,o.appendChild(document.createElement("hr"));else if(p){i=null;const e=pe(p,t);e&&o.appendChild(e)}else if(u){i&&"P"!==i.tagName||(l=[]);const e=u[1].length,r=/\d/.test(u[2])?"OL":"UL",s="UL"===r&&(u[3]||"").match(/^\[([ xX])\](?: (.*))?$/);for(;l.length&&e<l[l.length-1].indent;)l.pop();let c=l[l.length-1];const d=c&&e>=c.contentIndent;if(!c||d||c.list.tagName!==r||X(c.list)!==!!s){const t=document.createElement(r);s&&t.setAttribute("data-type","task");const n=parseInt(u[2],10);"OL"===r&&1!==n&&t.setAttribute("start",n),!d&&c&&l.pop();const i=d?c:l[l.length-1];(i?i.list.lastElementChild:o).appendChild(t),c={list:t,indent:e,contentIndent:e+u[2].length+1},l.push(c)}const p=document.createElement("li");s&&p.setAttribute("data-checked",String(" "!==s[1])),ne(s?s[2]||"":u[3]||"",p,t,0,null,n),c.list.appendChild(p),i=l[0].list,a=!1}else{const e=/^(!\[(?:\\.|[^\]\\])*\]\([^)\s]*\)|<img\s[^>]*>)$/i.test(s.trim());i||(i=document.createElement("p"),o.appendChild(i));let r=i;if("P"!==i.tagName){const e=s.match(/^ */)[0].length;r=(l.slice().reverse().find(t=>t.contentIndent<=e)||l[l.length-1]).list.lastElementChild}!r.hasChildNodes()||e||a||r.appendChild(document.createElement("br")),ne("P"!==i.tagName||e?s.trim():s.replace(/[ \t]+$/,""),r,t,0,null,n),a=e}else i=null}return o}function ne(e,t,n,o=0,r=null,i=[]){let l=o,a="";const s=()=>{a&&t.appendChild(document.createTextNode(H(a))),a=""};for(;l<e.length;){const c=e[l],u=e.slice(l);if("\\"===c&&A.test(e[l+1]||"")){a+=e[l+1],l+=2;continue}if("]"===r&&"]"===c)return s(),l;if(r&&"]"!==r&&l>o&&u.startsWith(r)&&/\S/.test(e[l-1]))return s(),l;if("`"===c){let n=1;for(;"`"===e[l+n];)n++;const o=ie(e,l+n,n);if(-1!==o){let r=e.slice(l+n,o);/^ [^]*[^ ][^]* $/.test(r)&&(r=r.slice(1,-1)),s(),t.appendChild(document.createElement("code")).textContent=r,l=o+n}else a+=e.substr(l,n),l+=n;continue}if(u.startsWith("~~")&&e[l+2]&&/\S/.test(e[l+2])){const o=document.createElement("s"),r=ne(e,o,n,l+2,"~~",i);if(-1!==r){s(),t.appendChild(o),l=r+2;continue}}if("*"===c){let o=1;for(;"*"===e[l+o];)o++;if(e[l+o]&&/\S/.test(e[l+o])){if((o>=2?["**","*"]:["*"]).some(o=>{const r=document.createElement("**"===o?"strong":"em"),a=ne(e,r,n,l+o.length,o,i);return-1!==a&&(s(),t.appendChild(r),l=a+o.length,!0)}))continue}a+=e.substr(l,o),l+=o;continue}const d=i.length&&!/\w/.test(e[l-1]||"")&&_e(u,i);if(d){s();const e=Be(d.trigger,d.id,d.label);e&&t.appendChild(e),l+=d.length;continue}const p="!"===c&&u.match(/^!\[((?:\\.|[^\]\\])*)\]\(([^)\s]*)\)/);if(p){s(),de(t,{src:p[2],alt:H(p[1].replace(/\\([!-\/:-@[-`{-~])/g,"$1"))},n),l+=p[0].length;continue}const h="<"===c&&u.match(/^<img\s[^>]*>/i);if(h)s(),de(t,ue(h[0]),n),l+=h[0].length;else{if("["===c){const o=document.createElement("a"),r=ne(e,o,n,l+1,"]",i),a=-1!==r&&e.slice(r+1).match(/^\(((?:[^()\s]|\([^()\s]*\))*)\)/);if(a){s();const e=I(a[1],n);if(e)o.setAttribute("href",e),t.appendChild(o);else for(;o.firstChild;)t.appendChild(o.firstChild);l=r+1+a[0].length;continue}}a+=c,l++}}return s(),r?-1:l}function oe(e){let t="";return e.childNodes.forEach(e=>{if(e.nodeType===Node.TEXT_NODE)t+=e.textContent;else if("BR"===e.tagName)t+="\n";else if(e.nodeType===Node.ELEMENT_NODE){const n="DIV"===e.tagName||"P"===e.tagName;n&&t&&!t.endsWith("\n")&&(t+="\n"),t+=oe(e),n&&!t.endsWith("\n")&&(t+="\n")}}),t}function re(e){return Math.max(0,...(e.match(/`+/g)||[]).map(e=>e.length))}function ie(e,t,n){let o=t;for(;o<e.length;){if("`"!==e[o]){o++;continue}let t=1;for(;"`"===e[o+t];)t++;if(t===n)return o;o+=t}return-1}function le(e){return"THEAD"===e.parentElement.tagName||Array.from(e.cells).every(e=>"TH"===e.tagName)}function ae(e,t){let n="";return Array.from(e.rows).some(e=>{const o=e.cells[t];return n=o?(o.getAttribute("align")||o.style.textAlign||"").toLowerCase():"",n}),n}function se(e,t,n,o=[]){const r=ce(t).map(e=>{const t=e.startsWith(":"),n=e.endsWith(":");return t&&n?"center":n?"right":t?"left":""}),i=e.map(ce),l=r.length,a=i[0].some(e=>e),s=document.createElement("table"),c=(e,t,i)=>{const a=document.createElement("tr");for(let e=0;e<l;e++){const l=document.createElement(i);r[e]&&l.setAttribute("align",r[e]),(t[e]||"").split("<br>").forEach((e,t)=>{t>0&&l.appendChild(document.createElement("br")),ne(e,l,n,0,null,o)}),l.hasChildNodes()||l.appendChild(document.createElement("br")),a.appendChild(l)}e.appendChild(a)};a&&c(s.appendChild(document.createElement("thead")),i[0],"th");const u=s.appendChild(document.createElement("tbody"));return i.slice(1).forEach(e=>c(u,e,"td")),s}function ce(e){let t=e.trim();t.startsWith("|")&&(t=t.slice(1)),t.endsWith("|")&&!t.endsWith("\\|")&&(t=t.slice(0,-1));const n=[];let o="";for(let e=0;e<t.length;e++)"\\"===t[e]&&"|"===t[e+1]?(o+="|",e++):"\\"===t[e]&&t[e+1]?(o+=t[e]+t[e+1],e++):"|"===t[e]?(n.push(o.trim()),o=""):o+=t[e];return n.push(o.trim()),n}function ue(e){const t={};return e.replace(/([\w-]+)="([^"]*)"/g,(e,n,o)=>t[n.toLowerCase()]=H(o)),{src:t.src,alt:t.alt,width:t.width,align:t["data-align"]||t.align}}function de(e,t,n){const o=I(t.src,n);if(!o)return null;const r=document.createElement("img");return r.setAttribute("src",o),r.setAttribute("alt",t.alt||""),t.width&&/^\d+(px|%)?$/.test(t.width)&&r.setAttribute("width",t.width),L.includes(t.align)&&r.setAttribute("data-align",t.align),e.appendChild(r)}function pe(e,t){const n=document.createElement("figure");if(!de(n,ue(e[2]),t))return null;const o=(e[1]||"").match(/data-align="(\w+)"/);return o&&L.includes(o[1])&&n.setAttribute("data-align",o[1]),e[3]&&e[3].trim()&&(n.appendChild(document.createElement("figcaption")).textContent=H(e[3].trim())),n}function he(e){const t=e.querySelector("code"),n=t?(t.getAttribute("class")||"").match(/language-([\w+#.-]+)/):null,o=e.getAttribute("data-language")||(n?n[1]:"");return C.test(o)?o:""}function me(e){e.querySelectorAll("pre").forEach(e=>{if(!e.querySelector("code"))return;const t=he(e);e.textContent=oe(e).replace(/\n$/,""),t&&e.setAttribute("data-language",t)})}function fe(e,t){const n=[];let o=[];const r=()=>{const e=be(o,t);e&&n.push(e),o=[]};return e.childNodes.forEach(e=>{if(!W(e))return void o.push(e);r();const i=function(e,t){switch(e.tagName){case"UL":case"OL":return ge(e,t);case"PRE":return oe(e).replace(/\n$/,"");case"BLOCKQUOTE":{const n=fe(e,t).join("\n\n");return n?n.split("\n").map(e=>e?`> ${e}`:">").join("\n"):""}case"HR":return"---";case"FIGURE":{const n=e.querySelector("figcaption");return(n?be(n.childNodes,t):"")||be(e.querySelectorAll("img"),t)}case"TABLE":return Array.from(e.rows).map(e=>Array.from(e.cells).map(e=>fe(e,t).join(" ").replace(/\n/g," ")).join(" | ").trim()).join("\n");default:return Array.from(e.childNodes).some(W)?fe(e,t).join("\n\n"):be(e.childNodes,t)}}(e,t);i&&n.push(i)}),r(),n}function ge(e,t){const n="OL"===e.tagName,o=X(e);let r=n?parseInt(e.getAttribute("start"),10):1;isNaN(r)&&(r=1);const i=[];let l="  ";return Array.from(e.children).forEach(e=>{if("UL"===e.tagName||"OL"===e.tagName){const n=ge(e,t);return void(n&&i.push(l+n.split("\n").join("\n"+l)))}if("LI"!==e.tagName)return;const a=n?r+++". ":"- ";l=" ".repeat(a.length);const s=o?`[${"true"===e.getAttribute("data-checked")?"x":" "}] `:"",c=fe(e,t).join("\n");i.push((a+s+c.split("\n").join("\n"+l)).replace(/ +$/gm,""))}),i.join("\n")}function be(e,t){let n="";return Array.from(e).forEach(e=>n+=Ee(e,t)),n.split("\n").map(e=>e.replace(/ {2,}/g," ").trim()).join("\n").replace(/\n{3,}/g,"\n\n").trim()}function Ee(e,t){if(e.nodeType===Node.TEXT_NODE)return e.textContent.replace(/\s+/g," ");if(e.nodeType!==Node.ELEMENT_NODE)return"";let n="";switch(e.childNodes.forEach(e=>n+=Ee(e,t)),e.tagName){case"BR":return"\n";case"CODE":return oe(e).replace(/\n/g," ");case"IMG":return e.getAttribute("alt")||"";case"A":{const o=e.getAttribute("href")||"",r=n.trim();return r&&o&&o.replace(/^https:\/\//i,"")!==r.replace(/^https:\/\//i,"")?(t.includes(o)||t.push(o),`${n} [${t.indexOf(o)+1}]`):n}default:return W(e)?`\n${n}\n`:n}}const ye={B:"bold",STRONG:"bold",I:"italic",EM:"italic",S:"strike",CODE:"code",A:"link"},ke={bold:"strong",italic:"em",strike:"s",code:"code",link:"a"},ve=["text","hardBreak","image","mention"];function Ae(e){const t=[];let n=[];const o=()=>{const e=xe(n);e.length&&t.push({type:"paragraph",content:e}),n=[]};return e.childNodes.forEach(e=>{W(e)?(o(),t.push(...function(e){switch(e.tagName){case"H1":case"H2":case"H3":case"H4":case"H5":case"H6":return[{type:"heading",level:+e.tagName[1],content:xe(e.childNodes)}];case"UL":case"OL":return[Ce(e)];case"PRE":{const t={type:"codeBlock",text:oe(e).replace(/\n$/,"")},n=he(e);return n&&(t.language=n),[t]}case"BLOCKQUOTE":return[{type:"blockquote",content:Ae(e)}];case"HR":return[{type:"horizontalRule"}];case"FIGURE":{const t=e.querySelector("img");if(!t)return[];const n={type:"figure",content:xe([t])},o=e.querySelector("figcaption"),r=e.getAttribute("data-align");return r&&(n.align=r),o&&n.content.push({type:"caption",content:xe(o.childNodes)}),[n]}case"TABLE":return[{type:"table",content:Array.from(e.rows).map(e=>({type:"tableRow",content:Array.from(e.cells).map(e=>{const t={type:"TH"===e.tagName?"tableHeader":"tableCell",content:Ae(e)},n=(e.getAttribute("align")||"").toLowerCase();return n&&(t.align=n),t})}))}];default:{if(Array.from(e.childNodes).some(W))return Ae(e);const t=xe(e.childNodes);return t.length?[{type:"paragraph",content:t}]:[]}}}(e))):n.push(e)}),o(),t}function Ce(e){const t=X(e),n={type:"OL"===e.tagName?"orderedList":t?"taskList":"bulletList",content:[]},o=parseInt(e.getAttribute("start"),10);return"orderedList"!==n.type||isNaN(o)||1===o||(n.start=o),Array.from(e.children).forEach(e=>{"UL"===e.tagName||"OL"===e.tagName?(n.content.length||n.content.push(t?{type:"taskItem",checked:!1,content:[]}:{type:"listItem",content:[]}),n.content[n.content.length-1].content.push(Ce(e))):"LI"===e.tagName&&n.content.push(t?{type:"taskItem",checked:"true"===e.getAttribute("data-checked"),content:Ae(e)}:{type:"listItem",content:Ae(e)})}),n}function xe(e){const t=[],n=(e,o)=>{if(e.nodeType===Node.TEXT_NODE)return void t.push({type:"text",text:e.textContent.replace(/\s+/g," "),marks:o});if(e.nodeType!==Node.ELEMENT_NODE)return;if("BR"===e.tagName)return void t.push({type:"hardBreak"});if("SPAN"===e.tagName&&e.hasAttribute("data-mention")){const n=Object.assign({type:"mention"},He(e));return o.length&&(n.marks=o),void t.push(n)}if("IMG"===e.tagName){const n={type:"image",src:e.getAttribute("src")||"",alt:e.getAttribute("alt")||""};return e.getAttribute("width")&&(n.width=e.getAttribute("width")),e.getAttribute("data-align")&&(n.align=e.getAttribute("data-align")),o.length&&(n.marks=o),void t.push(n)}const r=ye[e.tagName],i="link"===r?{type:"link",href:e.getAttribute("href")||""}:r?{type:r}:null;i&&"code"===i.type?t.push({type:"text",text:oe(e).replace(/\n/g," "),marks:o.concat(i)}):(W(e)&&t.length&&t.push({type:"hardBreak"}),e.childNodes.forEach(e=>n(e,i?o.concat(i):o)))};Array.from(e).forEach(e=>n(e,[])),t.forEach((e,n)=>{if("text"!==e.type||e.marks.some(e=>"code"===e.type))return;const o=t[n-1],r=t[n+1];(!o||"hardBreak"===o.type||"text"===o.type&&/ $/.test(o.text))&&(e.text=e.text.replace(/^ /,"")),r&&"hardBreak"!==r.type||(e.text=e.text.replace(/ $/,""))});const o=[];for(t.forEach(e=>{const t=o[o.length-1];("text"!==e.type||e.text)&&("text"===e.type&&t&&"text"===t.type&&JSON.stringify(t.marks)===JSON.stringify(e.marks)?t.text+=e.text:o.push(e))});o.length&&"hardBreak"===o[o.length-1].type;)o.pop();return o.forEach(e=>{"text"!==e.type||e.marks.length||delete e.marks}),o}function Ne(e,t,n=!1){let o=null;(Array.isArray(t)?t:[]).forEach(t=>{if(!t||"object"!=typeof t)return;const r=ve.includes(t.type);n&&(r||"paragraph"===t.type)?("paragraph"===t.type&&e.lastChild&&!W(e.lastChild)&&e.appendChild(document.createElement("br")),we(e,r?[t]:t.content)):r?(o||(o=e.appendChild(document.createElement("p"))),we(o,[t])):(o=null,function(e,t){const n=t=>e.appendChild(document.createElement(t));switch(t.type){case"paragraph":we(n("p"),t.content);break;case"heading":we(n("h"+Math.min(6,Math.max(1,parseInt(t.level,10)||1))),t.content);break;case"bulletList":case"orderedList":case"taskList":{const e=n("orderedList"===t.type?"ol":"ul");"orderedList"===t.type&&void 0!==t.start&&e.setAttribute("start",String(t.start)),"taskList"===t.type&&e.setAttribute("data-type","task"),(Array.isArray(t.content)?t.content:[]).forEach(n=>{const o=e.appendChild(document.createElement("li"));"taskList"===t.type&&o.setAttribute("data-checked",String(!(!n||!n.checked))),Ne(o,n&&n.content,!0)});break}case"blockquote":Ne(n("blockquote"),t.content);break;case"codeBlock":{const e=n("pre");t.language&&e.setAttribute("data-language",String(t.language)),e.textContent=String(t.text||"");break}case"horizontalRule":n("hr");break;case"figure":{const e=n("figure"),o=Array.isArray(t.content)?t.content:[];t.align&&e.setAttribute("data-align",String(t.align)),we(e,o.filter(e=>e&&"image"===e.type).slice(0,1));const r=o.find(e=>e&&"caption"===e.type);r&&we(e.appendChild(document.createElement("figcaption")),r.content);break}case"table":{const e=n("table"),o=(Array.isArray(t.content)?t.content:[]).filter(e=>e&&Array.isArray(e.content)),r=o.length&&o[0].content.length&&o[0].content.every(e=>e&&"tableHeader"===e.type),i=document.createElement("tbody");o.forEach((t,n)=>{const o=(r&&0===n?e.appendChild(document.createElement("thead")):i).appendChild(document.createElement("tr"));t.content.forEach(e=>{if(!e)return;const t=o.appendChild(document.createElement("tableHeader"===e.type?"th":"td"));e.align&&t.setAttribute("align",String(e.align)),Ne(t,e.content,!0),t.hasChildNodes()||t.appendChild(document.createElement("br"))})}),e.appendChild(i);break}default:Ne(e,t.content)}}(e,t))})}function we(e,t){(Array.isArray(t)?t:[]).forEach(t=>{if(!t||"object"!=typeof t)return;let n;if("text"===t.type)n=document.createTextNode(String(t.text||""));else if("hardBreak"===t.type)n=document.createElement("br");else if("mention"===t.type){if(n=Be(t.trigger,t.id,t.label),!n)return}else{if("image"!==t.type)return;n=document.createElement("img"),n.setAttribute("src",String(t.src||"")),n.setAttribute("alt",String(t.alt||"")),t.width&&n.setAttribute("width",String(t.width)),t.align&&n.setAttribute("data-align",String(t.align))}(Array.isArray(t.marks)?t.marks:[]).slice().reverse().forEach(e=>{const t=e&&ke[e.type];if(!t)return;const o=document.createElement(t);"a"===t&&o.setAttribute("href",String(e.href||"")),o.appendChild(n),n=o}),e.appendChild(n)})}const Te={B:"b",STRONG:"b",I:"i",EM:"i",S:"s"},Se={b:"strong",i:"em",s:"s",strike:"s",quote:"blockquote",table:"table",tr:"tr",th:"th",td:"td"},Le=["u","color","size","font","center","left","right","spoiler"];function Re(e){const t=[];let n=[];const o=()=>{const e=Oe(n);e&&t.push(e),n=[]};return e.childNodes.forEach(e=>{if(!W(e))return void n.push(e);o();const r=function(e){switch(e.tagName){case"H1":case"H2":case"H3":case"H4":case"H5":case"H6":{const t=Oe(e.childNodes);return t?`[b]${t}[/b]`:""}case"UL":case"OL":return $e(e);case"PRE":{const t=he(e);return`[code${t?"="+t:""}]\n${oe(e).replace(/\n$/,"")}\n[/code]`}case"BLOCKQUOTE":{const t=Re(e).join("\n\n");return t?`[quote]\n${t}\n[/quote]`:""}case"HR":return"[hr]";case"FIGURE":{const t=e.querySelector("figcaption"),n=t?Oe(t.childNodes):"";return Oe(e.querySelectorAll("img"))+(n?"\n"+n:"")}case"TABLE":return"[table]\n"+Array.from(e.rows).map(e=>"[tr]"+Array.from(e.cells).map(e=>{const t="TH"===e.tagName?"th":"td";return`[${t}]${Re(e).join("\n")}[/${t}]`}).join("")+"[/tr]").join("\n")+"\n[/table]";default:return Array.from(e.childNodes).some(W)?Re(e).join("\n\n"):Oe(e.childNodes)}}(e);r&&t.push(r)}),o(),t}function $e(e){const t=X(e),n=[];return Array.from(e.children).forEach(e=>{if("UL"===e.tagName||"OL"===e.tagName)return void n.push($e(e));if("LI"!==e.tagName)return;const o=t?`[${"true"===e.getAttribute("data-checked")?"x":" "}] `:"";n.push("[*]"+o+Re(e).join("\n"))}),`[list${"OL"===e.tagName?"=1":""}]\n${n.join("\n")}\n[/list]`}function Oe(e){let t="";return Array.from(e).forEach(e=>t+=je(e)),t.split("\n").map(e=>e.replace(/ {2,}/g," ").trim()).join("\n").trim()}function je(e){if(e.nodeType===Node.TEXT_NODE)return e.textContent.replace(/\s+/g," ");if(e.nodeType!==Node.ELEMENT_NODE)return"";if("BR"===e.tagName)return"\n";if("CODE"===e.tagName)return`[code]${oe(e).replace(/\n/g," ")}[/code]`;if("IMG"===e.tagName)return e.getAttribute("src")?`[img]${e.getAttribute("src")}[/img]`:"";let t="";if(e.childNodes.forEach(e=>t+=je(e)),"A"===e.tagName){const n=(e.getAttribute("href")||"").replace(/]/g,"%5D");return n?t===n?`[url]${n}[/url]`:`[url=${n}]${t}[/url]`:t}const n=Te[e.tagName];return n&&t.trim()?`[${n}]${t}[/${n}]`:W(e)?`\n${t}\n`:t}function Me(e){return"BR"===e.nodeName||e.nodeType===Node.TEXT_NODE&&!e.textContent.trim()}function Ie(e){const t=Array.from(e.childNodes);t.forEach((e,n)=>{if(!Me(e))return;const o=t.slice(0,n).reverse().find(e=>!Me(e)),r=t.slice(n+1).find(e=>!Me(e));o&&r&&!W(o)&&!W(r)||e.remove()}),Pe(e)}function Pe(e){const t=e.lastChild;t&&(Me(t)?(t.remove(),Pe(e)):t.nodeType!==Node.ELEMENT_NODE||W(t)||Pe(t))}function qe(e){let t=[];const n=()=>{for(;t.length&&Me(t[0]);)t.shift().remove();for(;t.length&&Me(t[t.length-1]);)t.pop().remove();if(t.length){const e=document.createElement("p");t[0].before(e),e.append(...t),Pe(e)}t=[]};Array.from(e.childNodes).forEach(e=>{if(W(e))return void n();const o=t.filter(e=>!Me(e)||"BR"===e.nodeName).pop();"BR"===e.nodeName&&o&&"BR"===o.nodeName?(e.remove(),n()):t.push(e)}),n()}function De(e){const t=Array.from(e.children).filter(e=>"LI"===e.tagName),n=t.map(e=>e.firstChild&&e.firstChild.nodeType===Node.TEXT_NODE&&e.firstChild.textContent.match(/^\[([ xX])\] ?/));t.length&&n.every(Boolean)&&(e.setAttribute("data-type","task"),t.forEach((e,t)=>{e.setAttribute("data-checked",String(" "!==n[t][1])),e.firstChild.textContent=e.firstChild.textContent.slice(n[t][0].length)}))}function Be(e,t,n,o=document){if(t=null==t?"":String(t),n=String(n||"").replace(/\s+/g," ").trim(),!w.test(e||"")||!t||t.length>200||!n)return null;const r=o.createElement("span");return r.className="ichik-mention",r.setAttribute("contenteditable","false"),r.setAttribute("data-mention",e),r.setAttribute("data-id",t),r.textContent=e+n,r}function He(e){const t=e.getAttribute("data-mention"),n=e.textContent.replace(/\s+/g," ").trim();return{trigger:t,id:e.getAttribute("data-id"),label:n.startsWith(t)?n.slice(t.length):n}}function _e(e,t){for(const n of t){if(e[0]!==n.first)continue;const t=e.match(n.regex);if(!t)continue;const o={trigger:n.trigger,id:"",label:"",length:t[0].length};if(n.keys.forEach((e,n)=>o[e]=t[n+1]),o.label=H(o.label.replace(/\\([!-\/:-@[-`{-~])/g,"$1")),o.id||(o.id=o.label),o.label||(o.label=o.id),o.id)return o}return null}function Ue(e,t,n=!1){Ue.doc||(Ue.doc=document.implementation.createHTMLDocument(""));const o=Ue.doc.body;o.innerHTML=e||"",o.querySelectorAll('li > input[type="checkbox" i], li > p:first-child > input[type="checkbox" i]').forEach(e=>{let t=e.previousSibling;for(;t&&t.nodeType===Node.TEXT_NODE&&!t.textContent.trim();)t=t.previousSibling;const n=e.closest("li"),o=n.parentElement;if(t||!o||"UL"!==o.tagName)return;n.setAttribute("data-checked",String(e.hasAttribute("checked")));const r=e.nextSibling;r&&r.nodeType===Node.TEXT_NODE&&(r.textContent=r.textContent.replace(/^\s+/,"")),e.remove(),o.setAttribute("data-type","task"),Array.from(o.children).forEach(e=>{e.hasAttribute("data-checked")||e.setAttribute("data-checked","false")})}),n&&Ke(o),We(o,t),function(e){const t=e.ownerDocument;e.querySelectorAll("figcaption").forEach(e=>{"FIGURE"!==e.parentElement.tagName&&e.replaceWith(...e.childNodes)}),e.querySelectorAll("figure").forEach(e=>{const n=e.querySelector("img"),o=e.querySelector(":scope > figcaption"),r=t.createElement("p");if(!o||n&&o.textContent.trim()||o.replaceWith(...o.childNodes),n){const t=e.getAttribute("data-align")||n.getAttribute("data-align");t&&e.setAttribute("data-align",t),n.removeAttribute("data-align"),e.insertBefore(n,e.firstChild)}Array.from(e.childNodes).forEach(e=>{e!==n&&e!==o&&r.appendChild(e)}),o&&o.parentNode&&e.appendChild(o),(r.textContent.trim()||r.querySelector("img"))&&e.after(r),n||e.remove()})}(o);const r=o.innerHTML;return o.replaceChildren(),r}function Ke(e){Array.from(e.children).forEach(e=>{Ke(e);const t=e.tagName.toUpperCase(),n=e.getAttribute("style")||"",o=e.parentElement?e.parentElement.tagName.toUpperCase():"";if(("B"===t||"STRONG"===t)&&/(^|;)\s*font-weight\s*:\s*(normal|[1-4]00)/i.test(n))return void e.replaceWith(...e.childNodes);if("BR"===t&&e.classList.contains("Apple-interchange-newline"))return void e.remove();const r=n.match(/(^|;)\s*text-align\s*:\s*(left|center|right)/i);"TD"!==t&&"TH"!==t||!r||e.setAttribute("align",r[2].toLowerCase()),"P"===t&&["LI","TD","TH"].includes(o)||"DIV"===t&&e.querySelector("p, div, h1, h2, h3, h4, h5, h6, ul, ol, hr")?e.replaceWith(...e.childNodes):("B"!==t&&"STRONG"!==t&&/(^|;)\s*font-weight\s*:\s*(bold|[6-9]00)/i.test(n)&&ze(e,"strong"),"I"!==t&&"EM"!==t&&/(^|;)\s*font-style\s*:\s*italic/i.test(n)&&ze(e,"em"),!["S","STRIKE","DEL"].includes(t)&&/(^|;)\s*text-decoration[\w-]*\s*:[^;]*line-through/i.test(n)&&ze(e,"s"))})}function ze(e,t){const n=e.ownerDocument.createElement(t);for(;e.firstChild;)n.appendChild(e.firstChild);e.appendChild(n)}function We(e,t){Array.from(e.childNodes).forEach(e=>{if(e.nodeType===Node.TEXT_NODE)return;if(e.nodeType!==Node.ELEMENT_NODE)return void e.remove();let n=e.tagName.toUpperCase();if(t.dropContent.includes(n))return void e.remove();if("SPAN"===n&&e.hasAttribute("data-mention")){const t=He(e),n=Be(t.trigger,t.id,t.label,e.ownerDocument);return void e.replaceWith(n||e.ownerDocument.createTextNode(e.textContent))}if(We(e,t),t.aliases[n]){const o=e.ownerDocument.createElement(t.aliases[n]);for(;e.firstChild;)o.appendChild(e.firstChild);return void e.replaceWith(o)}const o=t.tags[n];o?(Array.from(e.attributes).forEach(r=>{const i=r.name.toLowerCase();if(!o.includes(i)||i.startsWith("on"))e.removeAttribute(r.name);else if(t.urlAttrs.includes(i)){const n=I(r.value,t.urlPolicy);n?e.setAttribute(r.name,n):e.removeAttribute(r.name)}else("width"!==i||/^\d+(px|%)?$/.test(r.value))&&("start"!==i||/^\d{1,9}$/.test(r.value))&&("align"!==i||/^(left|center|right)$/i.test(r.value))&&("data-align"!==i||L.includes(r.value))?("data-type"===i&&"task"!==r.value||"data-checked"===i&&!/^(true|false)$/.test(r.value)||"data-language"===i&&!C.test(r.value)||"CODE"===n&&"class"===i&&!/^language-[\w+#.-]+$/.test(r.value))&&e.removeAttribute(r.name):e.removeAttribute(r.name)}),"IMG"!==n||e.hasAttribute("src")?"A"!==n||e.hasAttribute("href")||e.replaceWith(...e.childNodes):e.remove()):e.replaceWith(...e.childNodes)})}function Fe(e){e.container.innerHTML="",e.container.classList.add("ichik-editor-container"),oo(e,e.container,null),e.toolbarEl=document.createElement("div"),e.toolbarEl.className="ichik-toolbar",Ge(e,e.toolbarEl),e.container.appendChild(e.toolbarEl),e.editorEl=document.createElement("div"),e.editorEl.className="ichik-editor",e.editorEl.contentEditable=!0,e.editorEl.setAttribute("role","textbox"),e.editorEl.setAttribute("aria-multiline","true"),e.editorEl.setAttribute("aria-label",e.labels.aria.editor),e.editorEl.innerHTML="",e.container.appendChild(e.editorEl),function(e){e.statsObserver=new MutationObserver(()=>e.contentStats=null),e.statsObserver.observe(e.editorEl,{childList:!0,subtree:!0,characterData:!0,attributes:!0})}(e),e.collab&&function(e){e.collab.observer=new MutationObserver(t=>vn(e,t)),e.collab.observer.observe(e.editorEl,{childList:!0,subtree:!0,characterData:!0,attributes:!0})}(e),go(e),e.sourceEl=document.createElement("textarea"),e.sourceEl.className="ichik-source",e.sourceEl.spellcheck=!1,e.sourceEl.setAttribute("aria-label",e.labels.aria.sourceEditor),e.sourceEl.style.display="none",e.maxLength&&"markdown"===e.countBy&&(e.sourceEl.maxLength=e.maxLength),e.container.appendChild(e.sourceEl),e.statusBar&&(e.statusEl=document.createElement("div"),e.statusEl.className="ichik-status-bar",e.container.appendChild(e.statusEl)),e.inputName&&(e.inputEl=document.createElement("input"),e.inputEl.type="hidden",e.inputEl.name=e.inputName,e.hostEl.appendChild(e.inputEl)),e.required&&e.editorEl.setAttribute("aria-required","true"),function(e){e.tooltipEl=document.createElement("div"),e.tooltipEl.className="ichik-tooltip",uo(e,e.tooltipEl)}(e),function(e){const n=e.labels.emojis;e.emojiPickerEl=document.createElement("div"),e.emojiPickerEl.className="ichik-emoji-picker",e.emojiPickerEl.style.display="none",e.emojiPickerEl.setAttribute("role","dialog"),e.emojiPickerEl.setAttribute("aria-label",e.labels.aria.emojiPicker),e.emojiPickerEl.innerHTML=`\n            <input type="text" class="ichik-emoji-search" placeholder="${n.search}" aria-label="${n.search}">\n            <div class="ichik-emoji-tabs" role="tablist"></div>\n            <div class="ichik-emoji-recent" aria-label="${n.recent}"></div>\n            <div class="ichik-emoji-grid"></div>\n            <div class="ichik-emoji-tones" role="radiogroup" aria-label="${n.skinTone}"></div>\n        `;const r=e.emojiPickerEl.querySelector(".ichik-emoji-tabs");e.emojiCategories.forEach(t=>{const o=document.createElement("button");o.type="button",o.className="ichik-emoji-tab",o.setAttribute("role","tab"),o.textContent=t.icon,o.title=t.label||n.categories[t.id]||t.id,o.setAttribute("aria-label",o.title),o.onclick=()=>{e.emojiState.category=t.id,wt(e)},o.dataset.category=t.id,r.appendChild(o)});const i=e.emojiPickerEl.querySelector(".ichik-emoji-tones");t.forEach((t,r)=>{const l=document.createElement("button");l.type="button",l.className="ichik-emoji-tone",l.setAttribute("role","radio"),l.textContent="✋"+t,l.setAttribute("aria-label",`${n.skinTone} ${r+1}`),l.onclick=()=>{e.emojiState.tone=t,xt(o,t),wt(e)},l.dataset.tone=t,i.appendChild(l)});const l=e.emojiPickerEl.querySelector(".ichik-emoji-search");l.addEventListener("input",()=>{e.emojiState.query=l.value,wt(e)}),e.emojiPickerEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest(".ichik-emoji-item");n&&Tt(e,n.dataset.char)}),e.emojiPickerEl.addEventListener("mousedown",t=>{e.emojiInline&&t.preventDefault()}),e.emojiPickerEl.addEventListener("keydown",t=>function(e,t){const n=e.emojiPickerEl.querySelector(".ichik-emoji-search"),o=function(e){const t=[];return e.emojiPickerEl.querySelectorAll(".ichik-emoji-recent, .ichik-emoji-grid").forEach(e=>{if("none"===e.style.display)return;const n=Array.from(e.querySelectorAll(".ichik-emoji-item"));for(let e=0;e<n.length;e+=6)t.push(n.slice(e,e+6))}),t}(e),r=[].concat(...o),i=r.indexOf(Co(e.emojiPickerEl));if("Escape"===t.key)t.preventDefault(),tt(e);else if(t.target===n){if("ArrowDown"===t.key&&r.length)t.preventDefault(),St(e,o[0][0]);else if("Enter"===t.key){t.preventDefault();const n=e.emojiPickerEl.querySelector(".ichik-emoji-grid .ichik-emoji-item");n&&Tt(e,n.dataset.char)}}else if(-1===i||"Enter"!==t.key&&" "!==t.key)if(-1!==i&&["ArrowRight","ArrowLeft","ArrowUp","ArrowDown","Home","End"].includes(t.key)){t.preventDefault();const l=o.findIndex(e=>e.includes(r[i])),a=o[l].indexOf(r[i]);let s=null;"ArrowRight"===t.key?s=r[i+1]:"ArrowLeft"===t.key?s=r[i-1]:"ArrowDown"===t.key&&o[l+1]?s=o[l+1][Math.min(a,o[l+1].length-1)]:"ArrowUp"===t.key?s=l>0?o[l-1][Math.min(a,o[l-1].length-1)]:n:"Home"===t.key?s=r[0]:"End"===t.key&&(s=r[r.length-1]),s===n?n.focus():s&&St(e,s)}else"Tab"===t.key&&Qe(e.emojiPickerEl,t);else t.preventDefault(),Tt(e,r[i].dataset.char)}(e,t)),uo(e,e.emojiPickerEl)}(e),function(e){e.popupEl=document.createElement("div"),e.popupEl.className="ichik-popup",e.popupEl.setAttribute("role","dialog"),e.popupEl.style.display="none",e.popupEl.addEventListener("click",e=>e.stopPropagation()),e.popupEl.addEventListener("keydown",t=>function(e,t){if("find"===e.openPopup&&function(e,t){if("Escape"===t.key)return t.preventDefault(),rt(e),!0;if("Enter"!==t.key||"INPUT"!==t.target.tagName)return!1;t.preventDefault(),"ichik-inp-replace"===t.target.id?bt(e):ct(e,t.shiftKey?-1:1);return!0}(e,t))return;"Escape"===t.key?(t.preventDefault(),tt(e)):"Enter"===t.key&&"INPUT"===t.target.tagName?(t.preventDefault(),e.popupEl.querySelector("#ichik-btn-save").click()):"Tab"===t.key&&Qe(e.popupEl,t)}(e,t)),uo(e,e.popupEl)}(e),function(e){e.tablePickerEl=document.createElement("div"),e.tablePickerEl.className="ichik-table-picker",e.tablePickerEl.setAttribute("role","dialog"),e.tablePickerEl.setAttribute("aria-label",e.labels.aria.table),e.tablePickerEl.style.display="none",e.tablePickerEl.innerHTML=`\n            <div class="ichik-table-grid" tabindex="0" role="group" aria-label="${e.labels.aria.tableSize}"></div>\n            <div class="ichik-table-size" aria-live="polite"></div>\n        `;const t=e.tablePickerEl.querySelector(".ichik-table-grid");for(let e=1;e<=8;e++)for(let n=1;n<=8;n++){const o=document.createElement("span");o.className="ichik-table-grid-cell",o.dataset.rows=e,o.dataset.cols=n,t.appendChild(o)}t.addEventListener("mouseover",t=>{const n=t.target.closest(".ichik-table-grid-cell");n&&Mt(e,+n.dataset.rows,+n.dataset.cols)}),e.tablePickerEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest(".ichik-table-grid-cell");n&&It(e,+n.dataset.rows,+n.dataset.cols)}),e.tablePickerEl.addEventListener("keydown",t=>{const n=e.tableSize,o={ArrowRight:[0,1],ArrowLeft:[0,-1],ArrowDown:[1,0],ArrowUp:[-1,0]};if(t.key in o){const r=e=>Math.min(Math.max(e,1),8);Mt(e,r(n.rows+o[t.key][0]),r(n.cols+o[t.key][1]))}else if("Enter"===t.key||" "===t.key)It(e,n.rows,n.cols);else{if("Escape"!==t.key)return;tt(e)}t.preventDefault()}),uo(e,e.tablePickerEl)}(e),function(e){const t=e.labels.table;e.tableMenuEl=document.createElement("div"),e.tableMenuEl.className="ichik-table-menu",e.tableMenuEl.setAttribute("role","toolbar"),e.tableMenuEl.setAttribute("aria-label",e.labels.aria.tableMenu),e.tableMenuEl.style.display="none";[["rowAbove","rowBelow","deleteRow"],["colLeft","colRight","deleteCol"],["alignLeft","alignCenter","alignRight"],["toggleHeader","deleteTable"]].forEach((n,o)=>{if(o>0){const t=document.createElement("span");t.className="ichik-table-menu-separator",t.setAttribute("role","separator"),e.tableMenuEl.appendChild(t)}n.forEach(n=>{const o=document.createElement("button");o.type="button",o.textContent=t[n],o.dataset.action=n,("toggleHeader"===n||n.startsWith("align"))&&o.setAttribute("aria-pressed","false"),e.tableMenuEl.appendChild(o)})}),e.tableMenuEl.addEventListener("mousedown",e=>e.preventDefault()),e.tableMenuEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest("button");n&&function(e,t){Pt(e)||$o(e);const n=Pt(e);if(!n)return;const o=n.closest("table"),r=n.parentElement,i=n.cellIndex;let l=n;fo(e,()=>{if("rowAbove"===t||"rowBelow"===t)l=Bt(o,r,"rowBelow"===t).cells[i];else if("colLeft"===t||"colRight"===t){const e="colRight"===t?i+1:i;Array.from(o.rows).forEach(t=>{const n=Dt(t.cells[0]?t.cells[0].tagName:"TD");t.insertBefore(n,t.cells[e]||null)}),l=r.cells[e]}else if("deleteRow"===t){const e=Array.from(o.rows),t=e[e.indexOf(r)+1]||e[e.indexOf(r)-1],n=r.parentElement;r.remove(),n.rows.length||n.remove(),l=t?t.cells[Math.min(i,t.cells.length-1)]:null}else if("deleteCol"===t)Array.from(o.rows).forEach(e=>{e.cells[i]&&e.cells[i].remove()}),l=r.cells[i]||r.cells[i-1]||null;else if("toggleHeader"===t)!function(e){const t=(e,t)=>Array.from(e.cells).forEach(e=>{const n=document.createElement(t);for(e.getAttribute("align")&&n.setAttribute("align",e.getAttribute("align"));e.firstChild;)n.appendChild(e.firstChild);e.replaceWith(n)});let n=e.tBodies[0];n||(n=e.appendChild(document.createElement("tbody")));if(e.tHead||le(e.rows[0])){(e.tHead?Array.from(e.tHead.rows):[e.rows[0]]).reverse().forEach(e=>{t(e,"td"),n.insertBefore(e,n.firstChild)}),e.tHead&&e.tHead.remove()}else{const o=e.createTHead(),r=n.rows[0];t(r,"th"),o.appendChild(r)}}(o),l=o.rows[r.rowIndex>=0?r.rowIndex:0].cells[i];else if(t.startsWith("align")){const e=t.slice(5).toLowerCase(),n=ae(o,i)===e;Array.from(o.rows).forEach(t=>{const o=t.cells[i];o&&(o.style.textAlign="",o.getAttribute("style")||o.removeAttribute("style"),n?o.removeAttribute("align"):o.setAttribute("align",e))})}else"deleteTable"===t&&(l=null);if(l&&o.rows.length&&o.rows[0].cells.length)qt(l);else{const e=document.createElement("p");e.appendChild(document.createElement("br")),o.replaceWith(e),qt(e),l=null}}),e.editorEl.focus(),l||(e.tableMenuEl.style.display="none")}(e,n.dataset.action)}),e.tableMenuEl.addEventListener("keydown",t=>{const n=Array.from(e.tableMenuEl.querySelectorAll("button"));let o=n.indexOf(Co(e.tableMenuEl));if("ArrowRight"===t.key)o=(o+1)%n.length;else{if("ArrowLeft"!==t.key)return"Escape"===t.key?void $o(e):void 0;o=(o-1+n.length)%n.length}t.preventDefault(),Je(e.tableMenuEl,n[o]),n[o].focus()}),e.tableMenuEl.addEventListener("focusout",t=>{e.tableMenuEl.contains(t.relatedTarget)||t.relatedTarget===e.editorEl||(e.tableMenuEl.style.display="none")}),uo(e,e.tableMenuEl)}(e),function(e){e.mentionEl=document.createElement("div"),e.mentionEl.className="ichik-mentions",e.mentionEl.setAttribute("role","listbox"),e.mentionEl.setAttribute("aria-label",e.labels.aria.mentions),e.mentionEl.style.display="none",e.mentionEl.addEventListener("mousedown",e=>e.preventDefault()),e.mentionEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest(".ichik-mention-item");n&&jt(e,+n.dataset.index)}),uo(e,e.mentionEl)}(e),function(e){const t=e.labels.linkBubble;e.linkBubbleEl=document.createElement("div"),e.linkBubbleEl.className="ichik-link-bubble",e.linkBubbleEl.setAttribute("role","toolbar"),e.linkBubbleEl.setAttribute("aria-label",e.labels.aria.linkBubble),e.linkBubbleEl.style.display="none",e.linkBubbleEl.innerHTML=`\n            <span class="ichik-link-bubble-url"></span>\n            <button type="button" data-action="edit">${t.edit}</button>\n            <button type="button" data-action="open">${t.open}</button>\n            <button type="button" data-action="unlink">${t.unlink}</button>\n        `,e.linkBubbleEl.addEventListener("mousedown",e=>e.preventDefault()),e.linkBubbleEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest("button");n&&function(e,t){const n=e.linkBubbleLink;if(!n||!e.editorEl.contains(n))return;"edit"===t?(Et(e),Ve(e,"link",n,n)):"open"===t?window.open(n.href,"_blank","noopener,noreferrer"):"unlink"===t&&(Et(e),e.editorEl.focus(),fo(e,()=>Ze(n)))}(e,n.dataset.action)}),e.linkBubbleEl.addEventListener("keydown",t=>{"Escape"===t.key&&(t.preventDefault(),yt(e),e.editorEl.focus())}),uo(e,e.linkBubbleEl)}(e),function(e){const t=e.labels.imageToolbar;e.imageOverlayEl=document.createElement("div"),e.imageOverlayEl.className="ichik-image-overlay",e.imageOverlayEl.style.display="none",["nw","ne","sw","se"].forEach(t=>{const n=document.createElement("span");n.className="ichik-image-handle ichik-image-handle-"+t,n.dataset.corner=t,e.imageOverlayEl.appendChild(n)}),e.imageOverlayEl.addEventListener("mousedown",t=>function(e,t){const n=t.target.closest(".ichik-image-handle"),o=e.imageToolsTarget;if(!n||!o||0!==t.button)return;t.preventDefault();const r=Qt(o);"full"===r.getAttribute("data-align")&&r.removeAttribute("data-align");e.imageResize={img:o,corner:n.dataset.corner,startX:t.clientX,startWidth:o.getBoundingClientRect().width||o.naturalWidth||40}}(e,t)),uo(e,e.imageOverlayEl),e.imageToolbarEl=document.createElement("div"),e.imageToolbarEl.className="ichik-image-toolbar",e.imageToolbarEl.setAttribute("role","toolbar"),e.imageToolbarEl.setAttribute("aria-label",e.labels.aria.imageToolbar),e.imageToolbarEl.style.display="none",["alignLeft","alignCenter","alignRight","alignFull","|","caption"].forEach(n=>{if("|"===n){const t=document.createElement("span");return t.className="ichik-image-toolbar-separator",t.setAttribute("role","separator"),void e.imageToolbarEl.appendChild(t)}const o=document.createElement("button");o.type="button",o.textContent=t[n],o.dataset.action=n,o.setAttribute("aria-pressed","false"),e.imageToolbarEl.appendChild(o)}),e.imageToolbarEl.addEventListener("mousedown",e=>e.preventDefault()),e.imageToolbarEl.addEventListener("click",t=>{t.stopPropagation();const n=t.target.closest("button");n&&function(e,t){const n=e.imageToolsTarget;if(!n||!e.editorEl.contains(n))return;fo(e,()=>{if("caption"===t)return void("FIGURE"===Qt(n).tagName?Zt(n):function(e,t){const n=document.createElement("figure"),o=t.getAttribute("data-align");o&&n.setAttribute("data-align",o);t.removeAttribute("data-align");const r=t.parentElement.closest("p, h1, h2, h3, h4, h5, h6");if(r&&e.editorEl.contains(r)){const e=document.createRange();e.setStartAfter(t),e.setEnd(r,r.childNodes.length);const o=r.cloneNode(!1);o.appendChild(e.extractContents()),r.after(n),n.appendChild(t),(o.textContent.trim()||o.querySelector("img"))&&n.after(o),r.textContent.trim()||r.querySelector("img")||r.remove()}else t.replaceWith(n),n.appendChild(t);const i=n.appendChild(document.createElement("figcaption"));i.setAttribute("data-placeholder",e.labels.imageToolbar.captionPlaceholder),qt(i)}(e,n));const o=Qt(n),r=t.replace("align","").toLowerCase();o.getAttribute("data-align")===r?o.removeAttribute("data-align"):o.setAttribute("data-align",r),"full"===r&&n.removeAttribute("width"),Lo(n)})}(e,n.dataset.action)}),uo(e,e.imageToolbarEl)}(e),function(e){co(e,e.editorEl,"keydown",t=>{e.forcePlainPaste=(t.ctrlKey||t.metaKey)&&t.shiftKey&&"v"===t.key.toLowerCase()}),co(e,e.editorEl,"keyup",()=>e.forcePlainPaste=!1),co(e,e.editorEl,"keydown",t=>{if(!_n(e))return;if(function(e,t){if(["Shift","Control","Alt","Meta"].includes(t.key))return!1;const n=e.inputRuleStep;return e.inputRuleStep=null,"Backspace"===t.key&&null!==n&&n===e.history.index&&(t.preventDefault(),Eo(e,-1),!0)}(e,t))return;if(function(e,t){if(!e.emojiInline)return!1;const n={ArrowRight:1,ArrowLeft:-1,ArrowDown:6,ArrowUp:-6};if(t.key in n)Rt(e,e.emojiInline.index+n[t.key]);else if("Enter"===t.key||"Tab"===t.key){const t=e.emojiPickerEl.querySelectorAll(".ichik-emoji-grid .ichik-emoji-item");Tt(e,t[e.emojiInline.index].dataset.char)}else{if("Escape"!==t.key)return!1;Lt(e)}return t.preventDefault(),!0}(e,t))return;if(function(e,t){const n=e.mentionState;if(!n)return!1;if("none"===e.mentionEl.style.display)return"Escape"===t.key&&Ot(e),!1;if("ArrowDown"===t.key||"ArrowUp"===t.key)$t(e,n.index+("ArrowDown"===t.key?1:-1));else if("Enter"!==t.key&&"Tab"!==t.key||!n.items.length){if("Escape"!==t.key)return/^(ArrowLeft|ArrowRight|Home|End|PageUp|PageDown)$/.test(t.key)&&Ot(e),!1;Ot(e)}else jt(e,n.index);return t.preventDefault(),!0}(e,t))return;if("Escape"===t.key&&e.linkBubbleLink)return void yt(e);if(function(e,t){if("Tab"!==t.key||t.ctrlKey||t.metaKey||t.altKey)return!1;const n=Pt(e);if(!n)return!1;t.preventDefault();const o=n.closest("table"),r=Array.from(o.querySelectorAll("td, th")).filter(e=>e.closest("table")===o),i=r.indexOf(n);t.shiftKey?i>0&&qt(r[i-1],!0):i<r.length-1?qt(r[i+1],!0):fo(e,()=>qt(Bt(o,n.parentElement,!0).cells[0]));return an(e),!0}(e,t))return;if(function(e,t){if("Enter"!==t.key||t.shiftKey||t.ctrlKey||t.metaKey||t.altKey)return!1;const n=No(e,"pre");if(!n)return!1;t.preventDefault();const o=Ao(e.editorEl),r=o.getRangeAt(0),i=document.createRange();i.selectNodeContents(n),i.setStart(r.endContainer,r.endOffset);const l=document.createRange();l.selectNodeContents(n),l.setEnd(r.startContainer,r.startOffset);const a=oe(l.cloneContents());!o.isCollapsed||oe(i.cloneContents()).replace(/\n$/,"")||!a.endsWith("\n")&&a||!a?fo(e,()=>document.execCommand("insertLineBreak",!1,null)):fo(e,()=>{n.textContent=oe(n).replace(/\n+$/,"");const e=document.createElement("p");e.appendChild(document.createElement("br")),n.after(e),qt(e)});return an(e),!0}(e,t))return;if(function(e,t){if("Enter"!==t.key||t.shiftKey||t.altKey)return!1;const n=function(e){const t=No(e,"li");return t&&X(t.parentElement)?t:null}(e);if(!n)return!1;if(t.ctrlKey||t.metaKey)return t.preventDefault(),zt(e,n),!0;const o=e=>!!e.textContent.trim()||!(!e.querySelector||!e.querySelector("img"));return!!o(n)&&(t.preventDefault(),fo(e,()=>{const t=Ao(e.editorEl).getRangeAt(0);t.deleteContents();const r=document.createRange();r.selectNodeContents(n),r.setEnd(t.startContainer,t.startOffset);const i=document.createElement("li");if(i.setAttribute("data-checked","false"),!o(r.cloneContents()))return i.appendChild(document.createElement("br")),n.before(i),void qt(n);const l=document.createRange();l.selectNodeContents(n),l.setStart(t.endContainer,t.endOffset),i.appendChild(l.extractContents()),o(i)||i.replaceChildren(document.createElement("br")),n.after(i),qt(i)}),an(e),!0)}(e,t))return;if(function(e,t){if("Enter"!==t.key&&"Backspace"!==t.key||t.ctrlKey||t.metaKey||t.altKey)return!1;const n=No(e,"figcaption");if(!n||"Enter"===t.key&&t.shiftKey)return!1;const o=n.parentElement,r=o.querySelector("img");if("Backspace"===t.key)return!(n.textContent||!Ao(e.editorEl).isCollapsed||!r)&&(t.preventDefault(),fo(e,()=>Zt(r)),!0);return t.preventDefault(),fo(e,()=>{const e=document.createElement("p");e.appendChild(document.createElement("br")),o.after(e),qt(e)}),!0}(e,t))return;if(!(t.ctrlKey||t.metaKey||t.altKey))return;const n=e.keymap[function(e){let t=1===e.key.length?e.key.toUpperCase():e.key;/^Digit\d$/.test(e.code)?t=e.code.slice(5):!/^[A-Z0-9]$/.test(t)&&/^Key[A-Z]$/.test(e.code)&&(t=e.code.slice(3));const n=[];return(e.ctrlKey||e.metaKey)&&n.push("Mod"),e.altKey&&n.push("Alt"),e.shiftKey&&n.push("Shift"),n.concat(t).join("-")}(t)];n&&vt(e,n)&&(t.preventDefault(),an(e))}),co(e,e.editorEl,"beforeinput",t=>{(function(e,t){if(!e.maxLength||!/^insert/.test(t.inputType)||"insertFromPaste"===t.inputType)return!1;const n=t.getTargetRanges?t.getTargetRanges()[0]:null,o=n?document.createRange():null;o&&(o.setStart(n.startContainer,n.startOffset),o.setEnd(n.endContainer,n.endOffset));const r=Wn(e,o),i=t.data||(t.dataTransfer?t.dataTransfer.getData("text/plain"):"");if(r>0&&Array.from(i||"").length<=r)return!1;t.preventDefault();const l=Array.from(i||"").slice(0,Math.max(r,0)).join("");l&&"insertText"===t.inputType?document.execCommand("insertText",!1,l):!l||"insertFromDrop"!==t.inputType&&"insertReplacementText"!==t.inputType||fo(e,()=>{if(o){const t=Ao(e.editorEl);t.removeAllRanges(),t.addRange(o)}document.execCommand("insertText",!1,l)});return ln(e,e.labels.alerts.maxLength.replace("{max}",e.maxLength)),!0})(e,t)||"historyUndo"!==t.inputType&&"historyRedo"!==t.inputType||(t.preventDefault(),Eo(e,"historyUndo"===t.inputType?-1:1))}),co(e,e.editorEl,"input",t=>{e.history.locked||(go(e,/^(insertText|insertCompositionText|deleteContent|deleteWord)/.test(t.inputType||"")),"insertText"===t.inputType&&function(e){const t=Ao(e.editorEl);if(!t.rangeCount||!t.isCollapsed||t.anchorNode.nodeType!==Node.TEXT_NODE||!e.editorEl.contains(t.anchorNode))return!1;if(No(e,"pre, code"))return!1;const n=t.anchorNode,o=t.anchorOffset,r=function(e,t,n){const o=t.parentElement.closest("p, div, li, h1, h2, h3, h4, h5, h6, td, th, figcaption"),r=document.createRange();if(r.setEnd(t,n),o&&e.editorEl.contains(o)&&o!==e.editorEl)return r.setStart(o,0),{block:o,range:r};let i=t;for(;i.parentNode!==e.editorEl&&"BLOCKQUOTE"!==i.parentNode.tagName;)i=i.parentNode;for(;i.previousSibling&&!Wt(i.previousSibling);)i=i.previousSibling;return r.setStartBefore(i),{block:null,range:r}}(e,n,o);for(const i of Object.keys(e.inputRules)){const l=e.inputRules[i],a=l.delimiter?Gt(n.textContent.slice(0,o),l.delimiter):Ft(l,r,n,o);if(!a)continue;const s=document.createRange();void 0!==a.start?s.setStart(n,a.start):s.setStart(r.range.startContainer,r.range.startOffset),s.setEnd(n,o);let c=!0;if(fo(e,()=>{t.removeAllRanges(),t.addRange(s),c=!1!==Xt(e,l,a,r.block),c||t.collapseToEnd()}),c)return e.inputRuleStep=e.history.index,!0}return!1}(e)||(an(e),function(e){const t=Ao(e.editorEl);if(!t.rangeCount||!t.isCollapsed||t.anchorNode.nodeType!==Node.TEXT_NODE||!e.editorEl.contains(t.anchorNode))return void Lt(e);const n=t.anchorNode,r=n.textContent.slice(0,t.anchorOffset),i=r.match(/(^|\s):([a-z0-9_+\-]+):$/i),l=i&&function(e,t){let n=null;return e.emojiCategories.some(e=>n=e.emojis.find(e=>e.name===t)),n}(e,i[2].toLowerCase());if(l){const r=t.anchorOffset-i[2].length-2;return e.emojiInline={node:n,start:r,end:t.anchorOffset,query:i[2]},void Tt(e,Nt(l,Ct(o,"")))}const a=r.match(/(^|\s):([a-z0-9_+\-]{2,})$/i);if(!a)return void Lt(e);if(e.emojiInline={node:n,start:t.anchorOffset-a[2].length-1,end:t.anchorOffset,query:a[2]},e.emojiState.tone=Ct(o,""),e.emojiPickerEl.classList.add("ichik-emoji-inline"),wt(e),!e.emojiPickerEl.querySelector(".ichik-emoji-item"))return void Lt(e);_(At(e),e.emojiPickerEl,"flex")}(e),function(e){const t=Object.keys(e.mentions),n=Ao(e.editorEl);if(!t.length)return;if(!n.rangeCount||!n.isCollapsed||n.anchorNode.nodeType!==Node.TEXT_NODE||!e.editorEl.contains(n.anchorNode)||n.anchorNode.parentNode.closest("pre, code, a, .ichik-mention"))return void Ot(e);const o=n.anchorNode,r=o.textContent.slice(0,n.anchorOffset),i=t.map(e=>e.replace(/[.*+?^${}()|[\]\\-]/g,"\\$&")).join(""),l=r.match(new RegExp(`(^|\\s)([${i}])([^\\s${i}]{0,40})$`)),a=l&&e.mentions[l[2]];if(!a||l[3].length<a.minChars)return void Ot(e);const s={trigger:l[2],query:l[3],node:o,start:n.anchorOffset-l[3].length-1,end:n.anchorOffset,items:e.mentionState?e.mentionState.items:[],index:0};e.mentionState=s;const c=++e.mentionRequest;Promise.resolve().then(()=>a.source(s.query)).then(t=>{c===e.mentionRequest&&e.mentionState===s&&(s.items=(Array.isArray(t)?t:[]).map(e=>"object"==typeof e&&e?{id:e.id,label:void 0!==e.label?e.label:e.id}:{id:e,label:e}).filter(e=>void 0!==e.id&&null!==e.id&&String(e.label).trim()).slice(0,8),function(e){const t=e.mentionState;if(e.mentionEl.innerHTML="",t.items.forEach((n,o)=>{const r=document.createElement("div");r.className="ichik-mention-item",r.setAttribute("role","option"),r.dataset.index=o,r.textContent=t.trigger+n.label,e.mentionEl.appendChild(r)}),!t.items.length){const t=document.createElement("div");t.className="ichik-mention-empty",t.textContent=e.labels.mentions.noResults,e.mentionEl.appendChild(t)}$t(e,0),_(At(e),e.mentionEl,"block")}(e))}).catch(()=>{c===e.mentionRequest&&Ot(e)})}(e)))}),co(e,e.editorEl,"blur",t=>{e.forcePlainPaste=!1,Lt(e),Ot(e),e.tableMenuEl.contains(t.relatedTarget)||(e.tableMenuEl.style.display="none"),e.linkBubbleEl.contains(t.relatedTarget)||Et(e),e.imageResize||Yt(e)}),co(e,e.editorEl,"paste",t=>{if(!_n(e))return;t.preventDefault();const n=e.forcePlainPaste;e.forcePlainPaste=!1;const o=t.clipboardData||window.clipboardData,r=rn(o);!r.length||o.getData("text/html")?fo(e,()=>function(e,t,n){const o=t.getData("text/plain"),r=n?"":t.getData("text/html"),i=document.createElement("div");r?i.innerHTML=Ue(r,e.sanitizeSchema,!0):!n&&function(e){return!!e&&(/^(#{1,6} |- |\d+\. |---\s*$)/m.test(e)||/\*\*\S[^*]*\*\*|!?\[[^\]]+\]\([^)\s]+\)/.test(e)||e.split("\n").some(e=>e.includes("|")&&S.test(e)))}(o)&&i.appendChild(te(o,e.urlPolicy,e.mentionPatterns));!function(e,t){if(!e.maxImages)return;const n=Math.max(e.maxImages-zn(e).images,0),o=Array.from(t.querySelectorAll("img")).slice(n);o.forEach(e=>(e.closest("figure")||e).remove()),o.length&&ln(e,e.labels.alerts.maxImages.replace("{max}",e.maxImages))}(e,i);const l=Wn(e);if(l<=0)return void ln(e,e.labels.alerts.maxLength.replace("{max}",e.maxLength));const a=i.childNodes.length?i.textContent:o;if(Array.from(a).length>l)return document.execCommand("insertText",!1,Array.from(o||a).slice(0,l).join("")),void ln(e,e.labels.alerts.maxLength.replace("{max}",e.maxLength));if(!i.textContent.trim()&&!i.querySelector("img, hr"))return void document.execCommand("insertText",!1,o);const s=i.firstElementChild,c=1===i.childNodes.length&&s&&"P"===s.tagName;document.execCommand("insertHTML",!1,c?s.innerHTML:i.innerHTML)}(e,o,n)):e.uploadImage&&tn(e,r)}),co(e,e.editorEl,"dragover",t=>{_n(e)&&t.dataTransfer&&Array.from(t.dataTransfer.types||[]).includes("Files")&&t.preventDefault()}),co(e,e.editorEl,"drop",t=>{const n=rn(t.dataTransfer);n.length&&(t.preventDefault(),e.uploadImage&&_n(e)&&(e.editorEl.focus(),function(e,t,n){let o=null;if(document.caretRangeFromPoint&&!e.shadowRoot)o=document.caretRangeFromPoint(t,n);else if(document.caretPositionFromPoint){const r=document.caretPositionFromPoint(t,n,{shadowRoots:e.shadowRoot?[e.shadowRoot]:[]});r&&(o=document.createRange(),o.setStart(r.offsetNode,r.offset),o.collapse(!0))}if(!o)return;const r=Ao(e.editorEl);r.removeAllRanges(),r.addRange(o)}(e,t.clientX,t.clientY),tn(e,n)))}),co(e,e.editorEl,"mousedown",t=>{Ot(e),e.linkBubbleDismissed=null,e.inputRuleStep=null,function(e,t){const n=t.target;if(!_n(e)||0!==t.button||"LI"!==n.tagName||!X(n.parentElement))return;const o=n.getBoundingClientRect(),r=window.getComputedStyle(n),i=parseFloat(r.lineHeight)||1.6*parseFloat(r.fontSize)||24;if(t.clientX-o.left>(parseFloat(r.paddingLeft)||0)||t.clientY-o.top>i)return;t.preventDefault(),zt(e,n)}(e,t)}),co(e,e.editorEl,"click",t=>{if("IMG"===t.target.tagName){const n=document.createRange();n.selectNode(t.target);const o=Ao(e.editorEl);o.removeAllRanges(),o.addRange(n),an(e)}}),co(e,e.editorEl,"click",t=>{const n=_n(e)?null:t.target.closest("a[href]");if(!n)return;t.preventDefault();const o=M(n.getAttribute("href"),e.urlPolicy);o.url&&window.open(o.url,"_blank","noopener,noreferrer")}),co(e,e.editorEl,"keyup",()=>an(e)),co(e,e.editorEl,"mouseup",()=>an(e));const t=e.hostEl.closest("form");t&&co(e,t,"submit",t=>function(e,t){Jn(e);const n=Gn(e);if(!n.length)return;t.preventDefault(),ln(e,n[0].message),e.editorEl.focus()}(e,t));co(e,e.sourceEl,"input",()=>function(e){e.sourceDirty=!0,clearTimeout(e.sourceTimer),e.sourceTimer=setTimeout(()=>Yn(e),e.changeDelay)}(e)),co(e,e.sourceEl,"scroll",()=>to(e,e.sourceEl,e.editorEl)),co(e,e.editorEl,"scroll",()=>to(e,e.editorEl,e.sourceEl)),co(e,document,"mousemove",t=>function(e,t){const n=e.imageResize;if(!n)return;const o=(t.clientX-n.startX)*(n.corner.endsWith("w")?-1:1),r=e.editorEl.clientWidth||1/0,i=Math.round(Math.min(r,Math.max(40,n.startWidth+o)));n.img.setAttribute("width",String(i)),Vt(e)}(e,t)),co(e,document,"mouseup",()=>function(e){const t=e.imageResize;if(!t)return;e.imageResize=null,fo(e,()=>Lo(t.img))}(e)),co(e,e.toolbarEl,"keydown",t=>function(e,t){const n=Xe(e.toolbarEl);let o=n.indexOf(Co(e.toolbarEl));if(-1===o)return;if("ArrowRight"===t.key)o=(o+1)%n.length;else if("ArrowLeft"===t.key)o=(o-1+n.length)%n.length;else if("Home"===t.key)o=0;else{if("End"!==t.key)return"Escape"===t.key?void e.editorEl.focus():void 0;o=n.length-1}t.preventDefault(),Je(e.toolbarEl,n[o]),n[o].focus()}(e,t)),co(e,e.toolbarEl,"focusin",t=>{t.target.matches("button, select")&&Je(e.toolbarEl,t.target)}),co(e,e.editorEl,"focus",t=>po(e,"focus",t)),co(e,e.editorEl,"blur",t=>{Rn(e,null),po(e,"blur",t)}),co(e,document,"selectionchange",()=>{const t=Ao(e.editorEl);t.rangeCount>0&&e.editorEl.contains(t.anchorNode)&&(Rn(e,function(e){const t=Ao(e.editorEl);if(!e.collab||!t.rangeCount||!e.editorEl.contains(t.anchorNode))return null;const n=wn(e),o=Sn(e,n,t.anchorNode,t.anchorOffset),r=Sn(e,n,t.focusNode,t.focusOffset);return o&&r?{anchor:o,focus:r}:null}(e)),po(e,"selectionchange",t.getRangeAt(0)))}),co(e,window,"pagehide",()=>qn(e)),co(e,document,"visibilitychange",()=>{"hidden"===document.visibilityState&&qn(e)}),e.floatingLayerEl&&(ro(e),co(e,window,"scroll",()=>ro(e)));const n=()=>{$n(e),"find"!==e.openPopup||dt()||pt(e)};co(e,e.editorEl,"scroll",n),co(e,window,"resize",n),co(e,document,"click",()=>{"none"===e.emojiPickerEl.style.display&&"none"===e.popupEl.style.display&&"none"===e.tablePickerEl.style.display||et(e)}),co(e,e.editorEl,"mousemove",t=>{let n=t.target;3===n.nodeType&&(n=n.parentNode);const o=n.closest?n.closest("a"):null;o&&e.editorEl.contains(o)&&o!==e.linkBubbleLink?(e.tooltipEl.textContent=`🔗 ${o.getAttribute("href")}`,e.tooltipEl.style.display="block",e.tooltipEl.style.left=t.clientX+15+"px",e.tooltipEl.style.top=t.clientY+15+"px"):e.tooltipEl.style.display="none"}),co(e,e.editorEl,"mouseleave",()=>e.tooltipEl.style.display="none")}(e),Un(e),Xn(e),Jn(e),e.collab&&function(e){const t=e.collab;t.layerEl=document.createElement("div"),t.layerEl.className="ichik-remote-cursors",t.layerEl.setAttribute("aria-hidden","true"),e.container.appendChild(t.layerEl);const n=t.transport.onReceive(t=>function(e,t){const n=e.collab;if(!e.editorEl||!t||t.site===n.site)return;if(t.to&&t.to!==n.site)return;if(An(e),"hello"===t.type){const o=n.items.map(e=>({type:"insert",id:e.id,clock:e.clock,site:e.site,origin:e.origin,value:e.value,version:e.version,deleted:e.deleted}));cn(e,{type:"ops",to:t.site,ops:o}),n.lastCursor&&cn(e,{type:"cursor",to:t.site,user:n.user,selection:n.lastCursor})}else"ops"===t.type&&Array.isArray(t.ops)?function(e,t){const n=e.collab;let o=n.pending.concat(t.filter(Cn)),r=!0;for(;o.length&&r;){const e=o.filter(e=>!pn(n,e));r=e.length<o.length,o=e}n.pending=o,xn(e)}(e,t.ops):"cursor"===t.type?(n.peers[t.site]={user:t.user||{},selection:t.selection||null},$n(e)):"leave"===t.type&&(delete n.peers[t.site],$n(e))}(e,t));t.unsubscribe="function"==typeof n?n:null,An(e),cn(e,{type:"hello"})}(e),e.autosave&&function(e){const t=e.autosave;(function(e){if(!e.autosave.ttl||"function"!=typeof e.autosave.storage.keys)return;On(e,"keys").then(t=>(t||[]).forEach(t=>{On(e,"get",t).then(n=>{jn(e,n)||On(e,"remove",t)})}))})(e),On(e,"get",t.key).then(n=>{e.editorEl&&!t.ready&&(n&&!jn(e,n)&&(On(e,"remove",t.key),n=null),n&&n.content!==Mn(e)?function(e,t){const n=e.labels.autosave,o=document.createElement("div");o.className="ichik-draft-banner",o.setAttribute("role","status");const r=document.createElement("span");r.textContent=n.draftFound.replace("{date}",new Date(t.savedAt).toLocaleString()),o.appendChild(r),[["restore",Bn],["discard",Hn]].forEach(([t,r])=>{const i=document.createElement("button");i.type="button",i.className="ichik-draft-"+t,i.textContent=n[t],co(e,i,"click",()=>r(e)),o.appendChild(i)}),e.autosave.draft=t,e.autosave.bannerEl=o,e.editorEl.before(o)}(e,n):(t.ready=!0,In(e)))})}(e)}function Ge(e,t){t.innerHTML="",t.setAttribute("role","toolbar"),t.setAttribute("aria-label",e.labels.aria.toolbar),e.uiRefs={buttons:[],selects:[]};const n=function(e){const t=e.toolbarLayout.slice();Object.keys(e.commands).forEach(n=>{e.commands[n].label&&!t.includes(n)&&t.push("|",n)});const n=[],o=()=>!n.length||"separator"===n[n.length-1].type;t.forEach(t=>{"|"===t?o()||n.push({type:"separator"}):e.commands[t]?e.commands[t].label&&n.push({type:"button",name:t,cmd:t,custom:!0,popup:!!e.commands[t].popup}):l[t]&&n.push(Object.assign({name:t},l[t]))}),n.length&&o()&&n.pop();return n}(e);t.style.display=n.length?"":"none",n.forEach(n=>{if("select"===n.type){const o=document.createElement("select");o.dataset.cmd=n.cmd,o.dataset.name=n.name,o.setAttribute("aria-label",e.labels.aria[n.name]||n.name),n.options.forEach(t=>{const n=document.createElement("option");n.value=t.value,n.textContent=e.labels.toolbar.formats[t.labelKey],o.appendChild(n)}),o.onchange=t=>{t.preventDefault(),e.editorEl.focus(),fo(e,()=>Ht(e,o.value))},e.uiRefs.selects.push(o),t.appendChild(o)}else if("button"===n.type){const o=document.createElement("button");o.type="button",o.innerHTML=n.custom?e.commands[n.cmd].label:e.labels.toolbar[n.labelKey],o.dataset.cmd=n.cmd,o.dataset.name=n.name,o.onclick=t=>function(e,t,n,o){t.preventDefault(),n.popup&&t.stopPropagation();Je(e.toolbarEl,o),kt(e,n,o)}(e,t,n,o);const r=n.custom?e.commands[n.cmd].ariaLabel||o.textContent:e.labels.aria[n.name];r&&o.setAttribute("aria-label",r),(n.toggle||n.custom&&e.commands[n.cmd].isActive)&&o.setAttribute("aria-pressed","false"),n.popup&&(o.setAttribute("aria-haspopup","dialog"),o.setAttribute("aria-expanded","false")),e.uiRefs.buttons.push(o),t.appendChild(o)}else if("separator"===n.type){const e=document.createElement("span");e.setAttribute("role","separator"),e.className="ichik-toolbar-separator",t.appendChild(e)}}),function(e){const t=/Mac|iPhone|iPad/.test(navigator.platform||"");e.uiRefs.buttons.concat(e.uiRefs.selects).forEach(n=>{const o=n.dataset.name,r=Object.keys(e.keymap).filter(t=>e.keymap[t]===o).map(e=>e.replace("Mod",t?"Meta":"Control").replace(/-/g,"+"));r.length&&n.setAttribute("aria-keyshortcuts",r.join(" "))})}(e),Je(t,Xe(t)[0])}function Xe(e){return Array.from(e.querySelectorAll("button, select")).filter(e=>!e.disabled)}function Je(e,t){e.querySelectorAll("button, select").forEach(e=>e.tabIndex=e===t?0:-1)}function Qe(e,t){const n=Array.from(e.querySelectorAll('input, button, select, textarea, [tabindex="0"]')).filter(e=>!e.disabled&&null!==e.offsetParent);if(!n.length)return;const o=n[0],r=n[n.length-1];t.shiftKey&&Co(e)===o?(t.preventDefault(),r.focus()):t.shiftKey||Co(e)!==r||(t.preventDefault(),o.focus())}function Ve(e,t,n,o=null){const r=Co(e.container);et(e),Ro(e),e.popupReturnFocus=r;let i="";const l=e.labels.popups;if("link"===t){const t=o&&o.getAttribute("href")||"";o&&Lo(o);const n=Ao(e.editorEl).toString();i=`\n                <label>${l.link.title}</label>\n                <input type="text" id="ichik-inp-url" value="${B(t)}" placeholder="${l.link.placeholder}" aria-label="${l.link.title}">\n                <label>${l.link.text}</label>\n                <input type="text" id="ichik-inp-text" value="${B(n)}" placeholder="${l.link.placeholderText}" aria-label="${l.link.text}">\n                <div class="ichik-popup-error" role="alert" style="display: none;"></div>\n                <div class="ichik-popup-actions">\n                    ${o?`<button type="button" id="ichik-btn-remove" class="ichik-btn-cancel">${l.link.remove}</button>`:""}\n                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${l.link.cancel}</button>\n                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${l.link.save}</button>\n                </div>\n            `}else if("code"===t){const e=o.getAttribute("data-language")||"";i=`\n                <label>${l.code.title}</label>\n                <input type="text" id="ichik-inp-lang" value="${B(e)}" placeholder="${l.code.placeholder}" aria-label="${l.code.title}">\n                <div class="ichik-popup-actions">\n                    <button type="button" id="ichik-btn-remove" class="ichik-btn-cancel">${l.code.remove}</button>\n                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${l.code.cancel}</button>\n                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${l.code.save}</button>\n                </div>\n            `}else if("image"===t){const t=o&&o.getAttribute("src")||"",n=o&&o.getAttribute("alt")||"",r=o&&o.getAttribute("width")||"",a=o?l.image.update:l.image.insert;i=`\n                <label>${l.image.titleUrl}</label>\n                <input type="text" id="ichik-inp-url" value="${B(t)}" placeholder="${l.image.placeholderUrl}" aria-label="${l.image.titleUrl}">\n                <label>${l.image.titleAlt}</label>\n                <input type="text" id="ichik-inp-alt" value="${B(n)}" placeholder="${l.image.placeholderAlt}" aria-label="${l.image.titleAlt}">\n                <label>${l.image.titleWidth}</label>\n                <input type="text" id="ichik-inp-width" value="${B(r)}" placeholder="${l.image.placeholderWidth}" aria-label="${l.image.titleWidth}">\n                ${e.uploadImage?`\n                <label>${l.image.titleFile}</label>\n                <input type="file" id="ichik-inp-file" accept="${e.imageTypes.join(",")}" aria-label="${l.image.titleFile}">`:""}\n                <div class="ichik-popup-error" role="alert" style="display: none;"></div>\n                <div class="ichik-popup-actions">\n                    <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${l.image.cancel}</button>\n                    <button type="button" id="ichik-btn-save" class="ichik-btn-save">${a}</button>\n                </div>\n            `}e.popupEl.innerHTML=i,e.popupEl.setAttribute("aria-label","link"===t?l.link.title:"code"===t?l.code.title:l.image.titleUrl),_(n,e.popupEl,"flex"),nt(e,t),setTimeout(()=>{if(!e.popupEl)return;const t=e.popupEl.querySelector("input");t&&t.focus()},50),e.popupEl.querySelector("#ichik-btn-cancel").onclick=()=>tt(e);const a=e.popupEl.querySelector("#ichik-inp-file");if(a&&(a.onchange=()=>{const t=a.files[0],n=t?en(e,t):null;if(Ye(e,n,a),!t||n)return;const o={alt:e.popupEl.querySelector("#ichik-inp-alt").value||"",width:e.popupEl.querySelector("#ichik-inp-width").value||""};et(e),$o(e),tn(e,[t],o)}),"code"===t)return e.popupEl.querySelector("#ichik-btn-remove").onclick=()=>{$o(e),fo(e,()=>Ht(e,"P")),et(e)},void(e.popupEl.querySelector("#ichik-btn-save").onclick=()=>{const t=e.popupEl.querySelector("#ichik-inp-lang").value.trim().replace(/[^\w+#.-]/g,"");fo(e,()=>{t?o.setAttribute("data-language",t):o.removeAttribute("data-language")}),tt(e)});"link"===t&&o&&(e.popupEl.querySelector("#ichik-btn-remove").onclick=()=>{fo(e,()=>Ze(o)),et(e)}),e.popupEl.querySelector("#ichik-btn-save").onclick=()=>{const n=e.popupEl.querySelector("#ichik-inp-url"),r=n.value;if("link"===t&&!r.trim())return $o(e),fo(e,()=>o?Ze(o):document.execCommand("unlink",!1,null)),void et(e);const i=M(r,e.urlPolicy);if(i.error)return void Ye(e,q(e,i.error),n);const l="image"===t&&!o&&Fn(e);l?Ye(e,l,null):(fo(e,()=>{if($o(e),"link"===t)!function(e,t,n,o){if(t)return t.setAttribute("href",n),o&&o!==t.textContent&&(t.textContent=o),void Lo(t);const r=Ao(e.editorEl).toString();if(r&&(!o||o===r))return void document.execCommand("createLink",!1,n);const i=document.createElement("a");i.setAttribute("href",n),i.textContent=o||n,document.execCommand("insertHTML",!1,i.outerHTML)}(e,o,i.url,e.popupEl.querySelector("#ichik-inp-text").value);else if("image"===t){const t=e.popupEl.querySelector("#ichik-inp-alt").value||"",n=e.popupEl.querySelector("#ichik-inp-width").value||"";if(o)o.setAttribute("src",i.url),o.setAttribute("alt",t),n&&/^\d+(px|%)?$/.test(n)?o.setAttribute("width",n):o.removeAttribute("width");else{const e=document.createElement("img");e.setAttribute("src",i.url),e.setAttribute("alt",t),n&&/^\d+(px|%)?$/.test(n)&&e.setAttribute("width",n),document.execCommand("insertHTML",!1,e.outerHTML)}}}),et(e))}}function Ye(e,t,n){const o=e.popupEl.querySelector(".ichik-popup-error");o.textContent=t||"",o.style.display=t?"":"none",e.popupEl.querySelectorAll("[aria-invalid]").forEach(e=>e.removeAttribute("aria-invalid")),t&&n&&(n.setAttribute("aria-invalid","true"),n.focus())}function Ze(e){const t=e.firstChild,n=e.lastChild;if(e.replaceWith(...e.childNodes),!t)return;const o=document.createRange();o.setStartBefore(t),o.setEndAfter(n);const r=Ao(t);r.removeAllRanges(),r.addRange(o)}function et(e,t=e.editorEl){if(Lt(e),Ot(e),Et(e),Yt(e),mt(e),e.emojiPickerEl.style.display="none",e.popupEl.style.display="none",e.tablePickerEl.style.display="none",e.uiRefs.buttons.forEach(e=>{e.hasAttribute("aria-expanded")&&e.setAttribute("aria-expanded","false")}),t&&t!==e.editorEl&&t.isConnected?t.focus():t&&e.editorEl.focus(),e.openPopup){const t=e.openPopup;e.openPopup=null,po(e,"popupclose",{type:t})}}function tt(e){const t=e.popupReturnFocus;!t||t===document.body||e.editorEl.contains(t)?(et(e),$o(e)):et(e,t)}function nt(e,t){const n={link:"createLink",image:"customInsertImage",emoji:"toggleEmoji",table:"insertTable",code:"codeBlock",find:"findReplace"}[t];e.uiRefs.buttons.forEach(e=>{e.dataset.cmd===n&&e.setAttribute("aria-expanded","true")}),e.openPopup=t,po(e,"popupopen",{type:t})}function ot(e,t){const n=Co(e.container),o=Ao(e.editorEl),r=o.rangeCount>0&&e.editorEl.contains(o.anchorNode),i=r?o.toString():"";et(e),Ro(e),e.popupReturnFocus=n;const l=e.findState;i&&!/\n/.test(i)&&(l.query=l.regex?D(i):i),l.anchor=r?o.getRangeAt(0).cloneRange():null,l.anchor&&l.anchor.collapse(!0);const a=e.labels.popups.find;e.popupEl.innerHTML=`\n            <label for="ichik-inp-find">${a.find}</label>\n            <div class="ichik-find-row">\n                <input type="text" id="ichik-inp-find" value="${B(l.query)}">\n                <span class="ichik-find-count" aria-live="polite"></span>\n                <button type="button" id="ichik-btn-prev" class="ichik-btn-cancel" title="${a.previous}" aria-label="${a.previous}">↑</button>\n                <button type="button" id="ichik-btn-next" class="ichik-btn-cancel" title="${a.next}" aria-label="${a.next}">↓</button>\n            </div>\n            <div class="ichik-find-options">\n                <label><input type="checkbox" id="ichik-chk-case"${l.caseSensitive?" checked":""}> ${a.matchCase}</label>\n                <label><input type="checkbox" id="ichik-chk-word"${l.wholeWord?" checked":""}> ${a.wholeWord}</label>\n                <label><input type="checkbox" id="ichik-chk-regex"${l.regex?" checked":""}> ${a.regex}</label>\n            </div>\n            <label for="ichik-inp-replace">${a.replace}</label>\n            <input type="text" id="ichik-inp-replace" value="${B(l.replacement)}">\n            <div class="ichik-popup-error" role="alert" style="display: none;"></div>\n            <div class="ichik-popup-actions">\n                <button type="button" id="ichik-btn-cancel" class="ichik-btn-cancel">${a.close}</button>\n                <button type="button" id="ichik-btn-replace" class="ichik-btn-cancel">${a.replaceOne}</button>\n                <button type="button" id="ichik-btn-replace-all" class="ichik-btn-save">${a.replaceAll}</button>\n            </div>\n        `,e.popupEl.setAttribute("aria-label",a.title),_(t,e.popupEl,"flex"),nt(e,"find");const s=e.popupEl,c=s.querySelector("#ichik-inp-find");setTimeout(()=>{e.popupEl&&"find"===e.openPopup&&(c.focus(),c.select())},50),c.oninput=()=>{l.query=c.value,st(e)},s.querySelector("#ichik-inp-replace").oninput=e=>l.replacement=e.target.value,[["#ichik-chk-case","caseSensitive"],["#ichik-chk-word","wholeWord"],["#ichik-chk-regex","regex"]].forEach(([t,n])=>{s.querySelector(t).onchange=t=>{l[n]=t.target.checked,st(e)}}),s.querySelector("#ichik-btn-prev").onclick=()=>ct(e,-1),s.querySelector("#ichik-btn-next").onclick=()=>ct(e,1),s.querySelector("#ichik-btn-replace").onclick=()=>bt(e),s.querySelector("#ichik-btn-replace-all").onclick=()=>function(e){const t=e.findState;if(!t.matches.length)return;const n=t.capped?lt(e,it(t)):t.matches.slice();fo(e,()=>n.reverse().forEach(n=>gt(e,n,ft(t,n)))),t.anchor=null,st(e);const o=e.popupEl.querySelector(".ichik-find-count");o.textContent=e.labels.popups.find.replaced.replace("{count}",n.length)}(e),s.querySelector("#ichik-btn-cancel").onclick=()=>rt(e),st(e)}function rt(e){const t=e.findState.matches[e.findState.index];if(!t)return void tt(e);et(e);const n=Ao(e.editorEl);n.removeAllRanges(),n.addRange(t.range.cloneRange())}function it(e){let t=e.regex?e.query:D(e.query);return e.wholeWord&&(t=`(?<![\\p{L}\\p{N}_])(?:${t})(?![\\p{L}\\p{N}_])`),new RegExp(t,"gu"+(e.caseSensitive?"":"i"))}function lt(e,t,n=1/0){const o=[];return function(e){const t=z.concat(["TD","TH","FIGCAPTION"]).join(", "),n=document.createTreeWalker(e.editorEl,NodeFilter.SHOW_ELEMENT|NodeFilter.SHOW_TEXT),o=[];let r=null,i=null;for(let e=n.nextNode();e;e=n.nextNode()){if(e.nodeType===Node.ELEMENT_NODE){"BR"!==e.tagName&&"IMG"!==e.tagName||(r=null);continue}if(e.parentNode.closest('[contenteditable="false"]')){r=null;continue}const n=e.parentNode.closest(t);r&&n===i||(o.push(r={nodes:[],text:""}),i=n),r.nodes.push(e),r.text+=e.data}return o}(e).forEach(e=>{let r;for(t.lastIndex=0;o.length<n&&(r=t.exec(e.text));){if(!r[0]){t.lastIndex+=e.text.codePointAt(t.lastIndex)>65535?2:1;continue}const n={nodes:e.nodes,start:r.index,end:r.index+r[0].length,result:r},i=at(n),l=i[0],a=i[i.length-1];n.range=document.createRange(),n.range.setStart(l.node,l.from),n.range.setEnd(a.node,a.to),o.push(n)}}),o}function at(e){const t=[];let n=0;return e.nodes.forEach(o=>{const r=Math.max(e.start-n,0),i=Math.min(e.end-n,o.length);r<i&&t.push({node:o,from:r,to:i}),n+=o.length}),t}function st(e){const t=e.findState,n=e.labels.popups.find;let o=null;try{o=t.query?it(t):null,Ye(e,null,null)}catch(t){Ye(e,n.invalidRegex,e.popupEl.querySelector("#ichik-inp-find"))}mt(e),t.matches=o?lt(e,o,1001):[],t.capped=t.matches.length>v,t.capped&&t.matches.pop();const r=t.anchor&&e.editorEl.contains(t.anchor.startContainer)?t.anchor:null;t.index=t.matches.findIndex(e=>!r||e.range.compareBoundaryPoints(Range.START_TO_START,r)>=0),t.index<0&&t.matches.length&&(t.index=0),ut(e)}function ct(e,t){const n=e.findState;n.matches.length&&(n.index=(n.index+t+n.matches.length)%n.matches.length,n.anchor=n.matches[n.index].range.cloneRange(),n.anchor.collapse(!0),ut(e))}function ut(e){const t=e.findState,n=e.labels.popups.find,o=t.matches[t.index],r=e.popupEl.querySelector(".ichik-find-count");if(r){const e=t.capped?v+"+":t.matches.length;r.textContent=t.query?o?n.count.replace("{current}",t.index+1).replace("{total}",e):n.noResults:""}if(e.popupEl.querySelectorAll("#ichik-btn-prev, #ichik-btn-next, #ichik-btn-replace, #ichik-btn-replace-all").forEach(e=>e.disabled=!o),mt(e),dt()){const e=ht(y,0),n=ht(k,1);t.matches.forEach(t=>(t===o?n:e).add(t.range)),t.highlighted=t.matches.map(e=>e.range)}if(o){const e=o.range.startContainer.parentNode;e.scrollIntoView&&e.scrollIntoView({block:"nearest"})}dt()||pt(e)}function dt(){return!(!window.CSS||!CSS.highlights||"function"!=typeof window.Highlight)}function pt(e){const t=e.findState;if(e.findLayerEl||(e.findLayerEl=document.createElement("div"),e.findLayerEl.className="ichik-find-layer",e.findLayerEl.setAttribute("aria-hidden","true"),e.container.appendChild(e.findLayerEl)),e.findLayerEl.replaceChildren(),"find"!==e.openPopup)return;const n=e.container.getBoundingClientRect(),o=e.editorEl.getBoundingClientRect();t.matches.forEach((r,i)=>{Array.from(r.range.getClientRects()).forEach(r=>{if(!r.width||r.bottom<o.top||r.top>o.bottom)return;const l=document.createElement("div");l.className=i===t.index?"ichik-find-box ichik-find-box-current":"ichik-find-box",l.style.left=r.left-n.left+"px",l.style.top=r.top-n.top+"px",l.style.width=r.width+"px",l.style.height=r.height+"px",e.findLayerEl.appendChild(l)})})}function ht(e,t){let n=CSS.highlights.get(e);return n||(n=new window.Highlight,n.priority=t,CSS.highlights.set(e,n)),n}function mt(e){const t=e.findState;e.findLayerEl&&e.findLayerEl.replaceChildren(),t.highlighted.length&&([y,k].forEach(e=>{const n=CSS.highlights.get(e);n&&t.highlighted.forEach(e=>n.delete(e))}),t.highlighted=[])}function ft(e,t){if(!e.regex)return e.replacement;const n=t.result;return e.replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g,(e,t,o)=>"$"===t?"$":"&"===t?n[0]:void 0!==o?n.groups&&void 0!==n.groups[o]?n.groups[o]:"":Number(t)>0&&Number(t)<n.length?n[Number(t)]||"":e)}function gt(e,t,n){const o=at(t);o.forEach((e,t)=>e.node.replaceData(e.from,e.to-e.from,0===t?n:""));const r=o[0],i=document.createRange();return i.setStart(r.node,r.from+n.length),o.forEach((t,n)=>{t.node.length||(0===n&&i.setStartBefore(t.node),function(e,t){let n=t.parentNode;t.remove();for(;n&&n!==e.editorEl&&!n.firstChild&&!W(n)&&!/^(TD|TH|FIGCAPTION)$/.test(n.tagName);){const e=n.parentNode;n.remove(),n=e}}(e,t.node))}),i}function bt(e){const t=e.findState,n=t.matches[t.index];n&&(fo(e,()=>t.anchor=gt(e,n,ft(t,n))),st(e))}function Et(e){e.linkBubbleEl&&(e.linkBubbleEl.style.display="none",e.linkBubbleLink=null)}function yt(e){e.linkBubbleDismissed=e.linkBubbleLink,Et(e)}function kt(e,t,n){if(t.custom){const o=e.commands[t.cmd];e.editorEl.focus(),fo(e,()=>o.exec(e,n)),an(e)}else if("createLink"===t.cmd)if("flex"===e.popupEl.style.display)et(e);else{const t=xo(e);Ve(e,"link",n,t)}else if("customInsertImage"===t.cmd)if("flex"===e.popupEl.style.display)et(e);else{const t=wo(e);Ve(e,"image",n,t)}else if("findReplace"===t.cmd)"find"===e.openPopup?et(e):ot(e,n);else if("toggleEmoji"===t.cmd)if("emoji"===e.openPopup)et(e);else{const t=Co(e.container);et(e),Ro(e),e.popupReturnFocus=t,function(e,t){const n=e.emojiPickerEl.querySelector(".ichik-emoji-search");n.value="",e.emojiState.query="",e.emojiState.tone=Ct(o,""),wt(e),_(t,e.emojiPickerEl,"flex"),nt(e,"emoji"),n.focus()}(e,n)}else if("insertTable"===t.cmd)if("table"===e.openPopup)et(e);else if(Pt(e))!function(e){Ro(e);const t=e.tableMenuEl.querySelector("button");Je(e.tableMenuEl,t),t.focus()}(e);else{const t=Co(e.container);et(e),Ro(e),e.popupReturnFocus=t,function(e,t){Mt(e,1,1),_(t,e.tablePickerEl,"flex"),nt(e,"table"),e.tablePickerEl.querySelector(".ichik-table-grid").focus()}(e,n)}else if("inlineCode"===t.cmd||"blockquote"===t.cmd)e.editorEl.focus(),fo(e,()=>{"inlineCode"===t.cmd?function(e){const t=No(e,"code");if(t&&!t.closest("pre")){const n=document.createRange();n.selectNodeContents(t);const o=t.firstChild,r=t.lastChild;if(t.replaceWith(...t.childNodes),o){n.setStartBefore(o),n.setEndAfter(r);const t=Ao(e.editorEl);t.removeAllRanges(),t.addRange(n)}return}const n=Ao(e.editorEl);if(!n.rangeCount||n.isCollapsed||No(e,"pre"))return;document.execCommand("insertHTML",!1,`<code>${B(n.toString())}</code>`)}(e):Ht(e,"BLOCKQUOTE")}),an(e);else if("codeBlock"===t.cmd){const t=No(e,"pre");t?Ve(e,"code",n,t):(e.editorEl.focus(),fo(e,()=>Ht(e,"PRE")),an(e))}else if("insertUnorderedList"===t.cmd||"insertOrderedList"===t.cmd||"insertTaskList"===t.cmd)e.editorEl.focus(),fo(e,()=>Ut(e,t.cmd)),an(e);else if("undo"===t.cmd||"redo"===t.cmd)Eo(e,"undo"===t.cmd?-1:1);else if(g[t.cmd]){const n=g[t.cmd];Qn(e,e.mode===n?"wysiwyg":n)}else"removeFormat"===t.cmd?(e.editorEl.focus(),fo(e,()=>{document.execCommand("removeFormat",!1,null),Ht(e,"P"),document.execCommand("unlink",!1,null)}),an(e)):(e.editorEl.focus(),fo(e,()=>document.execCommand(t.cmd,!1,null)),an(e))}function vt(e,t){const n={normal:"P",h1:"H1",h2:"H2",h3:"H3",h4:"H4",h5:"H5",h6:"H6"}[t];if(n)return fo(e,()=>Ht(e,n)),!0;const o=e.commands[t]?{type:"button",name:t,cmd:t,custom:!0}:l[t];if(!o||"button"!==o.type)return!1;const r=e.uiRefs.buttons.find(e=>e.dataset.cmd===o.cmd);return kt(e,o,r||At(e)),!0}function At(e){const t=Ao(e.editorEl);if(t.rangeCount>0&&e.editorEl.contains(t.anchorNode)){const e=t.getRangeAt(0).cloneRange(),n=e.getBoundingClientRect();if(n.width||n.height)return e}return e.editorEl}function Ct(e,t){try{const n=JSON.parse(window.localStorage.getItem(e));return null===n?t:n}catch(e){return t}}function xt(e,t){try{window.localStorage.setItem(e,JSON.stringify(t))}catch(e){}}function Nt(e,t){return e.skinTone&&t?e.char.replace(/\uFE0F/g,"")+t:e.char}function wt(e){const t=e.emojiState,o=e.labels.emojis,r=e.emojiPickerEl.querySelector(".ichik-emoji-grid"),i=e.emojiPickerEl.querySelector(".ichik-emoji-recent"),l=e.emojiInline?e.emojiInline.query:t.query.trim();let a;if(l)a=function(e,t){const n=t.toLowerCase().replace(/_/g," ").trim(),o=[];return e.emojiCategories.forEach(t=>t.emojis.forEach(t=>{const r=e.labels.emojis.keywords[t.name]||"";`${t.name} ${t.keywords} ${r}`.toLowerCase().replace(/_/g," ").includes(n)&&!o.includes(t)&&o.push(t)})),o.sort((e,t)=>(t.name.startsWith(n)?1:0)-(e.name.startsWith(n)?1:0))}(e,l),e.emojiInline&&(a=a.slice(0,12));else{const n=e.emojiCategories.find(e=>e.id===t.category)||e.emojiCategories[0];a=n?n.emojis:[]}const s=(e,t)=>{const n=document.createElement("span");return n.className="ichik-emoji-item",n.textContent=e,n.dataset.char=e,n.setAttribute("role","button"),n.tabIndex=-1,t&&(n.title=`:${t}:`),n};if(r.innerHTML="",a.forEach(e=>r.appendChild(s(Nt(e,t.tone),e.name))),!a.length){const e=document.createElement("div");e.className="ichik-emoji-empty",e.textContent=o.noResults,r.appendChild(e)}i.innerHTML="";const c=Ct(n,[]);i.style.display=!l&&c.length?"":"none",c.slice(0,6).forEach(e=>i.appendChild(s(e))),e.emojiPickerEl.querySelectorAll(".ichik-emoji-tab").forEach(n=>{const o=!l&&n.dataset.category===(t.category||(e.emojiCategories[0]||{}).id);n.classList.toggle("active",o),n.setAttribute("aria-selected",String(o))}),e.emojiPickerEl.querySelectorAll(".ichik-emoji-tone").forEach(e=>{const n=e.dataset.tone===t.tone;e.classList.toggle("active",n),e.setAttribute("aria-checked",String(n))}),e.emojiInline&&Rt(e,0)}function Tt(e,t){const o=e.emojiInline;if(o){const t=document.createRange();t.setStart(o.node,o.start),t.setEnd(o.node,o.end);const n=Ao(e.editorEl);n.removeAllRanges(),n.addRange(t)}else $o(e);fo(e,()=>document.execCommand("insertText",!1,t));const r=Ct(n,[]).filter(e=>e!==t);r.unshift(t),xt(n,r.slice(0,12)),o?Lt(e):et(e)}function St(e,t){e.emojiPickerEl.querySelectorAll(".ichik-emoji-item").forEach(e=>e.tabIndex=e===t?0:-1),t.focus()}function Lt(e){e.emojiInline&&(e.emojiInline=null,e.emojiPickerEl.classList.remove("ichik-emoji-inline"),e.emojiPickerEl.style.display="none")}function Rt(e,t){const n=Array.from(e.emojiPickerEl.querySelectorAll(".ichik-emoji-grid .ichik-emoji-item"));n.length&&(e.emojiInline.index=(t+n.length)%n.length,n.forEach((t,n)=>t.classList.toggle("selected",n===e.emojiInline.index)))}function $t(e,t){const n=e.mentionState,o=Array.from(e.mentionEl.querySelectorAll(".ichik-mention-item"));o.length&&(n.index=(t+o.length)%o.length,o.forEach((e,t)=>{e.classList.toggle("selected",t===n.index),e.setAttribute("aria-selected",String(t===n.index))}))}function Ot(e){e.mentionRequest++,e.mentionState&&(e.mentionState=null,e.mentionEl.style.display="none")}function jt(e,t){const n=e.mentionState,o=n&&n.items[t];if(!o)return;const r=Be(n.trigger,o.id,o.label);Ot(e),r&&e.editorEl.contains(n.node)&&fo(e,()=>{const t=document.createRange();t.setStart(n.node,Math.min(n.start,n.node.length)),t.setEnd(n.node,Math.min(n.end,n.node.length)),t.deleteContents();const o=document.createTextNode(" ");t.insertNode(o),t.insertNode(r);const i=document.createRange();i.setStart(o,1),i.collapse(!0);const l=Ao(e.editorEl);l.removeAllRanges(),l.addRange(i)})}function Mt(e,t,n){e.tableSize={rows:t,cols:n},e.tablePickerEl.querySelectorAll(".ichik-table-grid-cell").forEach(e=>{e.classList.toggle("active",+e.dataset.rows<=t&&+e.dataset.cols<=n)}),e.tablePickerEl.querySelector(".ichik-table-size").textContent=e.labels.table.size.replace("{rows}",t).replace("{cols}",n)}function It(e,t,n){const o=e=>`<${e}><br></${e}>`.repeat(n);let r=`<table data-ichik-new="true"><thead><tr>${o("th")}</tr></thead><tbody>`;for(let e=1;e<t;e++)r+=`<tr>${o("td")}</tr>`;r+="</tbody></table><p><br></p>",et(e),$o(e),fo(e,()=>document.execCommand("insertHTML",!1,r));const i=e.editorEl.querySelector("table[data-ichik-new]");i&&(i.removeAttribute("data-ichik-new"),qt(i.rows[0].cells[0]),an(e))}function Pt(e){return No(e,"td, th")}function qt(e,t=!1){const n=document.createRange();n.selectNodeContents(e),t||n.collapse(!0);const o=Ao(e);o.removeAllRanges(),o.addRange(n)}function Dt(e,t){const n=document.createElement(e.toLowerCase());return t&&n.setAttribute("align",t),n.appendChild(document.createElement("br")),n}function Bt(e,t,n){const o=document.createElement("tr");if(Array.from(e.rows[0].cells).forEach((t,n)=>o.appendChild(Dt("TD",ae(e,n)))),"THEAD"===t.parentElement.tagName){let t=e.tBodies[0];t||(t=e.appendChild(document.createElement("tbody"))),t.insertBefore(o,t.firstChild)}else t.parentElement.insertBefore(o,n?t.nextSibling:t);return o}function Ht(e,t){const n=No(e,"pre"),o=No(e,"blockquote");if(!n||(function(e){const t=oe(e).replace(/\n$/,"").split("\n"),n=t.map(e=>{const t=document.createElement("p");return e?t.textContent=e:t.appendChild(document.createElement("br")),t});e.replaceWith(...n);const o=document.createRange();o.selectNodeContents(n[0]),o.collapse(!1);const r=Ao(n[0]);r.removeAllRanges(),r.addRange(o)}(n),"PRE"!==t))if("BLOCKQUOTE"===t&&o)!function(e){let t=null;Array.from(e.childNodes).forEach(n=>{n.nodeType===Node.ELEMENT_NODE&&/^(P|DIV|H[1-6]|UL|OL|PRE|BLOCKQUOTE|TABLE|HR)$/.test(n.tagName)?t=null:(t||(t=document.createElement("p"),e.insertBefore(t,n)),t.appendChild(n))});const n=Ao(e),o=n.rangeCount?n.getRangeAt(0).cloneRange():null;e.replaceWith(...e.childNodes),o&&(n.removeAllRanges(),n.addRange(o))}(o);else if(n&&"P"===t||document.execCommand("formatBlock",!1,"BLOCKQUOTE"===t?"<blockquote>":t),"PRE"===t){const t=No(e,"pre");if(t&&t.querySelector("*:not(br)")){t.textContent=oe(t);const n=document.createRange();n.selectNodeContents(t),n.collapse(!1);const o=Ao(e.editorEl);o.removeAllRanges(),o.addRange(n)}}}function _t(e,t){t?e.setAttribute("data-type","task"):e.removeAttribute("data-type"),Array.from(e.children).forEach(e=>{"LI"===e.tagName&&(t?e.hasAttribute("data-checked")||e.setAttribute("data-checked","false"):e.removeAttribute("data-checked"))})}function Ut(e,t){const n=No(e,"ul, ol"),o=X(n);if(o&&_t(n,!1),"insertTaskList"===t){if(o)return void document.execCommand("insertUnorderedList",!1,null);n&&"UL"===n.tagName||document.execCommand("insertUnorderedList",!1,null);const t=No(e,"ul");t&&_t(t,!0)}else o&&"insertUnorderedList"===t||document.execCommand(t,!1,null)}function Kt(e){const t=e.cloneNode(!0);return t.querySelectorAll("ul, ol").forEach(e=>e.remove()),t.textContent.replace(/\s+/g," ").trim()}function zt(e,t){const n="true"!==t.getAttribute("data-checked");fo(e,()=>t.setAttribute("data-checked",String(n)));const o=Array.from(e.editorEl.querySelectorAll('ul[data-type="task"] > li'));po(e,"taskToggle",{item:t,text:Kt(t),checked:n,index:o.indexOf(t)})}function Wt(e){return e.nodeType===Node.ELEMENT_NODE&&("BR"===e.tagName||z.includes(e.tagName))}function Ft(e,t,n,o){if(e.block){const n=t.block?t.block.tagName:"P";return"P"===n||"DIV"===n||"LI"===n&&e.lists?e.match.exec(t.range.toString()):null}const r=n.textContent.slice(0,o),i=e.match.exec(r);return i&&(i.start=o-(r.length-i.index)),i}function Gt(e,t){if(!e.endsWith(t))return null;const n=e.length-t.length,o=e.lastIndexOf(t,n-1);if(o<0)return null;const r=e.slice(o+t.length,n),i=e.charAt(o-1);return!r.trim()||r!==r.trim()||/\w/.test(i)||i===t.charAt(0)?null:{start:o,content:r}}function Xt(e,t,n,o){const r=Ao(e.editorEl);if(t.handler)return t.handler(e,n);const i=r.getRangeAt(0);if(i.deleteContents(),t.wrap){const e=document.createElement(t.wrap);return e.textContent=n.content,i.insertNode(e),i.setStartAfter(e),i.collapse(!0),r.removeAllRanges(),r.addRange(i),!0}return Jt(o),vt(e,"function"==typeof t.command?t.command(n):t.command)}function Jt(e){!e||e.textContent||e.querySelector("img")||(e.replaceChildren(document.createElement("br")),qt(e))}function Qt(e){return e.parentElement&&"FIGURE"===e.parentElement.tagName?e.parentElement:e}function Vt(e){const t=e.imageToolsTarget,n=t.getBoundingClientRect();e.imageOverlayEl.style.display="block",e.imageOverlayEl.style.left=n.left+window.scrollX+"px",e.imageOverlayEl.style.top=n.top+window.scrollY+"px",e.imageOverlayEl.style.width=n.width+"px",e.imageOverlayEl.style.height=n.height+"px",_(t,e.imageToolbarEl,"flex","top")}function Yt(e){e.imageOverlayEl&&(e.imageOverlayEl.style.display="none",e.imageToolbarEl.style.display="none",e.imageToolsTarget=null)}function Zt(e){const t=e.parentElement,n=t.getAttribute("data-align");n&&e.setAttribute("data-align",n);const o=document.createElement("p");o.appendChild(e),t.replaceWith(o),Lo(e)}function en(e,t){const n=e.labels.alerts;return e.imageTypes.includes(t.type)?t.size>e.maxImageSize?n.fileTooLarge.replace("{size}",(o=e.maxImageSize)<1048576?Math.round(o/1024)+" KB":(o/1048576).toFixed(1).replace(/\.0$/,"")+" MB"):null:n.fileType;var o}function tn(e,t,n={}){t.forEach(t=>{const o=en(e,t)||Fn(e);if(o)return ln(e,o),void po(e,"uploaderror",{file:t,message:o});const r=String(++e.uploadCount);e.uploads[r]=t,function(e,t){const n=document.createElement("span");n.className="ichik-upload",n.setAttribute("contenteditable","false"),n.dataset.uploadId=t,n.setAttribute("role","progressbar"),n.setAttribute("aria-valuemin","0"),n.setAttribute("aria-valuemax","100"),n.appendChild(document.createElement("span")).className="ichik-upload-bar";const o=Ao(e.editorEl);o.rangeCount&&e.editorEl.contains(o.anchorNode)||Ro(e);const r=Ao(e.editorEl).getRangeAt(0);r.deleteContents(),r.insertNode(n),r.setStartAfter(n),r.collapse(!0),o.removeAllRanges(),o.addRange(r)}(e,r),nn(e,r,0);const i=t=>nn(e,r,t),l=(n,o)=>{on(e,r,null),e.editorEl&&(ln(e,n),po(e,"uploaderror",{file:t,message:n,error:o}))};Promise.resolve().then(()=>e.uploadImage(t,{onProgress:i})).then(t=>{const o=M(t,e.urlPolicy);o.url?on(e,r,o.url,n):l(q(e,o.error),null)},t=>l(e.labels.alerts.uploadFailed,t))})}function nn(e,t,n){if(!e.editorEl)return;const o=e.editorEl.querySelector(`.ichik-upload[data-upload-id="${t}"]`);if(!o)return;n=Math.round(Math.min(Math.max(Number(n)||0,0),100));const r=e.labels.popups.image.uploading.replace("{percent}",n);o.dataset.label=r,o.setAttribute("aria-valuenow",String(n)),o.setAttribute("aria-label",r),o.firstChild.style.width=n+"%"}function on(e,t,n,o={}){if(delete e.uploads[t],!e.editorEl)return;const r=e.editorEl.querySelector(`.ichik-upload[data-upload-id="${t}"]`);if(!r)return;if(!n)return void r.remove();const i=document.createElement("img");i.setAttribute("src",n),i.setAttribute("alt",o.alt||""),o.width&&/^\d+(px|%)?$/.test(o.width)&&i.setAttribute("width",o.width),fo(e,()=>r.replaceWith(i))}function rn(e){return e&&e.files&&e.files.length?Array.from(e.files):[]}function ln(e,t){e.editorEl&&(e.messageEl||(e.messageEl=document.createElement("div"),e.messageEl.className="ichik-message",e.messageEl.setAttribute("role","alert"),e.container.appendChild(e.messageEl)),e.messageEl.textContent=t,e.messageEl.style.display="",clearTimeout(e.messageTimer),e.messageTimer=setTimeout(()=>e.messageEl.style.display="none",5e3))}function an(e){e.uiRefs.buttons.forEach(t=>{const n=t.dataset.cmd;if(e.commands[n]){const o=e.commands[n],r=!!o.isActive&&!!o.isActive(e);return t.classList.toggle("active",r),void(o.isActive&&t.setAttribute("aria-pressed",String(r)))}if("undo"===n||"redo"===n)return void(t.disabled=!bo(e,"undo"===n?-1:1));if(g[n])return;if("insertUnorderedList"===n||"insertTaskList"===n){const o=No(e,"ul, ol"),r=!!o&&"UL"===o.tagName&&X(o)===("insertTaskList"===n);return t.classList.toggle("active",r),void t.setAttribute("aria-pressed",String(r))}const o={inlineCode:"code",blockquote:"blockquote",codeBlock:"pre"}[n];if(o){const r=No(e,o),i=!(!r||"inlineCode"===n&&r.closest("pre"));return t.classList.toggle("active",i),void t.setAttribute("aria-pressed",String(i))}try{const e=document.queryCommandState(n);e?t.classList.add("active"):t.classList.remove("active"),t.hasAttribute("aria-pressed")&&t.setAttribute("aria-pressed",String(e))}catch(e){}}),e.uiRefs.selects.forEach(e=>{if("formatBlock"===e.dataset.cmd){let t=document.queryCommandValue("formatBlock");t=t?t.toUpperCase():"P","DIV"===t&&(t="P");Array.from(e.options).some(e=>e.value===t)&&(e.value=t)}}),function(e){const t=_n(e)?Pt(e):null;if(!t)return void(e.tableMenuEl.contains(Co(e.tableMenuEl))||(e.tableMenuEl.style.display="none"));const n=t.closest("table"),o=ae(n,t.cellIndex);e.tableMenuEl.querySelectorAll("button[aria-pressed]").forEach(e=>{const t=e.dataset.action,r="toggleHeader"===t?le(n.rows[0]):t==="align"+o.charAt(0).toUpperCase()+o.slice(1);e.classList.toggle("active",r),e.setAttribute("aria-pressed",String(r))}),e.tableMenuEl.contains(Co(e.tableMenuEl))||Je(e.tableMenuEl,e.tableMenuEl.querySelector("button")),_(n,e.tableMenuEl,"flex","top")}(e),function(e){const t=_n(e)?xo(e):null;if(t||(e.linkBubbleDismissed=null),!t||t===e.linkBubbleDismissed||e.openPopup||e.linkBubbleEl.contains(Co(e.linkBubbleEl)))return void(t||Et(e));const n=t.getAttribute("href")||"",o=e.linkBubbleEl.querySelector(".ichik-link-bubble-url");o.textContent=n,o.title=n,e.linkBubbleLink=t,e.tooltipEl.style.display="none",_(t,e.linkBubbleEl,"flex")}(e),function(e){const t=e.imageResize?e.imageResize.img:wo(e);if(!t||!_n(e)||!e.editorEl.contains(t))return void Yt(e);e.imageToolsTarget=t;const n=Qt(t),o=n.getAttribute("data-align")||"";e.imageToolbarEl.querySelectorAll("button").forEach(e=>{const t=e.dataset.action,r="caption"===t?"FIGURE"===n.tagName&&!!n.querySelector("figcaption"):t==="align"+o.charAt(0).toUpperCase()+o.slice(1);e.classList.toggle("active",r),e.setAttribute("aria-pressed",String(r))}),Vt(e)}(e),function(e){const t=!_n(e);e.uiRefs.buttons.concat(e.uiRefs.selects).forEach(n=>{const o=n.dataset.cmd;if(g[o]){const r=e.mode===g[o];n.classList.toggle("active",r),n.setAttribute("aria-pressed",String(r)),n.disabled=t}else t||"markdown"===e.mode?n.disabled=!0:"undo"!==o&&"redo"!==o&&(n.disabled=!1)})}(e);const t=Xe(e.toolbarEl);t.length&&!t.some(e=>0===e.tabIndex)&&Je(e.toolbarEl,t[0])}function sn(e){let t=0;for(const n of e)t=31*t+n.charCodeAt(0)>>>0;return a[t%a.length]}function cn(e,t){t.site=e.collab.site,e.collab.transport.send(t)}function un(e,t){cn(e,{type:"ops",ops:t.map(e=>e.previous?{type:e.type,id:e.id,value:e.value,version:e.version}:e)})}function dn(e,t){return e.clock!==t.clock?e.clock>t.clock?1:-1:e.site!==t.site?e.site>t.site?1:-1:0}function pn(e,t){const n=e.byId[t.id];if(t.version&&(e.clock=Math.max(e.clock,t.version.clock)),"insert"===t.type&&!n){const n=t.origin?e.byId[t.origin]:null;if(t.origin&&!n)return!1;const o={id:t.id,clock:t.clock,site:t.site,origin:t.origin||null,value:t.value,version:t.version,deleted:!!t.deleted};let r=0;for(n&&(r=(e.items[e.lastIndex]===n?e.lastIndex:e.items.indexOf(n))+1);r<e.items.length&&dn(e.items[r],t)>0;)r++;return e.items.splice(r,0,o),e.byId[t.id]=o,e.lastIndex=r,e.view=null,!0}if(!n)return!1;if("insert"===t.type||"set"===t.type){const e=dn(t.version,n.version);(e>0||0===e&&t.value>n.value)&&(n.value=t.value,n.version=t.version)}return("delete"===t.type||t.deleted)&&(n.deleted=!0),e.view=null,!0}function hn(e){return mn([].concat(...bn(e)))}function mn(e,t=null,n=0){const o=[],r=(e,r,i)=>{t&&(t.points[n+o.length]={node:r,offset:i}),o.push(e)},i=(e,l)=>{if(t&&t.starts.set(e,n+o.length),e.nodeType===Node.TEXT_NODE){let t=0;for(const n of e.data)t+=n.length,r(/[&<>"']/.test(n)?B(n):n,e,t);return}if(e.nodeType!==Node.ELEMENT_NODE)return;const a=e.tagName.toLowerCase(),s="<"+a+Array.from(e.attributes).map(e=>` ${e.name}="${B(e.value)}"`).join("")+">";u.includes(a)?r(s,e.parentNode,l+1):(r(s,e,0),e.childNodes.forEach(i),t&&t.ends.set(e,n+o.length),r(`</${a}>`,e.parentNode,l+1))};return e.forEach(e=>i(e,t?Array.prototype.indexOf.call(e.parentNode.childNodes,e):0)),o}function fn(e){return bn(e).map(gn)}function gn(e){return e.map(e=>e.nodeType===Node.ELEMENT_NODE?e.outerHTML:B(e.textContent)).join("")}function bn(e){const t=[];let n=null;return Array.from(e.childNodes).forEach(e=>{if(e.nodeType===Node.ELEMENT_NODE||e.nodeType===Node.TEXT_NODE){if(W(e))return t.push([e]),void(n=null);n||t.push(n=[]),n.push(e)}}),t.filter(e=>e.some(e=>e.nodeType===Node.ELEMENT_NODE||e.textContent.trim()))}function En(e,t){const n=new Array(t.length).fill(-1);let o=0;for(;o<e.length&&o<t.length&&e[o]===t[o];)n[o]=o,o++;let r=e.length,i=t.length;for(;r>o&&i>o&&e[r-1]===t[i-1];)n[--i]=--r;const l=r-o,a=i-o;if(!l||!a||l*a>25e4)return n;const s=a+1,c=new Uint32Array((l+1)*s);for(let n=l-1;n>=0;n--)for(let r=a-1;r>=0;r--)c[n*s+r]=e[o+n]===t[o+r]?c[(n+1)*s+r+1]+1:Math.max(c[(n+1)*s+r],c[n*s+r+1]);for(let r=0,i=0;r<l&&i<a;)e[o+r]===t[o+i]?n[o+i++]=o+r++:c[(r+1)*s+i]>=c[r*s+i+1]?r++:i++;return n}function yn(e){const t=e.collab;if(t.view)return t.view;const n={tokens:[],ids:[],blocks:[],indexes:null},o=new Map;let r=[],i=0;const l=()=>{const i=r.map(e=>e.value),l=i.join("");let a=o.get(l)||t.segments.get(l);if(!a){const t=e.editorEl.cloneNode(!1);t.innerHTML=Ue(l,e.sanitizeSchema);const n=hn(t);a={tokens:n,match:En(i,n),blocks:fn(t)}}o.set(l,a),a.tokens.forEach((e,t)=>{n.tokens.push(e),n.ids.push(a.match[t]<0?null:r[a.match[t]].id)}),n.blocks.push(...a.blocks),r=[]};for(const e of t.items)e.deleted||(r.push(e),"<"===e.value[0]&&("/"===e.value[1]?i--:u.includes(/^<([a-z0-9]+)/.exec(e.value)[1])||i++,i<=0&&(i=0,l())));return r.length&&l(),t.segments=o,t.view=n,n}function kn(e){const t=e.collab;Yn(e),vn(e,t.observer.takeRecords());const n={tokens:[],blocks:[],groups:[]};return bn(e.editorEl).forEach(o=>{let r=1===o.length?t.blocks.get(o[0]):null;if(!r){const n=e.editorEl.cloneNode(!1);n.innerHTML=Ue(gn(o),e.sanitizeSchema),r={tokens:hn(n),blocks:fn(n)},1===o.length&&t.blocks.set(o[0],r)}n.groups.push({nodes:o,start:n.tokens.length,read:!1}),r.tokens.forEach(e=>n.tokens.push(e)),n.blocks.push(...r.blocks)}),n}function vn(e,t){t.forEach(t=>{let n=t.target;for(;n&&n.parentNode!==e.editorEl;)n=n.parentNode;n&&e.collab.blocks.delete(n)})}function An(e){const t=e.collab;if(!t||t.applying||!e.editorEl)return;const n=kn(e).tokens,o=function(e,t,n){const o=En(t.tokens,n),r=e.loading&&!e.items.length,i=e=>(/^<([a-z][a-z0-9]*)/.exec(e)||[])[1],l=[];let a=null,s=0,c=[];const u=n=>{const o=[];for(let e=s;e<n;e++)t.ids[e]&&o.push(e);c.forEach(n=>{const s=i(n),c=s?o.findIndex(e=>i(t.tokens[e])===s):-1;if(c>=0){const r=e.byId[t.ids[o.splice(c,1)[0]]];return l.push({type:"set",id:r.id,value:n,version:{clock:++e.clock,site:e.site},previous:{value:r.value,version:r.version}}),void(a=r.id)}const u=r?l.length+1:++e.clock,d=r?"0":e.site,p={type:"insert",id:u+"@"+d,clock:u,site:d,origin:a,value:n,version:{clock:u,site:d}};l.push(p),a=p.id}),o.forEach(e=>l.push({type:"delete",id:t.ids[e]})),c=[]};return n.forEach((e,n)=>{const r=o[n];r<0?c.push(e):(u(r),s=r+1,t.ids[r]&&(a=t.ids[r]))}),u(t.tokens.length),l}(t,yn(e),n);if(!o.length)return;o.forEach(e=>pn(t,e)),t.layerEl&&un(e,o);const r=e.history.stack[e.history.index];r&&(r.collabOps=(r.collabOps||[]).concat(o));const i=yn(e).tokens;(i.length!==n.length||i.some((e,t)=>e!==n[t]))&&xn(e)}function Cn(e){if(!e||"string"!=typeof e.id||!c.test(e.id))return!1;const t="string"==typeof e.value&&s.test(e.value),n=!!e.version&&Number.isSafeInteger(e.version.clock)&&"string"==typeof e.version.site;return"delete"===e.type||("set"===e.type?t&&n:"insert"===e.type&&t&&n&&Number.isSafeInteger(e.clock)&&e.id===e.clock+"@"+e.site&&(null===e.origin||"string"==typeof e.origin&&c.test(e.origin)))}function xn(e){const t=e.collab,n=yn(e).blocks,o=kn(e).blocks,r=bn(e.editorEl);let i=0,l=r.length,a=n.length;if(r.length===o.length){for(;i<l&&i<a&&o[i]===n[i];)i++;for(;l>i&&a>i&&o[l-1]===n[a-1];)l--,a--}if(i===l&&i===a)return;const s=Ao(e.editorEl);let c=null;if(s.rangeCount>0&&e.editorEl.contains(s.anchorNode)){const e=r.findIndex(e=>e.some(e=>e===s.anchorNode||e.contains(s.anchorNode)));if(e>=i&&e<l){const t=document.createRange();t.setStartBefore(r[e][0]),t.setEnd(s.anchorNode,s.anchorOffset),c={index:Math.min(e,a-1),offset:t.toString().length};const o=c.index;if(o===e){const t=r[e].map(e=>e.textContent).join(""),i=document.createElement("template");i.innerHTML=n[o],c.offset=function(e,t,n){let o=0;for(;o<e.length&&o<t.length&&e[o]===t[o];)o++;let r=0;for(;r<e.length-o&&r<t.length-o&&e[e.length-1-r]===t[t.length-1-r];)r++;return n<=o?n:n>=e.length-r?n+t.length-e.length:Math.min(n,t.length-r)}(t,i.content.textContent,c.offset)}}}const u=r[l]?r[l][0]:null;r.slice(i,l).forEach(e=>e.forEach(e=>e.remove()));const d=document.createElement("template");d.innerHTML=n.slice(i,a).join(""),e.editorEl.insertBefore(d.content,u),t.applying=!0;try{if(c){const t=bn(e.editorEl)[Math.max(c.index,0)],n=t&&To(t,c.offset);n?So(n.node,n.offset):t&&t[0].nodeType===Node.ELEMENT_NODE&&qt(t[0])}an(e),ho(e)}finally{t.applying=!1}}function Nn(e,t){const n=e.collab,o=[];(t.collabOps||[]).slice().reverse().forEach(e=>{const t=n.byId[e.id];if(t)if("insert"===e.type)o.push({type:"delete",id:e.id});else if("delete"===e.type){const r=++n.clock,i={clock:r,site:n.site};o.push({type:"insert",id:r+"@"+n.site,clock:r,site:n.site,origin:e.id,value:t.value,version:i})}else if("set"===e.type&&0===dn(t.version,e.version)){const r={clock:++n.clock,site:n.site};o.push({type:"set",id:e.id,value:e.previous.value,version:r,previous:{value:t.value,version:t.version}})}}),o.forEach(e=>pn(n,e)),o.length&&n.layerEl&&un(e,o),t.collabOps=o,xn(e)}function wn(e){const t=kn(e),n=new Map;return t.groups.forEach(e=>e.nodes.forEach(t=>n.set(t,e))),{content:t,groupOf:n,points:[],starts:new Map,ends:new Map}}function Tn(e,t){t.read||(mn(t.nodes,e,t.start),t.read=!0)}function Sn(e,t,n,o){let r,i=n;for(;i&&i.parentNode!==e.editorEl;)i=i.parentNode;if(i&&t.groupOf.has(i)&&Tn(t,t.groupOf.get(i)),n===e.editorEl){const e=Array.from(n.childNodes).slice(o).find(e=>t.groupOf.has(e));e&&Tn(t,t.groupOf.get(e)),r=e?t.starts.get(e):t.content.tokens.length}else if(n.nodeType===Node.TEXT_NODE)r=t.starts.has(n)?t.starts.get(n)+Array.from(n.data.slice(0,o)).length:void 0;else{const e=Array.from(n.childNodes).slice(o).find(e=>t.starts.has(e));r=e?t.starts.get(e):t.ends.get(n)}if(void 0===r)return null;const l=yn(e).ids;let a=Math.min(r,l.length)-1;for(;a>=0&&!l[a];)a--;return{id:a>=0?l[a]:null}}function Ln(e,t,n){if(!n||!(null===n.id||"string"==typeof n.id&&c.test(n.id)))return null;const o=e.collab,r=yn(e);r.indexes||(r.indexes=new Map(r.ids.map((e,t)=>[e,t])));let i=0;const l=n.id?o.byId[n.id]:null;if(l){let e=o.items.indexOf(l);for(;e>=0&&!r.indexes.has(o.items[e].id);)e--;e>=0&&(i=Math.min(r.indexes.get(o.items[e].id)+1,t.content.tokens.length))}const a=t.content.groups.slice().reverse().find(e=>e.start<i);return a&&Tn(t,a),t.points[i-1]||{node:e.editorEl,offset:0}}function Rn(e,t){const n=e.collab;n&&n.layerEl&&!n.applying&&JSON.stringify(t)!==JSON.stringify(n.lastCursor)&&(n.lastCursor=t,cn(e,{type:"cursor",user:n.user,selection:t}))}function $n(e){const t=e.collab;if(!t||!t.layerEl)return;t.layerEl.replaceChildren();const n=e.container.getBoundingClientRect(),o=e.editorEl.getBoundingClientRect(),r=t=>t.bottom>=o.top&&t.top<=o.bottom&&"none"!==e.editorEl.style.display,i=(e,o,r)=>{const i=document.createElement("div");return i.className=e,i.style.left=o.left-n.left+"px",i.style.top=o.top-n.top+"px",i.style.height=o.height+"px","ichik-remote-selection"===e&&(i.style.width=o.width+"px"),i.style.setProperty("--ichik-remote-color",r),t.layerEl.appendChild(i),i},l=wn(e);Object.keys(t.peers).forEach(n=>{const o=t.peers[n];if(!o.selection)return;const a=Ln(e,l,o.selection.anchor),s=Ln(e,l,o.selection.focus);if(!a||!s)return;const c="string"==typeof o.user.color?o.user.color:sn(n),u=document.createRange();u.setStart(a.node,a.offset),u.comparePoint(s.node,s.offset)<0?u.setStart(s.node,s.offset):u.setEnd(s.node,s.offset),Array.from(u.getClientRects()).forEach(e=>{e.width&&r(e)&&i("ichik-remote-selection",e,c)});const d=document.createRange();d.setStart(s.node,s.offset);let p=d.getBoundingClientRect();if(!p.height){p=(s.node.nodeType===Node.ELEMENT_NODE?s.node:s.node.parentElement).getBoundingClientRect()}if(!r(p))return;const h=i("ichik-remote-caret",{left:p.left,top:p.top,height:p.height||18},c),m=document.createElement("span");m.className="ichik-remote-label",m.textContent=String(o.user.name||e.labels.collab.guest),h.appendChild(m)})}function On(e,t,...n){const o=e.autosave;return o.queue=o.queue.then(()=>o.storage[t](...n)).catch(()=>null),o.queue}function jn(e,t){const n=e.autosave.ttl;return!(!t||"string"!=typeof t.content||n&&Date.now()-t.savedAt>n)}function Mn(e){return Ue(e.editorEl.innerHTML,e.sanitizeSchema)}function In(e){const t=e.autosave;t&&t.ready&&!t.timer&&(t.timer=setTimeout(()=>Pn(e),t.interval))}function Pn(e){const t=e.autosave;if(clearTimeout(t.timer),t.timer=null,!t.ready||!e.editorEl)return;const n=Mn(e);if(n===t.base)return void On(e,"remove",t.key);const o=Ao(e.editorEl);o.rangeCount&&e.editorEl.contains(o.anchorNode)&&(t.position=Zn(e)),On(e,"set",t.key,{content:n,position:t.position,savedAt:Date.now()})}function qn(e){e.autosave&&e.autosave.timer&&Pn(e)}function Dn(e){const t=e.autosave;t.bannerEl&&t.bannerEl.remove(),t.bannerEl=null,t.draft=null,t.ready=!0}function Bn(e){const t=e.autosave.draft;Dn(e),fo(e,()=>{e.editorEl.innerHTML=Ue(t.content,e.sanitizeSchema),me(e.editorEl)}),"markdown"===e.mode?e.sourceEl.focus():eo(e,t.position||{block:0,offset:0})}function Hn(e){Dn(e),On(e,"remove",e.autosave.key),In(e),("markdown"===e.mode?e.sourceEl:e.editorEl).focus()}function _n(e){return!e.readOnly&&!e.disabled}function Un(e){const t=_n(e);e.editorEl.contentEditable=String(t),Kn(e.editorEl,"aria-readonly",e.readOnly),Kn(e.editorEl,"aria-disabled",e.disabled),Kn(e.toolbarEl,"aria-disabled",e.disabled),e.readOnly&&!e.disabled?e.editorEl.tabIndex=0:e.editorEl.removeAttribute("tabindex"),e.sourceEl.readOnly=e.readOnly,e.sourceEl.disabled=e.disabled,e.container.classList.toggle("ichik-readonly",e.readOnly),e.container.classList.toggle("ichik-disabled",e.disabled),t||(e.openPopup&&et(e,null),Lt(e),Ot(e)),an(e)}function Kn(e,t,n){n?e.setAttribute(t,"true"):e.removeAttribute(t)}function zn(e){return Yn(e),e.statsObserver.takeRecords().length&&(e.contentStats=null),e.contentStats||(e.contentStats=function(e){const t=ao(e),n="text"===e.countBy?null:String(lo(e.countBy).serialize(t.cloneNode(!0),e));t.querySelectorAll("br, td, th, figcaption, "+z.join(", ")).forEach(e=>e.before(" "));const o=t.textContent.replace(/\s+/g," ").trim();return{characters:Array.from(null===n?o:n).length,words:o?o.split(" ").length:0,images:e.editorEl.querySelectorAll("img, .ichik-upload").length}}(e)),e.contentStats}function Wn(e,t=null){if(!e.maxLength)return 1/0;const n=Ao(e.editorEl);!t&&n.rangeCount&&e.editorEl.contains(n.anchorNode)&&(t=n.getRangeAt(0));const o=t?Array.from(t.toString()).length:0;return e.maxLength-zn(e).characters+o}function Fn(e){return!e.maxImages||zn(e).images<e.maxImages?null:e.labels.alerts.maxImages.replace("{max}",e.maxImages)}function Gn(e){const t=zn(e),n=e.labels.validation,o=[],r=(e,t,r)=>o.push({code:e,message:n[e].replace("{count}",t).replace("{max}",r)});return!e.required||t.characters||t.images||r("required"),e.maxLength&&t.characters>e.maxLength&&r("maxLength",t.characters,e.maxLength),e.maxImages&&t.images>e.maxImages&&r("maxImages",t.images,e.maxImages),e.container.classList.toggle("ichik-invalid",o.length>0),o.length?e.editorEl.setAttribute("aria-invalid","true"):e.editorEl.removeAttribute("aria-invalid"),o}function Xn(e){if(!e.editorEl||!e.statusEl&&!e.editorEl.hasAttribute("aria-invalid"))return;if(e.editorEl.hasAttribute("aria-invalid")&&Gn(e),!e.statusEl)return;const t=e.labels.status,n=zn(e),o=document.createElement("span");o.className="ichik-status-words",o.textContent=t.words.replace("{count}",n.words);const r=document.createElement("span");r.className="ichik-status-characters",r.textContent=e.maxLength?t.charactersMax.replace("{count}",n.characters).replace("{max}",e.maxLength):t.characters.replace("{count}",n.characters),r.classList.toggle("ichik-status-over",!!e.maxLength&&n.characters>e.maxLength),e.statusEl.replaceChildren(o,r)}function Jn(e){if(!e.inputEl)return;const t=lo(e.inputFormat).serialize(ao(e),e);e.inputEl.value="string"==typeof t?t:JSON.stringify(t)}function Qn(e,t){if(!f.includes(t))throw new Error(`IchikEditor: Unknown mode "${t}"`);const n=e.mode;if(t===n)return;const o=Co(e.container),r=e.container.contains(o),i=o===e.sourceEl,l=i?function(e){const t=e.sourceEl.value.slice(0,e.sourceEl.selectionStart),n=te(t,e.urlPolicy,e.mentionPatterns).childNodes,o=n[n.length-1];return o?/\n\s*\n\s*$/.test(t)?{block:n.length,offset:0}:{block:n.length-1,offset:o.textContent.length}:{block:0,offset:0}}(e):Zn(e);if(Yn(e),et(e),e.mode=t,e.container.classList.toggle("ichik-mode-markdown","markdown"===t),e.container.classList.toggle("ichik-mode-split","split"===t),e.editorEl.style.display="markdown"===t?"none":"",e.sourceEl.style.display="wysiwyg"===t?"none":"",Vn(e),an(e),r){"markdown"===t||"split"===t&&i?function(e,t){const n=ao(e);for(;n.childNodes.length>t.block;)n.lastChild.remove();const o=lo("markdown").serialize(n,e),r=e.sourceEl.value,i=Math.min(r.length,o?o.length+2:0),l=r.indexOf("\n\n",i),a=Math.min(i+t.offset,-1===l?r.length:l);e.sourceEl.focus(),e.sourceEl.setSelectionRange(a,a),to(e,e.editorEl,e.sourceEl)}(e,l):eo(e,l)}po(e,"modechange",{mode:t,previous:n})}function Vn(e){if("wysiwyg"===e.mode||e.sourceDirty)return;const t=lo("markdown").serialize(ao(e),e);e.sourceEl.value!==t&&(e.sourceEl.value=t)}function Yn(e){if(clearTimeout(e.sourceTimer),e.sourceDirty){e.sourceDirty=!1,e.sourceSyncing=!0;try{so(e,e.sourceEl.value,"markdown")}finally{e.sourceSyncing=!1}}}function Zn(e){const t=Ao(e.editorEl);if(!t.rangeCount||!e.editorEl.contains(t.anchorNode))return{block:0,offset:0};if(t.anchorNode===e.editorEl)return{block:t.anchorOffset,offset:0};let n=t.anchorNode;for(;n.parentNode!==e.editorEl;)n=n.parentNode;const o=document.createRange();return o.selectNodeContents(n),o.setEnd(t.anchorNode,t.anchorOffset),{block:Array.prototype.indexOf.call(e.editorEl.childNodes,n),offset:o.toString().length}}function eo(e,t){e.editorEl.focus();const n=e.editorEl.childNodes[Math.min(t.block,e.editorEl.childNodes.length-1)];if(!n)return;const o=To([n],t.offset);o?So(o.node,o.offset):n.nodeType===Node.ELEMENT_NODE&&qt(n)}function to(e,t,n){if("split"!==e.mode)return;if(e.scrollLock===t)return void(e.scrollLock=null);const o=t.scrollHeight-t.clientHeight,r=Math.round((o>0?t.scrollTop/o:0)*(n.scrollHeight-n.clientHeight));Math.abs(n.scrollTop-r)<1||(e.scrollLock=n,n.scrollTop=r)}function no(e){const t=e&&"object"==typeof e?e:{scheme:e},n=t.scheme||"auto";if(!R.includes(n))throw new Error(`IchikEditor: Unknown theme "${n}"`);const o={};return Object.keys(t.tokens||{}).forEach(e=>{const n=e.startsWith("--")?e:"--ichik-"+e.replace(/[A-Z]/g,e=>"-"+e.toLowerCase());o[n]=String(t.tokens[e])}),{scheme:n,tokens:o}}function oo(e,t,n){n&&Object.keys(n.tokens).forEach(e=>t.style.removeProperty(e)),t.setAttribute("data-ichik-theme",e.theme.scheme),Object.keys(e.theme.tokens).forEach(n=>t.style.setProperty(n,e.theme.tokens[n]))}function ro(e){e.floatingLayerEl.style.left=-window.scrollX+"px",e.floatingLayerEl.style.top=-window.scrollY+"px"}function io(e,t,n){null===n?e.removeAttribute(t):e.setAttribute(t,n)}function lo(e){const t=Object.prototype.hasOwnProperty.call(j,e)?j[e]:null;if(!t)throw new Error(`IchikEditor: Unknown format "${e}"`);return t}function ao(e){Yn(e);const t=e.editorEl.cloneNode(!1);return t.innerHTML=Ue(e.editorEl.innerHTML,e.sanitizeSchema),t}function so(e,t,n){const o=lo(n);if("function"!=typeof o.parse)throw new Error(`IchikEditor: Format "${n}" can't be loaded`);e.sourceSyncing||(clearTimeout(e.sourceTimer),e.sourceDirty=!1);const r=o.parse(t,e);let i=r||"";if("string"!=typeof r){const e=document.createElement("div");r&&e.appendChild(r),i=e.innerHTML}e.editorEl.innerHTML=Ue(i,e.sanitizeSchema),me(e.editorEl),e.autosave&&!e.sourceSyncing&&(e.autosave.base=Mn(e)),e.collab&&(e.collab.loading=!e.sourceSyncing);try{go(e)}finally{e.collab&&(e.collab.loading=!1)}an(e)}function co(e,t,n,o){t.addEventListener(n,o),e.domListeners.push({target:t,type:n,handler:o})}function uo(e,t){oo(e,t,null),(e.floatingLayerEl||document.body).appendChild(t),e.floatingEls.push(t)}function po(e,t,n){(e.listeners[t]||[]).slice().forEach(t=>t.call(e,n))}function ho(e){e.sourceSyncing||Vn(e),An(e),Xn(e),In(e),$n(e),"find"===e.openPopup&&st(e),clearTimeout(e.changeTimer),e.changeTimer=setTimeout(()=>{Jn(e),po(e,"change")},e.changeDelay)}function mo(e){qn(e),function(e){const t=e.collab;t&&t.layerEl&&(cn(e,{type:"leave"}),t.unsubscribe&&t.unsubscribe(),t.observer.disconnect(),t.unsubscribe=null,t.layerEl=null,t.peers={})}(e),clearTimeout(e.changeTimer),clearTimeout(e.sourceTimer),clearTimeout(e.messageTimer),e.domListeners.forEach(e=>e.target.removeEventListener(e.type,e.handler)),e.floatingEls.forEach(e=>e.remove()),e.domListeners=[],e.floatingEls=[],e.listeners={},e.shadowRoot?(e.shadowRoot.innerHTML="<slot></slot>",e.inputEl&&e.inputEl.remove()):(e.container.innerHTML=e.originalHTML,e.container.removeAttribute("data-ichik-theme"),io(e.container,"class",e.originalClass),io(e.container,"style",e.originalStyle)),e.toolbarEl=null,e.editorEl=null,e.tooltipEl=null,e.emojiPickerEl=null,e.popupEl=null,e.tablePickerEl=null,e.tableMenuEl=null,e.messageEl=null,e.mentionEl=null,e.mentionState=null,e.mentionRequest++,e.linkBubbleEl=null,e.linkBubbleLink=null,e.linkBubbleDismissed=null,e.imageOverlayEl=null,e.imageToolbarEl=null,e.imageToolsTarget=null,e.imageResize=null,e.sourceEl=null,e.sourceDirty=!1,e.statusEl=null,e.statsObserver.disconnect(),e.statsObserver=null,e.contentStats=null,e.inputEl=null,e.uploads={},e.savedSelection=null,e.uiRefs={buttons:[],selects:[]}}function fo(e,t){e.history.locked=!0;try{t()}finally{e.history.locked=!1}go(e),an(e)}function go(e,t=!1){const n=e.history,o=Date.now(),r={html:e.editorEl.innerHTML,selection:yo(e),isTyping:t},i=n.stack[n.index];i&&i.html===r.html?i.selection=r.selection:(n.stack.length=n.index+1,t&&i&&i.isTyping&&o-n.lastTime<1e3?(r.collabOps=i.collabOps,n.stack[n.index]=r):(n.stack.push(r),n.stack.length>100&&n.stack.shift(),n.index=n.stack.length-1),n.lastTime=o,ho(e))}function bo(e,t){const n=e.history.index+t;return n>=0&&n<e.history.stack.length}function Eo(e,t){if(Yn(e),!bo(e,t))return!1;const n=e.history;e.collab&&An(e),e.collab&&t<0&&Nn(e,n.stack[n.index]),n.index+=t;const o=n.stack[n.index];return e.collab?(t>0&&Nn(e,o),o.html=e.editorEl.innerHTML):e.editorEl.innerHTML=o.html,function(e){e.editorEl.querySelectorAll(".ichik-upload").forEach(t=>{e.uploads[t.dataset.uploadId]||t.remove()})}(e),function(e,t){e.editorEl.focus();const n=document.createRange();try{n.setStart(vo(e.editorEl,t.start),t.startOffset),n.setEnd(vo(e.editorEl,t.end),t.endOffset)}catch(t){n.selectNodeContents(e.editorEl),n.collapse(!1)}const o=Ao(e.editorEl);o.removeAllRanges(),o.addRange(n)}(e,o.selection),an(e),ho(e),!0}function yo(e){const t=Ao(e.editorEl);if(!t||0===t.rangeCount)return null;const n=t.getRangeAt(0),o=ko(e.editorEl,n.startContainer),r=ko(e.editorEl,n.endContainer);return o&&r?{start:o,startOffset:n.startOffset,end:r,endOffset:n.endOffset}:null}function ko(e,t){const n=[];for(;t&&t!==e;){if(!t.parentNode)return null;n.unshift(Array.prototype.indexOf.call(t.parentNode.childNodes,t)),t=t.parentNode}return t===e?n:null}function vo(e,t){return t.reduce((e,t)=>e.childNodes[t],e)}function Ao(e){const t=e.getRootNode();return"function"==typeof t.getSelection?t.getSelection():window.getSelection()}function Co(e){const t=e.getRootNode();return void 0!==t.activeElement?t.activeElement:document.activeElement}function xo(e){const t=Ao(e.editorEl);if(t.rangeCount>0){let n=t.anchorNode;for(;n&&n!==e.editorEl;){if("A"===n.tagName)return n;n=n.parentNode}}return null}function No(e,t){const n=Ao(e.editorEl);if(!n.rangeCount||!e.editorEl.contains(n.anchorNode))return null;const o=(n.anchorNode.nodeType===Node.ELEMENT_NODE?n.anchorNode:n.anchorNode.parentNode).closest(t);return o&&e.editorEl.contains(o)&&o!==e.editorEl?o:null}function wo(e){const t=Ao(e.editorEl);if(0===t.rangeCount)return null;const n=t.getRangeAt(0);if(t.anchorNode&&"IMG"===t.anchorNode.tagName)return t.anchorNode;if(n.startContainer===n.endContainer&&n.endOffset-n.startOffset===1){const e=n.startContainer.childNodes[n.startOffset];if(e&&"IMG"===e.tagName)return e}return null}function To(e,t){let n=t;for(const t of e){const e=document.createTreeWalker(t,NodeFilter.SHOW_TEXT);let o=t.nodeType===Node.TEXT_NODE?t:e.nextNode();for(;o;){if(n<=o.textContent.length)return{node:o,offset:n};n-=o.textContent.length,o=e.nextNode()}}return null}function So(e,t){const n=document.createRange();n.setStart(e,t),n.collapse(!0);const o=Ao(e);o.removeAllRanges(),o.addRange(n)}function Lo(e){const t=document.createRange();t.selectNode(e);const n=Ao(e);n.removeAllRanges(),n.addRange(t)}function Ro(e){const t=Ao(e.editorEl);if(t.rangeCount>0&&e.editorEl.contains(t.anchorNode))e.savedSelection=t.getRangeAt(0);else{e.editorEl.focus();const n=document.createRange();n.selectNodeContents(e.editorEl),n.collapse(!1),t.removeAllRanges(),t.addRange(n),e.savedSelection=n}}function $o(e){if(e.editorEl.focus(),e.savedSelection){const t=Ao(e.editorEl);t.removeAllRanges(),t.addRange(e.savedSelection)}}function Oo(e,t){for(const n in t)t[n]instanceof Object&&n in e&&Object.assign(t[n],Oo(e[n],t[n]));return Object.assign(e||{},t),e}class jo{constructor(t,n={}){let o=document.getElementById(t);if(o||(o=document.querySelector(t)),!o)throw new Error(`IchikEditor: Element not found (${t})`);var l;this.hostEl=o,this.container=o,this.originalHTML=o.innerHTML,this.originalClass=o.getAttribute("class"),this.originalStyle=o.getAttribute("style"),this.labels=JSON.parse(JSON.stringify(r)),n.labels&&Oo(this.labels,n.labels),this.urlPolicy=P(n),this.sanitizeSchema=function(e={},t=P({})){const n={tags:{},urlPolicy:t,urlAttrs:O.urlAttrs.concat((e.urlAttrs||[]).map(e=>e.toLowerCase())),aliases:Object.assign({},O.aliases),dropContent:O.dropContent.slice()};return Object.keys(O.tags).forEach(e=>n.tags[e]=O.tags[e].slice()),Object.keys(e.tags||{}).forEach(t=>{const o=t.toUpperCase(),r=e.tags[t].map(e=>e.toLowerCase());n.tags[o]=(n.tags[o]||[]).concat(r),delete n.aliases[o]}),n}(n.sanitize,this.urlPolicy),this.toolbarLayout=function(e){const t=[];return e.forEach(e=>{Array.isArray(e)?t.push("|",...e,"|"):t.push(e)}),t}(n.toolbar||$),this.commands={},this.keymap=function(e={}){const t={},n=e=>Object.keys(e).forEach(n=>{const o=function(e){const t=e.split("-"),n=t.pop(),o=t.map(e=>e.toLowerCase());return["Mod","Alt","Shift"].filter(e=>o.includes(e.toLowerCase())).concat(1===n.length?n.toUpperCase():n).join("-")}(n);e[n]?t[o]=e[n]:delete t[o]});return n(b),n(e),t}(n.keymap),this.inputRules=function(e={}){if(!1===e)return{};const t=Object.assign({},E);return Object.keys(e).forEach(n=>{e[n]?t[n]=e[n]:delete t[n]}),t}(n.inputRules),this.inputRuleStep=null,Object.keys(n.commands||{}).forEach(e=>this.commands[e]=n.commands[e]),this.toolbarEl=null,this.editorEl=null,this.sourceEl=null,this.tooltipEl=null,this.emojiPickerEl=null,this.popupEl=null,this.tablePickerEl=null,this.tableMenuEl=null,this.tableSize={rows:1,cols:1},this.linkBubbleEl=null,this.linkBubbleLink=null,this.linkBubbleDismissed=null,this.imageOverlayEl=null,this.imageToolbarEl=null,this.imageToolsTarget=null,this.imageResize=null,this.messageEl=null,this.messageTimer=null,this.maxLength=n.maxLength||0,this.maxImages=n.maxImages||0,this.required=!!n.required,this.countBy=n.countBy||"text",this.statusBar=void 0!==n.statusBar?!!n.statusBar:!!this.maxLength,this.statusEl=null,this.contentStats=null,this.statsObserver=null,this.inputName=n.name||null,this.inputFormat=n.inputFormat||"markdown",this.inputEl=null,this.readOnly=!!n.readOnly,this.disabled=!!n.disabled,this.collab=function(e,t){if(!t||!t.transport)return null;const n=Math.random().toString(36).slice(2,10),o=t.user||{};return{transport:t.transport,site:n,user:{name:o.name||e.labels.collab.guest,color:o.color||sn(n)},clock:0,items:[],byId:{},lastIndex:0,view:null,segments:new Map,blocks:new WeakMap,observer:null,loading:!1,pending:[],applying:!1,peers:{},lastCursor:null,layerEl:null,unsubscribe:null}}(this,n.collaboration),this.autosave=function(e,t){if(!t)return null;!0===t&&(t={});const n=t.key||(e.hostEl.id?window.location.pathname+"#"+e.hostEl.id:null);if(!n)throw new Error("IchikEditor: autosave needs a 'key' (or an element with an id)");let o=t.storage||"localStorage";if("string"==typeof o){if(!Object.prototype.hasOwnProperty.call(m,o))throw new Error(`IchikEditor: Unknown draft storage "${o}"`);o=m[o]()}return{key:n,storage:o,interval:void 0!==t.interval?t.interval:1e3,ttl:void 0!==t.ttl?t.ttl:6048e5,queue:Promise.resolve(),ready:!1,base:"",draft:null,position:{block:0,offset:0},timer:null,bannerEl:null}}(this,n.autosave),this.uploadImage="function"==typeof n.uploadImage?n.uploadImage:null,this.imageTypes=n.imageTypes||i,this.maxImageSize=n.maxImageSize||5242880,this.uploads={},this.uploadCount=0,this.mentions=function(e={}){const t={};return Object.keys(e).forEach(n=>{const o=e[n]||{};if(!w.test(n)||"function"!=typeof o.source)throw new Error(`IchikEditor: Mention trigger "${n}" must be one symbol with a source() function`);t[n]={source:o.source,markdown:o.markdown||T,minChars:o.minChars||0}}),t}(n.mentions),this.mentionPatterns=(l=this.mentions,Object.keys(l).map(e=>{const t=l[e].markdown;if("string"!=typeof t)return null;const n=[],o=t.split(/(\{(?:trigger|label|id)\})/).map((t,o,r)=>{const i=t.match(/^\{(trigger|label|id)\}$/);if(!i)return t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");if("trigger"===i[1])return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");n.push(i[1]);const l=o>=r.length-2&&!r[o+1],a=l?"(?=[.,;:!?)\\]*~_]*(?:\\s|$))":"";return"label"===i[1]?(l?"((?:\\\\.|[^\\\\\\s])+?)":"((?:\\\\.|[^\\\\\\n])+?)")+a:"(\\S+?)"+a}).join(""),r=t.replace(/\{trigger\}/g,e)[0];return r&&"{"!==r?{trigger:e,first:r,regex:new RegExp("^"+o),keys:n}:null}).filter(Boolean)),this.mentionEl=null,this.mentionState=null,this.mentionRequest=0,this.emojiCategories=function(t={}){return(t.categories||e).concat(t.extraCategories||[]).map(e=>({id:e.id,icon:e.icon||"",label:e.label,emojis:e.emojis.map(e=>Array.isArray(e)?{char:e[0],name:e[1]||"",keywords:e[2]||"",skinTone:!!e[3]}:{char:e.char,name:e.name||"",keywords:e.keywords||"",skinTone:!!e.skinTone})}))}(n.emojis),this.emojiState={category:null,query:"",tone:""},this.emojiInline=null,this.savedSelection=null,this.forcePlainPaste=!1,this.findState={query:"",replacement:"",caseSensitive:!1,wholeWord:!1,regex:!1,matches:[],index:-1,capped:!1,anchor:null,highlighted:[]},this.findLayerEl=null,this.history={stack:[],index:-1,lastTime:0,locked:!1},this.listeners={},this.domListeners=[],this.floatingEls=[],this.openPopup=null,this.changeTimer=null,this.changeDelay=void 0!==n.changeDelay?n.changeDelay:300,this.uiRefs={buttons:[],selects:[]},this.mode="wysiwyg",this.sourceDirty=!1,this.sourceSyncing=!1,this.sourceTimer=null,this.scrollLock=null,this.theme=no(n.theme),this.shadowRoot=null,this.floatingLayerEl=null,n.shadow&&(this.container=function(e,t){const n=e.hostEl,o=n.shadowRoot||n.attachShadow({mode:"open"});o.innerHTML="",(Array.isArray(t.stylesheets)?t.stylesheets:Array.from(document.querySelectorAll('link[rel~="stylesheet"][href*="ichik-editor"]')).map(e=>e.href)).forEach(e=>{const t=document.createElement("link");t.rel="stylesheet",t.href=e,o.appendChild(t)});const r=document.createElement("div");return o.appendChild(r),e.floatingLayerEl=document.createElement("div"),e.floatingLayerEl.className="ichik-floating-layer",o.appendChild(e.floatingLayerEl),e.shadowRoot=o,r}(this,n.shadow)),Fe(this),n.mode&&Qn(this,n.mode)}getMarkdown(){return this.getContent("markdown")}getMentions(){return this.editorEl?(Yn(this),Array.from(this.editorEl.querySelectorAll("span[data-mention]")).map(He)):[]}getHTML(){return this.getContent("html")}setHTML(e){this.setContent(e,"html")}setMarkdown(e){this.setContent(e,"markdown")}getContent(e="markdown"){return this.editorEl?lo(e).serialize(ao(this),this):""}setContent(e,t=("string"==typeof e?"html":"json")){this.editorEl&&so(this,e,t)}setMode(e){return this.editorEl&&Qn(this,e),this}getMode(){return this.mode}setTheme(e){return this.editorEl&&function(e,t){const n=e.theme;e.theme=no(t),[e.container].concat(e.floatingEls).forEach(t=>oo(e,t,n))}(this,e),this}undo(){return Eo(this,-1)}redo(){return Eo(this,1)}canUndo(){return bo(this,-1)}canRedo(){return bo(this,1)}on(e,t){return(this.listeners[e]=this.listeners[e]||[]).push(t),this}off(e,t){return this.listeners[e]&&(this.listeners[e]=this.listeners[e].filter(e=>e!==t)),this}registerCommand(e,t){if(!t||"function"!=typeof t.exec)throw new Error(`IchikEditor: Command "${e}" needs an exec() function`);return this.commands[e]=t,this.toolbarEl&&(Ge(this,this.toolbarEl),an(this)),this}registerInputRule(e,t){if(null===t)return delete this.inputRules[e],this;if(!function(e){return!(!e||!(e.match&&"function"==typeof e.match.exec&&(e.command||"function"==typeof e.handler)||e.delimiter&&e.wrap))}(t))throw new Error(`IchikEditor: Input rule "${e}" needs 'match' with 'command' or 'handler', or 'delimiter' with 'wrap'`);return this.inputRules[e]=t,this}validate(){return this.editorEl?Gn(this):[]}setReadOnly(e=!0){return this.readOnly=!!e,this.editorEl&&Un(this),this}isReadOnly(){return this.readOnly}disable(){return this.disabled=!0,this.editorEl&&Un(this),this}enable(){return this.disabled=!1,this.editorEl&&Un(this),this}isEnabled(){return!this.disabled}clearDraft(){return this.autosave?function(e){const t=e.autosave;return clearTimeout(t.timer),t.timer=null,e.editorEl&&(Dn(e),t.base=Mn(e)),On(e,"remove",t.key).then(()=>{})}(this):Promise.resolve()}destroy(){this.editorEl&&mo(this)}static createLoopback(e){return function(e={}){const t=[];return{connect(){const n={callbacks:[]};return t.push(n),{send(o){const r=JSON.stringify(o);t.forEach(t=>{t!==n&&setTimeout(()=>t.callbacks.forEach(e=>e(JSON.parse(r))),e.latency||0)})},onReceive:e=>(n.callbacks.push(e),()=>{n.callbacks=n.callbacks.filter(t=>t!==e)})}}}}(e)}static registerFormat(e,t){const n="function"==typeof t?{serialize:t}:t;if(!e||!n||"function"!=typeof n.serialize)throw new Error(`IchikEditor: Format "${e}" needs a serialize() function`);return j[e]=n,jo}}return jo}();
\ No newline at end of file
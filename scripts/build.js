@@ -0,0 +1,36 @@
+'use strict';
+/**
+ * Builds the minified bundles (ichik-editor-1.0.0.min.js/.min.css) from the sources.
+ * Run with `npm run build` after changing ichik-editor-1.0.0.js or .css.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { minify } = require('terser');
+const CleanCSS = require('clean-css');
+
+const ROOT = path.join(__dirname, '..');
+const NAME = 'ichik-editor-1.0.0';
+
+function banner(title) {
+    return `/**\n * ${title} (c) 2025 Sebastian Wilson T. https://github.com/swilsont/ichik-editor\n * Licensed under the MIT License.\n */\n`;
+}
+
+// The sources use Windows line endings, and so do the bundles
+function write(file, text) {
+    fs.writeFileSync(path.join(ROOT, file), text.replace(/\r?\n/g, '\r\n'));
+}
+
+async function build() {
+    const js = fs.readFileSync(path.join(ROOT, `${NAME}.js`), 'utf8');
+    const result = await minify(js, { compress: true, mangle: true, format: { comments: false } });
+    write(`${NAME}.min.js`, banner('IchikEditor.js') + result.code);
+
+    const css = new CleanCSS({ level: 1 }).minify(fs.readFileSync(path.join(ROOT, `${NAME}.css`), 'utf8'));
+    if (css.errors.length) throw new Error(css.errors.join('\n'));
+    write(`${NAME}.min.css`, banner('IchikEditor.css') + css.styles);
+}
+
+build().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,207 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, typeText } = require('./helpers');
+
+const wait = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Waits for 'check' to return true (IndexedDB requests take a few turns of the event loop). */
+async function until(check) {
+    for (let i = 0; i < 200 && !check(); i++) await wait();
+}
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * New page with 'drafts' already in localStorage, and an editor saving right away (interval 0).
+ */
+function setup(autosave = {}, drafts = {}) {
+    const window = createPage();
+    Object.keys(drafts).forEach(key => window.localStorage.setItem('ichik-draft:' + key, JSON.stringify(drafts[key])));
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, autosave: Object.assign({ key: 'post', interval: 0 }, autosave) });
+    return { window, editor };
+}
+
+const stored = (window, key = 'post') => JSON.parse(window.localStorage.getItem('ichik-draft:' + key));
+const banner = (editor) => editor.container.querySelector('.ichik-draft-banner');
+
+/**
+ * In-memory window.indexedDB with the calls the IndexedDB storage makes. Requests succeed asynchronously.
+ */
+function fakeIndexedDb(window) {
+    const db = { stores: new Map(), opened: [] };
+    const request = (fn) => {
+        const req = {};
+        setImmediate(() => {
+            req.result = fn();
+            req.onsuccess();
+        });
+        return req;
+    };
+    const database = {
+        createObjectStore: (name) => db.stores.set(name, new Map()),
+        transaction: (name) => ({
+            objectStore: () => {
+                const store = db.stores.get(name);
+                return {
+                    get: (key) => request(() => store.get(key)),
+                    put: (value, key) => request(() => store.set(key, JSON.parse(JSON.stringify(value)))),
+                    delete: (key) => request(() => store.delete(key)),
+                    getAllKeys: () => request(() => Array.from(store.keys()))
+                };
+            }
+        })
+    };
+    window.indexedDB = {
+        open: (name, version) => {
+            db.opened.push([name, version]);
+            const req = {};
+            setImmediate(() => {
+                req.result = database;
+                if (!db.stores.size) req.onupgradeneeded();
+                req.onsuccess();
+            });
+            return req;
+        }
+    };
+    return db;
+}
+
+test('edits are saved with the caret, and content equal to the loaded one is not a draft', async () => {
+    const { window, editor } = setup();
+    editor.setHTML('<p>saved</p>');
+    await wait();
+    assert.equal(stored(window), null);
+
+    const text = editor.editorEl.querySelector('p').firstChild;
+    typeText(editor, text, 5, '!');
+    await wait();
+    const draft = stored(window);
+    assert.equal(draft.content, '<p>saved!</p>');
+    assert.deepEqual(draft.position, { block: 0, offset: 6 });
+    assert.ok(Math.abs(Date.now() - draft.savedAt) < 1000);
+
+    text.deleteData(5, 1);
+    editor.editorEl.dispatchEvent(new window.InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true }));
+    await wait();
+    assert.equal(stored(window), null, 'back to the loaded content');
+});
+
+test('a stored draft is offered in a banner, and restored as an undo step', async () => {
+    const { window, editor } = setup({}, { post: { content: '<p>one</p><p>draft</p>', position: { block: 1, offset: 2 }, savedAt: Date.now() } });
+    editor.editorEl.tabIndex = 0; // jsdom only focuses a contenteditable element with a tabindex
+    editor.setHTML('<p>saved</p>');
+    await wait();
+    assert.match(banner(editor).textContent, /^You have an unsaved draft/);
+
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 0, 'x');
+    await wait();
+    assert.equal(stored(window).content, '<p>one</p><p>draft</p>', 'nothing is saved until the banner is answered');
+
+    banner(editor).querySelector('.ichik-draft-restore').click();
+    assert.equal(banner(editor), null);
+    assert.equal(editor.getHTML(), '<p>one</p><p>draft</p>');
+    const sel = window.getSelection();
+    assert.deepEqual([sel.anchorNode, sel.anchorOffset], [editor.editorEl.childNodes[1].firstChild, 2]);
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>xsaved</p>');
+});
+
+test('discarding a draft removes it, and saves the edits made meanwhile', async () => {
+    const { window, editor } = setup({}, { post: { content: '<p>draft</p>', savedAt: Date.now() } });
+    editor.setHTML('<p>saved</p>');
+    await wait();
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 0, 'x');
+    banner(editor).querySelector('.ichik-draft-discard').click();
+    assert.equal(banner(editor), null);
+    await wait();
+    assert.equal(stored(window).content, '<p>xsaved</p>');
+});
+
+test('drafts older than the TTL are removed, for every editor', async () => {
+    const old = Date.now() - 8 * DAY;
+    const { window, editor } = setup({}, {
+        post: { content: '<p>old</p>', savedAt: old },
+        other: { content: '<p>old too</p>', savedAt: old },
+        recent: { content: '<p>recent</p>', savedAt: Date.now() - DAY }
+    });
+    window.localStorage.setItem('unrelated', '1');
+    await wait();
+    assert.equal(banner(editor), null);
+    assert.deepEqual([stored(window), stored(window, 'other'), stored(window, 'recent').content], [null, null, '<p>recent</p>']);
+    assert.equal(window.localStorage.getItem('unrelated'), '1');
+
+    const forever = setup({ ttl: 0 }, { post: { content: '<p>old</p>', savedAt: old } });
+    await wait();
+    assert.ok(banner(forever.editor), 'ttl: 0 keeps drafts forever');
+});
+
+test('clearDraft() removes the draft and its banner, and the content counts as saved', async () => {
+    const { window, editor } = setup({ interval: 1000 }, { post: { content: '<p>draft</p>', savedAt: Date.now() } });
+    editor.setHTML('<p>saved</p>');
+    await wait();
+    assert.ok(banner(editor));
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 0, 'x');
+
+    assert.equal(await editor.clearDraft(), undefined);
+    assert.equal(banner(editor), null);
+    assert.equal(stored(window), null);
+    editor.destroy(); // Saves pending edits: there are none
+    await wait();
+    assert.equal(stored(window), null);
+});
+
+test('pending edits are saved on destroy(), and storage errors never break editing', async () => {
+    const drafts = new Map();
+    const { window, editor } = setup({
+        interval: 1000,
+        storage: {
+            get: async (key) => drafts.get(key) || null,
+            set: (key, draft) => {
+                if (draft.content.includes('full')) throw new Error('QuotaExceededError');
+                drafts.set(key, draft);
+            },
+            remove: (key) => drafts.delete(key)
+        }
+    });
+    editor.setHTML('<p>text</p>');
+    await wait();
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 4, ' full');
+    window.dispatchEvent(new window.Event('pagehide'));
+    await wait();
+    assert.equal(drafts.size, 0);
+
+    editor.setHTML('<p>other</p>');
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 5, '!');
+    editor.destroy();
+    await wait();
+    assert.equal(drafts.get('post').content, '<p>other!</p>');
+});
+
+test('the IndexedDB storage saves and restores drafts', async () => {
+    const window = createPage();
+    const db = fakeIndexedDb(window);
+    const first = new window.IchikEditor('editor', { changeDelay: 0, autosave: { key: 'post', storage: 'indexedDB', interval: 0 } });
+    first.setHTML('<p>saved</p>');
+    typeText(first, first.editorEl.querySelector('p').firstChild, 5, '!');
+    const saved = () => db.stores.size && db.stores.get('drafts').get('post');
+    await until(saved);
+    assert.deepEqual(db.opened, [['ichik-editor', 1]]);
+    assert.equal(saved().content, '<p>saved!</p>');
+    first.destroy();
+
+    window.document.body.innerHTML = '<div id="editor"></div>';
+    const second = new window.IchikEditor('editor', { changeDelay: 0, autosave: { key: 'post', storage: 'indexedDB', interval: 0 } });
+    second.setHTML('<p>saved</p>');
+    await until(() => banner(second));
+    banner(second).querySelector('.ichik-draft-restore').click();
+    assert.equal(second.getHTML(), '<p>saved!</p>');
+});
+
+test('autosave needs a key, and a known storage', () => {
+    const window = createPage('<div class="no-id"></div><div id="editor"></div>');
+    assert.throws(() => new window.IchikEditor('.no-id', { autosave: true }), /autosave needs a 'key'/);
+    assert.throws(() => new window.IchikEditor('editor', { autosave: { storage: 'cookies' } }), /Unknown draft storage "cookies"/);
+
+    const editor = new window.IchikEditor('editor', { autosave: true });
+    assert.equal(editor.autosave.key, '/#editor');
+});
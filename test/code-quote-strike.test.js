@@ -0,0 +1,114 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+/**
+ * Editor with 'html' whose execCommand() calls are recorded.
+ */
+function setup(html) {
+    const { window, editor } = createEditor();
+    editor.setHTML(html);
+    const calls = [];
+    window.document.execCommand = (cmd, ui, value) => {
+        calls.push([cmd, value]);
+        return true;
+    };
+    const click = (name) => editor.toolbarEl.querySelector(`[data-name="${name}"]`).click();
+    return { window, editor, calls, click };
+}
+
+function select(window, node, start, end) {
+    const range = window.document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+}
+
+function enter(window, editor) {
+    editor.editorEl.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+}
+
+test('the code button wraps the selected text in <code>', () => {
+    const { window, editor, calls, click } = setup('<p>a &lt;b&gt; c</p>');
+    select(window, editor.editorEl.querySelector('p').firstChild, 2, 5);
+    click('code');
+    assert.deepEqual(calls, [['insertHTML', '<code>&lt;b&gt;</code>']]);
+});
+
+test('the code button unwraps the code at the caret, as one undo step', () => {
+    const { window, editor, click } = setup('<p>a <code>x + y</code> b</p>');
+    setCaret(window, editor.editorEl.querySelector('code').firstChild, 1);
+    click('code');
+    assert.equal(editor.getHTML(), '<p>a x + y b</p>');
+    assert.equal(window.getSelection().toString(), 'x + y');
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>a <code>x + y</code> b</p>');
+});
+
+test('inline code does nothing in a code block or without a selection', () => {
+    const { window, editor, calls, click } = setup('<p>text</p><pre>code</pre>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 1);
+    click('code');
+    select(window, editor.editorEl.querySelector('pre').firstChild, 0, 2);
+    click('code');
+    assert.deepEqual(calls, []);
+});
+
+test('the quote button adds a quote, or removes the one at the caret', () => {
+    const { window, editor, calls, click } = setup('<p>text</p><blockquote>loose <b>bold</b><p>para</p></blockquote>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 1);
+    click('quote');
+    assert.deepEqual(calls, [['formatBlock', '<blockquote>']]);
+
+    setCaret(window, editor.editorEl.querySelector('blockquote p').firstChild, 1);
+    click('quote');
+    assert.equal(editor.getHTML(), '<p>text</p><p>loose <strong>bold</strong></p><p>para</p>', 'loose text gets a paragraph');
+});
+
+test('the code block button makes a code block, and edits the language inside one', () => {
+    const { window, editor, calls, click } = setup('<p>text</p><pre>a\nb</pre>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 1);
+    click('codeBlock');
+    assert.deepEqual(calls, [['formatBlock', 'PRE']]);
+
+    setCaret(window, editor.editorEl.querySelector('pre').firstChild, 1);
+    click('codeBlock');
+    assert.equal(editor.openPopup, 'code');
+    editor.popupEl.querySelector('#ichik-inp-lang').value = 'c++ <x>';
+    editor.popupEl.querySelector('#ichik-btn-save').click();
+    assert.equal(editor.getMarkdown(), 'text\n\n```c++x\na\nb\n```');
+
+    click('codeBlock');
+    editor.popupEl.querySelector('#ichik-btn-remove').click();
+    assert.equal(editor.getHTML(), '<p>text</p><p>a</p><p>b</p>', 'one paragraph per line');
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>text</p><pre><code class="language-c++x">a\nb</code></pre>');
+});
+
+test('Enter adds a line in a code block, and leaves it on an empty last line', () => {
+    const { window, editor, calls } = setup('<pre>a</pre>');
+    const pre = editor.editorEl.querySelector('pre');
+    setCaret(window, pre.firstChild, 1);
+    enter(window, editor);
+    assert.deepEqual(calls, [['insertLineBreak', null]]);
+
+    pre.textContent = 'a\n';
+    setCaret(window, pre.firstChild, 2);
+    enter(window, editor);
+    assert.equal(editor.editorEl.innerHTML, '<pre>a</pre><p><br></p>');
+    assert.equal(window.getSelection().anchorNode, editor.editorEl.querySelector('p'));
+});
+
+test('strikethrough runs the native command and is exported as ~~', () => {
+    const { window, editor, calls, click } = setup('<p><s>a</s> <del>b</del> <strike>c</strike></p>');
+    assert.equal(editor.getMarkdown(), '~~a~~ ~~b~~ ~~c~~');
+    setCaret(window, editor.editorEl.querySelector('p').lastChild.firstChild, 1);
+    click('strike');
+    editor.editorEl.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'X', code: 'KeyX', ctrlKey: true, shiftKey: true, bubbles: true }));
+    assert.deepEqual(calls, [['strikeThrough', null], ['strikeThrough', null]]);
+
+    editor.setMarkdown('~~gone~~ and `code ~~not~~`');
+    assert.equal(editor.getHTML(), '<p><s>gone</s> and <code>code ~~not~~</code></p>');
+});
@@ -0,0 +1,187 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, setCaret, typeText } = require('./helpers');
+
+/**
+ * Page with 'count' editors connected through a loopback hub.
+ */
+function createPeers(count = 2) {
+    const ids = Array.from({ length: count }, (_, i) => 'e' + i);
+    const window = createPage(ids.map(id => `<div id="${id}"></div>`).join(''));
+    const hub = window.IchikEditor.createLoopback();
+    const connect = (id) => new window.IchikEditor(id, { changeDelay: 0, collaboration: { transport: hub.connect(), user: { name: id } } });
+    return { window, hub, connect, editors: ids.map(connect) };
+}
+
+/** Lets the loopback deliver every message (it sends them with setTimeout). */
+async function settle() {
+    for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function textOf(editor) {
+    return editor.editorEl.querySelector('p').firstChild;
+}
+
+test('content loaded on one editor reaches the others', async () => {
+    const { editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello <strong>world</strong></p><ul><li>item</li></ul>');
+    await settle();
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('concurrent typing in the same paragraph keeps both edits', async () => {
+    const { editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello world</p>');
+    await settle();
+    typeText(a, textOf(a), 5, ',');   // Not delivered yet...
+    typeText(b, textOf(b), 11, '!');  // ...when this one is typed
+    await settle();
+    assert.equal(a.getHTML(), '<p>hello, world!</p>');
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('concurrent typing at the same place converges', async () => {
+    const { editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello</p>');
+    await settle();
+    typeText(a, textOf(a), 0, 'ab');
+    typeText(b, textOf(b), 0, 'cd');
+    await settle();
+    assert.match(a.getHTML(), /^<p>(abcd|cdab)hello<\/p>$/);
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('formatting and typing in the same paragraph merge', async () => {
+    const { window, editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello world</p>');
+    await settle();
+    // a makes 'hello' bold, b types at the end
+    const text = textOf(a);
+    const strong = window.document.createElement('strong');
+    strong.textContent = 'hello';
+    text.data = ' world';
+    text.before(strong);
+    a.editorEl.dispatchEvent(new window.InputEvent('input', { inputType: 'formatBold', bubbles: true }));
+    typeText(b, textOf(b), 11, '!');
+    await settle();
+    assert.equal(a.getHTML(), '<p><strong>hello</strong> world!</p>');
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('concurrent attribute changes keep one element', async () => {
+    const { window, editors: [a, b] } = createPeers();
+    a.setHTML('<ul data-type="task"><li data-checked="false">task</li></ul>');
+    await settle();
+    a.editorEl.querySelector('li').dispatchEvent(new window.MouseEvent('mousedown', { bubbles: true, button: 0 }));
+    for (const editor of [a, b]) {
+        editor.editorEl.querySelector('li').setAttribute('data-checked', 'true');
+        editor.editorEl.dispatchEvent(new window.InputEvent('input', { bubbles: true }));
+    }
+    await settle();
+    assert.equal(a.getHTML(), '<ul data-type="task"><li data-checked="true">task</li></ul>');
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('undo only reverts this editor\'s edits, even in the same paragraph', async () => {
+    const { editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello world</p>');
+    await settle();
+    typeText(a, textOf(a), 5, ',');
+    await settle();
+    typeText(b, textOf(b), 12, '!');
+    await settle();
+    assert.equal(a.getHTML(), '<p>hello, world!</p>');
+
+    a.undo();
+    await settle();
+    assert.equal(a.getHTML(), '<p>hello world!</p>');
+    assert.equal(b.getHTML(), a.getHTML());
+
+    a.redo();
+    await settle();
+    assert.equal(a.getHTML(), '<p>hello, world!</p>');
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('undoing a deletion brings the text back between the edits of others', async () => {
+    const { editors: [a, b] } = createPeers();
+    a.setHTML('<p>one two three</p>');
+    await settle();
+    const text = textOf(a);
+    text.deleteData(3, 4); // ' two'
+    setCaret(a.editorEl.ownerDocument.defaultView, text, 3);
+    a.editorEl.dispatchEvent(new a.editorEl.ownerDocument.defaultView.InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true }));
+    await settle();
+    typeText(b, textOf(b), 0, '>');
+    typeText(b, textOf(b), 10, '<');
+    await settle();
+    assert.equal(b.getHTML(), '<p>&gt;one three&lt;</p>');
+
+    a.undo();
+    await settle();
+    assert.equal(a.getHTML(), '<p>&gt;one two three&lt;</p>');
+    assert.equal(b.getHTML(), a.getHTML());
+});
+
+test('an editor that joins later gets the document', async () => {
+    const { window, connect, editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello world</p>');
+    await settle();
+    typeText(b, textOf(b), 5, ',');
+    textOf(a).deleteData(0, 1);
+    a.editorEl.dispatchEvent(new a.editorEl.ownerDocument.defaultView.InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true }));
+    await settle();
+    const el = window.document.createElement('div');
+    el.id = 'late';
+    window.document.body.appendChild(el);
+    const c = connect('late');
+    await settle();
+    assert.equal(a.getHTML(), '<p>ello, world</p>');
+    assert.equal(c.getHTML(), a.getHTML());
+    typeText(c, textOf(c), 0, 'H');
+    await settle();
+    assert.equal(a.getHTML(), '<p>Hello, world</p>');
+});
+
+test('remote ops are validated and sanitized', async () => {
+    const { window, hub, editors: [a] } = createPeers(1);
+    a.setHTML('<p>x</p>');
+    await settle();
+    const evil = hub.connect();
+    const insert = (clock, origin, value) => ({ type: 'insert', id: clock + '@evil', clock, site: 'evil', origin, value, version: { clock, site: 'evil' } });
+    const last = a.collab.items[a.collab.items.length - 1].id;
+    evil.send({ type: 'ops', site: 'evil', ops: [
+        insert(100, last, '<img src="x" onerror="window.pwned = true">'),
+        insert(101, '100@evil', '<script>'),
+        insert(102, '101@evil', 'window.pwned = true'), // Not a single character
+        insert(103, '100@evil', '<a href="javascript:alert(1)">'),
+        insert(104, '103@evil', 'y'),
+        { type: 'insert', id: '__proto__', clock: 1, site: 'evil', origin: null, value: 'z', version: { clock: 1, site: 'evil' } }
+    ] });
+    await settle();
+    assert.doesNotMatch(a.editorEl.innerHTML, /onerror|script|javascript|z/);
+    assert.match(a.getHTML(), /^<p>x<\/p><img src="https:\/\/x">y$/);
+    assert.equal(window.pwned, undefined);
+});
+
+test('remote carets follow the text they are in', async () => {
+    const { window, editors: [a, b] } = createPeers();
+    a.setHTML('<p>hello world</p>');
+    await settle();
+    setCaret(window, textOf(a), 5); // After 'hello'
+    window.document.dispatchEvent(new window.Event('selectionchange'));
+    await settle();
+    typeText(b, textOf(b), 0, '>> ');
+    await settle();
+    assert.ok(b.container.querySelector('.ichik-remote-caret'), 'caret drawn');
+
+    // b's caret after 'hello' (now at 8) is the same position as a's
+    setCaret(window, textOf(b), 8);
+    window.document.dispatchEvent(new window.Event('selectionchange'));
+    await settle();
+    const seenByA = a.collab.peers[b.collab.site].selection;
+    const seenByB = b.collab.peers[a.collab.site].selection;
+    assert.equal(seenByA.focus.id, seenByB.focus.id);
+    assert.equal(b.collab.byId[seenByB.focus.id].value, 'o');
+});
@@ -0,0 +1,37 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, setCaret } = require('./helpers');
+
+test('read-only hides the toolbar with a class, so an empty toolbar stays hidden', () => {
+    const window = createPage('<div id="editor"></div><div id="full"></div>');
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, toolbar: [] });
+    assert.equal(editor.toolbarEl.style.display, 'none');
+    editor.setReadOnly(true);
+    assert.ok(editor.container.classList.contains('ichik-readonly'));
+    editor.setReadOnly(false);
+    assert.ok(!editor.container.classList.contains('ichik-readonly'));
+    assert.equal(editor.toolbarEl.style.display, 'none');
+
+    const full = new window.IchikEditor('full', { changeDelay: 0 });
+    full.setReadOnly(true);
+    full.setReadOnly(false);
+    assert.equal(full.toolbarEl.style.display, '');
+});
+
+for (const [name, lock] of [['setReadOnly(true)', (editor) => editor.setReadOnly(true)], ['disable()', (editor) => editor.disable()]]) {
+    test(`${name} closes popups without moving the focus`, () => {
+        const window = createPage('<div id="editor"></div><button id="save">Save</button>');
+        const editor = new window.IchikEditor('editor', { changeDelay: 0 });
+        editor.setHTML('<p>text</p>');
+        setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+        editor.toolbarEl.querySelector('[data-name="link"]').click();
+        assert.equal(editor.openPopup, 'link');
+
+        const save = window.document.getElementById('save');
+        save.focus();
+        lock(editor);
+        assert.equal(editor.openPopup, null);
+        assert.equal(window.document.activeElement, save);
+    });
+}
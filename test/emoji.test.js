@@ -0,0 +1,149 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor, setCaret, typeText } = require('./helpers');
+
+/**
+ * Opens the picker from the toolbar. jsdom has no insertText: inserted emojis are recorded.
+ */
+function openPicker(window, editor) {
+    const inserted = [];
+    window.document.execCommand = (cmd, ui, value) => {
+        if (cmd === 'insertText') inserted.push(value);
+        return true;
+    };
+    editor.toolbarEl.querySelector('[data-name="emoji"]').click();
+    return { picker: editor.emojiPickerEl, inserted: inserted };
+}
+
+const chars = (container) => Array.from(container.querySelectorAll('.ichik-emoji-item')).map(item => item.dataset.char);
+
+function search(picker, query) {
+    const input = picker.querySelector('.ichik-emoji-search');
+    input.value = query;
+    input.dispatchEvent(new input.ownerDocument.defaultView.Event('input'));
+}
+
+const TEAM = { id: 'team', icon: '🦙', label: 'Team', emojis: [['🦙', 'ichik', 'mascot llama'], { char: '🧉', name: 'mate', keywords: 'drink' }] };
+
+test('category tabs switch the grid', () => {
+    const { window, editor } = createEditor();
+    const { picker } = openPicker(window, editor);
+    assert.equal(editor.openPopup, 'emoji');
+    const tabs = Array.from(picker.querySelectorAll('.ichik-emoji-tab'));
+    assert.equal(tabs[0].getAttribute('aria-selected'), 'true');
+    assert.equal(tabs[0].title, 'Smileys');
+    assert.equal(chars(picker.querySelector('.ichik-emoji-grid'))[0], '😀');
+
+    tabs[1].click();
+    assert.equal(tabs[1].getAttribute('aria-selected'), 'true');
+    assert.equal(tabs[0].getAttribute('aria-selected'), 'false');
+    assert.ok(chars(picker.querySelector('.ichik-emoji-grid')).includes('👍'));
+});
+
+test("'extraCategories' adds a set and 'categories' replaces the built-in ones", () => {
+    const window = createPage('<div id="extra"></div><div id="only"></div>');
+    const extra = new window.IchikEditor('extra', { changeDelay: 0, emojis: { extraCategories: [TEAM] } });
+    const only = new window.IchikEditor('only', { changeDelay: 0, emojis: { categories: [TEAM] } });
+    const tabs = (editor) => Array.from(editor.emojiPickerEl.querySelectorAll('.ichik-emoji-tab')).map(tab => tab.dataset.category);
+
+    assert.equal(tabs(extra)[0], 'smileys');
+    assert.equal(tabs(extra).slice(-1)[0], 'team');
+    assert.deepEqual(tabs(only), ['team']);
+
+    const { picker } = openPicker(window, only);
+    assert.deepEqual(chars(picker.querySelector('.ichik-emoji-grid')), ['🦙', '🧉']);
+    assert.equal(picker.querySelector('.ichik-emoji-tab').title, 'Team');
+});
+
+test('search matches names and keywords, names starting with the query first', () => {
+    const window = createPage();
+    const editor = new window.IchikEditor('editor', {
+        changeDelay: 0,
+        emojis: { extraCategories: [TEAM] },
+        // deepMerge() checks 'instanceof Object': the labels must come from the page
+        labels: window.JSON.parse('{ "emojis": { "keywords": { "mate": "yerba" } } }')
+    });
+    const { picker } = openPicker(window, editor);
+    const grid = picker.querySelector('.ichik-emoji-grid');
+
+    search(picker, 'mascot');
+    assert.deepEqual(chars(grid), ['🦙']);
+    search(picker, 'yerba'); // Translated keywords
+    assert.deepEqual(chars(grid), ['🧉']);
+    search(picker, 'smile');
+    const titles = Array.from(grid.querySelectorAll('.ichik-emoji-item')).map(item => item.title);
+    assert.deepEqual(titles.slice(0, 2), [':smiley:', ':smile:']);
+    assert.ok(titles.includes(':grinning:'), 'keywords match too');
+    assert.equal(picker.querySelectorAll('.ichik-emoji-tab.active').length, 0);
+
+    search(picker, 'zzzz');
+    assert.equal(grid.textContent, 'No emojis found');
+});
+
+test('a skin tone applies to the emojis that support it, and is remembered', () => {
+    const window = createPage('<div id="editor"></div><div id="other"></div>');
+    const editor = new window.IchikEditor('editor', { changeDelay: 0 });
+    const { picker } = openPicker(window, editor);
+    picker.querySelectorAll('.ichik-emoji-tab')[1].click(); // Gestures
+    const tone = picker.querySelectorAll('.ichik-emoji-tone')[3];
+    tone.click();
+    assert.equal(tone.getAttribute('aria-checked'), 'true');
+
+    const grid = chars(picker.querySelector('.ichik-emoji-grid'));
+    assert.ok(grid.includes('👍\u{1F3FD}'));
+    assert.ok(!grid.includes('👍'));
+    assert.equal(JSON.parse(window.localStorage.getItem('ichik-emoji-tone')), '\u{1F3FD}');
+
+    const other = new window.IchikEditor('other', { changeDelay: 0 });
+    openPicker(window, other);
+    assert.equal(other.emojiPickerEl.querySelectorAll('.ichik-emoji-tone')[3].getAttribute('aria-checked'), 'true');
+});
+
+test('inserted emojis move to the top of the recent row', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 4);
+    let { picker, inserted } = openPicker(window, editor);
+    assert.equal(picker.querySelector('.ichik-emoji-recent').style.display, 'none');
+
+    picker.querySelector('.ichik-emoji-grid [data-char="😀"]').click();
+    assert.deepEqual(inserted, ['😀']);
+    assert.equal(editor.openPopup, null);
+    openPicker(window, editor).picker.querySelector('.ichik-emoji-grid [data-char="😃"]').click();
+    ({ picker } = openPicker(window, editor));
+    picker.querySelector('.ichik-emoji-recent [data-char="😀"]').click();
+
+    ({ picker } = openPicker(window, editor));
+    assert.equal(picker.querySelector('.ichik-emoji-recent').style.display, '');
+    assert.deepEqual(chars(picker.querySelector('.ichik-emoji-recent')), ['😀', '😃']);
+    search(picker, 'smile');
+    assert.equal(picker.querySelector('.ichik-emoji-recent').style.display, 'none');
+});
+
+test('the recent list is capped, and the picker works without storage', () => {
+    const { window, editor } = createEditor();
+    const emojis = chars(openPicker(window, editor).picker.querySelector('.ichik-emoji-grid')).slice(0, 15);
+    emojis.forEach(char => openPicker(window, editor).picker.querySelector(`.ichik-emoji-grid [data-char="${char}"]`).click());
+    const recent = JSON.parse(window.localStorage.getItem('ichik-emoji-recent'));
+    assert.deepEqual(recent, emojis.slice(3).reverse());
+
+    window.localStorage.clear();
+    window.Storage.prototype.setItem = () => { throw new Error('QuotaExceededError'); };
+    const { picker, inserted } = openPicker(window, editor);
+    picker.querySelector('.ichik-emoji-grid [data-char="😀"]').click();
+    assert.deepEqual(inserted, ['😀']);
+    assert.equal(editor.openPopup, null);
+});
+
+test('a complete :shortcode: is replaced with its emoji', () => {
+    const { window, editor } = createEditor({ emojis: { extraCategories: [TEAM] } });
+    const inserted = [];
+    window.document.execCommand = (cmd, ui, value) => {
+        if (cmd === 'insertText') inserted.push([window.getSelection().toString(), value]);
+        return true;
+    };
+    editor.setHTML('<p>hi </p>');
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 3, ':ichik:');
+    assert.deepEqual(inserted, [[':ichik:', '🦙']]);
+});
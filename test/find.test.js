@@ -0,0 +1,48 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor } = require('./helpers');
+
+function openFind(editor, query) {
+    editor.toolbarEl.querySelector('[data-name="find"]').click();
+    const input = editor.popupEl.querySelector('#ichik-inp-find');
+    input.value = query;
+    input.oninput();
+    return editor.popupEl;
+}
+
+test('Replace All replaces matches past the highlight limit, as one undo step', () => {
+    const { editor } = createEditor();
+    editor.setHTML(`<p>${'a '.repeat(1200).trim()}</p>`);
+    const popup = openFind(editor, 'a');
+    assert.equal(popup.querySelector('.ichik-find-count').textContent, '1 of 1000+');
+
+    popup.querySelector('#ichik-inp-replace').value = 'b';
+    popup.querySelector('#ichik-inp-replace').oninput({ target: popup.querySelector('#ichik-inp-replace') });
+    popup.querySelector('#ichik-btn-replace-all').click();
+    assert.equal(editor.getMarkdown(), 'b '.repeat(1200).trim());
+    assert.equal(popup.querySelector('.ichik-find-count').textContent, '1200 replaced');
+
+    editor.undo();
+    assert.equal(editor.getMarkdown(), 'a '.repeat(1200).trim());
+});
+
+test('without the Highlight API, matches are drawn over the content', () => {
+    const { window, editor } = createEditor();
+    let left = 0;
+    window.Range.prototype.getClientRects = () => [{ left: left += 20, top: 10, right: left + 10, bottom: 30, width: 10, height: 20 }];
+    editor.editorEl.getBoundingClientRect = () => ({ left: 0, top: 0, right: 500, bottom: 300, width: 500, height: 300 });
+    editor.setHTML('<p>cat and cat</p><p>dog</p>');
+    const popup = openFind(editor, 'cat');
+
+    const boxes = () => Array.from(editor.container.querySelectorAll('.ichik-find-layer .ichik-find-box'));
+    assert.equal(boxes().length, 2);
+    assert.deepEqual(boxes().map(box => box.classList.contains('ichik-find-box-current')), [true, false]);
+    assert.equal(boxes()[0].style.height, '20px');
+
+    popup.querySelector('#ichik-btn-next').click();
+    assert.deepEqual(boxes().map(box => box.classList.contains('ichik-find-box-current')), [false, true]);
+
+    popup.querySelector('#ichik-btn-cancel').click();
+    assert.equal(boxes().length, 0);
+});
@@ -0,0 +1,73 @@
+'use strict';
+/**
+ * Round-trip corpus for the Markdown serializer (see markdown-roundtrip.test.js).
+ * 'html' cases are loaded with setHTML(), 'markdown' cases with setMarkdown().
+ * 'md' pins the expected Markdown where the escaping matters, and 'reparsed' the HTML
+ * for the few inputs Markdown can't represent exactly (it is the loaded HTML otherwise).
+ */
+module.exports = {
+    html: [
+        // Text that looks like Markdown syntax at the start of a line
+        { name: 'heading marker', html: '<p># not a heading</p>', md: '\\# not a heading' },
+        { name: 'several hashes', html: '<p>### nor this</p>' },
+        { name: 'ordered list marker', html: '<p>1. not a list</p>', md: '1\\. not a list' },
+        { name: 'ordered list marker with parenthesis', html: '<p>2) not a list either</p>' },
+        { name: 'bullet markers', html: '<p>- dash</p><p>+ plus</p><p>* star</p>' },
+        { name: 'quote marker', html: '<p>&gt; not a quote</p>' },
+        { name: 'thematic break', html: '<p>---</p><p>***</p>' },
+        { name: 'fence', html: '<p>```js</p>' },
+        { name: 'table row', html: '<p>| a | b |</p>' },
+        { name: 'task marker', html: '<ul><li>[ ] not a task</li></ul>' },
+        { name: 'setext underline', html: '<p>Title<br>===</p>' },
+        { name: 'indented text', html: '<p>    four spaces</p>', md: 'four spaces', reparsed: '<p>four spaces</p>' },
+
+        // Inline syntax inside text
+        { name: 'link syntax', html: '<p>[x](y) and ![img](src)</p>' },
+        { name: 'emphasis characters', html: '<p>2 * 3 * 4, snake_case_name, **not bold**</p>' },
+        { name: 'backticks', html: '<p>a `b` c</p>' },
+        { name: 'backslashes', html: '<p>C:\\path\\to\\file and \\*</p>' },
+        { name: 'html-like text', html: '<p>&lt;b&gt;not bold&lt;/b&gt; &amp; &lt;script&gt;</p>' },
+        { name: 'tildes', html: '<p>~~not struck~~</p>' },
+        { name: 'mention-like text', html: '<p>@[name](42)</p>' },
+
+        // Marks
+        { name: 'nested marks', html: '<p><strong>bold <em>both</em></strong> <em>italic</em></p>' },
+        { name: 'adjacent marks are merged', html: '<p><strong>a</strong><strong>b</strong></p>', md: '**ab**' },
+        { name: 'marks around spaces', html: '<p>a<strong> b </strong>c</p>', md: 'a **b** c', reparsed: '<p>a <strong>b</strong> c</p>' },
+        { name: 'strike and code', html: '<p><s>old</s> and <code>x * y</code></p>' },
+        { name: 'code with backticks', html: '<p><code>a`b</code></p>' },
+        { name: 'link with marks', html: '<p><a href="https://example.com/a_(b)"><strong>bold</strong> link</a></p>' },
+        { name: 'link text with brackets', html: '<p><a href="https://example.com">[x]</a></p>' },
+
+        // Blocks
+        { name: 'headings', html: '<h1>One</h1><h2>Two</h2><h6>Six</h6>' },
+        { name: 'line breaks', html: '<p>one<br>two</p>' },
+        { name: 'nested lists', html: '<ul><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ul>' },
+        { name: 'ordered list start', html: '<ol start="3"><li>three</li><li>four</li></ol>' },
+        { name: 'ordered list after paragraph', html: '<p>intro</p><ol start="7"><li>seven</li></ol>' },
+        { name: 'task list', html: '<ul data-type="task"><li data-checked="true">done</li><li data-checked="false">todo</li></ul>' },
+        { name: 'quote with blocks', html: '<blockquote><p>quote</p><ul><li>item</li></ul></blockquote>' },
+        { name: 'nested quotes', html: '<blockquote><p>a</p><blockquote><p>b</p></blockquote></blockquote>' },
+        { name: 'code block', html: '<pre data-language="js"><code>if (a &lt; b) {\n    return "*x*";\n}</code></pre>' },
+        { name: 'code block with fence inside', html: '<pre><code>```\ncode\n```</code></pre>' },
+        { name: 'table', html: '<table><thead><tr><th>a</th><th align="right">b | c</th></tr></thead><tbody><tr><td><strong>1</strong></td><td align="right">2</td></tr></tbody></table>' },
+        { name: 'image', html: '<p><img src="https://example.com/a.png" alt="An [image]"></p>' },
+        { name: 'aligned image', html: '<p><img src="https://example.com/a.png" alt="A" width="50%" data-align="center"></p>' },
+        { name: 'captioned image', html: '<figure data-align="right"><img src="https://example.com/a.png" alt="A &quot;b&quot;" width="300"><figcaption>A &lt;caption&gt; &amp; *more*</figcaption></figure>' },
+        { name: 'figure without caption', html: '<figure data-align="full"><img src="https://example.com/a.png" alt="A"></figure>', reparsed: '<p><img src="https://example.com/a.png" alt="A" data-align="full"></p>' },
+        { name: 'horizontal rule', html: '<p>above</p><hr><p>below</p>' }
+    ],
+    markdown: [
+        '# Title\n\nParagraph with **bold**, *italic*, ~~strike~~ and `code`.',
+        '1. one\n2. two\n   - nested\n   - list\n3. three',
+        '5. five\n6. six',
+        '- [x] done\n- [ ] todo',
+        '> quote\n>\n> > nested',
+        '```python\nprint("*hi*")\n```',
+        '| a | b |\n| --- | :---: |\n| 1 | 2 |',
+        '<figure data-align="left"><img src="https://example.com/a.png" alt="A"><figcaption>Caption</figcaption></figure>\n\nText',
+        'Escaped \\# and \\* and \\[x\\](y)',
+        'line one  \nline two',
+        'Hard break with trailing spaces  \n**bold**  \nend'
+    ]
+};
@@ -0,0 +1,130 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor } = require('./helpers');
+
+const RICH = '<h2>Hello</h2><p><b>Docs</b> <a href="https://example.com">link</a><br>next</p>' +
+    '<ol start="3"><li>x</li></ol><ul data-type="task"><li data-checked="true">done</li></ul>' +
+    '<blockquote><p>q</p></blockquote><pre data-language="js"><code>a &lt; b</code></pre><hr>' +
+    '<table><thead><tr><th>a</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>';
+
+test('html is normalized', () => {
+    const { editor } = createEditor();
+    editor.setHTML(RICH);
+    const html = editor.getHTML();
+    assert.match(html, /<p><strong>Docs<\/strong> <a href="https:\/\/example.com">link<\/a><br>next<\/p>/);
+    assert.match(html, /<pre><code class="language-js">a &lt; b<\/code><\/pre>/);
+    editor.setContent(html, 'html');
+    assert.equal(editor.getHTML(), html);
+});
+
+test('json round trip', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<p><b>Hi</b> <a href="https://example.com">there</a></p>');
+    assert.deepEqual(JSON.parse(JSON.stringify(editor.getContent('json'))), { // From the page's realm
+        type: 'doc',
+        content: [{
+            type: 'paragraph',
+            content: [
+                { type: 'text', text: 'Hi', marks: [{ type: 'bold' }] },
+                { type: 'text', text: ' ' },
+                { type: 'text', text: 'there', marks: [{ type: 'link', href: 'https://example.com' }] }
+            ]
+        }]
+    });
+
+    editor.setHTML(RICH);
+    const html = editor.getHTML();
+    const doc = editor.getContent('json');
+    editor.setHTML('<p>other</p>');
+    editor.setContent(doc); // Objects default to json
+    assert.equal(editor.getHTML(), html);
+});
+
+test('json input follows the URL policy', () => {
+    const { editor } = createEditor();
+    editor.setContent({ type: 'doc', content: [{ type: 'paragraph', content: [
+        { type: 'text', text: 'x', marks: [{ type: 'link', href: 'javascript:alert(1)' }] },
+        { type: 'image', src: 'javascript:alert(2)', alt: 'i' }
+    ] }] });
+    assert.doesNotMatch(editor.getHTML(), /javascript|<img/);
+});
+
+test('text keeps list markers and numbers the links', () => {
+    const { editor } = createEditor();
+    editor.setHTML(RICH);
+    assert.equal(editor.getContent('text'),
+        'Hello\n\nDocs link [1]\nnext\n\n3. x\n\n- [x] done\n\n> q\n\na < b\n\n---\n\na\n1\n\n[1] https://example.com');
+});
+
+test('unknown formats and formats without parse() throw', () => {
+    const { editor } = createEditor();
+    assert.throws(() => editor.getContent('nope'), /Unknown format "nope"/);
+    assert.throws(() => editor.setContent('x', 'text'), /can't be loaded/);
+    assert.throws(() => editor.constructor.registerFormat('bad', {}), /needs a serialize\(\) function/);
+});
+
+test('registered formats are shared and their output is sanitized', () => {
+    const { window } = createPage('<div id="a"></div><div id="b"></div>');
+    const { IchikEditor } = window;
+    IchikEditor.registerFormat('shout', {
+        serialize: (root) => root.textContent.toUpperCase(),
+        parse: (text) => `<p>${text}</p><script>window.pwned = true</script><img src="x" onerror="window.pwned = true">`
+    });
+    const a = new IchikEditor('#a', { changeDelay: 0 });
+    const b = new IchikEditor('#b', { changeDelay: 0 });
+    a.setContent('hi <b>there</b>', 'shout');
+    assert.equal(a.getContent('shout'), 'HI THERE');
+    assert.doesNotMatch(a.editorEl.innerHTML, /script|onerror/);
+    assert.equal(window.pwned, undefined);
+    b.setHTML('<p>b</p>');
+    assert.equal(b.getContent('shout'), 'B');
+});
+
+test('bbcode covers marks, links, quotes, code, lists and images', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<h2>Title</h2><p><b>Bold</b>, <i>italic</i>, <s>old</s>, <code>x[0]</code> and <a href="https://example.com">a link</a><br>' +
+        'see <a href="https://example.com">https://example.com</a></p><blockquote><p>q1</p><p>q2</p></blockquote>' +
+        '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol><li>first</li></ol>' +
+        '<ul data-type="task"><li data-checked="true">done</li><li data-checked="false">todo</li></ul>' +
+        '<pre data-language="js">a &lt; b\n\nc</pre><p><img src="https://example.com/a.png" alt="A"></p>');
+    const bbcode = [
+        '[b]Title[/b]',
+        '[b]Bold[/b], [i]italic[/i], [s]old[/s], [code]x[0][/code] and [url=https://example.com]a link[/url]\nsee [url]https://example.com[/url]',
+        '[quote]\nq1\n\nq2\n[/quote]',
+        '[list]\n[*]one\n[list]\n[*]nested\n[/list]\n[*]two\n[/list]',
+        '[list=1]\n[*]first\n[/list]',
+        '[list]\n[*][x] done\n[*][ ] todo\n[/list]',
+        '[code=js]\na < b\n\nc\n[/code]',
+        '[img]https://example.com/a.png[/img]'
+    ].join('\n\n');
+    assert.equal(editor.getContent('bbcode'), bbcode);
+
+    editor.setContent(bbcode, 'bbcode');
+    assert.equal(editor.getHTML(), '<p><strong>Title</strong></p>' +
+        '<p><strong>Bold</strong>, <em>italic</em>, <s>old</s>, <code>x[0]</code> and <a href="https://example.com">a link</a><br>' +
+        'see <a href="https://example.com">https://example.com</a></p><blockquote><p>q1</p><p>q2</p></blockquote>' +
+        '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol><li>first</li></ol>' +
+        '<ul data-type="task"><li data-checked="true">done</li><li data-checked="false">todo</li></ul>' +
+        '<pre><code class="language-js">a &lt; b\n\nc</code></pre><p><img src="https://example.com/a.png" alt=""></p>');
+    assert.equal(editor.getContent('bbcode'), bbcode);
+});
+
+test('bbcode tables and rules round-trip', () => {
+    const { editor } = createEditor();
+    const bbcode = '[table]\n[tr][th]a[/th][th]b[/th][/tr]\n[tr][td]1[/td][td][b]2[/b][/td][/tr]\n[/table]\n\n[hr]';
+    editor.setContent(bbcode, 'bbcode');
+    assert.equal(editor.getHTML(), '<table><thead><tr><th>a</th><th>b</th></tr></thead>' +
+        '<tbody><tr><td>1</td><td><strong>2</strong></td></tr></tbody></table><hr>');
+    assert.equal(editor.getContent('bbcode'), bbcode);
+});
+
+test('bbcode input is forgiving and sanitized', () => {
+    const { window, editor } = createEditor();
+    editor.setContent('[U]Under[/U] [color=red]red[/color] [b]open\n\n[foo]x[/foo] [/i] [url="https://example.com"]q[/url] [code]inline[/code]\n' +
+        '[quote=Ann]\nhi\n[/quote]\n[list]\n[*][i]a\n[*]b\n[/list]\n[img]javascript:alert(1)[/img] [url=javascript:alert(2)]x[/url]<script>window.pwned = 1</script>', 'bbcode');
+    assert.equal(editor.getHTML(), '<p>Under red <strong>open</strong></p>' +
+        '<p>[foo]x[/foo]  <a href="https://example.com">q</a> <code>inline</code></p><blockquote><p>hi</p></blockquote>' +
+        '<ul><li><em>a</em></li><li>b</li></ul><p> x&lt;script&gt;window.pwned = 1&lt;/script&gt;</p>');
+    assert.equal(window.pwned, undefined);
+});
@@ -0,0 +1,57 @@
+'use strict';
+/**
+ * Test helpers: each test gets a fresh jsdom page with the editor source loaded.
+ * jsdom has no editing commands, so execCommand() and queryCommand*() are stubs
+ * and tests change the DOM directly, then fire the events the browser would.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'ichik-editor-1.0.0.js'), 'utf8');
+
+function createPage(body = '<div id="editor"></div>') {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'https://example.org/'
+    });
+    const window = dom.window;
+    window.document.execCommand = () => false;
+    window.document.queryCommandState = () => false;
+    window.document.queryCommandValue = () => '';
+    window.Range.prototype.getBoundingClientRect = () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 });
+    window.Range.prototype.getClientRects = () => [];
+    window.eval(SOURCE + '\nwindow.IchikEditor = IchikEditor;');
+    return window;
+}
+
+/**
+ * New page with one editor on #editor. Returns { window, editor }.
+ */
+function createEditor(options = {}) {
+    const window = createPage();
+    const editor = new window.IchikEditor('editor', Object.assign({ changeDelay: 0 }, options));
+    return { window: window, editor: editor };
+}
+
+function setCaret(window, node, offset) {
+    const range = window.document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+/**
+ * Types text into a text node at 'offset', like the browser would (one 'input' event).
+ */
+function typeText(editor, textNode, offset, text) {
+    const window = textNode.ownerDocument.defaultView;
+    textNode.insertData(offset, text);
+    setCaret(window, textNode, offset + text.length);
+    editor.editorEl.dispatchEvent(new window.InputEvent('input', { inputType: 'insertText', data: text, bubbles: true }));
+}
+
+module.exports = { createPage, createEditor, setCaret, typeText };
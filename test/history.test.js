@@ -0,0 +1,68 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor, typeText } = require('./helpers');
+
+test('undo() and redo() step through the changes', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('one');
+    editor.setMarkdown('two');
+    assert.equal(editor.canRedo(), false);
+    assert.equal(editor.undo(), true);
+    assert.equal(editor.getMarkdown(), 'one');
+    assert.equal(editor.canRedo(), true);
+    assert.equal(editor.redo(), true);
+    assert.equal(editor.getMarkdown(), 'two');
+    assert.equal(editor.redo(), false);
+});
+
+test('each editor on the page has its own history', () => {
+    const window = createPage('<div id="a"></div><div id="b"></div>');
+    const a = new window.IchikEditor('a');
+    const b = new window.IchikEditor('b');
+    a.setMarkdown('a1');
+    b.setMarkdown('b1');
+    a.setMarkdown('a2');
+
+    assert.equal(b.undo(), true);
+    assert.equal(b.getMarkdown(), '');
+    assert.equal(a.getMarkdown(), 'a2');
+    assert.equal(a.undo(), true);
+    assert.equal(a.getMarkdown(), 'a1');
+    assert.equal(b.canUndo(), false);
+});
+
+test('a burst of typing is one undo step', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<p>a</p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    typeText(editor, text, 1, 'b');
+    typeText(editor, text, 2, 'c');
+    assert.equal(editor.getMarkdown(), 'abc');
+    editor.undo();
+    assert.equal(editor.getMarkdown(), 'a');
+});
+
+test('a new change discards the redo branch', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('one');
+    editor.setMarkdown('two');
+    editor.undo();
+    editor.setMarkdown('three');
+    assert.equal(editor.canRedo(), false);
+    editor.undo();
+    assert.equal(editor.getMarkdown(), 'one');
+});
+
+test('the undo and redo buttons follow the history', () => {
+    const { editor } = createEditor();
+    const undo = editor.toolbarEl.querySelector('[data-cmd="undo"]');
+    const redo = editor.toolbarEl.querySelector('[data-cmd="redo"]');
+    assert.equal(undo.disabled, true);
+    editor.setMarkdown('one');
+    assert.equal(undo.disabled, false);
+    assert.equal(redo.disabled, true);
+    undo.click();
+    assert.equal(editor.getMarkdown(), '');
+    assert.equal(redo.disabled, false);
+});
@@ -0,0 +1,100 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor } = require('./helpers');
+
+const IMG = '<img src="https://example.com/a.png" alt="A" width="300">';
+
+/**
+ * Editor with 'html' and its image selected by a click. 'action' clicks a button of the image toolbar.
+ */
+function setup(html) {
+    const { window, editor } = createEditor();
+    editor.setHTML(html);
+    const img = editor.editorEl.querySelector('img');
+    img.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    const action = (name) => editor.imageToolbarEl.querySelector(`[data-action="${name}"]`).click();
+    const pressed = () => Array.from(editor.imageToolbarEl.querySelectorAll('[aria-pressed="true"]'), btn => btn.dataset.action);
+    return { window, editor, img, action, pressed };
+}
+
+function press(window, editor, key) {
+    const event = new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+    editor.editorEl.dispatchEvent(event);
+    return event;
+}
+
+test('selecting an image shows its toolbar, and a click elsewhere hides it', () => {
+    const { window, editor, pressed } = setup(`<p>text</p><p><img src="https://example.com/a.png" alt="A" data-align="right"></p>`);
+    assert.equal(editor.imageToolbarEl.style.display, 'flex');
+    assert.equal(editor.imageOverlayEl.style.display, 'block');
+    assert.deepEqual(pressed(), ['alignRight']);
+
+    const range = window.document.createRange();
+    range.setStart(editor.editorEl.querySelector('p').firstChild, 1);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    assert.equal(editor.imageToolbarEl.style.display, 'none');
+});
+
+test('the alignment buttons set data-align, and the active one removes it', () => {
+    const { editor, img, action, pressed } = setup(`<p>${IMG}</p>`);
+    action('alignCenter');
+    assert.equal(editor.getHTML(), '<p><img src="https://example.com/a.png" alt="A" width="300" data-align="center"></p>');
+    assert.deepEqual(pressed(), ['alignCenter']);
+    assert.equal(editor.getMarkdown(), '<img src="https://example.com/a.png" alt="A" width="300" data-align="center">');
+
+    action('alignCenter');
+    assert.equal(img.hasAttribute('data-align'), false);
+    assert.deepEqual(pressed(), []);
+
+    action('alignFull');
+    assert.equal(editor.getHTML(), '<p><img src="https://example.com/a.png" alt="A" data-align="full"></p>', 'full width drops the width');
+    editor.undo();
+    assert.equal(editor.getHTML(), `<p>${IMG}</p>`);
+});
+
+test('the caption button moves the image into a figure, splitting its paragraph', () => {
+    const { window, editor, action, pressed } = setup(`<p>before ${IMG.replace('>', ' data-align="left">')} after</p>`);
+    action('caption');
+    const figure = editor.editorEl.querySelector('figure');
+    const caption = figure.querySelector('figcaption');
+    assert.equal(editor.editorEl.innerHTML,
+        '<p>before </p><figure data-align="left">' + IMG + '<figcaption data-placeholder="Write a caption…"></figcaption></figure><p> after</p>');
+    assert.equal(window.getSelection().anchorNode, caption, 'the caret goes to the caption');
+
+    caption.textContent = 'A caption';
+    assert.equal(editor.getMarkdown(), 'before\n\n<figure data-align="left">' + IMG + '<figcaption>A caption</figcaption></figure>\n\nafter');
+
+    editor.editorEl.querySelector('img').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(pressed(), ['alignLeft', 'caption']);
+    action('alignRight');
+    assert.equal(figure.getAttribute('data-align'), 'right', 'a figure holds the alignment');
+
+    action('caption');
+    assert.equal(editor.getHTML(), `<p>before </p><p>${IMG.replace('>', ' data-align="right">')}</p><p> after</p>`);
+    editor.undo();
+    editor.undo();
+    assert.equal(editor.editorEl.querySelector('figure').getAttribute('data-align'), 'left');
+});
+
+test('Enter in a caption continues after the figure, and Backspace removes an empty caption', () => {
+    const { window, editor, action } = setup(`<p>${IMG}</p>`);
+    action('caption');
+    editor.editorEl.querySelector('figcaption').textContent = 'Caption';
+    const range = window.document.createRange();
+    range.setStart(editor.editorEl.querySelector('figcaption').firstChild, 7);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    assert.ok(press(window, editor, 'Enter').defaultPrevented);
+    assert.equal(editor.editorEl.innerHTML, '<figure>' + IMG + '<figcaption data-placeholder="Write a caption…">Caption</figcaption></figure><p><br></p>');
+    assert.equal(window.getSelection().anchorNode, editor.editorEl.querySelector('p'));
+
+    editor.editorEl.querySelector('figcaption').textContent = '';
+    range.setStart(editor.editorEl.querySelector('figcaption'), 0);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    assert.ok(press(window, editor, 'Backspace').defaultPrevented);
+    assert.equal(editor.getHTML(), `<p>${IMG}</p>`);
+});
@@ -0,0 +1,66 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret, typeText } = require('./helpers');
+
+/**
+ * Editor whose execCommand('insertOrderedList') turns the paragraph at the caret into a
+ * list, like the browser (jsdom has no editing commands).
+ */
+function createListEditor() {
+    const { window, editor } = createEditor();
+    const document = window.document;
+    document.execCommand = (cmd) => {
+        if (cmd !== 'insertOrderedList') return false;
+        const anchor = window.getSelection().anchorNode;
+        const block = (anchor.nodeType === 1 ? anchor : anchor.parentElement).closest('p');
+        const list = document.createElement('ol');
+        const item = document.createElement('li');
+        item.append(...block.childNodes);
+        list.appendChild(item);
+        const previous = block.previousElementSibling;
+        if (previous && previous.tagName === 'OL') previous.appendChild(item); // Joins the list above
+        else block.before(list);
+        block.remove();
+        setCaret(window, item, 0);
+        return true;
+    };
+    return { window, editor };
+}
+
+function typeAtStart(editor, block, text) {
+    const node = block.ownerDocument.createTextNode('');
+    block.replaceChildren(node);
+    typeText(editor, node, 0, text);
+}
+
+test('"1. " starts a numbered list', () => {
+    const { editor } = createListEditor();
+    editor.setHTML('<p>x</p>');
+    typeAtStart(editor, editor.editorEl.querySelector('p'), '1. ');
+    assert.equal(editor.editorEl.innerHTML, '<ol><li><br></li></ol>');
+});
+
+test('the typed number sets the start of the list', () => {
+    const { editor } = createListEditor();
+    editor.setHTML('<p>x</p>');
+    typeAtStart(editor, editor.editorEl.querySelector('p'), '3) ');
+    assert.equal(editor.editorEl.innerHTML, '<ol start="3"><li><br></li></ol>');
+    editor.editorEl.querySelector('li').textContent = 'three';
+    assert.equal(editor.getMarkdown(), '3. three');
+});
+
+test('a list joined to the one above keeps its numbering', () => {
+    const { editor } = createListEditor();
+    editor.setHTML('<ol><li>one</li></ol><p>x</p>');
+    typeAtStart(editor, editor.editorEl.querySelector('p'), '7. ');
+    assert.equal(editor.editorEl.innerHTML, '<ol><li>one</li><li><br></li></ol>');
+});
+
+test('undo brings the typed number back', () => {
+    const { editor } = createListEditor();
+    editor.setHTML('<p>x</p>');
+    typeAtStart(editor, editor.editorEl.querySelector('p'), '3. ');
+    editor.undo();
+    assert.equal(editor.editorEl.innerHTML, '<p>3. </p>');
+});
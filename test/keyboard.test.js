@@ -0,0 +1,133 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, options));
+    target.dispatchEvent(event);
+    return event;
+}
+
+const button = (editor, name) => editor.toolbarEl.querySelector(`[data-name="${name}"]`);
+
+test('default shortcuts run their toolbar command', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+    const event = press(window, editor.editorEl, 'k', { ctrlKey: true, code: 'KeyK' });
+    assert.ok(event.defaultPrevented);
+    assert.equal(editor.openPopup, 'link');
+});
+
+test('shortcuts match the physical key, so Shift+9 is Mod-Shift-9 on any layout', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<blockquote><p>text</p></blockquote>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+    press(window, editor.editorEl, '(', { ctrlKey: true, shiftKey: true, code: 'Digit9' }); // Toggles the quote off
+    assert.equal(editor.getHTML(), '<p>text</p>');
+});
+
+test("the 'keymap' option adds shortcuts and disables defaults with null", () => {
+    let stamps = 0;
+    const { window, editor } = createEditor({
+        keymap: { 'Mod-K': null, 'mod-shift-s': 'stamp' },
+        commands: { stamp: { label: 'Stamp', exec: () => stamps++ } }
+    });
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+
+    const link = press(window, editor.editorEl, 'k', { ctrlKey: true, code: 'KeyK' });
+    assert.ok(!link.defaultPrevented);
+    assert.equal(editor.openPopup, null);
+    press(window, editor.editorEl, 'S', { metaKey: true, shiftKey: true, code: 'KeyS' });
+    assert.equal(stamps, 1);
+
+    assert.ok(!button(editor, 'link').hasAttribute('aria-keyshortcuts'));
+    assert.equal(button(editor, 'stamp').getAttribute('aria-keyshortcuts'), 'Control+Shift+S');
+    assert.equal(button(editor, 'redo').getAttribute('aria-keyshortcuts'), 'Control+Y Control+Shift+Z');
+});
+
+test('Mod-Z and Mod-Y step through the editor history', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<p>one</p>');
+    editor.setHTML('<p>two</p>');
+    press(window, editor.editorEl, 'z', { ctrlKey: true, code: 'KeyZ' });
+    assert.equal(editor.getHTML(), '<p>one</p>');
+    press(window, editor.editorEl, 'y', { ctrlKey: true, code: 'KeyY' });
+    assert.equal(editor.getHTML(), '<p>two</p>');
+});
+
+test('only one toolbar control is tabbable, and arrow keys move between them', () => {
+    const { window, editor } = createEditor({ toolbar: [['bold', 'italic'], ['link']] });
+    const [bold, italic, link] = ['bold', 'italic', 'link'].map(name => button(editor, name));
+    const tabbable = () => Array.from(editor.toolbarEl.querySelectorAll('button')).filter(b => b.tabIndex === 0);
+    assert.deepEqual(tabbable(), [bold]);
+
+    bold.focus();
+    press(window, bold, 'ArrowRight');
+    assert.equal(window.document.activeElement, italic);
+    assert.deepEqual(tabbable(), [italic]);
+    press(window, italic, 'End');
+    assert.equal(window.document.activeElement, link);
+    press(window, link, 'ArrowRight'); // Wraps around
+    assert.equal(window.document.activeElement, bold);
+    press(window, bold, 'ArrowLeft');
+    assert.equal(window.document.activeElement, link);
+    press(window, link, 'Home');
+    assert.equal(window.document.activeElement, bold);
+
+    italic.click(); // A click moves the tab stop too
+    assert.deepEqual(tabbable(), [italic]);
+    italic.focus();
+    editor.editorEl.tabIndex = 0; // jsdom only focuses a contenteditable element with a tabindex
+    press(window, italic, 'Escape');
+    assert.equal(window.document.activeElement, editor.editorEl);
+});
+
+test('aria-pressed follows the formats at the caret', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<blockquote><p>quoted <code>x</code></p></blockquote><pre><code>block</code></pre><ul><li>item</li></ul>');
+    const update = (node) => {
+        setCaret(window, node, 0);
+        editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    };
+    const pressed = () => ['quote', 'code', 'codeBlock', 'ul', 'taskList']
+        .filter(name => button(editor, name).getAttribute('aria-pressed') === 'true');
+
+    update(editor.editorEl.querySelector('blockquote p').firstChild);
+    assert.deepEqual(pressed(), ['quote']);
+    update(editor.editorEl.querySelector('blockquote code').firstChild);
+    assert.deepEqual(pressed(), ['quote', 'code']);
+    update(editor.editorEl.querySelector('pre').firstChild);
+    assert.deepEqual(pressed(), ['codeBlock']); // Not inline code
+    update(editor.editorEl.querySelector('li').firstChild);
+    assert.deepEqual(pressed(), ['ul']);
+});
+
+test('Tab stays inside a popup and Escape closes it, back to the button', () => {
+    const { window, editor } = createEditor();
+    // jsdom has no layout: every element counts as visible
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', { get() { return this.parentNode; } });
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+    const link = button(editor, 'link');
+    link.focus();
+    link.click();
+    assert.equal(editor.openPopup, 'link');
+    assert.equal(link.getAttribute('aria-expanded'), 'true');
+
+    const focusable = Array.from(editor.popupEl.querySelectorAll('input, button, select, textarea, [tabindex="0"]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    last.focus();
+    assert.ok(press(window, last, 'Tab').defaultPrevented);
+    assert.equal(window.document.activeElement, first);
+    assert.ok(press(window, first, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(window.document.activeElement, last);
+
+    press(window, window.document.activeElement, 'Escape');
+    assert.equal(editor.openPopup, null);
+    assert.equal(link.getAttribute('aria-expanded'), 'false');
+    assert.equal(window.document.activeElement, link);
+});
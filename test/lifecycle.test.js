@@ -0,0 +1,117 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor } = require('./helpers');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Records the listeners added to 'target' and not removed yet.
+ */
+function trackListeners(target) {
+    const active = new Map(); // handler => type
+    const add = target.addEventListener;
+    const remove = target.removeEventListener;
+    target.addEventListener = function(type, handler, options) {
+        active.set(handler, type);
+        return add.call(this, type, handler, options);
+    };
+    target.removeEventListener = function(type, handler, options) {
+        active.delete(handler);
+        return remove.call(this, type, handler, options);
+    };
+    return active;
+}
+
+test('destroy() removes the document and window listeners', () => {
+    const window = createPage();
+    window.document.querySelector('*'); // jsdom's selector engine adds its own listeners once
+    const onDocument = trackListeners(window.document);
+    const onWindow = trackListeners(window);
+    const editor = new window.IchikEditor('editor', { changeDelay: 0 });
+    assert.ok(onDocument.size > 0 && onWindow.size > 0);
+    editor.destroy();
+    assert.deepEqual([...onDocument.values()], []);
+    assert.deepEqual([...onWindow.values()], []);
+});
+
+test('destroy() removes the floating elements from the <body>', () => {
+    const window = createPage();
+    const before = Array.from(window.document.body.children);
+    const editor = new window.IchikEditor('editor', { changeDelay: 0 });
+    assert.ok(window.document.body.children.length > before.length, 'popups, tooltip and pickers are in the <body>');
+    editor.destroy();
+    assert.deepEqual(Array.from(window.document.body.children), before);
+});
+
+test('destroy() restores the element, its class and style', () => {
+    const window = createPage('<div id="editor" class="post" style="color: red;"><p>Server text</p></div><div id="bare"></div>');
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, theme: 'dark' });
+    const el = window.document.getElementById('editor');
+    assert.notEqual(el.innerHTML, '<p>Server text</p>');
+    editor.destroy();
+    assert.equal(el.innerHTML, '<p>Server text</p>');
+    assert.equal(el.getAttribute('class'), 'post');
+    assert.equal(el.getAttribute('style'), 'color: red;');
+    assert.ok(!el.hasAttribute('data-ichik-theme'));
+
+    const bare = window.document.getElementById('bare');
+    new window.IchikEditor('bare', { changeDelay: 0 }).destroy();
+    assert.ok(!bare.hasAttribute('class') && !bare.hasAttribute('style'));
+    assert.equal(editor.getHTML(), '');
+    editor.destroy(); // Twice is harmless
+});
+
+test('destroy() in shadow mode shows the light DOM again', () => {
+    const window = createPage('<div id="editor"><p>Light</p></div>');
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, shadow: true, name: 'body' });
+    const el = window.document.getElementById('editor');
+    assert.ok(el.shadowRoot.querySelector('.ichik-editor'));
+    assert.ok(el.querySelector('input[name="body"]'), 'the form field is in the light DOM');
+    editor.destroy();
+    assert.equal(el.shadowRoot.innerHTML, '<slot></slot>');
+    assert.equal(el.innerHTML, '<p>Light</p>');
+});
+
+test("'change' is debounced", async () => {
+    const { editor } = createEditor({ changeDelay: 20 });
+    let changes = 0;
+    editor.on('change', () => changes++);
+    editor.setHTML('<p>a</p>');
+    editor.setHTML('<p>b</p>');
+    editor.setHTML('<p>c</p>');
+    assert.equal(changes, 0);
+    await wait(40);
+    assert.equal(changes, 1);
+});
+
+test("'change' isn't fired after destroy()", async () => {
+    const { editor } = createEditor({ changeDelay: 10 });
+    let changes = 0;
+    editor.on('change', () => changes++);
+    editor.setHTML('<p>a</p>');
+    editor.destroy();
+    await wait(30);
+    assert.equal(changes, 0);
+});
+
+test("'focus' and 'blur' follow the editor", () => {
+    const { window, editor } = createEditor();
+    const events = [];
+    editor.on('focus', () => events.push('focus')).on('blur', () => events.push('blur'));
+    editor.editorEl.dispatchEvent(new window.FocusEvent('focus'));
+    editor.editorEl.dispatchEvent(new window.FocusEvent('blur'));
+    assert.deepEqual(events, ['focus', 'blur']);
+});
+
+test('off() removes only the given listener', async () => {
+    const { editor } = createEditor();
+    const calls = [];
+    const first = () => calls.push('first');
+    const second = () => calls.push('second');
+    assert.equal(editor.on('change', first).on('change', second).off('change', first), editor);
+    editor.off('popupopen', first); // Never added
+    editor.setHTML('<p>x</p>');
+    await wait(10);
+    assert.deepEqual(calls, ['second']);
+});
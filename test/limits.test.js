@@ -0,0 +1,102 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor, setCaret, typeText } = require('./helpers');
+
+/**
+ * Editor with 'maxLength' whose execCommand() records the calls, with the selected text.
+ */
+function createLimitedEditor(options) {
+    const { window, editor } = createEditor(Object.assign({ maxLength: 5 }, options));
+    const calls = [];
+    window.document.execCommand = (cmd, ui, value) => {
+        calls.push([cmd, value, window.getSelection().toString()]);
+        return true;
+    };
+    return { window, editor, calls };
+}
+
+/**
+ * Fires a cancelable 'beforeinput'. 'target' is the range getTargetRanges() returns.
+ */
+function beforeInput(editor, inputType, { data = null, text, target } = {}) {
+    const window = editor.editorEl.ownerDocument.defaultView;
+    const e = new window.InputEvent('beforeinput', { inputType, data, bubbles: true, cancelable: true });
+    if (text !== undefined) e.dataTransfer = { getData: (type) => type === 'text/plain' ? text : '' };
+    if (target) e.getTargetRanges = () => [target];
+    editor.editorEl.dispatchEvent(e);
+    return e.defaultPrevented;
+}
+
+function rangeOf(window, node, start, end) {
+    const range = window.document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    return range;
+}
+
+test('typed text that does not fit is cut', () => {
+    const { window, editor, calls } = createLimitedEditor();
+    editor.setHTML('<p>abc</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 3);
+    assert.equal(beforeInput(editor, 'insertText', { data: 'de' }), false);
+    assert.equal(beforeInput(editor, 'insertText', { data: 'defg' }), true);
+    assert.deepEqual(calls, [['insertText', 'de', '']]);
+});
+
+test('dropped text is cut to fit at the drop point', () => {
+    const { window, editor, calls } = createLimitedEditor();
+    editor.setHTML('<p>abc</p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    setCaret(window, text, 0);
+    assert.equal(beforeInput(editor, 'insertFromDrop', { text: 'xyzw', target: rangeOf(window, text, 3, 3) }), true);
+    assert.deepEqual(calls, [['insertText', 'xy', '']]);
+    assert.equal(window.getSelection().anchorOffset, 3, 'inserted at the drop point');
+});
+
+test('spellchecker replacements only count what they add', () => {
+    const { window, editor, calls } = createLimitedEditor();
+    editor.setHTML('<p>abcd</p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    setCaret(window, text, 4);
+    const word = rangeOf(window, text, 1, 3); // 'bc' is replaced
+    assert.equal(beforeInput(editor, 'insertReplacementText', { text: 'xyz', target: word }), false);
+    assert.equal(beforeInput(editor, 'insertReplacementText', { text: 'wxyz', target: word }), true);
+    assert.deepEqual(calls, [['insertText', 'wxy', 'bc']]);
+});
+
+test('at the limit nothing is inserted', () => {
+    const { window, editor, calls } = createLimitedEditor();
+    editor.setHTML('<p>abcde</p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    setCaret(window, text, 5);
+    assert.equal(beforeInput(editor, 'insertText', { data: 'f' }), true);
+    assert.equal(beforeInput(editor, 'insertFromDrop', { text: 'f', target: rangeOf(window, text, 5, 5) }), true);
+    assert.deepEqual(calls, []);
+});
+
+test('the content is counted once per change', async () => {
+    const window = createPage();
+    let counts = 0;
+    window.IchikEditor.registerFormat('counted', (root) => {
+        counts++;
+        return root.textContent;
+    });
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, maxLength: 100, statusBar: true, countBy: 'counted' });
+    editor.setHTML('<p>abc</p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    setCaret(window, text, 3);
+    await new Promise(resolve => setTimeout(resolve, 0)); // Pending mutation records
+    counts = 0;
+    for (let i = 0; i < 5; i++) beforeInput(editor, 'insertText', { data: 'x' });
+    assert.equal(counts, 0, 'keystrokes reuse the stats of the last change');
+
+    typeText(editor, text, 3, 'd'); // Status bar update
+    beforeInput(editor, 'insertText', { data: 'e' });
+    assert.equal(counts, 1);
+    assert.match(editor.statusEl.textContent, /4/);
+
+    text.data = 'abcdefgh'; // Changes not seen by the editor yet are counted too
+    assert.equal(beforeInput(editor, 'insertText', { data: 'x'.repeat(92) }), false);
+    assert.equal(beforeInput(editor, 'insertText', { data: 'x'.repeat(93) }), true);
+});
@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor } = require('./helpers');
+const corpus = require('./fixtures/markdown-corpus');
+
+const { editor } = createEditor();
+
+/** Serializes the current content, loads it back and checks that nothing moved. */
+function roundTrip() {
+    const md = editor.getMarkdown();
+    editor.setMarkdown(md);
+    const html = editor.getHTML();
+    editor.setMarkdown(editor.getMarkdown());
+    return { md, html, md2: editor.getMarkdown(), html2: editor.getHTML() };
+}
+
+for (const c of corpus.html) {
+    test(`html round trip: ${c.name}`, () => {
+        editor.setHTML(c.html);
+        const loaded = editor.getHTML();
+        const result = roundTrip();
+        if (c.md) assert.equal(result.md, c.md);
+        assert.equal(result.html, c.reparsed || loaded, 'reparsed Markdown gives the same HTML');
+        assert.equal(result.md2, result.md, 'Markdown is stable');
+        assert.equal(result.html2, result.html);
+    });
+}
+
+for (const md of corpus.markdown) {
+    test(`markdown round trip: ${JSON.stringify(md)}`, () => {
+        editor.setMarkdown(md);
+        const loaded = editor.getHTML();
+        const result = roundTrip();
+        assert.equal(result.html, loaded, 'reparsed Markdown gives the same HTML');
+        assert.equal(result.md2, result.md, 'Markdown is stable');
+    });
+}
@@ -0,0 +1,41 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor } = require('./helpers');
+
+test('setMarkdown() loads Markdown that getMarkdown() gives back', () => {
+    const { editor } = createEditor();
+    const md = '# Title\n\nSome **bold**, *italic* and [a link](https://example.com).\n\n- one\n- two\n\n> quoted';
+    editor.setMarkdown(md);
+    assert.equal(editor.getHTML(), '<h1>Title</h1><p>Some <strong>bold</strong>, <em>italic</em> and <a href="https://example.com">a link</a>.</p><ul><li>one</li><li>two</li></ul><blockquote><p>quoted</p></blockquote>');
+    assert.equal(editor.getMarkdown(), md);
+});
+
+test('setMarkdown() escapes raw HTML instead of rendering it', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('<img src=x onerror="alert(1)"> and <script>alert(1)</script>');
+    assert.equal(editor.editorEl.querySelector('img, script'), null);
+    assert.match(editor.editorEl.textContent, /<script>alert\(1\)<\/script>/);
+});
+
+test('setMarkdown() is an undo step', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('first');
+    editor.setMarkdown('second');
+    assert.equal(editor.undo(), true);
+    assert.equal(editor.getMarkdown(), 'first');
+});
+
+test('aligned and captioned images are exported as HTML, and read back safely', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<figure data-align="center"><img src="https://example.com/a.png" alt="A" width="300"><figcaption>Line  one\nand <b>two</b></figcaption></figure>' +
+        '<p><img src="https://example.com/b.png" alt="B" data-align="left"></p>');
+    assert.equal(editor.getMarkdown(),
+        '<figure data-align="center"><img src="https://example.com/a.png" alt="A" width="300"><figcaption>Line one and two</figcaption></figure>\n\n' +
+        '<img src="https://example.com/b.png" alt="B" data-align="left">');
+
+    editor.setMarkdown('<figure data-align="middle"><img src="https://example.com/a.png" alt="A" onerror="x()"><figcaption>x</figcaption></figure>');
+    assert.equal(editor.getHTML(), '<figure><img src="https://example.com/a.png" alt="A"><figcaption>x</figcaption></figure>');
+    editor.setMarkdown('<figure><img src="javascript:alert(1)" alt="A"><figcaption>x</figcaption></figure>');
+    assert.equal(editor.editorEl.querySelector('img, figure'), null);
+});
@@ -0,0 +1,143 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, typeText } = require('./helpers');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const USERS = [{ id: 42, label: 'Ana Pérez' }, { id: 7, label: 'Andrés' }, { id: 9, label: 'Bea' }];
+
+/**
+ * Editor with '@' (users, custom Markdown) and '#' (hashtags) mentions. Queries are recorded.
+ */
+function setup(options = {}) {
+    const queries = [];
+    const { window, editor } = createEditor(Object.assign({
+        mentions: {
+            '@': {
+                source: (query) => {
+                    queries.push(query);
+                    return USERS.filter(user => user.label.toLowerCase().startsWith(query.toLowerCase()));
+                },
+                markdown: '@[{label}](user:{id})'
+            },
+            '#': { source: (query) => ['release', 'roadmap'].filter(tag => tag.startsWith(query)), markdown: '#{label}' }
+        }
+    }, options));
+    return { window, editor, queries };
+}
+
+const mentions = (editor) => JSON.parse(JSON.stringify(editor.getMentions()));
+const options = (editor) => Array.from(editor.mentionEl.querySelectorAll('.ichik-mention-item'), option => option.textContent);
+
+function press(window, editor, key) {
+    const event = new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+    editor.editorEl.dispatchEvent(event);
+    return event;
+}
+
+test('getMentions() lists the tokens in document order', () => {
+    const { editor } = setup();
+    assert.deepEqual(mentions(editor), []);
+    editor.setHTML('<p>Thanks <span data-mention="@" data-id="42">@Ana  Pérez</span>, see <span data-mention="#" data-id="roadmap">#roadmap</span></p>' +
+        '<ul><li><span data-mention="@" data-id="7">Andrés</span></li></ul>');
+    assert.deepEqual(mentions(editor), [
+        { trigger: '@', id: '42', label: 'Ana Pérez' },
+        { trigger: '#', id: 'roadmap', label: 'roadmap' },
+        { trigger: '@', id: '7', label: 'Andrés' }
+    ]);
+    assert.equal(editor.editorEl.querySelector('span').outerHTML,
+        '<span class="ichik-mention" contenteditable="false" data-mention="@" data-id="42">@Ana Pérez</span>');
+
+    editor.setHTML('<p><span data-mention="@">@nobody</span> <span data-mention="a" data-id="1">a1</span></p>');
+    assert.deepEqual(mentions(editor), [], 'invalid tokens become text');
+    assert.equal(editor.getHTML(), '<p>@nobody a1</p>');
+});
+
+test('mentions round-trip through Markdown in their configured format', () => {
+    const { editor } = setup();
+    const md = 'Thanks @[Ana Pérez](user:42), see #roadmap.\n\n- **@[Ana \\[dev\\]](user:a-1)**';
+    editor.setMarkdown(md);
+    assert.deepEqual(mentions(editor), [
+        { trigger: '@', id: '42', label: 'Ana Pérez' },
+        { trigger: '#', id: 'roadmap', label: 'roadmap' },
+        { trigger: '@', id: 'a-1', label: 'Ana [dev]' }
+    ]);
+    assert.equal(editor.editorEl.querySelector('strong').firstChild.getAttribute('data-id'), 'a-1');
+    assert.equal(editor.getMarkdown(), md);
+});
+
+test('mention syntax is plain text in code, after a word, or without a matching trigger', () => {
+    const { editor } = setup();
+    editor.setMarkdown('`@[Ana](user:42)` mail@[Ana](user:42) $[Ana](user:42)');
+    assert.deepEqual(mentions(editor), []);
+
+    const plain = createEditor();
+    plain.editor.setMarkdown('@[Ana](https://example.org/ana)');
+    assert.equal(plain.editor.getMentions().length, 0, 'no mentions option');
+    assert.equal(plain.editor.getHTML(), '<p>@<a href="https://example.org/ana">Ana</a></p>');
+});
+
+test('the default format is {trigger}[{label}]({id}), and a function format is export-only', () => {
+    const source = () => [];
+    const { editor } = createEditor({ mentions: { '@': { source: source }, '+': { source: source, markdown: (m) => `<${m.id}>` } } });
+    editor.setMarkdown('@[Ana](42) +[Bea](9)');
+    assert.deepEqual(mentions(editor), [{ trigger: '@', id: '42', label: 'Ana' }]);
+
+    editor.setHTML('<p><span data-mention="@" data-id="42">@Ana</span> <span data-mention="+" data-id="9">+Bea</span></p>');
+    assert.equal(editor.getMarkdown(), '@[Ana](42) <9>');
+});
+
+test('typing a trigger opens the suggestions, and Enter inserts the token as one undo step', async () => {
+    const { window, editor, queries } = setup();
+    editor.setHTML('<p>Hi </p>');
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 3, '@an');
+    await flush();
+    assert.deepEqual(queries, ['an']);
+    assert.deepEqual(options(editor), ['@Ana Pérez', '@Andrés']);
+    assert.notEqual(editor.mentionEl.style.display, 'none');
+
+    assert.ok(press(window, editor, 'ArrowDown').defaultPrevented);
+    assert.equal(editor.mentionEl.querySelector('[aria-selected="true"]').textContent, '@Andrés');
+    assert.ok(press(window, editor, 'Enter').defaultPrevented);
+    assert.equal(editor.mentionEl.style.display, 'none');
+    assert.equal(editor.getHTML(), '<p>Hi <span class="ichik-mention" contenteditable="false" data-mention="@" data-id="7">@Andrés</span>&nbsp;</p>');
+    assert.equal(editor.getMarkdown(), 'Hi @[Andrés](user:7)');
+
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>Hi @an</p>');
+});
+
+test('stale results are dropped, and Escape or minChars keep the list closed', async () => {
+    const pending = [];
+    const { window, editor } = createEditor({
+        mentions: {
+            '@': { source: (query) => new Promise(resolve => pending.push({ query, resolve })) },
+            '#': { source: () => ['release'], minChars: 2 }
+        }
+    });
+    editor.setHTML('<p>x </p>');
+    const text = editor.editorEl.querySelector('p').firstChild;
+    typeText(editor, text, 2, '@a');
+    await flush();
+    typeText(editor, text, 4, 'n');
+    await flush();
+    pending[1].resolve([{ id: 1, label: 'Ana' }]);
+    pending[0].resolve([{ id: 2, label: 'Alba' }]);
+    await flush();
+    assert.deepEqual(pending.map(p => p.query), ['a', 'an']);
+    assert.deepEqual(options(editor), ['@Ana']);
+
+    press(window, editor, 'Escape');
+    assert.equal(editor.mentionEl.style.display, 'none');
+
+    editor.setHTML('<p>x </p>');
+    typeText(editor, editor.editorEl.querySelector('p').firstChild, 2, '#r');
+    await flush();
+    assert.equal(editor.mentionEl.style.display, 'none');
+});
+
+test('a trigger must be one symbol with a source function', () => {
+    assert.throws(() => createEditor({ mentions: { 'a': { source: () => [] } } }), /Mention trigger "a" must be one symbol/);
+    assert.throws(() => createEditor({ mentions: { '@': {} } }), /Mention trigger "@"/);
+});
@@ -0,0 +1,61 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+/**
+ * Editor with a paragraph and the caret in it. execCommand() calls are recorded.
+ */
+function setup() {
+    const { window, editor } = createEditor();
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 4);
+    const calls = [];
+    window.document.execCommand = (cmd, ui, value) => calls.push([cmd, value]);
+    return { window, editor, calls };
+}
+
+function paste(window, editor, data) {
+    const event = new window.Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { files: [], getData: (type) => data[type] || '' };
+    editor.editorEl.dispatchEvent(event);
+}
+
+function key(window, editor, type, init) {
+    editor.editorEl.dispatchEvent(new window.KeyboardEvent(type, Object.assign({ bubbles: true }, init)));
+}
+
+test('pasted HTML is sanitized and inserted as rich content', () => {
+    const { window, editor, calls } = setup();
+    paste(window, editor, { 'text/html': '<p><b>bold</b> <span onclick="x()">text</span></p>', 'text/plain': 'bold text' });
+    assert.deepEqual(calls, [['insertHTML', '<b>bold</b> text']]);
+});
+
+test('pasted Markdown-looking text is converted', () => {
+    const { window, editor, calls } = setup();
+    paste(window, editor, { 'text/plain': '# Title\n\n- one\n- two' });
+    assert.deepEqual(calls, [['insertHTML', '<h1>Title</h1><ul><li>one</li><li>two</li></ul>']]);
+});
+
+test('Ctrl+Shift+V pastes plain text', () => {
+    const { window, editor, calls } = setup();
+    key(window, editor, 'keydown', { key: 'V', ctrlKey: true, shiftKey: true });
+    paste(window, editor, { 'text/html': '<b>bold</b>', 'text/plain': 'bold' });
+    assert.deepEqual(calls, [['insertText', 'bold']]);
+});
+
+test('Ctrl+Shift+V that pastes nothing doesn\'t make the next paste plain', () => {
+    const { window, editor, calls } = setup();
+    key(window, editor, 'keydown', { key: 'V', ctrlKey: true, shiftKey: true });
+    key(window, editor, 'keyup', { key: 'V', ctrlKey: true, shiftKey: true });
+    paste(window, editor, { 'text/html': '<b>bold</b>', 'text/plain': 'bold' }); // e.g. from the Edit menu
+    assert.deepEqual(calls, [['insertHTML', '<b>bold</b>']]);
+});
+
+test('leaving the editor after Ctrl+Shift+V clears it too', () => {
+    const { window, editor, calls } = setup();
+    key(window, editor, 'keydown', { key: 'V', ctrlKey: true, shiftKey: true });
+    editor.editorEl.dispatchEvent(new window.FocusEvent('blur'));
+    paste(window, editor, { 'text/html': '<b>bold</b>', 'text/plain': 'bold' });
+    assert.deepEqual(calls, [['insertHTML', '<b>bold</b>']]);
+});
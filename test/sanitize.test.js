@@ -0,0 +1,52 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor } = require('./helpers');
+
+function sanitized(html, options) {
+    const { editor } = createEditor(options);
+    editor.setHTML(html);
+    return editor.getHTML();
+}
+
+test('unknown tags are unwrapped and unknown attributes removed', () => {
+    assert.equal(sanitized('<p onclick="x()" style="color:red">hi <span class="a">there</span></p>'), '<p>hi there</p>');
+});
+
+test('scripts, styles, iframes and SVG are removed with their content', () => {
+    assert.equal(sanitized('<script>alert(1)</script><style>p{}</style><p>ok</p>'), '<p>ok</p>');
+    assert.equal(sanitized('<iframe src="https://evil.example"></iframe>text'), 'text');
+    assert.equal(sanitized('<svg><circle onload="alert(1)"></circle></svg><p>t</p>'), '<p>t</p>');
+});
+
+test('event handlers are removed from allowed tags', () => {
+    assert.equal(sanitized('<img src="https://example.com/a.png" onerror="alert(1)">'), '<img src="https://example.com/a.png">');
+});
+
+test('script URLs are removed, whatever their case or hidden characters', () => {
+    assert.equal(sanitized('<a href="javascript:alert(1)">x</a>'), 'x');
+    assert.equal(sanitized('<a href="JaVaScRiPt:alert(1)">x</a>'), 'x');
+    assert.equal(sanitized('<a href=" java\tscript:alert(1)">x</a>'), 'x');
+    assert.equal(sanitized('<a href="vbscript:x">x</a>'), 'x');
+});
+
+test('images with data: URLs are dropped', () => {
+    assert.equal(sanitized('<img src="data:image/png;base64,AAAA" alt="d"><p>t</p>'), '<p>t</p>');
+});
+
+test('browser markup is renamed to supported tags', () => {
+    assert.equal(sanitized('<div>line</div><p><strike>old</strike> <del>gone</del></p>'), '<p>line</p><p><s>old</s> <s>gone</s></p>');
+});
+
+test('getHTML() sanitizes markup added to the DOM behind the editor\'s back', () => {
+    const { editor } = createEditor();
+    editor.editorEl.innerHTML = '<p>a<img src="https://example.com/a.png" onerror="alert(1)"><script>alert(2)</script></p>';
+    assert.equal(editor.getHTML(), '<p>a<img src="https://example.com/a.png"></p>');
+});
+
+test('the sanitize option extends the allowlist, but never allows event handlers', () => {
+    const options = { sanitize: { tags: { span: ['class'], blockquote: ['cite'] }, urlAttrs: ['cite'] } };
+    assert.equal(sanitized('<span class="a" onclick="x()">s</span>', options), '<span class="a">s</span>');
+    assert.equal(sanitized('<blockquote cite="https://example.com">q</blockquote>', options), '<blockquote cite="https://example.com">q</blockquote>');
+    assert.equal(sanitized('<blockquote cite="javascript:x">q</blockquote>', options), '<blockquote>q</blockquote>');
+});
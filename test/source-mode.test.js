@@ -0,0 +1,121 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Editor with the mode buttons in its toolbar. 'modechange' events are recorded.
+ */
+function setup(options = {}) {
+    const { window, editor } = createEditor(Object.assign({ toolbar: [['bold', 'undo'], ['source', 'split']] }, options));
+    const modes = [];
+    editor.on('modechange', (detail) => modes.push([detail.previous, detail.mode]));
+    const button = (name) => editor.toolbarEl.querySelector(`[data-name="${name}"]`);
+    return { window, editor, modes, button };
+}
+
+/** Types in the textarea: sets its value and fires 'input'. */
+function typeSource(window, editor, value) {
+    editor.sourceEl.value = value;
+    editor.sourceEl.dispatchEvent(new window.Event('input'));
+}
+
+test('the MD button swaps the rich view for a Markdown textarea, and back', () => {
+    const { editor, modes, button } = setup();
+    editor.setHTML('<h1>Title</h1><p><strong>bold</strong></p>');
+    assert.equal(editor.getMode(), 'wysiwyg');
+    assert.equal(editor.sourceEl.style.display, 'none');
+
+    button('source').click();
+    assert.equal(editor.getMode(), 'markdown');
+    assert.equal(editor.sourceEl.value, '# Title\n\n**bold**');
+    assert.equal(editor.sourceEl.style.display, '');
+    assert.equal(editor.editorEl.style.display, 'none');
+    assert.ok(editor.container.classList.contains('ichik-mode-markdown'));
+    assert.equal(button('source').getAttribute('aria-pressed'), 'true');
+    assert.ok(button('bold').disabled && button('undo').disabled, 'rich view controls are disabled');
+    assert.ok(!button('split').disabled);
+
+    button('source').click();
+    assert.equal(editor.getMode(), 'wysiwyg');
+    assert.equal(editor.editorEl.style.display, '');
+    assert.ok(!button('bold').disabled);
+    assert.deepEqual(modes, [['wysiwyg', 'markdown'], ['markdown', 'wysiwyg']]);
+});
+
+test('setMode() is chainable and checks the mode', () => {
+    const { editor, modes } = setup({ mode: 'split' });
+    assert.equal(editor.getMode(), 'split');
+    assert.ok(editor.container.classList.contains('ichik-mode-split'));
+    assert.equal(editor.setMode('split').setMode('wysiwyg'), editor);
+    assert.deepEqual(modes, [['split', 'wysiwyg']], 'no event without a change');
+    assert.throws(() => editor.setMode('html'), /Unknown mode "html"/);
+});
+
+test('textarea edits are parsed when the content is read, or when switching back', () => {
+    const { window, editor } = setup({ mode: 'markdown', changeDelay: 1000 });
+    typeSource(window, editor, '- one\n- *two*');
+    assert.equal(editor.getHTML(), '<ul><li>one</li><li><em>two</em></li></ul>');
+
+    typeSource(window, editor, 'three');
+    editor.setMode('wysiwyg');
+    assert.equal(editor.editorEl.innerHTML, '<p>three</p>');
+    editor.undo();
+    assert.equal(editor.getHTML(), '<ul><li>one</li><li><em>two</em></li></ul>', 'each parse is an undo step');
+});
+
+test('split mode keeps both views in sync', async () => {
+    const { window, editor } = setup({ mode: 'split' });
+    editor.setHTML('<p>rich</p>');
+    assert.equal(editor.sourceEl.value, 'rich');
+    assert.equal(editor.editorEl.style.display, '');
+    assert.equal(editor.sourceEl.style.display, '');
+
+    typeSource(window, editor, '**typed**');
+    editor.setHTML('<p>from the API</p>');
+    assert.equal(editor.sourceEl.value, 'from the API', 'content set by the API replaces textarea edits');
+
+    typeSource(window, editor, '**typed**');
+    await wait();
+    assert.equal(editor.editorEl.innerHTML, '<p><strong>typed</strong></p>');
+    assert.equal(editor.sourceEl.value, '**typed**');
+});
+
+test('the caret moves to the same block in the other view', () => {
+    const { window, editor } = setup();
+    editor.editorEl.tabIndex = 0; // jsdom only focuses a contenteditable element with a tabindex
+    editor.setHTML('<h1>Title</h1><p>first</p><p>second</p>');
+    editor.editorEl.focus();
+    setCaret(window, editor.editorEl.childNodes[2].firstChild, 3);
+    editor.setMode('markdown');
+    assert.equal(window.document.activeElement, editor.sourceEl);
+    assert.equal(editor.sourceEl.selectionStart, '# Title\n\nfirst\n\nsec'.length);
+
+    editor.sourceEl.setSelectionRange(11, 11); // 'fi|rst'
+    editor.setMode('wysiwyg');
+    const sel = window.getSelection();
+    assert.equal(window.document.activeElement, editor.editorEl);
+    assert.deepEqual([sel.anchorNode, sel.anchorOffset], [editor.editorEl.childNodes[1].firstChild, 2]);
+});
+
+test('scrolling one view of the split mode scrolls the other', () => {
+    const { window, editor } = setup({ mode: 'split' });
+    const size = (el, scrollHeight, clientHeight) => {
+        Object.defineProperty(el, 'scrollHeight', { value: scrollHeight });
+        Object.defineProperty(el, 'clientHeight', { value: clientHeight });
+    };
+    size(editor.editorEl, 1100, 100);
+    size(editor.sourceEl, 600, 100);
+
+    editor.editorEl.scrollTop = 500;
+    editor.editorEl.dispatchEvent(new window.Event('scroll'));
+    assert.equal(editor.sourceEl.scrollTop, 250);
+    editor.sourceEl.dispatchEvent(new window.Event('scroll')); // Our own scroll: ignored
+    assert.equal(editor.editorEl.scrollTop, 500);
+
+    editor.sourceEl.scrollTop = 500;
+    editor.sourceEl.dispatchEvent(new window.Event('scroll'));
+    assert.equal(editor.editorEl.scrollTop, 1000);
+});
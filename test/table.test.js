@@ -0,0 +1,149 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, options));
+    target.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Editor with a 2x2 table (header row) and the caret in the cell at 'row', 'col'.
+ */
+function editorWithTable(row = 1, col = 0) {
+    const { window, editor } = createEditor();
+    editor.setHTML('<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+    const cell = editor.editorEl.querySelector('table').rows[row].cells[col];
+    setCaret(window, cell.firstChild, 0);
+    editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    const action = (name) => editor.tableMenuEl.querySelector(`[data-action="${name}"]`).click();
+    return { window, editor, action };
+}
+
+function caretCell(window) {
+    const node = window.getSelection().anchorNode;
+    return (node.nodeType === 1 ? node : node.parentNode).closest('td, th');
+}
+
+test('the size picker inserts a table with a header row', () => {
+    const { window, editor } = createEditor();
+    // jsdom has no insertHTML
+    window.document.execCommand = (cmd, ui, value) => {
+        if (cmd !== 'insertHTML') return false;
+        const range = window.getSelection().getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(range.createContextualFragment(value));
+        return true;
+    };
+    editor.setHTML('<p>x</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 1);
+    editor.toolbarEl.querySelector('[data-name="table"]').click();
+    assert.equal(editor.openPopup, 'table');
+
+    const grid = editor.tablePickerEl.querySelector('.ichik-table-grid');
+    press(window, grid, 'ArrowRight');
+    press(window, grid, 'ArrowRight');
+    press(window, grid, 'ArrowDown');
+    assert.equal(editor.tablePickerEl.querySelectorAll('.ichik-table-grid-cell.active').length, 6);
+    press(window, grid, 'Enter');
+
+    const table = editor.editorEl.querySelector('table');
+    assert.equal(editor.openPopup, null);
+    assert.deepEqual([table.tHead.rows.length, table.tBodies[0].rows.length, table.rows[0].cells.length], [1, 1, 3]);
+    assert.equal(table.rows[0].cells[0].tagName, 'TH');
+    assert.equal(table.nextElementSibling.outerHTML, '<p><br></p>');
+    assert.ok(!table.hasAttribute('data-ichik-new'));
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>x</p>');
+});
+
+test('tables are exported as GFM pipe tables', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<table><thead><tr><th>Name</th><th align="right">Price</th></tr></thead>' +
+        '<tbody><tr><td>Tea | Mate</td><td align="right">2.50</td></tr><tr><td>one<br>two</td><td></td></tr></tbody></table>');
+    assert.equal(editor.getMarkdown(), '| Name | Price |\n| --- | ---: |\n| Tea \\| Mate | 2.50 |\n| one<br>two |  |');
+
+    editor.setHTML('<table><tbody><tr><td>a</td><td>b</td></tr></tbody></table>');
+    assert.equal(editor.getMarkdown(), '|  |  |\n| --- | --- |\n| a | b |', 'GFM needs a header row');
+});
+
+test('pipe tables are imported with their alignment', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('| a | b | c |\n| :--- | :---: | ---: |\n| 1 \\| 2 | **3** | 4 |');
+    assert.equal(editor.getHTML(),
+        '<table><thead><tr><th align="left">a</th><th align="center">b</th><th align="right">c</th></tr></thead>' +
+        '<tbody><tr><td align="left">1 | 2</td><td align="center"><strong>3</strong></td><td align="right">4</td></tr></tbody></table>');
+});
+
+test('the table menu shows while the caret is in a cell', () => {
+    const { window, editor } = editorWithTable();
+    assert.equal(editor.tableMenuEl.style.display, 'flex');
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 0);
+    editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    assert.equal(editor.tableMenuEl.style.display, 'none');
+});
+
+test('the menu adds and removes rows and columns, one undo step each', () => {
+    const { window, editor, action } = editorWithTable();
+    const table = editor.editorEl.querySelector('table');
+    const size = () => [table.rows.length, table.rows[0].cells.length];
+
+    action('rowBelow');
+    assert.deepEqual(size(), [3, 2]);
+    assert.equal(caretCell(window), table.rows[2].cells[0]);
+    action('rowAbove');
+    assert.deepEqual(size(), [4, 2]);
+    action('colRight');
+    assert.deepEqual(size(), [4, 3]);
+    assert.equal(table.rows[0].cells[1].tagName, 'TH', 'header cells in the header row');
+    action('deleteCol');
+    action('deleteRow');
+    assert.deepEqual(size(), [3, 2]);
+
+    editor.undo();
+    editor.undo();
+    assert.deepEqual(Array.from(editor.editorEl.querySelector('table').rows, tr => tr.cells.length), [3, 3, 3, 3]);
+});
+
+test('aligning a column twice removes the alignment', () => {
+    const { editor, action } = editorWithTable(1, 1);
+    const align = () => Array.from(editor.editorEl.querySelector('table').rows, tr => tr.cells[1].getAttribute('align'));
+    action('alignCenter');
+    assert.deepEqual(align(), ['center', 'center']);
+    assert.equal(editor.tableMenuEl.querySelector('[data-action="alignCenter"]').getAttribute('aria-pressed'), 'true');
+    action('alignCenter');
+    assert.deepEqual(align(), [null, null]);
+});
+
+test('the header row can be toggled, and deleting the table leaves a paragraph', () => {
+    const { editor, action } = editorWithTable(0, 0);
+    action('toggleHeader');
+    assert.equal(editor.getHTML(), '<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></tbody></table>');
+    action('toggleHeader');
+    assert.equal(editor.getHTML(), '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+
+    action('deleteTable');
+    assert.equal(editor.getHTML(), '');
+    assert.equal(editor.editorEl.innerHTML, '<p><br></p>');
+    assert.equal(editor.tableMenuEl.style.display, 'none');
+});
+
+test('Tab moves between cells and adds a row in the last one', () => {
+    const { window, editor } = editorWithTable(1, 0);
+    const table = editor.editorEl.querySelector('table');
+    press(window, editor.editorEl, 'Tab');
+    assert.equal(caretCell(window), table.rows[1].cells[1]);
+    assert.equal(window.getSelection().toString(), '2', 'the cell content is selected');
+    press(window, editor.editorEl, 'Tab', { shiftKey: true });
+    assert.equal(caretCell(window), table.rows[1].cells[0]);
+
+    press(window, editor.editorEl, 'Tab');
+    press(window, editor.editorEl, 'Tab');
+    assert.equal(table.rows.length, 3);
+    assert.equal(caretCell(window), table.rows[2].cells[0]);
+    editor.undo();
+    assert.equal(editor.editorEl.querySelector('table').rows.length, 2);
+});
@@ -0,0 +1,130 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+const TASKS = '<ul data-type="task"><li data-checked="true">Send <b>mail</b><ul><li>nested</li></ul></li><li data-checked="false">Book</li></ul>';
+
+/**
+ * Editor with 'html' and the caret at 'offset' in 'selector'. taskToggle events and execCommand() calls are recorded.
+ */
+function setup(html, selector, offset = 0) {
+    const { window, editor } = createEditor();
+    editor.setHTML(html);
+    const calls = [];
+    window.document.execCommand = (cmd, ui, value) => {
+        calls.push(cmd);
+        return true;
+    };
+    setCaret(window, editor.editorEl.querySelector(selector).firstChild, offset);
+    const toggles = [];
+    editor.on('taskToggle', (detail) => toggles.push(detail));
+    return { window, editor, calls, toggles };
+}
+
+function press(window, editor, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, options));
+    editor.editorEl.dispatchEvent(event);
+    return event;
+}
+
+function caretItem(window) {
+    const node = window.getSelection().anchorNode;
+    return (node.nodeType === 1 ? node : node.parentNode).closest('li');
+}
+
+const click = (editor, name) => editor.toolbarEl.querySelector(`[data-name="${name}"]`).click();
+
+test('the task list button turns a bullet list into a task list, and back', () => {
+    const { editor, calls } = setup('<ul><li>one</li><li data-checked="true">two</li></ul>', 'li');
+    click(editor, 'taskList');
+    assert.equal(editor.getHTML(), '<ul data-type="task"><li data-checked="false">one</li><li data-checked="true">two</li></ul>');
+    assert.deepEqual(calls, []);
+
+    click(editor, 'taskList');
+    assert.equal(editor.getHTML(), '<ul><li>one</li><li>two</li></ul>');
+    assert.deepEqual(calls, ['insertUnorderedList'], 'the native command removes the list');
+});
+
+test('the bullet list button turns a task list into a bullet list', () => {
+    const { editor, calls } = setup(TASKS, 'li:nth-child(2)');
+    click(editor, 'ul');
+    assert.equal(editor.getHTML(), '<ul><li>Send <strong>mail</strong><ul><li>nested</li></ul></li><li>Book</li></ul>');
+    assert.deepEqual(calls, []);
+});
+
+test('Mod+Enter toggles the item and fires taskToggle, as one undo step', () => {
+    const { window, editor, toggles } = setup(TASKS, 'li:nth-child(2)', 2);
+    assert.ok(press(window, editor, 'Enter', { ctrlKey: true }).defaultPrevented);
+    assert.equal(editor.editorEl.querySelector('li:nth-child(2)').getAttribute('data-checked'), 'true');
+
+    setCaret(window, editor.editorEl.querySelector('li').firstChild, 0);
+    press(window, editor, 'Enter', { metaKey: true });
+    assert.deepEqual(toggles.map(({ text, checked, index }) => [text, checked, index]), [['Book', true, 1], ['Send mail', false, 0]]);
+    assert.equal(toggles[1].item, editor.editorEl.querySelector('li'));
+
+    editor.undo();
+    assert.equal(editor.editorEl.querySelector('li').getAttribute('data-checked'), 'true');
+});
+
+test('a mousedown on the checkbox toggles the item, one on the text does not', () => {
+    const { window, editor, toggles } = setup(TASKS, 'li:nth-child(2)');
+    const li = editor.editorEl.querySelector('li:nth-child(2)');
+    li.style.paddingLeft = '24px';
+    li.style.lineHeight = '20px';
+    const mousedown = (x, y) => {
+        const event = new window.MouseEvent('mousedown', { clientX: x, clientY: y, button: 0, bubbles: true, cancelable: true });
+        li.dispatchEvent(event);
+        return event;
+    };
+
+    assert.ok(!mousedown(30, 5).defaultPrevented, 'text');
+    assert.ok(!mousedown(10, 30).defaultPrevented, 'below the first line');
+    assert.ok(mousedown(10, 5).defaultPrevented);
+    assert.equal(li.getAttribute('data-checked'), 'true');
+    assert.equal(toggles.length, 1);
+
+    editor.setReadOnly(true);
+    mousedown(10, 5);
+    assert.equal(li.getAttribute('data-checked'), 'true');
+});
+
+test('Enter splits a task item, and the new item starts unchecked', () => {
+    const { window, editor } = setup('<ul data-type="task"><li data-checked="true">Buy milk</li></ul>', 'li', 3);
+    assert.ok(press(window, editor, 'Enter').defaultPrevented);
+    assert.equal(editor.getHTML(), '<ul data-type="task"><li data-checked="true">Buy</li><li data-checked="false"> milk</li></ul>');
+    assert.equal(caretItem(window), editor.editorEl.querySelectorAll('li')[1]);
+
+    editor.undo();
+    assert.equal(editor.getHTML(), '<ul data-type="task"><li data-checked="true">Buy milk</li></ul>');
+});
+
+test('Enter at the start of an item adds one above, and an empty item is left to the browser', () => {
+    const { window, editor } = setup('<ul data-type="task"><li data-checked="true">Buy</li></ul>', 'li', 0);
+    press(window, editor, 'Enter');
+    const items = editor.editorEl.querySelectorAll('li');
+    assert.deepEqual(Array.from(items, li => [li.innerHTML, li.getAttribute('data-checked')]), [['<br>', 'false'], ['Buy', 'true']]);
+    assert.equal(caretItem(window), items[1], 'the caret stays');
+
+    setCaret(window, items[0], 0);
+    assert.ok(!press(window, editor, 'Enter').defaultPrevented);
+});
+
+test('task lists round-trip through Markdown and JSON, and GitHub checkboxes are read', () => {
+    const { editor } = createEditor();
+    editor.setMarkdown('- [x] Done\n- [ ] Todo\n  - [ ] Sub');
+    assert.equal(editor.getHTML(),
+        '<ul data-type="task"><li data-checked="true">Done</li><li data-checked="false">Todo<ul data-type="task"><li data-checked="false">Sub</li></ul></li></ul>');
+    assert.equal(editor.getMarkdown(), '- [x] Done\n- [ ] Todo\n  - [ ] Sub');
+    assert.equal(editor.getContent('text'), '- [x] Done\n- [ ] Todo\n  - [ ] Sub');
+
+    const json = JSON.parse(JSON.stringify(editor.getContent('json')));
+    assert.equal(json.content[0].type, 'taskList');
+    assert.deepEqual(json.content[0].content.map(item => [item.type, item.checked]), [['taskItem', true], ['taskItem', false]]);
+    editor.setHTML('');
+    editor.setContent(json, 'json');
+    assert.equal(editor.getMarkdown(), '- [x] Done\n- [ ] Todo\n  - [ ] Sub');
+
+    editor.setHTML('<ul class="contains-task-list"><li><input type="checkbox" checked disabled> Done</li><li><input type="checkbox"> Todo</li></ul>');
+    assert.equal(editor.getHTML(), '<ul data-type="task"><li data-checked="true">Done</li><li data-checked="false">Todo</li></ul>');
+});
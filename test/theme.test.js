@@ -0,0 +1,67 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createEditor } = require('./helpers');
+
+const CSS_URL = 'https://cdn.example.org/ichik-editor-1.0.0.css';
+
+/** Every element the editor positions over the page (popups, pickers, tooltip, bubbles...). */
+const floating = (editor) => [editor.popupEl, editor.tooltipEl, editor.emojiPickerEl, editor.linkBubbleEl, editor.mentionEl,
+    editor.tablePickerEl, editor.tableMenuEl, editor.imageOverlayEl, editor.imageToolbarEl];
+
+test("in shadow mode the floating elements live in the shadow root's layer, not the <body>", () => {
+    const window = createPage(`<link rel="stylesheet" href="${CSS_URL}"><div id="editor"></div>`);
+    const before = Array.from(window.document.body.children);
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, shadow: true });
+    const root = window.document.getElementById('editor').shadowRoot;
+    const layer = root.querySelector('.ichik-floating-layer');
+
+    assert.deepEqual(Array.from(window.document.body.children), before);
+    assert.equal(editor.container.getRootNode(), root);
+    floating(editor).forEach(el => assert.equal(el.parentNode, layer, el.className));
+    assert.equal(root.querySelector('link[rel="stylesheet"]').href, CSS_URL, 'the page stylesheet is loaded in the root');
+
+    editor.toolbarEl.querySelector('[data-name="emoji"]').click();
+    assert.equal(editor.openPopup, 'emoji');
+    assert.notEqual(editor.emojiPickerEl.style.display, 'none');
+    assert.equal(editor.emojiPickerEl.parentNode, layer);
+
+    editor.setHTML('<p><a href="https://example.com">link</a></p>');
+    editor.editorEl.querySelector('a').dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true }));
+    assert.equal(editor.tooltipEl.style.display, 'block');
+    assert.equal(editor.tooltipEl.getRootNode(), root);
+});
+
+test("the floating layer follows the page scroll, and 'stylesheets' replaces the page ones", () => {
+    const window = createPage(`<link rel="stylesheet" href="${CSS_URL}"><div id="editor"></div>`);
+    const editor = new window.IchikEditor('editor', { changeDelay: 0, shadow: { stylesheets: ['https://example.org/a.css', 'https://example.org/b.css'] } });
+    const root = editor.container.getRootNode();
+    assert.deepEqual(Array.from(root.querySelectorAll('link'), link => link.href), ['https://example.org/a.css', 'https://example.org/b.css']);
+
+    Object.defineProperty(window, 'scrollX', { value: 10, configurable: true });
+    Object.defineProperty(window, 'scrollY', { value: 250, configurable: true });
+    window.dispatchEvent(new window.Event('scroll'));
+    const layer = root.querySelector('.ichik-floating-layer');
+    assert.deepEqual([layer.style.left, layer.style.top], ['-10px', '-250px']);
+});
+
+test('the theme is set on the container and on every floating element', () => {
+    const { window, editor } = createEditor();
+    const themed = () => [editor.container].concat(floating(editor));
+    themed().forEach(el => assert.equal(el.getAttribute('data-ichik-theme'), 'auto'));
+    floating(editor).forEach(el => assert.equal(el.parentNode, window.document.body));
+
+    assert.equal(editor.setTheme({ scheme: 'dark', tokens: { accent: '#e36209', '--ichik-radius': '0' } }), editor);
+    themed().forEach(el => {
+        assert.equal(el.getAttribute('data-ichik-theme'), 'dark');
+        assert.equal(el.style.getPropertyValue('--ichik-accent'), '#e36209');
+        assert.equal(el.style.getPropertyValue('--ichik-radius'), '0');
+    });
+
+    editor.setTheme('light');
+    themed().forEach(el => {
+        assert.equal(el.getAttribute('data-ichik-theme'), 'light');
+        assert.equal(el.style.getPropertyValue('--ichik-accent'), '', 'tokens of the previous theme are removed');
+    });
+    assert.throws(() => editor.setTheme('sepia'), /Unknown theme "sepia"/);
+});
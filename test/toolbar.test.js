@@ -0,0 +1,103 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+const names = (editor) => Array.from(editor.toolbarEl.children).map(el => el.dataset.name || (el.getAttribute('role') === 'separator' ? '|' : el.tagName));
+
+test('the toolbar follows the layout, groups separated', () => {
+    const { editor } = createEditor({ toolbar: [['bold', 'italic'], ['link']] });
+    assert.deepEqual(names(editor), ['bold', 'italic', '|', 'link']);
+});
+
+test('unknown items are skipped, with no empty groups', () => {
+    const { editor } = createEditor({ toolbar: [['nope'], ['bold', 'nope'], [], ['ul'], '|', '|'] });
+    assert.deepEqual(names(editor), ['bold', '|', 'ul']);
+});
+
+test('a registered command gets a button at the end, or where the layout names it', () => {
+    const { editor } = createEditor({ toolbar: [['bold'], ['snippet', 'italic']] });
+    editor.registerCommand('snippet', { label: '✂️', ariaLabel: 'Snippet', exec: () => {} });
+    editor.registerCommand('stamp', { label: 'Stamp', exec: () => {} });
+    editor.registerCommand('hidden', { exec: () => {} }); // No label, no button
+    assert.deepEqual(names(editor), ['bold', '|', 'snippet', 'italic', '|', 'stamp']);
+    assert.equal(editor.toolbarEl.querySelector('[data-name="snippet"]').getAttribute('aria-label'), 'Snippet');
+});
+
+test("a command named like a built-in item replaces it, and 'commands' registers at construction", () => {
+    let calls = 0;
+    const { editor } = createEditor({
+        toolbar: [['bold', 'italic']],
+        commands: { bold: { label: 'Bold!', exec: () => calls++ } }
+    });
+    const bold = editor.toolbarEl.querySelector('[data-name="bold"]');
+    assert.equal(bold.textContent, 'Bold!');
+    bold.click();
+    assert.equal(calls, 1);
+});
+
+test('registerCommand() needs exec()', () => {
+    const { editor } = createEditor();
+    assert.throws(() => editor.registerCommand('broken', { label: 'x' }), /Command "broken" needs an exec\(\) function/);
+});
+
+test('exec() gets the editor and the button, and its edit is one undo step', () => {
+    const { editor } = createEditor();
+    editor.setHTML('<p>a</p>');
+    let args = null;
+    editor.registerCommand('stamp', {
+        label: 'Stamp',
+        exec: (inst, button) => {
+            args = [inst, button];
+            inst.editorEl.querySelector('p').append(' b', ' c');
+        }
+    });
+    const button = editor.toolbarEl.querySelector('[data-name="stamp"]');
+    button.click();
+    assert.deepEqual(args, [editor, button]);
+    assert.equal(editor.getHTML(), '<p>a b c</p>');
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>a</p>');
+});
+
+test('isActive() drives the pressed state', () => {
+    const { window, editor } = createEditor();
+    editor.setHTML('<p>plain <strong>loud</strong></p>');
+    editor.registerCommand('loud', {
+        label: 'Loud',
+        exec: () => {},
+        isActive: () => {
+            const node = window.getSelection().anchorNode;
+            return !!(node && node.parentNode.closest('strong'));
+        }
+    });
+    editor.registerCommand('plain', { label: 'Plain', exec: () => {} });
+    const loud = editor.toolbarEl.querySelector('[data-name="loud"]');
+    const plain = editor.toolbarEl.querySelector('[data-name="plain"]');
+    assert.ok(!plain.hasAttribute('aria-pressed'), 'no isActive(), not a toggle');
+
+    setCaret(window, editor.editorEl.querySelector('strong').firstChild, 2);
+    editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    assert.equal(loud.getAttribute('aria-pressed'), 'true');
+    assert.ok(loud.classList.contains('active'));
+
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+    editor.editorEl.dispatchEvent(new window.Event('keyup'));
+    assert.equal(loud.getAttribute('aria-pressed'), 'false');
+    assert.ok(!loud.classList.contains('active'));
+});
+
+test("a command with 'popup: true' can open a popup from its button", () => {
+    const { window, editor } = createEditor();
+    let clicks = 0;
+    window.document.addEventListener('click', () => clicks++);
+    editor.registerCommand('menu', { label: 'Menu', popup: true, exec: () => {} });
+    editor.registerCommand('stamp', { label: 'Stamp', exec: () => {} });
+
+    const menu = editor.toolbarEl.querySelector('[data-name="menu"]');
+    assert.equal(menu.getAttribute('aria-haspopup'), 'dialog');
+    menu.click();
+    assert.equal(clicks, 0, "the page's click listeners (which close popups) don't see it");
+    editor.toolbarEl.querySelector('[data-name="stamp"]').click();
+    assert.equal(clicks, 1);
+});
@@ -0,0 +1,149 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Editor whose uploadImage() waits for the test: 'uploads' holds { file, onProgress, resolve, reject }.
+ */
+function setup(options = {}) {
+    const uploads = [];
+    const { window, editor } = createEditor(Object.assign({
+        uploadImage: (file, { onProgress }) => new Promise((resolve, reject) => {
+            uploads.push({ file, onProgress, resolve, reject });
+        })
+    }, options));
+    const errors = [];
+    editor.on('uploaderror', (detail) => errors.push(detail));
+    editor.setHTML('<p>ab</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 1);
+    return { window, editor, uploads, errors };
+}
+
+function png(window, name = 'photo.png', content = 'png') {
+    return new window.File([content], name, { type: 'image/png' });
+}
+
+function paste(window, editor, files) {
+    const event = new window.Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { files: files, getData: () => '' };
+    editor.editorEl.dispatchEvent(event);
+}
+
+function drop(window, editor, files) {
+    const event = new window.Event('drop', { bubbles: true, cancelable: true });
+    event.dataTransfer = { files: files, types: ['Files'] };
+    editor.editorEl.dispatchEvent(event);
+    return event;
+}
+
+const message = (editor) => editor.container.querySelector('.ichik-message').textContent;
+
+test('a pasted image shows a placeholder with progress until the upload finishes', async () => {
+    const { window, editor, uploads } = setup();
+    const file = png(window);
+    paste(window, editor, [file]);
+    await flush();
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].file, file);
+
+    const placeholder = editor.editorEl.querySelector('p .ichik-upload');
+    assert.equal(placeholder.previousSibling.textContent, 'a');
+    assert.equal(placeholder.getAttribute('role'), 'progressbar');
+    assert.equal(placeholder.getAttribute('aria-valuenow'), '0');
+    uploads[0].onProgress(42.4);
+    assert.equal(placeholder.getAttribute('aria-valuenow'), '42');
+    assert.equal(placeholder.dataset.label, 'Uploading… 42%');
+    assert.equal(placeholder.firstChild.style.width, '42%');
+    assert.equal(editor.getHTML(), '<p>ab</p>', 'placeholders are not exported');
+
+    uploads[0].resolve('https://cdn.example.org/photo.png');
+    await flush();
+    assert.equal(editor.getHTML(), '<p>a<img src="https://cdn.example.org/photo.png" alt="">b</p>');
+    editor.undo();
+    assert.equal(editor.getHTML(), '<p>ab</p>');
+});
+
+test('dropped images are uploaded, and never inserted without uploadImage', async () => {
+    const { window, editor, uploads } = setup();
+    assert.ok(drop(window, editor, [png(window, 'a.png'), png(window, 'b.png')]).defaultPrevented);
+    await flush();
+    assert.deepEqual(uploads.map(upload => upload.file.name), ['a.png', 'b.png']);
+    assert.equal(editor.editorEl.querySelectorAll('.ichik-upload').length, 2);
+
+    const plain = createEditor();
+    plain.editor.setHTML('<p>ab</p>');
+    assert.ok(drop(plain.window, plain.editor, [png(plain.window)]).defaultPrevented);
+    assert.equal(plain.editor.getHTML(), '<p>ab</p>');
+});
+
+test('files with another type or over the size limit are refused', async () => {
+    const { window, editor, uploads, errors } = setup({ maxImageSize: 1024 });
+    const svg = new window.File(['<svg/>'], 'logo.svg', { type: 'image/svg+xml' });
+    paste(window, editor, [svg]);
+    assert.equal(message(editor), 'This file type is not allowed.');
+    paste(window, editor, [png(window, 'big.png', 'x'.repeat(2000))]);
+    await flush();
+    assert.equal(uploads.length, 0);
+    assert.deepEqual(errors.map(e => [e.file.name, e.message]), [
+        ['logo.svg', 'This file type is not allowed.'],
+        ['big.png', 'The image is too large (max. 1 KB).']
+    ]);
+    assert.equal(editor.editorEl.querySelectorAll('.ichik-upload').length, 0);
+});
+
+test('a failed upload removes its placeholder and reports the error', async () => {
+    const { window, editor, uploads, errors } = setup();
+    paste(window, editor, [png(window)]);
+    await flush();
+    const err = new Error('HTTP 500');
+    uploads[0].reject(err);
+    await flush();
+    assert.equal(editor.editorEl.querySelectorAll('.ichik-upload').length, 0);
+    assert.equal(message(editor), 'The image could not be uploaded.');
+    assert.equal(errors[0].error, err);
+});
+
+test('the returned URL must follow the URL policy', async () => {
+    const { window, editor, uploads, errors } = setup();
+    paste(window, editor, [png(window)]);
+    await flush();
+    uploads[0].resolve('http://cdn.example.org/photo.png');
+    await flush();
+    assert.equal(editor.getHTML(), '<p>ab</p>');
+    assert.equal(errors[0].message, 'For security reasons, only HTTPS URLs are allowed.');
+});
+
+test('an upload whose placeholder was deleted inserts nothing', async () => {
+    const { window, editor, uploads } = setup();
+    paste(window, editor, [png(window)]);
+    await flush();
+    editor.setHTML('<p>new</p>');
+    uploads[0].resolve('https://cdn.example.org/photo.png');
+    await flush();
+    assert.equal(editor.getHTML(), '<p>new</p>');
+});
+
+test('the image popup uploads a picked file with its alt text and width', async () => {
+    const { window, editor, uploads } = setup();
+    editor.toolbarEl.querySelector('[data-name="image"]').click();
+    const popup = editor.popupEl;
+    const fileInput = popup.querySelector('#ichik-inp-file');
+    assert.equal(fileInput.getAttribute('accept'), 'image/png,image/jpeg,image/gif,image/webp');
+    popup.querySelector('#ichik-inp-alt').value = 'A photo';
+    popup.querySelector('#ichik-inp-width').value = '50%';
+
+    Object.defineProperty(fileInput, 'files', { value: [png(window)] });
+    fileInput.onchange();
+    assert.equal(editor.openPopup, null);
+    await flush();
+    uploads[0].resolve('https://cdn.example.org/photo.png');
+    await flush();
+    assert.equal(editor.getHTML(), '<p>a<img src="https://cdn.example.org/photo.png" alt="A photo" width="50%">b</p>');
+
+    const plain = createEditor();
+    plain.editor.toolbarEl.querySelector('[data-name="image"]').click();
+    assert.equal(plain.editor.popupEl.querySelector('#ichik-inp-file'), null);
+});
@@ -0,0 +1,72 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEditor, setCaret } = require('./helpers');
+
+const LINKS = '<p><a href="http://a.com">1</a> <a href="https://a.com">2</a> <a href="mailto:x@y.z">3</a> ' +
+    '<a href="/help">4</a> <a href="example.com">5</a> <a href="//cdn.com/x">6</a> <a href="javascript:alert(1)">7</a></p>';
+
+test('HTTPS only by default', () => {
+    const { editor } = createEditor();
+    editor.setHTML(LINKS + '<p><img src="http://a.com/i.png" alt="http"><img src="./a.png" alt="relative"></p>');
+    assert.equal(editor.getHTML(), '<p>1 <a href="https://a.com">2</a> 3 4 <a href="https://example.com">5</a> ' +
+        '<a href="https://cdn.com/x">6</a> 7</p>');
+});
+
+test('allowedProtocols and allowRelativeUrls relax the policy', () => {
+    const { editor } = createEditor({ allowedProtocols: ['https', 'http', 'mailto'], allowRelativeUrls: true });
+    editor.setHTML(LINKS + '<p><a href="#faq">8</a> <a href="tel:123">9</a> <a href="localhost:3000/x">10</a><img src="./a.png" alt="relative"></p>');
+    assert.equal(editor.getHTML(), '<p><a href="http://a.com">1</a> <a href="https://a.com">2</a> ' +
+        '<a href="mailto:x@y.z">3</a> <a href="/help">4</a> <a href="https://example.com">5</a> ' +
+        '<a href="https://cdn.com/x">6</a> 7</p><p><a href="#faq">8</a> 9 <a href="https://localhost:3000/x">10</a><img src="./a.png" alt="relative"></p>');
+});
+
+test('addresses without a protocol take the first allowed web protocol', () => {
+    const { editor } = createEditor({ allowedProtocols: ['http'] });
+    editor.setHTML('<p><a href="example.com">a</a></p>');
+    assert.equal(editor.getHTML(), '<p><a href="http://example.com">a</a></p>');
+    const mailOnly = createEditor({ allowedProtocols: ['mailto'] }).editor;
+    mailOnly.setHTML('<p><a href="example.com">a</a> <a href="mailto:x@y.z">b</a></p>');
+    assert.equal(mailOnly.getHTML(), '<p>a <a href="mailto:x@y.z">b</a></p>');
+});
+
+test('script protocols are never allowed, even if listed', () => {
+    const { editor } = createEditor({ allowedProtocols: ['https', 'javascript', 'vbscript', 'data'] });
+    editor.setHTML('<p><a href="javascript:alert(1)">a</a> <a href=" java\nscript:alert(1)">b</a> ' +
+        '<a href="VBScript:x">c</a><img src="javascript:alert(1)" alt="i"></p>');
+    assert.equal(editor.getHTML(), '<p>a b c</p>');
+    editor.setMarkdown('[a](javascript:alert(1)) ![i](javascript:alert(1))');
+    assert.doesNotMatch(editor.getHTML(), /javascript|<a|<img/);
+});
+
+test('Markdown links follow the same policy', () => {
+    const { editor } = createEditor({ allowRelativeUrls: true });
+    editor.setMarkdown('[a](http://a.com) [b](/rel) [c](https://c.com)');
+    assert.equal(editor.getHTML(), '<p>a <a href="/rel">b</a> <a href="https://c.com">c</a></p>');
+    assert.equal(editor.getMarkdown(), 'a [b](/rel) [c](https://c.com)');
+});
+
+test('the link popup shows the policy error and stays open', () => {
+    const { window, editor } = createEditor({ allowedProtocols: ['https', 'mailto'] });
+    editor.setHTML('<p>text</p>');
+    setCaret(window, editor.editorEl.querySelector('p').firstChild, 2);
+    editor.toolbarEl.querySelector('[data-name="link"]').click();
+    const popup = editor.popupEl;
+    const error = () => popup.querySelector('.ichik-popup-error');
+    const save = (url) => {
+        popup.querySelector('#ichik-inp-url').value = url;
+        popup.querySelector('#ichik-btn-save').click();
+    };
+
+    save('http://a.com');
+    assert.equal(error().textContent, 'For security reasons, only HTTPS URLs are allowed.');
+    assert.equal(popup.querySelector('#ichik-inp-url').getAttribute('aria-invalid'), 'true');
+    save('/relative');
+    assert.equal(error().textContent, 'Relative URLs are not allowed.');
+    save('javascript:alert(1)');
+    assert.notEqual(error().style.display, 'none');
+    assert.ok(editor.openPopup, 'still open');
+
+    save('mailto:x@y.z');
+    assert.ok(!editor.openPopup, 'closed once the URL is valid');
+});